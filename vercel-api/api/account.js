@@ -0,0 +1,377 @@
+// Account API Endpoints
+// Self-service view of a customer's profile, membership, usage, devices, schedules and integrations
+
+import { validateKey, getKeyUsageStats, getAllUserIntegrationSettings } from '../db/queries.js';
+import { attachCustomerToKey } from '../db/admin-queries.js';
+import { getKeyDevices } from '../db/device-queries.js';
+import { getUserScheduledPrompts, getAutomationStats } from '../db/automation-queries.js';
+import { getKeyEntitlements } from '../db/entitlement-queries.js';
+import {
+    getAccountCustomer,
+    countRecentEmailChanges,
+    createEmailChange,
+    getPendingEmailChange,
+    claimEmailChange,
+    releaseEmailChange,
+    claimRecipientConfirmation
+} from '../db/account-queries.js';
+import { isEmailConfigured } from '../services/email.js';
+import { sendNoticeToEmail } from '../services/integrations.js';
+import { getSeatLimit } from '../services/device-seats.js';
+import { getMembershipStatus, getGraceDays } from '../services/membership.js';
+import { TRIAL_TIER } from '../services/trials.js';
+import {
+    EMAIL_CHANGE_TTL_HOURS,
+    MAX_EMAIL_CHANGES_PER_DAY,
+    parseAccountUpdate,
+    createEmailChangeToken,
+    hashEmailChangeToken,
+    formatEmailChangeNotice,
+    hashRecipientConfirmationToken
+} from '../services/account.js';
+import { getClientIP } from '../services/client-ip.js';
+
+/**
+ * Get the pro key a request is for
+ * Requests authenticated with a session token use the token's key instead of the raw key
+ * @returns {Promise<Object|null>} - pro_keys row, or null if the key is invalid
+ */
+async function getAccountKey(req, key) {
+    if (req.proKeyData) {
+        return req.proKeyData;
+    }
+
+    if (!key || key === 'me') {
+        return null;
+    }
+
+    const result = await validateKey(key);
+    return result.isValid ? result.keyData : null;
+}
+
+/**
+ * Reject a request whose pro key is missing or invalid
+ */
+function rejectAccountKey(res) {
+    return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired pro key',
+        code: 'INVALID_PRO_KEY'
+    });
+}
+
+/**
+ * Build the profile section of the account response
+ * @param {Object} customer - customers row, or null
+ * @param {Object} pendingChange - Pending email change, or null
+ * @returns {Object} - Profile
+ */
+function formatProfile(customer, pendingChange) {
+    return {
+        customerId: customer?.id || null,
+        name: customer?.name || null,
+        email: customer?.email || null,
+        pendingEmail: pendingChange
+            ? { email: pendingChange.new_email, expiresAt: pendingChange.expires_at }
+            : null
+    };
+}
+
+/**
+ * Get the account overview for a pro key
+ * GET /api/account/:proKey
+ */
+export async function getAccount(req, res) {
+    try {
+        const keyData = await getAccountKey(req, req.params.proKey);
+        if (!keyData) {
+            return rejectAccountKey(res);
+        }
+
+        const [customer, pendingChange, usage, devices, schedules, automationStats, integrations, entitlements] = await Promise.all([
+            getAccountCustomer(keyData.id),
+            getPendingEmailChange(keyData.id),
+            getKeyUsageStats(keyData.id),
+            getKeyDevices(keyData.id),
+            getUserScheduledPrompts(keyData.id),
+            getAutomationStats(keyData.id),
+            getAllUserIntegrationSettings(keyData.id),
+            getKeyEntitlements(keyData.id)
+        ]);
+
+        const membership = getMembershipStatus(keyData.expires_at, new Date(), getGraceDays(keyData.tier));
+        const { overrides, ...limits } = entitlements;
+        const seatLimit = getSeatLimit(keyData);
+        const currentDeviceId = keyData.session_device_id || null;
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                profile: formatProfile(customer, pendingChange),
+                membership: {
+                    status: membership.status,
+                    tier: keyData.tier || 'pro',
+                    createdAt: keyData.created_at || null,
+                    expiresAt: keyData.expires_at || null,
+                    daysRemaining: membership.daysRemaining,
+                    isExpired: membership.isExpired,
+                    inGracePeriod: membership.status === 'in_grace',
+                    graceEndsAt: membership.graceEndsAt,
+                    graceDaysRemaining: membership.graceDaysRemaining,
+                    isTrial: keyData.tier === TRIAL_TIER,
+                    entitlements: { ...limits, deviceSeats: seatLimit }
+                },
+                usage: {
+                    totalUses: Number(usage.total_uses || 0),
+                    activeDays: Number(usage.active_days || 0),
+                    firstUse: usage.first_use,
+                    lastUse: usage.last_use,
+                    periodDays: 30
+                },
+                devices: {
+                    seatLimit: seatLimit,
+                    devicesUsed: devices.length,
+                    devices: devices.map(device => ({
+                        id: device.id,
+                        name: device.device_name,
+                        lastSeenAt: device.last_seen_at,
+                        isCurrent: device.id === currentDeviceId
+                    }))
+                },
+                schedules: {
+                    ...automationStats,
+                    items: schedules.map(schedule => ({
+                        id: schedule.id,
+                        title: schedule.prompt_title,
+                        status: schedule.status,
+                        scheduledTime: schedule.scheduledTime,
+                        displayTime: schedule.displayTime,
+                        timezone: schedule.userTimezone,
+                        recurrence: schedule.recurrence,
+                        executionCount: schedule.execution_count || 0,
+                        lastExecution: schedule.last_execution || null
+                    }))
+                },
+                // Settings hold tokens and webhook URLs, so only say which integrations are set up
+                integrations: integrations.map(integration => ({
+                    type: integration.integration_type,
+                    isActive: integration.is_active,
+                    updatedAt: integration.updated_at
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting account:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to get account',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Update the customer's name and/or email
+ * PUT /api/account/:proKey
+ * Body: { name?, email? }
+ * Names change straight away. A new email is only saved once the token sent to it is confirmed.
+ */
+export async function updateAccount(req, res) {
+    try {
+        const clientIP = getClientIP(req);
+        const keyData = await getAccountKey(req, req.params.proKey);
+        if (!keyData) {
+            return rejectAccountKey(res);
+        }
+
+        const update = parseAccountUpdate(req.body);
+        if (update.error) {
+            return res.status(400).json({
+                success: false,
+                message: update.error,
+                code: 'INVALID_ACCOUNT_UPDATE'
+            });
+        }
+
+        const customer = await getAccountCustomer(keyData.id);
+        const emailChanged = update.email !== undefined && update.email !== customer?.email?.toLowerCase();
+
+        if (emailChanged) {
+            if (!isEmailConfigured()) {
+                return res.status(503).json({
+                    success: false,
+                    message: 'Email changes are not available, email delivery is not configured on this server',
+                    code: 'EMAIL_NOT_CONFIGURED'
+                });
+            }
+
+            if (await countRecentEmailChanges(keyData.id) >= MAX_EMAIL_CHANGES_PER_DAY) {
+                return res.status(429).json({
+                    success: false,
+                    message: `Email changes can be requested ${MAX_EMAIL_CHANGES_PER_DAY} times per day. Please try again later.`,
+                    code: 'EMAIL_CHANGE_LIMIT'
+                });
+            }
+        }
+
+        const audit = { action: 'update_account', actor: 'customer', ipAddress: clientIP, reason: 'Self-service account update' };
+
+        if (update.name !== undefined && update.name !== customer?.name) {
+            await attachCustomerToKey(keyData.id, { name: update.name }, audit);
+        }
+
+        let pendingChange = await getPendingEmailChange(keyData.id);
+        let confirmationSent = false;
+
+        if (emailChanged) {
+            const { token, tokenHash } = createEmailChangeToken();
+            pendingChange = await createEmailChange(keyData.id, update.email, tokenHash, EMAIL_CHANGE_TTL_HOURS);
+
+            const result = await sendNoticeToEmail(formatEmailChangeNotice({
+                token: token,
+                newEmail: update.email,
+                name: update.name || customer?.name,
+                expiresAt: new Date(Date.now() + EMAIL_CHANGE_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+                confirmUrl: process.env.ACCOUNT_EMAIL_CONFIRM_URL
+            }), [update.email]);
+
+            if (!result.success) {
+                throw new Error(`Confirmation email failed: ${result.error}`);
+            }
+
+            confirmationSent = true;
+            console.log(`✉️ Email change requested for pro key ID: ${keyData.id}`);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: confirmationSent
+                ? `Check ${update.email} for a confirmation email. Your email address changes once you confirm it.`
+                : 'Account updated',
+            data: {
+                profile: formatProfile(await getAccountCustomer(keyData.id), pendingChange),
+                confirmationSent: confirmationSent
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating account:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update account',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Confirm an email change with the token sent to the new address
+ * POST /api/account/confirm-email
+ * Body: { token }
+ * The token is the credential, so no pro key is needed
+ */
+export async function confirmEmailChange(req, res) {
+    try {
+        const { token } = req.body || {};
+
+        if (typeof token !== 'string' || token.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: token'
+            });
+        }
+
+        const change = await claimEmailChange(hashEmailChangeToken(token));
+
+        if (!change) {
+            return res.status(400).json({
+                success: false,
+                message: 'Confirmation token is invalid, expired or already used',
+                code: 'INVALID_EMAIL_TOKEN'
+            });
+        }
+
+        try {
+            await attachCustomerToKey(change.pro_key_id, { email: change.new_email }, {
+                action: 'confirm_email_change',
+                actor: 'customer',
+                ipAddress: getClientIP(req),
+                reason: 'Email change confirmed'
+            });
+        } catch (attachError) {
+            await releaseEmailChange(change.id);
+            throw attachError;
+        }
+
+        console.log(`✉️ Email change confirmed for pro key ID: ${change.pro_key_id}`);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Email address updated',
+            data: {
+                email: change.new_email
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error confirming email change:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to confirm email change',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Confirm that an address wants the analysis emails it was added to
+ * POST /api/account/confirm-recipient
+ * Body: { token }
+ * The token was only sent to the recipient, so no pro key is needed
+ */
+export async function confirmEmailRecipient(req, res) {
+    try {
+        const { token } = req.body || {};
+
+        if (typeof token !== 'string' || token.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: token'
+            });
+        }
+
+        const confirmation = await claimRecipientConfirmation(hashRecipientConfirmationToken(token));
+
+        if (!confirmation) {
+            return res.status(400).json({
+                success: false,
+                message: 'Confirmation token is invalid, expired or already used',
+                code: 'INVALID_RECIPIENT_TOKEN'
+            });
+        }
+
+        console.log(`✉️ Email recipient confirmed for ${confirmation.organization_id === null
+            ? `pro key ID: ${confirmation.pro_key_id}` : `organization ${confirmation.organization_id}`}`);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Email address confirmed, scheduled analysis results will be sent to it',
+            data: {
+                email: confirmation.email
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error confirming email recipient:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to confirm email recipient',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
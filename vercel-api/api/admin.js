@@ -0,0 +1,815 @@
+// Admin API Endpoints
+// Pro key lifecycle management: issue, search, update, revoke/reactivate and customer attachment,
+// plus tier entitlements and the bans placed by brute-force protection
+
+import crypto from 'crypto';
+import { getKeyUsageStats } from '../db/queries.js';
+import {
+    createProKey,
+    getProKeyById,
+    searchProKeys,
+    updateProKey,
+    attachCustomerToKey,
+    getKeyAuditTrail,
+    logKeyAudit
+} from '../db/admin-queries.js';
+import { revokeAllKeySessions } from '../db/session-queries.js';
+import { listSecurityBans, clearSecurityBan } from '../db/security-queries.js';
+import {
+    getTierEntitlements,
+    getKeyEntitlements,
+    upsertTierEntitlements,
+    setKeyEntitlementOverrides
+} from '../db/entitlement-queries.js';
+import { getKeyDevices } from '../db/device-queries.js';
+import { getKeyExpiryNotices } from '../db/notification-queries.js';
+import { getKeyBilling } from '../db/billing-queries.js';
+import { getKeyOrganization } from '../db/organization-queries.js';
+import { getSeatLimit } from '../services/device-seats.js';
+import { isValidEmail } from '../services/email.js';
+import { createKeyHash } from '../services/key-hashing.js';
+import { BAN_SUBJECT_TYPES } from '../services/brute-force.js';
+import { ENTITLEMENT_FIELDS, parseEntitlementFields } from '../services/entitlements.js';
+import { DELIVERY_DESTINATIONS } from '../services/delivery-outbox.js';
+import { RECURRENCE_TYPES } from '../services/recurrence.js';
+import { getMembershipStatus, getGraceDays } from '../services/membership.js';
+import { getClientIP } from '../services/client-ip.js';
+
+const KEY_STATUSES = ['active', 'suspended', 'revoked'];
+const TIER_REGEX = /^[a-z][a-z0-9_-]{0,31}$/;
+const MAX_NOTES_LENGTH = 1000;
+const MAX_SEAT_LIMIT = 1000;
+const MAX_PAGE_SIZE = 100;
+
+// Values entitlement lists may contain
+const KNOWN_ENTITLEMENTS = { integrations: DELIVERY_DESTINATIONS, recurrence: RECURRENCE_TYPES };
+
+/**
+ * Read admin credentials from ADMIN_API_KEYS
+ * Comma separated "name:secret" entries; the name is recorded as the actor in the audit trail.
+ * A bare secret is recorded as "admin".
+ * @returns {Array<Object>} - [{ actor, digest }]
+ */
+function getAdminCredentials() {
+    return (process.env.ADMIN_API_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.length > 0)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            const actor = separator > 0 ? entry.substring(0, separator) : 'admin';
+            const secret = separator > 0 ? entry.substring(separator + 1) : entry;
+            return { actor, digest: crypto.createHash('sha256').update(secret).digest() };
+        });
+}
+
+/**
+ * Require a valid admin credential in the Authorization header (Bearer)
+ * Sets req.admin = { actor, ipAddress } for the audit trail
+ */
+export function requireAdmin(req, res, next) {
+    const credentials = getAdminCredentials();
+
+    if (credentials.length === 0) {
+        return res.status(503).json({
+            success: false,
+            message: 'Admin API is not configured. Set ADMIN_API_KEYS to enable it'
+        });
+    }
+
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    // Compare fixed-length digests so the check takes the same time for every candidate
+    const presented = crypto.createHash('sha256').update(match ? match[1].trim() : '').digest();
+    const credential = credentials.find(candidate => crypto.timingSafeEqual(candidate.digest, presented));
+
+    if (!match || !credential) {
+        console.warn(`🚫 Rejected admin request from IP: ${getClientIP(req)}`);
+        return res.status(401).json({
+            success: false,
+            message: 'Valid admin credentials are required',
+            code: 'ADMIN_AUTH_REQUIRED'
+        });
+    }
+
+    req.admin = {
+        actor: credential.actor,
+        ipAddress: getClientIP(req)
+    };
+
+    next();
+}
+
+/**
+ * Generate a new plaintext pro key
+ * @returns {string} - Key such as "hp_3f9a..." (only its hash is ever stored)
+ */
+function generateProKey() {
+    return `hp_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Validate and normalize the key fields an admin may set
+ * @param {Object} body - Request body with any of { tier, status, expiresAt, notes, seatLimit }
+ * @returns {Object} - { fields, error } with database column names
+ */
+function parseKeyFields(body) {
+    const fields = {};
+
+    if (body.tier !== undefined) {
+        if (typeof body.tier !== 'string' || !TIER_REGEX.test(body.tier)) {
+            return { error: 'Tier must be a lowercase name such as "pro"' };
+        }
+        fields.tier = body.tier;
+    }
+
+    if (body.status !== undefined) {
+        if (!KEY_STATUSES.includes(body.status)) {
+            return { error: `Status must be one of: ${KEY_STATUSES.join(', ')}` };
+        }
+        fields.status = body.status;
+    }
+
+    if (body.expiresAt !== undefined) {
+        if (body.expiresAt === null) {
+            fields.expires_at = null;
+        } else {
+            const expiresAt = new Date(body.expiresAt);
+            if (typeof body.expiresAt !== 'string' || isNaN(expiresAt.getTime())) {
+                return { error: 'expiresAt must be an ISO date or null' };
+            }
+            fields.expires_at = expiresAt.toISOString();
+        }
+    }
+
+    if (body.notes !== undefined) {
+        if (body.notes !== null && (typeof body.notes !== 'string' || body.notes.length > MAX_NOTES_LENGTH)) {
+            return { error: `Notes must be text of at most ${MAX_NOTES_LENGTH} characters` };
+        }
+        fields.notes = body.notes;
+    }
+
+    if (body.seatLimit !== undefined) {
+        // null goes back to the tier's seat count
+        if (body.seatLimit !== null && (!Number.isInteger(body.seatLimit) || body.seatLimit < 1 || body.seatLimit > MAX_SEAT_LIMIT)) {
+            return { error: `seatLimit must be an integer from 1 to ${MAX_SEAT_LIMIT}, or null for the tier default` };
+        }
+        fields.seat_limit = body.seatLimit;
+    }
+
+    return { fields };
+}
+
+/**
+ * Validate customer details for a key
+ * @param {Object} customer - { customerId } or { name, email }
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateCustomer(customer) {
+    if (!customer || typeof customer !== 'object') {
+        return 'Customer details are required';
+    }
+
+    if (customer.customerId !== undefined) {
+        return Number.isInteger(customer.customerId) && customer.customerId > 0
+            ? null
+            : 'customerId must be a positive integer';
+    }
+
+    if (customer.name === undefined && customer.email === undefined) {
+        return 'Provide a customerId, or a name and/or email';
+    }
+
+    if (customer.name !== undefined && customer.name !== null && (typeof customer.name !== 'string' || customer.name.length > 200)) {
+        return 'Customer name must be text of at most 200 characters';
+    }
+
+    if (customer.email !== undefined && customer.email !== null && !isValidEmail(customer.email)) {
+        return `Invalid email address: ${customer.email}`;
+    }
+
+    return null;
+}
+
+/**
+ * Parse a positive integer route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - Parsed ID, or null if invalid
+ */
+function parseId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Parse limit/offset query parameters
+ * @param {Object} query - Request query
+ * @returns {Object} - { limit, offset }
+ */
+function parsePaging(query) {
+    const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+    return { limit, offset };
+}
+
+/**
+ * Issue a new pro key
+ * POST /api/admin/keys
+ * Body: { tier?, expiresAt?, notes?, seatLimit?, customer?: { name, email }, reason? }
+ * The plaintext key is returned once in this response and never stored
+ */
+export async function issueKey(req, res) {
+    try {
+        const { customer, reason } = req.body || {};
+        const { fields, error } = parseKeyFields(req.body || {});
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error, code: 'INVALID_KEY_FIELDS' });
+        }
+
+        if (fields.status !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'New keys are always issued active',
+                code: 'INVALID_KEY_FIELDS'
+            });
+        }
+
+        if (customer !== undefined) {
+            const customerError = customer?.customerId !== undefined
+                ? 'Attach existing customers with PUT /api/admin/keys/:keyId/customer'
+                : validateCustomer(customer);
+            if (customerError) {
+                return res.status(400).json({ success: false, message: customerError, code: 'INVALID_CUSTOMER' });
+            }
+        }
+
+        const plainKey = generateProKey();
+
+        const key = await createProKey({
+            ...(await createKeyHash(plainKey)),
+            tier: fields.tier,
+            expiresAt: fields.expires_at,
+            notes: fields.notes,
+            seatLimit: fields.seat_limit,
+            customer
+        }, { ...req.admin, reason });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Pro key issued. Store it now; it cannot be shown again',
+            data: {
+                key: plainKey,
+                proKey: key
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error issuing pro key:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to issue pro key',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * List and search pro keys
+ * GET /api/admin/keys?q=&status=&tier=&limit=&offset=
+ */
+export async function listKeys(req, res) {
+    try {
+        const { q, status, tier } = req.query;
+        const { limit, offset } = parsePaging(req.query);
+
+        if (status && !KEY_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${KEY_STATUSES.join(', ')}`
+            });
+        }
+
+        const result = await searchProKeys({
+            query: q ? String(q).trim() : null,
+            status: status || null,
+            tier: tier || null,
+            limit,
+            offset
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                keys: result.keys,
+                total: result.total,
+                limit,
+                offset
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error listing pro keys:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to list pro keys',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Get a pro key with its usage and audit trail
+ * GET /api/admin/keys/:keyId
+ */
+export async function getKey(req, res) {
+    try {
+        const keyId = parseId(req.params.keyId);
+        const key = keyId ? await getProKeyById(keyId) : null;
+
+        if (!key) {
+            return res.status(404).json({ success: false, message: 'Pro key not found' });
+        }
+
+        const [usage, devices, auditTrail, entitlements, expiryNotices, billing, organization] = await Promise.all([
+            getKeyUsageStats(keyId),
+            getKeyDevices(keyId),
+            getKeyAuditTrail({ keyId }),
+            getKeyEntitlements(keyId),
+            getKeyExpiryNotices(keyId),
+            getKeyBilling(keyId),
+            getKeyOrganization(keyId)
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                proKey: key,
+                membership: getMembershipStatus(key.expires_at, new Date(), getGraceDays(key.tier)),
+                usage,
+                seatLimit: getSeatLimit(key),
+                entitlements,
+                devices,
+                expiryNotices,
+                billing,
+                organization,
+                auditTrail
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting pro key:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to get pro key',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Apply an audited change to a pro key and send the response
+ * @param {Object} req - Express request (req.admin set by requireAdmin)
+ * @param {Object} res - Express response
+ * @param {Object} fields - Database columns to change
+ * @param {string} action - Audit action
+ * @param {string} successMessage - Message when something changed
+ */
+async function applyKeyChange(req, res, fields, action, successMessage) {
+    const keyId = parseId(req.params.keyId);
+    const result = keyId
+        ? await updateProKey(keyId, fields, { ...req.admin, action, reason: req.body?.reason })
+        : null;
+
+    if (!result) {
+        return res.status(404).json({ success: false, message: 'Pro key not found' });
+    }
+
+    const changed = Object.keys(result.changes).length > 0;
+
+    return res.status(200).json({
+        success: true,
+        message: changed ? successMessage : 'No changes',
+        data: {
+            proKey: result.key,
+            changes: result.changes
+        }
+    });
+}
+
+/**
+ * Update a pro key's tier, status, expiry, notes or seat limit
+ * PUT /api/admin/keys/:keyId
+ * Body: { tier?, status?, expiresAt?, notes?, seatLimit?, reason? }
+ */
+export async function updateKey(req, res) {
+    try {
+        const { fields, error } = parseKeyFields(req.body || {});
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error, code: 'INVALID_KEY_FIELDS' });
+        }
+
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide at least one of tier, status, expiresAt, notes or seatLimit',
+                code: 'INVALID_KEY_FIELDS'
+            });
+        }
+
+        return await applyKeyChange(req, res, fields, 'update', 'Pro key updated');
+
+    } catch (error) {
+        console.error('❌ Error updating pro key:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update pro key',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Revoke a pro key
+ * POST /api/admin/keys/:keyId/revoke
+ * Body: { reason? }
+ */
+export async function revokeKey(req, res) {
+    try {
+        return await applyKeyChange(req, res, { status: 'revoked' }, 'revoke', 'Pro key revoked');
+    } catch (error) {
+        console.error('❌ Error revoking pro key:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to revoke pro key',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Reactivate a revoked or suspended pro key
+ * POST /api/admin/keys/:keyId/reactivate
+ * Body: { reason? }
+ */
+export async function reactivateKey(req, res) {
+    try {
+        return await applyKeyChange(req, res, { status: 'active' }, 'reactivate', 'Pro key reactivated');
+    } catch (error) {
+        console.error('❌ Error reactivating pro key:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to reactivate pro key',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Sign a pro key out everywhere by revoking its session tokens
+ * DELETE /api/admin/keys/:keyId/sessions
+ * Body: { reason? }
+ */
+export async function revokeKeySessions(req, res) {
+    try {
+        const keyId = parseId(req.params.keyId);
+        const key = keyId ? await getProKeyById(keyId) : null;
+
+        if (!key) {
+            return res.status(404).json({ success: false, message: 'Pro key not found' });
+        }
+
+        const revoked = await revokeAllKeySessions(keyId, 'admin_revoked');
+
+        await logKeyAudit(keyId, { ...req.admin, action: 'revoke_sessions', reason: req.body?.reason }, {
+            sessions: { from: revoked, to: 0 }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `${revoked} session(s) revoked`,
+            data: { revoked }
+        });
+
+    } catch (error) {
+        console.error('❌ Error revoking pro key sessions:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to revoke sessions',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Attach a customer to a pro key
+ * PUT /api/admin/keys/:keyId/customer
+ * Body: { customerId } to move an existing customer onto the key, or { name?, email? } to create/update the key's customer
+ */
+export async function attachCustomer(req, res) {
+    try {
+        const { reason, ...customer } = req.body || {};
+        const customerError = validateCustomer(customer);
+
+        if (customerError) {
+            return res.status(400).json({ success: false, message: customerError, code: 'INVALID_CUSTOMER' });
+        }
+
+        const keyId = parseId(req.params.keyId);
+        const result = keyId
+            ? await attachCustomerToKey(keyId, customer, { ...req.admin, reason })
+            : null;
+
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Pro key or customer not found' });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Customer attached to pro key',
+            data: {
+                proKey: result.key,
+                changes: result.changes
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error attaching customer:', error);
+
+        if (error.message.includes('already has customer')) {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                code: 'KEY_HAS_CUSTOMER'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to attach customer',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Set or clear a key's entitlement overrides
+ * PUT /api/admin/keys/:keyId/entitlements
+ * Body: { maxSchedules?, maxExecutionsPerDay?, integrations?, recurrence?, retentionDays?, reason? }
+ * null clears an override so the tier's value applies again
+ */
+export async function updateKeyEntitlements(req, res) {
+    try {
+        const { fields, error } = parseEntitlementFields(req.body || {}, { known: KNOWN_ENTITLEMENTS, allowNull: true });
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error, code: 'INVALID_ENTITLEMENTS' });
+        }
+
+        const keyId = parseId(req.params.keyId);
+        const key = keyId ? await getProKeyById(keyId) : null;
+
+        if (!key) {
+            return res.status(404).json({ success: false, message: 'Pro key not found' });
+        }
+
+        const { before, after } = await setKeyEntitlementOverrides(keyId, fields);
+
+        const changes = {};
+        for (const field of Object.keys(ENTITLEMENT_FIELDS)) {
+            if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+                changes[field] = { from: before[field], to: after[field] };
+            }
+        }
+
+        if (Object.keys(changes).length > 0) {
+            await logKeyAudit(keyId, { ...req.admin, action: 'update_entitlements', reason: req.body?.reason }, changes);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: Object.keys(changes).length > 0 ? 'Entitlements updated' : 'No changes',
+            data: {
+                entitlements: after,
+                changes
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating key entitlements:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update entitlements',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * List the entitlements of every tier
+ * GET /api/admin/entitlements
+ */
+export async function listTierEntitlements(req, res) {
+    try {
+        const tiers = await getTierEntitlements();
+
+        return res.status(200).json({
+            success: true,
+            data: { tiers }
+        });
+
+    } catch (error) {
+        console.error('❌ Error listing tier entitlements:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to list entitlements',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Create or update a tier's entitlements
+ * PUT /api/admin/entitlements/:tier
+ * Body: { maxSchedules, maxExecutionsPerDay, integrations, recurrence, retentionDays } (all required for a new tier)
+ */
+export async function updateTierEntitlements(req, res) {
+    try {
+        const tier = req.params.tier;
+
+        if (!TIER_REGEX.test(tier)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Tier must be lowercase letters, digits, "-" or "_"',
+                code: 'INVALID_ENTITLEMENTS'
+            });
+        }
+
+        const { fields, error } = parseEntitlementFields(req.body || {}, { known: KNOWN_ENTITLEMENTS });
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error, code: 'INVALID_ENTITLEMENTS' });
+        }
+
+        const exists = (await getTierEntitlements()).some(entry => entry.tier === tier);
+        const missing = Object.keys(ENTITLEMENT_FIELDS).filter(field => fields[field] === undefined);
+
+        if (!exists && missing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `New tiers need every entitlement. Missing: ${missing.join(', ')}`,
+                code: 'INVALID_ENTITLEMENTS'
+            });
+        }
+
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ success: false, message: 'No entitlements to update', code: 'INVALID_ENTITLEMENTS' });
+        }
+
+        const entitlements = await upsertTierEntitlements(tier, fields);
+
+        console.log(`🎚️ Entitlements for tier "${tier}" ${exists ? 'updated' : 'created'} by ${req.admin.actor}: ${Object.keys(fields).join(', ')}`);
+
+        return res.status(exists ? 200 : 201).json({
+            success: true,
+            message: exists ? 'Tier entitlements updated' : 'Tier entitlements created',
+            data: { entitlements }
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating tier entitlements:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update tier entitlements',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * List brute-force bans
+ * GET /api/admin/bans?active=&type=&limit=&offset=
+ * Only active bans are listed unless active=false
+ */
+export async function listBans(req, res) {
+    try {
+        const { active, type } = req.query;
+        const { limit, offset } = parsePaging(req.query);
+
+        if (type && !BAN_SUBJECT_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `Type must be one of: ${BAN_SUBJECT_TYPES.join(', ')}`
+            });
+        }
+
+        const result = await listSecurityBans({
+            active: active !== 'false',
+            subjectType: type || null,
+            limit,
+            offset
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                bans: result.bans,
+                total: result.total,
+                limit,
+                offset
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error listing bans:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to list bans',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Lift a ban before it ends; the subject's failed attempts are forgotten too
+ * DELETE /api/admin/bans/:banId
+ */
+export async function clearBan(req, res) {
+    try {
+        const banId = parseId(req.params.banId);
+        const ban = banId ? await clearSecurityBan(banId, req.admin.actor) : null;
+
+        if (!ban) {
+            return res.status(404).json({ success: false, message: 'Active ban not found' });
+        }
+
+        console.log(`🔓 Ban ${banId} (${ban.subject_type}) cleared by ${req.admin.actor}`);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Ban cleared',
+            data: { ban }
+        });
+
+    } catch (error) {
+        console.error('❌ Error clearing ban:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to clear ban',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Get the pro key audit trail
+ * GET /api/admin/audit?keyId=&actor=&action=&limit=&offset=
+ */
+export async function getAuditTrail(req, res) {
+    try {
+        const { keyId, actor, action } = req.query;
+        const { limit, offset } = parsePaging(req.query);
+
+        if (keyId && !parseId(keyId)) {
+            return res.status(400).json({ success: false, message: 'keyId must be a positive integer' });
+        }
+
+        const entries = await getKeyAuditTrail({
+            keyId: keyId ? parseId(keyId) : null,
+            actor: actor || null,
+            action: action || null,
+            limit,
+            offset
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                entries,
+                limit,
+                offset
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting audit trail:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to get audit trail',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
@@ -0,0 +1,215 @@
+// Session Auth API Endpoints
+// Bearer token authentication, refresh and revocation for the tokens issued by validate-key
+
+import {
+    createKeySession,
+    getKeySession,
+    rotateSessionRefresh,
+    revokeKeySession
+} from '../db/session-queries.js';
+import {
+    REFRESH_TOKEN_TTL_SECONDS,
+    createSessionTokens,
+    getBearerToken,
+    verifySessionToken
+} from '../services/session-tokens.js';
+import { getMembershipStatus, getGraceDays } from '../services/membership.js';
+import { getClientIP } from '../services/client-ip.js';
+
+/**
+ * Check that a session and its pro key can still be used
+ * @param {Object} session - Row from getKeySession
+ * @returns {string|null} - Why the session can't be used, or null if it can
+ */
+function getSessionProblem(session) {
+    if (!session) {
+        return 'Session not found';
+    }
+    if (session.session_revoked_at) {
+        return 'Session revoked';
+    }
+    if (session.session_expired) {
+        return 'Session expired';
+    }
+    if (session.status !== 'active') {
+        return 'Pro key is no longer active';
+    }
+    if (getMembershipStatus(session.expires_at, new Date(), getGraceDays(session.tier)).status === 'expired') {
+        return 'Pro key expired';
+    }
+    return null;
+}
+
+/**
+ * Send a 401 for a rejected token
+ * @param {Object} res - Express response
+ * @param {string} message - Reason shown to the client
+ */
+function rejectToken(res, message) {
+    return res.status(401).json({
+        success: false,
+        message: message,
+        code: message === 'Session token expired' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+    });
+}
+
+/**
+ * Start a session for a key that just validated
+ * @param {Object} keyData - Validated pro_keys row
+ * @param {Object} req - Express request
+ * @param {number} deviceId - Registered device the session belongs to (released devices revoke their sessions)
+ * @returns {Promise<Object>} - Token response for clients
+ */
+export async function issueSessionTokens(keyData, req, deviceId = null) {
+    const { sessionId, refreshJti } = await createKeySession({
+        proKeyId: keyData.id,
+        deviceId: deviceId,
+        ipAddress: getClientIP(req),
+        userAgent: req.headers['user-agent'] || null,
+        ttlSeconds: REFRESH_TOKEN_TTL_SECONDS
+    });
+
+    console.log(`🎫 Session started for pro key ID: ${keyData.id}`);
+
+    return createSessionTokens({ sessionId, refreshJti, keyData });
+}
+
+/**
+ * Authenticate requests that carry an access token
+ * Sets req.proKeyData to the session's pro key; requests without a Bearer token pass through
+ * so handlers can still accept a raw pro key
+ */
+export async function authenticateSession(req, res, next) {
+    const token = getBearerToken(req);
+
+    if (!token) {
+        return next();
+    }
+
+    try {
+        const claims = verifySessionToken(token, 'access');
+        const session = await getKeySession(claims.sid);
+        const problem = getSessionProblem(session);
+
+        if (problem) {
+            return rejectToken(res, problem);
+        }
+
+        req.proKeyData = session;
+        req.sessionId = claims.sid;
+        next();
+
+    } catch (error) {
+        if (error.message.toLowerCase().includes('session token')) {
+            return rejectToken(res, error.message);
+        }
+
+        console.error('❌ Error authenticating session:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to authenticate session',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Exchange a refresh token for new tokens
+ * POST /api/auth/refresh
+ * Body: { refreshToken }
+ * Refresh tokens are single use; presenting an old one revokes the whole session
+ */
+export async function refreshSession(req, res) {
+    try {
+        const { refreshToken } = req.body || {};
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+
+        const claims = verifySessionToken(refreshToken, 'refresh');
+        const session = await getKeySession(claims.sid);
+        const problem = getSessionProblem(session);
+
+        if (problem) {
+            return rejectToken(res, problem);
+        }
+
+        const refreshJti = session.session_refresh_jti === claims.jti
+            ? await rotateSessionRefresh(claims.sid, claims.jti, REFRESH_TOKEN_TTL_SECONDS)
+            : null;
+
+        if (!refreshJti) {
+            // Someone already used this refresh token, so it may have been stolen
+            await revokeKeySession(claims.sid, 'refresh_token_reuse');
+            console.warn(`🚨 Refresh token reuse for session ${claims.sid}, session revoked`);
+            return rejectToken(res, 'Session revoked');
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Session refreshed',
+            session: createSessionTokens({ sessionId: claims.sid, refreshJti, keyData: session })
+        });
+
+    } catch (error) {
+        if (error.message.toLowerCase().includes('session token')) {
+            return rejectToken(res, error.message);
+        }
+
+        console.error('❌ Error refreshing session:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to refresh session',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Revoke the current session (sign out)
+ * POST /api/auth/revoke
+ * Authorization: Bearer <accessToken>, or body: { refreshToken }
+ */
+export async function revokeSession(req, res) {
+    try {
+        const { refreshToken } = req.body || {};
+        const accessToken = getBearerToken(req);
+
+        if (!accessToken && !refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'An access token or refresh token is required'
+            });
+        }
+
+        const claims = accessToken
+            ? verifySessionToken(accessToken, 'access')
+            : verifySessionToken(refreshToken, 'refresh');
+
+        const revoked = await revokeKeySession(claims.sid, 'user_signed_out');
+
+        return res.status(200).json({
+            success: true,
+            message: revoked ? 'Session revoked' : 'Session was already revoked'
+        });
+
+    } catch (error) {
+        if (error.message.toLowerCase().includes('session token')) {
+            return rejectToken(res, error.message);
+        }
+
+        console.error('❌ Error revoking session:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to revoke session',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
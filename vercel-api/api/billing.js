@@ -0,0 +1,341 @@
+// Billing API Endpoints
+// Payment provider webhooks that provision, extend, downgrade and suspend pro keys
+
+import crypto from 'crypto';
+import { createProKey, updateProKey } from '../db/admin-queries.js';
+import {
+    claimBillingEvent,
+    completeBillingEvent,
+    getBillingSubscription,
+    findCustomerBillingKey,
+    claimBillingSubscription,
+    releaseBillingSubscriptionClaim,
+    saveBillingSubscription,
+    countOtherActiveSubscriptions
+} from '../db/billing-queries.js';
+import { createKeyHash } from '../services/key-hashing.js';
+import { isEmailConfigured, isValidEmail } from '../services/email.js';
+import { sendNoticeToEmail } from '../services/integrations.js';
+import {
+    BILLING_SIGNATURE_HEADER,
+    verifyBillingSignature,
+    normalizeBillingEvent,
+    formatKeyDeliveryNotice
+} from '../services/billing.js';
+
+const BILLING_ACTOR = 'billing';
+
+/**
+ * Pick the later of two dates
+ * @param {string|null} a - ISO date
+ * @param {string|null} b - ISO date
+ * @returns {string|null} - The later date
+ */
+function laterDate(a, b) {
+    if (!a || !b) {
+        return a || b || null;
+    }
+
+    return new Date(a) >= new Date(b) ? a : b;
+}
+
+/**
+ * Email a newly created key to its buyer
+ * The plaintext key is never stored, so a key that can't be emailed has to be replaced by an admin
+ * @param {Object} key - Created key
+ * @param {string} plainKey - Plaintext key
+ * @param {Object} billing - Normalized billing event
+ * @returns {Promise<boolean>} - True if the key was emailed
+ */
+async function deliverPurchasedKey(key, plainKey, billing) {
+    if (!isValidEmail(billing.email) || !isEmailConfigured()) {
+        console.warn(`⚠️ Pro key ${key.id} bought with subscription ${billing.subscriptionId} was not emailed (no email address or SMTP), issue a replacement from the admin API`);
+        return false;
+    }
+
+    const result = await sendNoticeToEmail(
+        formatKeyDeliveryNotice({ plainKey, tier: key.tier, expiresAt: key.expires_at, name: billing.name }),
+        [billing.email]
+    );
+
+    if (!result.success) {
+        console.warn(`⚠️ Pro key ${key.id} could not be emailed: ${result.error}`);
+    }
+
+    return result.success;
+}
+
+/**
+ * Extend a subscription's key to the end of the paid period, apply its tier and lift a billing suspension
+ * @param {Object} billing - Normalized billing event
+ * @param {Object} subscription - Subscription from getBillingSubscription
+ * @param {Object} audit - { actor, reason }
+ * @param {string} action - Audit action
+ * @returns {Promise<Object>} - Event outcome
+ */
+async function renewSubscription(billing, subscription, audit, action) {
+    const fields = {
+        expires_at: laterDate(subscription.key_expires_at, billing.periodEnd)
+    };
+
+    if (billing.tier) {
+        fields.tier = billing.tier;
+    }
+
+    // Only undo suspensions billing made, not ones an admin made
+    if (subscription.key_status === 'suspended' && subscription.status === 'suspended') {
+        fields.status = 'active';
+    }
+
+    await updateProKey(subscription.pro_key_id, fields, { ...audit, action });
+
+    await saveBillingSubscription({
+        subscriptionId: billing.subscriptionId,
+        providerCustomerId: billing.customerId,
+        proKeyId: subscription.pro_key_id,
+        tier: billing.tier,
+        status: 'active',
+        currentPeriodEnd: billing.periodEnd
+    });
+
+    return { status: 'processed', proKeyId: subscription.pro_key_id };
+}
+
+/**
+ * Create the key for a new subscription, or reuse the key of a returning customer
+ * Only the event that claims the subscription gets here with a key to create. One that loses the claim
+ * fails, so the provider redelivers it and it renews the key once the claim is done.
+ * @param {Object} billing - Normalized billing event
+ * @param {Object} audit - { actor, reason }
+ * @returns {Promise<Object>} - Event outcome
+ */
+async function provisionSubscription(billing, audit) {
+    if (!(await claimBillingSubscription(billing.subscriptionId, billing.customerId))) {
+        throw new Error(`Subscription ${billing.subscriptionId} is already being provisioned by another event`);
+    }
+
+    let key;
+    let plainKey;
+    try {
+        const returning = billing.customerId ? await findCustomerBillingKey(billing.customerId) : null;
+
+        if (returning) {
+            return await renewSubscription(
+                { ...billing, periodEnd: billing.periodEnd || billing.provisionalPeriodEnd },
+                returning,
+                audit,
+                'billing_resubscribe'
+            );
+        }
+
+        plainKey = `hp_${crypto.randomBytes(24).toString('hex')}`;
+
+        key = await createProKey({
+            ...(await createKeyHash(plainKey)),
+            tier: billing.tier || 'pro',
+            expiresAt: billing.periodEnd || billing.provisionalPeriodEnd,
+            notes: `Purchased (subscription ${billing.subscriptionId})`,
+            customer: billing.email || billing.name ? { name: billing.name, email: billing.email } : null
+        }, audit);
+
+        await saveBillingSubscription({
+            subscriptionId: billing.subscriptionId,
+            providerCustomerId: billing.customerId,
+            proKeyId: key.id,
+            tier: key.tier,
+            status: 'active',
+            currentPeriodEnd: billing.periodEnd
+        });
+    } catch (error) {
+        await releaseBillingSubscriptionClaim(billing.subscriptionId);
+        throw error;
+    }
+
+    const keyDelivered = await deliverPurchasedKey(key, plainKey, billing);
+
+    return { status: 'processed', proKeyId: key.id, keyCreated: true, keyDelivered };
+}
+
+/**
+ * End a subscription. Its key expires when the subscription ended, unless another subscription pays for it
+ * @param {Object} billing - Normalized billing event
+ * @param {Object} subscription - Subscription from getBillingSubscription
+ * @param {Object} audit - { actor, reason }
+ * @returns {Promise<Object>} - Event outcome
+ */
+async function cancelSubscription(billing, subscription, audit) {
+    await saveBillingSubscription({
+        subscriptionId: billing.subscriptionId,
+        proKeyId: subscription.pro_key_id,
+        status: 'canceled',
+        currentPeriodEnd: billing.periodEnd
+    });
+
+    if (await countOtherActiveSubscriptions(subscription.pro_key_id, billing.subscriptionId) === 0) {
+        await updateProKey(subscription.pro_key_id, { expires_at: billing.periodEnd }, { ...audit, action: 'billing_cancel' });
+    }
+
+    return { status: 'processed', proKeyId: subscription.pro_key_id };
+}
+
+/**
+ * Suspend a subscription's key once the provider has given up collecting payment
+ * @param {Object} billing - Normalized billing event
+ * @param {Object} subscription - Subscription from getBillingSubscription
+ * @param {Object} audit - { actor, reason }
+ * @returns {Promise<Object>} - Event outcome
+ */
+async function suspendSubscription(billing, subscription, audit) {
+    if (!billing.final) {
+        console.log(`💳 Payment attempt ${billing.attempt} failed for subscription ${billing.subscriptionId}, the provider will retry`);
+        return { status: 'ignored', proKeyId: subscription.pro_key_id };
+    }
+
+    await saveBillingSubscription({
+        subscriptionId: billing.subscriptionId,
+        proKeyId: subscription.pro_key_id,
+        status: 'suspended'
+    });
+
+    if (await countOtherActiveSubscriptions(subscription.pro_key_id, billing.subscriptionId) === 0
+        && subscription.key_status === 'active') {
+        await updateProKey(subscription.pro_key_id, { status: 'suspended' }, { ...audit, action: 'billing_suspend' });
+    }
+
+    return { status: 'processed', proKeyId: subscription.pro_key_id };
+}
+
+/**
+ * Apply a normalized billing event to its key
+ * @param {Object} billing - Normalized billing event
+ * @param {Object} audit - { actor, reason }
+ * @returns {Promise<Object>} - { status: 'processed'|'ignored', proKeyId, ... }
+ */
+async function applyBillingEvent(billing, audit) {
+    if (billing.action === 'ignore') {
+        return { status: 'ignored' };
+    }
+
+    const subscription = await getBillingSubscription(billing.subscriptionId);
+
+    switch (billing.action) {
+        case 'provision':
+        case 'renew':
+            // The first invoice and the checkout can arrive in either order, whichever comes first creates the key
+            return subscription
+                ? renewSubscription(billing, subscription, audit, 'billing_renew')
+                : provisionSubscription(billing, audit);
+
+        case 'update':
+            return subscription
+                ? renewSubscription(billing, subscription, audit, 'billing_update')
+                : { status: 'ignored' };
+
+        case 'cancel':
+            return subscription ? cancelSubscription(billing, subscription, audit) : { status: 'ignored' };
+
+        case 'payment_failed':
+            return subscription ? suspendSubscription(billing, subscription, audit) : { status: 'ignored' };
+
+        default:
+            return { status: 'ignored' };
+    }
+}
+
+/**
+ * Receive a payment provider webhook (Stripe event format)
+ * POST /api/billing/webhook
+ * Headers: Stripe-Signature
+ * Each event ID is applied once. Failures return 500 so the provider redelivers the event.
+ */
+export async function handleBillingWebhook(req, res) {
+    const secret = process.env.BILLING_WEBHOOK_SECRET;
+
+    if (!secret) {
+        console.error('❌ Billing webhook received but BILLING_WEBHOOK_SECRET is not set');
+
+        return res.status(503).json({
+            success: false,
+            message: 'Billing webhooks are not configured',
+            code: 'BILLING_NOT_CONFIGURED'
+        });
+    }
+
+    const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const signature = req.get(BILLING_SIGNATURE_HEADER);
+
+    if (!verifyBillingSignature({ body, header: signature, secret })) {
+        console.log('🚫 Billing webhook rejected: invalid signature');
+
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid webhook signature',
+            code: 'INVALID_SIGNATURE'
+        });
+    }
+
+    const event = req.body || {};
+
+    if (typeof event.id !== 'string' || typeof event.type !== 'string') {
+        return res.status(400).json({
+            success: false,
+            message: 'Webhook body is not a billing event',
+            code: 'INVALID_EVENT'
+        });
+    }
+
+    try {
+        const claim = await claimBillingEvent(event.id, event.type);
+
+        if (!claim.claimed) {
+            console.log(`🔁 Billing event ${event.id} already ${claim.status}, skipping`);
+
+            // An event still being processed may yet fail, so ask for a redelivery later
+            return res.status(claim.status === 'processing' ? 409 : 200).json({
+                success: claim.status !== 'processing',
+                received: true,
+                duplicate: true,
+                status: claim.status
+            });
+        }
+
+        const billing = normalizeBillingEvent(event);
+
+        try {
+            const outcome = await applyBillingEvent(billing, {
+                actor: BILLING_ACTOR,
+                reason: `${event.type} ${event.id}`
+            });
+
+            await completeBillingEvent(event.id, { ...outcome, action: billing.action });
+
+            console.log(`💳 Billing event ${event.id} (${event.type}) ${outcome.status}${outcome.proKeyId ? ` for pro key ${outcome.proKeyId}` : ''}`);
+
+            return res.status(200).json({
+                success: true,
+                received: true,
+                action: billing.action,
+                status: outcome.status,
+                keyCreated: outcome.keyCreated || undefined,
+                keyDelivered: outcome.keyDelivered
+            });
+
+        } catch (applyError) {
+            await completeBillingEvent(event.id, {
+                status: 'failed',
+                action: billing.action,
+                error: applyError.message
+            });
+            throw applyError;
+        }
+
+    } catch (error) {
+        console.error('❌ Error processing billing webhook:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to process billing event',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
@@ -0,0 +1,266 @@
+// Brute-force Guard
+// Applies the brute-force policy to every request that presents a raw pro key: banned and throttled
+// clients are refused before the key is looked up, and unknown keys count as failed attempts
+
+import { validateKey } from '../db/queries.js';
+import {
+    BRUTE_FORCE_POLICY,
+    getAttemptSubjects,
+    getBanDecisions,
+    getBanSeconds,
+    getProgressiveDelaySeconds,
+    getUserAgentAlert,
+    isFailureSpike
+} from '../services/brute-force.js';
+import { sendSecurityAlert } from '../services/security-alerts.js';
+import { getClientIP } from '../services/client-ip.js';
+import {
+    getAttemptStatus,
+    recordValidationFailure,
+    countRecentBans,
+    createSecurityBan
+} from '../db/security-queries.js';
+
+// When this process last alerted on a failure spike, so one spike sends one alert per window
+let lastSpikeAlertAt = 0;
+
+// When this process last alerted on each user agent, for the same reason
+const userAgentAlertedAt = new Map();
+
+/**
+ * Get the subjects a request presenting a pro key is tracked under
+ * @param {Request} req - Express request object
+ * @param {string} key - Key that was presented
+ * @returns {Object} - { ip, key_prefix, user_agent }
+ */
+export function getRequestAttemptSubjects(req, key) {
+    return getAttemptSubjects(getClientIP(req), req.headers['user-agent'], key);
+}
+
+/**
+ * Check whether a validation attempt may go ahead
+ * Blocks banned IPs and key prefixes, and IPs still inside their progressive delay.
+ * If the check itself fails the attempt is allowed.
+ * @param {Object} subjects - From getAttemptSubjects
+ * @returns {Promise<Object|null>} - { code, message, retryAfter } if the attempt is blocked, otherwise null
+ */
+export async function checkAttemptAllowed(subjects) {
+    let status;
+    try {
+        status = await getAttemptStatus(subjects, BRUTE_FORCE_POLICY.windowSeconds);
+    } catch (error) {
+        console.warn('⚠️ Brute-force check failed, allowing attempt:', error.message);
+        return null;
+    }
+
+    if (status.ban) {
+        return {
+            code: 'TEMPORARILY_BLOCKED',
+            message: 'Too many failed validations. Please try again later.',
+            retryAfter: Math.max(1, Number(status.ban.seconds_remaining))
+        };
+    }
+
+    const delay = getProgressiveDelaySeconds(status.stats.ip.failures, isFailureSpike(status.stats.total.failures));
+    const waited = status.stats.ip.secondsSinceLast;
+
+    if (delay > 0 && waited !== null && waited < delay) {
+        return {
+            code: 'TOO_MANY_FAILED_ATTEMPTS',
+            message: 'Too many failed validations. Please wait before trying again.',
+            retryAfter: delay - waited
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Alert once per window while failures from all clients together are over the spike threshold
+ * @param {Object} stats - Failure stats after the latest failure
+ */
+function alertOnFailureSpike(stats) {
+    const windowMs = BRUTE_FORCE_POLICY.windowSeconds * 1000;
+
+    if (!isFailureSpike(stats.total.failures) || Date.now() - lastSpikeAlertAt < windowMs) {
+        return;
+    }
+
+    lastSpikeAlertAt = Date.now();
+    console.warn(`🚨 Failed validation spike: ${stats.total.failures} failures in the window`);
+
+    // Not awaited, alert channels can be slow
+    sendSecurityAlert('security.failure_spike', {
+        failures: stats.total.failures,
+        threshold: BRUTE_FORCE_POLICY.global.spikeAfter,
+        windowMinutes: Math.round(BRUTE_FORCE_POLICY.windowSeconds / 60)
+    });
+}
+
+/**
+ * Alert once per window when failures behind one user agent come from many IPs
+ * The user agent isn't banned, real clients share it, the IPs and key prefixes involved get their own bans
+ * @param {Object} subjects - From getAttemptSubjects
+ * @param {Object} stats - Failure stats after the latest failure
+ */
+function alertOnUserAgentFailures(subjects, stats) {
+    const alert = getUserAgentAlert(stats);
+    const windowMs = BRUTE_FORCE_POLICY.windowSeconds * 1000;
+    const now = Date.now();
+
+    if (!alert || now - (userAgentAlertedAt.get(subjects.user_agent) || 0) < windowMs) {
+        return;
+    }
+
+    for (const [userAgent, alertedAt] of userAgentAlertedAt) {
+        if (now - alertedAt >= windowMs) {
+            userAgentAlertedAt.delete(userAgent);
+        }
+    }
+    userAgentAlertedAt.set(subjects.user_agent, now);
+
+    console.warn(`🚨 ${alert.failures} failed validations from ${alert.distinctIps} IPs with user agent: ${subjects.user_agent}`);
+
+    // Not awaited, alert channels can be slow
+    sendSecurityAlert('security.user_agent_failures', {
+        userAgent: subjects.user_agent,
+        failures: alert.failures,
+        distinctIps: alert.distinctIps,
+        windowMinutes: Math.round(BRUTE_FORCE_POLICY.windowSeconds / 60)
+    });
+}
+
+/**
+ * Record a failed validation, ban subjects that crossed a threshold and alert on new bans and spikes
+ * @param {Object} subjects - From getAttemptSubjects
+ * @returns {Promise<number>} - Seconds the IP has to wait before its next attempt
+ */
+export async function recordFailedAttempt(subjects) {
+    try {
+        const stats = await recordValidationFailure(subjects, BRUTE_FORCE_POLICY.windowSeconds);
+
+        for (const decision of getBanDecisions(stats)) {
+            const subject = subjects[decision.subjectType];
+            const previousBans = await countRecentBans(decision.subjectType, subject, BRUTE_FORCE_POLICY.banHistoryDays);
+            const ban = await createSecurityBan({
+                ...decision,
+                subject: subject,
+                durationSeconds: getBanSeconds(previousBans)
+            });
+
+            if (ban) {
+                console.warn(`🚨 Banned ${decision.subjectType} until ${ban.banned_until}: ${decision.reason}`);
+
+                // Not awaited, alert channels can be slow
+                sendSecurityAlert('security.ban_created', {
+                    banId: ban.id,
+                    subjectType: ban.subject_type,
+                    subject: ban.subject,
+                    reason: ban.reason,
+                    failures: decision.failures,
+                    distinctIps: decision.distinctIps,
+                    previousBans: previousBans,
+                    bannedUntil: ban.banned_until
+                });
+            }
+        }
+
+        alertOnUserAgentFailures(subjects, stats);
+        alertOnFailureSpike(stats);
+
+        return getProgressiveDelaySeconds(stats.ip.failures, isFailureSpike(stats.total.failures));
+    } catch (error) {
+        console.warn('⚠️ Failed validation tracking failed:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Refuse an attempt from a banned or throttled client
+ * @param {Response} res - Express response object
+ * @param {Object} blocked - From checkAttemptAllowed
+ */
+export function rejectBlockedAttempt(res, blocked) {
+    res.setHeader('Retry-After', String(blocked.retryAfter));
+
+    return res.status(429).json({
+        success: false,
+        message: blocked.message,
+        code: blocked.code,
+        rateLimited: true,
+        retryAfter: blocked.retryAfter // seconds
+    });
+}
+
+/**
+ * Validate a raw pro key under the brute-force policy
+ * Expired keys are real keys, only unknown keys count as guesses
+ * @param {Request} req - Express request object
+ * @param {string} key - Key that was presented
+ * @returns {Promise<Object>} - { blocked } if the client may not try a key now,
+ *                              otherwise { result, retryAfter } with the validateKey result
+ */
+export async function validateGuardedKey(req, key) {
+    const subjects = getRequestAttemptSubjects(req, key);
+    const blocked = await checkAttemptAllowed(subjects);
+
+    if (blocked) {
+        console.log(`🚫 Key attempt blocked (${blocked.code}) for IP: ${subjects.ip}`);
+        return { blocked };
+    }
+
+    const result = await validateKey(key);
+    const retryAfter = result.isValid || result.keyData ? 0 : await recordFailedAttempt(subjects);
+
+    return { result, retryAfter };
+}
+
+/**
+ * Check a raw pro key before the handler runs, so endpoints taking a key can't be used to guess keys
+ * Valid keys are set as req.proKeyData, invalid ones get 401 and banned clients 429.
+ * Session token requests and "me" pass through untouched.
+ * @param {string} key - Presented key
+ */
+export async function guardProKey(req, res, next, key) {
+    if (req.proKeyData || !key || key === 'me') {
+        return next();
+    }
+
+    try {
+        const attempt = await validateGuardedKey(req, String(key));
+
+        if (attempt.blocked) {
+            return rejectBlockedAttempt(res, attempt.blocked);
+        }
+
+        if (!attempt.result.isValid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired pro key',
+                code: 'INVALID_PRO_KEY',
+                retryAfter: attempt.retryAfter > 0 ? attempt.retryAfter : undefined // seconds before the next attempt is accepted
+            });
+        }
+
+        req.proKeyData = attempt.result.keyData;
+        next();
+
+    } catch (error) {
+        console.error('❌ Error checking pro key:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to check pro key',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Guard the pro key a route takes in its request body
+ * @param {string} field - Body field holding the key
+ * @returns {Function} - Express middleware
+ */
+export function guardBodyProKey(field) {
+    return (req, res, next) => guardProKey(req, res, next, req.body?.[field]);
+}
@@ -0,0 +1,114 @@
+// Device API Endpoints
+// Lets pro key users see the devices holding their seats and release them
+
+import { validateKey } from '../db/queries.js';
+import { getKeyDevices, releaseKeyDevice, countRecentDeviceReleases } from '../db/device-queries.js';
+import { MAX_DEVICE_RELEASES_PER_DAY, getSeatLimit } from '../services/device-seats.js';
+
+/**
+ * Validate pro key and get user data
+ * Requests authenticated with a session token use the token's key instead of the raw key
+ */
+async function validateProKey(req, key) {
+    if (req.proKeyData) {
+        return req.proKeyData;
+    }
+
+    if (!key) {
+        throw new Error('Pro key is required');
+    }
+
+    const result = await validateKey(key);
+    if (!result.isValid) {
+        throw new Error('Invalid or expired pro key');
+    }
+
+    return result.keyData;
+}
+
+/**
+ * List the devices registered to a pro key
+ * GET /api/devices/:proKey
+ */
+export async function getUserDevices(req, res) {
+    try {
+        const { proKey } = req.params;
+
+        // Validate pro key
+        const userData = await validateProKey(req, proKey);
+
+        const devices = await getKeyDevices(userData.id);
+        const currentDeviceId = req.proKeyData?.session_device_id || null;
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                seatLimit: getSeatLimit(userData),
+                devicesUsed: devices.length,
+                devices: devices.map(device => ({
+                    id: device.id,
+                    name: device.device_name,
+                    userAgent: device.user_agent,
+                    lastIp: device.last_ip,
+                    firstSeenAt: device.first_seen_at,
+                    lastSeenAt: device.last_seen_at,
+                    isCurrent: device.id === currentDeviceId
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting user devices:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to get devices',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Release a device so its seat can be used elsewhere
+ * DELETE /api/devices/:proKey/:deviceId
+ */
+export async function releaseUserDevice(req, res) {
+    try {
+        const { proKey, deviceId } = req.params;
+
+        // Validate pro key
+        const userData = await validateProKey(req, proKey);
+
+        const recentReleases = await countRecentDeviceReleases(userData.id);
+        if (recentReleases >= MAX_DEVICE_RELEASES_PER_DAY) {
+            return res.status(429).json({
+                success: false,
+                message: `Devices can be released ${MAX_DEVICE_RELEASES_PER_DAY} times per day. Please try again later.`,
+                code: 'DEVICE_RELEASE_LIMIT'
+            });
+        }
+
+        const released = await releaseKeyDevice(userData.id, parseInt(deviceId));
+
+        if (released) {
+            return res.status(200).json({
+                success: true,
+                message: 'Device released'
+            });
+        } else {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found or not authorized'
+            });
+        }
+
+    } catch (error) {
+        console.error('❌ Error releasing device:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to release device',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
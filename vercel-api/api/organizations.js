@@ -0,0 +1,750 @@
+// Organizations API Endpoints
+// Teams of pro keys with member roles, shared integration settings, an org-wide schedule quota and a usage report
+
+import { validateKey } from '../db/queries.js';
+import {
+    getKeyOrganization,
+    createOrganization as createOrganizationRecord,
+    updateOrganization as updateOrganizationRecord,
+    deleteOrganization as deleteOrganizationRecord,
+    getOrganizationMembers,
+    addOrganizationMember,
+    updateOrganizationMemberRole,
+    transferOrganizationOwnership,
+    removeOrganizationMember,
+    getOrganizationIntegrationSettings,
+    saveOrganizationIntegrationSettings,
+    deleteOrganizationIntegrationSettings,
+    getOrganizationScheduleQuota,
+    getOrganizationUsageReport
+} from '../db/organization-queries.js';
+import { INTEGRATION_TYPES, validateIntegrationSettings, maskSettings, requestRecipientConfirmations } from './user-settings.js';
+import { validateGuardedKey, rejectBlockedAttempt } from './brute-force.js';
+import {
+    canManageOrganization,
+    getJoinError,
+    getMemberAddError,
+    getRoleChangeError,
+    getMemberRemovalError,
+    parseOrganizationName,
+    parseScheduleQuota,
+    parseUsageDays,
+    summarizeOrganizationUsage
+} from '../services/organizations.js';
+import { getClientIP } from '../services/client-ip.js';
+
+/**
+ * Get the pro key a request is for
+ * Requests authenticated with a session token use the token's key instead of the raw key
+ * @returns {Promise<Object|null>} - pro_keys row, or null if the key is invalid
+ */
+async function getRequestKey(req, key) {
+    if (req.proKeyData) {
+        return req.proKeyData;
+    }
+
+    if (!key || key === 'me') {
+        return null;
+    }
+
+    const result = await validateKey(key);
+    return result.isValid ? result.keyData : null;
+}
+
+/**
+ * Get the requesting key and its organization, or send the error response
+ * @returns {Promise<Object|null>} - { keyData, organization }, or null if a response was sent
+ */
+async function getMembership(req, res) {
+    const keyData = await getRequestKey(req, req.params.proKey);
+
+    if (!keyData) {
+        res.status(401).json({
+            success: false,
+            message: 'Invalid or expired pro key',
+            code: 'INVALID_PRO_KEY'
+        });
+        return null;
+    }
+
+    const organization = await getKeyOrganization(keyData.id);
+
+    if (!organization) {
+        res.status(404).json({
+            success: false,
+            message: 'This pro key is not part of an organization',
+            code: 'NOT_IN_ORGANIZATION'
+        });
+        return null;
+    }
+
+    return { keyData, organization };
+}
+
+/**
+ * Send a permission error from services/organizations.js
+ */
+function rejectPermission(res, error) {
+    return res.status(error.code === 'INVALID_ROLE' ? 400 : 403).json({
+        success: false,
+        message: error.message,
+        code: error.code
+    });
+}
+
+/**
+ * Reject a request from a member who doesn't manage the organization
+ */
+function rejectNonManager(res) {
+    return rejectPermission(res, {
+        code: 'ORG_FORBIDDEN',
+        message: 'Only organization owners and admins can do this'
+    });
+}
+
+/**
+ * Build the audit entry for a membership change
+ */
+function buildAudit(req, keyData, reason) {
+    return {
+        actor: 'customer',
+        ipAddress: getClientIP(req),
+        reason: `${reason} (by pro key ${keyData.id})`
+    };
+}
+
+/**
+ * Build the organization section shared by the responses
+ */
+function formatOrganization(organization) {
+    return {
+        id: organization.id,
+        name: organization.name,
+        role: organization.role,
+        joinedAt: organization.joined_at,
+        createdAt: organization.created_at
+    };
+}
+
+/**
+ * Build the schedule quota section, or null when the organization has no quota
+ */
+function formatScheduleQuota(quota) {
+    if (!quota) {
+        return null;
+    }
+
+    return {
+        maxSchedules: quota.maxSchedules,
+        currentCount: quota.currentCount,
+        remaining: Math.max(0, quota.maxSchedules - quota.currentCount)
+    };
+}
+
+/**
+ * Parse the member key ID from the path
+ * @returns {number|null} - Key ID, or null if it isn't a positive integer
+ */
+function parseMemberKeyId(value) {
+    const keyId = Number(value);
+    return Number.isInteger(keyId) && keyId > 0 ? keyId : null;
+}
+
+/**
+ * Create an organization owned by the requesting key
+ * POST /api/organizations/:proKey
+ * Body: { name }
+ */
+export async function createOrganization(req, res) {
+    try {
+        const keyData = await getRequestKey(req, req.params.proKey);
+        if (!keyData) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired pro key',
+                code: 'INVALID_PRO_KEY'
+            });
+        }
+
+        const joinError = getJoinError(keyData);
+        if (joinError) {
+            return rejectPermission(res, joinError);
+        }
+
+        const { name, error } = parseOrganizationName(req.body?.name);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const organization = await createOrganizationRecord(name, keyData.id, buildAudit(req, keyData, 'Organization created'));
+
+        if (!organization) {
+            return res.status(409).json({
+                success: false,
+                message: 'This pro key is already part of an organization',
+                code: 'ALREADY_IN_ORGANIZATION'
+            });
+        }
+
+        return res.status(201).json({
+            success: true,
+            message: 'Organization created',
+            data: {
+                organization: formatOrganization(organization)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating organization:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to create organization',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Get the requesting key's organization with its members, quota and shared integrations
+ * GET /api/organizations/:proKey
+ * Members see who is in the organization; owners and admins also see emails and shared settings
+ */
+export async function getOrganization(req, res) {
+    try {
+        const membership = await getMembership(req, res);
+        if (!membership) {
+            return;
+        }
+
+        const { organization } = membership;
+        const isManager = canManageOrganization(organization.role);
+
+        const [members, quota, integrations] = await Promise.all([
+            getOrganizationMembers(organization.id),
+            getOrganizationScheduleQuota(membership.keyData.id),
+            getOrganizationIntegrationSettings(organization.id)
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                organization: formatOrganization(organization),
+                members: members.map(member => ({
+                    keyId: member.pro_key_id,
+                    role: member.role,
+                    name: member.customer_name || null,
+                    email: isManager ? member.customer_email || null : undefined,
+                    tier: member.tier,
+                    status: member.status,
+                    expiresAt: member.expires_at,
+                    joinedAt: member.joined_at
+                })),
+                scheduleQuota: formatScheduleQuota(quota),
+                integrations: integrations.map(integration => ({
+                    type: integration.integration_type,
+                    isActive: integration.is_active,
+                    settings: isManager ? maskSettings(integration.integration_type, integration.settings) : undefined,
+                    updatedAt: integration.updated_at
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting organization:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to get organization',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Rename the organization and/or set its schedule quota
+ * PUT /api/organizations/:proKey
+ * Body: { name?, maxSchedules? } (maxSchedules null removes the quota)
+ */
+export async function updateOrganization(req, res) {
+    try {
+        const membership = await getMembership(req, res);
+        if (!membership) {
+            return;
+        }
+
+        const { organization } = membership;
+        if (!canManageOrganization(organization.role)) {
+            return rejectNonManager(res);
+        }
+
+        const fields = {};
+
+        if (req.body?.name !== undefined) {
+            const { name, error } = parseOrganizationName(req.body.name);
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+            fields.name = name;
+        }
+
+        if (req.body?.maxSchedules !== undefined) {
+            const { maxSchedules, error } = parseScheduleQuota(req.body.maxSchedules);
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+            fields.max_schedules = maxSchedules;
+        }
+
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nothing to update, send name and/or maxSchedules'
+            });
+        }
+
+        await updateOrganizationRecord(organization.id, fields);
+
+        console.log(`🏢 Organization ${organization.id} updated by pro key ${membership.keyData.id}`);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Organization updated',
+            data: {
+                organization: formatOrganization(await getKeyOrganization(membership.keyData.id)),
+                scheduleQuota: formatScheduleQuota(await getOrganizationScheduleQuota(membership.keyData.id))
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating organization:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update organization',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Delete the organization. Member keys keep their own schedules and settings
+ * DELETE /api/organizations/:proKey
+ */
+export async function deleteOrganization(req, res) {
+    try {
+        const membership = await getMembership(req, res);
+        if (!membership) {
+            return;
+        }
+
+        const { organization } = membership;
+        if (organization.role !== 'owner') {
+            return rejectPermission(res, {
+                code: 'ORG_FORBIDDEN',
+                message: 'Only the organization owner can delete it'
+            });
+        }
+
+        await deleteOrganizationRecord(organization.id, buildAudit(req, membership.keyData, 'Organization deleted'));
+
+        return res.status(200).json({
+            success: true,
+            message: 'Organization deleted'
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting organization:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to delete organization',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Add another pro key to the organization
+ * POST /api/organizations/:proKey/members
+ * Body: { memberKey, role? } - memberKey is the other key itself, so only its holder can hand it over
+ */
+export async function addMember(req, res) {
+    try {
+        const membership = await getMembership(req, res);
+        if (!membership) {
+            return;
+        }
+
+        const { keyData, organization } = membership;
+        const { memberKey, role = 'member' } = req.body || {};
+
+        const addError = getMemberAddError(organization.role, role);
+        if (addError) {
+            return rejectPermission(res, addError);
+        }
+
+        if (typeof memberKey !== 'string' || memberKey.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: memberKey'
+            });
+        }
+
+        // A member's key is a raw key too, so unknown ones count toward brute-force bans
+        const memberAttempt = await validateGuardedKey(req, memberKey);
+        if (memberAttempt.blocked) {
+            return rejectBlockedAttempt(res, memberAttempt.blocked);
+        }
+
+        const memberResult = memberAttempt.result;
+        if (!memberResult.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: 'memberKey is not a valid pro key',
+                code: 'INVALID_MEMBER_KEY'
+            });
+        }
+
+        const joinError = getJoinError(memberResult.keyData);
+        if (joinError) {
+            return rejectPermission(res, joinError);
+        }
+
+        const added = await addOrganizationMember(organization.id, memberResult.keyData.id, role, keyData.id,
+            buildAudit(req, keyData, `Added to organization ${organization.id}`));
+
+        if (!added) {
+            return res.status(409).json({
+                success: false,
+                message: 'That pro key is already part of an organization',
+                code: 'ALREADY_IN_ORGANIZATION'
+            });
+        }
+
+        return res.status(201).json({
+            success: true,
+            message: `Pro key added as ${role}`,
+            data: {
+                keyId: memberResult.keyData.id,
+                role: role
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error adding organization member:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to add organization member',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Find a member of the organization by key ID, or send the error response
+ * @returns {Promise<Object|null>} - Member row, or null if a response was sent
+ */
+async function getTargetMember(req, res, organization) {
+    const keyId = parseMemberKeyId(req.params.keyId);
+    const members = keyId ? await getOrganizationMembers(organization.id) : [];
+    const member = members.find(row => Number(row.pro_key_id) === keyId);
+
+    if (!member) {
+        res.status(404).json({
+            success: false,
+            message: 'Member not found',
+            code: 'MEMBER_NOT_FOUND'
+        });
+        return null;
+    }
+
+    return member;
+}
+
+/**
+ * Change a member's role. Giving the owner role transfers ownership
+ * PUT /api/organizations/:proKey/members/:keyId
+ * Body: { role }
+ */
+export async function updateMemberRole(req, res) {
+    try {
+        const membership = await getMembership(req, res);
+        if (!membership) {
+            return;
+        }
+
+        const { keyData, organization } = membership;
+        const member = await getTargetMember(req, res, organization);
+        if (!member) {
+            return;
+        }
+
+        const role = req.body?.role;
+        const roleError = getRoleChangeError(organization.role, role, Number(member.pro_key_id) === keyData.id);
+        if (roleError) {
+            return rejectPermission(res, roleError);
+        }
+
+        const audit = buildAudit(req, keyData, `Role changed in organization ${organization.id}`);
+
+        if (role === 'owner') {
+            await transferOrganizationOwnership(organization.id, keyData.id, member, audit);
+        } else if (role !== member.role) {
+            await updateOrganizationMemberRole(organization.id, member, role, audit);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: role === 'owner' ? 'Ownership transferred, you are now an admin' : `Member is now ${role}`,
+            data: {
+                keyId: member.pro_key_id,
+                role: role
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating organization member role:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update member role',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Remove a member, or leave the organization when keyId is the requesting key
+ * DELETE /api/organizations/:proKey/members/:keyId
+ */
+export async function removeMember(req, res) {
+    try {
+        const membership = await getMembership(req, res);
+        if (!membership) {
+            return;
+        }
+
+        const { keyData, organization } = membership;
+        const member = await getTargetMember(req, res, organization);
+        if (!member) {
+            return;
+        }
+
+        const isSelf = Number(member.pro_key_id) === keyData.id;
+        const removalError = getMemberRemovalError(organization.role, member.role, isSelf);
+        if (removalError) {
+            return rejectPermission(res, removalError);
+        }
+
+        await removeOrganizationMember(organization.id, member,
+            buildAudit(req, keyData, isSelf ? `Left organization ${organization.id}` : `Removed from organization ${organization.id}`));
+
+        console.log(`🏢 Pro key ${member.pro_key_id} left organization ${organization.id}`);
+
+        return res.status(200).json({
+            success: true,
+            message: isSelf ? 'You left the organization' : 'Member removed'
+        });
+
+    } catch (error) {
+        console.error('❌ Error removing organization member:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to remove organization member',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Check the integration type in the path, or send the error response
+ * @returns {boolean} - True if the type is valid
+ */
+function checkIntegrationType(res, integrationType) {
+    if (INTEGRATION_TYPES.includes(integrationType)) {
+        return true;
+    }
+
+    res.status(400).json({
+        success: false,
+        message: `Invalid integration type. Must be one of: ${INTEGRATION_TYPES.map(type => `"${type}"`).join(', ')}`
+    });
+    return false;
+}
+
+/**
+ * Save integration settings shared by every key in the organization
+ * Keys with their own settings of the same type keep using those
+ * PUT /api/organizations/:proKey/integrations/:integrationType
+ * Body: the integration's settings, as for /api/user-settings
+ */
+export async function saveSharedIntegration(req, res) {
+    try {
+        const membership = await getMembership(req, res);
+        if (!membership) {
+            return;
+        }
+
+        const { organization } = membership;
+        const { integrationType } = req.params;
+
+        if (!canManageOrganization(organization.role)) {
+            return rejectNonManager(res);
+        }
+
+        if (!checkIntegrationType(res, integrationType)) {
+            return;
+        }
+
+        const settingsError = await validateIntegrationSettings(integrationType, req.body);
+        if (settingsError) {
+            return res.status(400).json({
+                success: false,
+                message: settingsError
+            });
+        }
+
+        const action = await saveOrganizationIntegrationSettings(organization.id, integrationType, req.body);
+
+        console.log(`✅ Shared ${integrationType} settings ${action} for organization ${organization.id}`);
+
+        // Each member's own account email needs no confirmation, every other address does
+        const pendingRecipients = integrationType === 'email'
+            ? await requestRecipientConfirmations({ organizationId: organization.id }, req.body.recipients, null)
+            : [];
+
+        return res.status(action === 'created' ? 201 : 200).json({
+            success: true,
+            message: pendingRecipients.length > 0
+                ? `Shared ${integrationType} settings ${action} successfully. ${pendingRecipients.length} recipient(s) get emails once they confirm the address.`
+                : `Shared ${integrationType} settings ${action} successfully`,
+            data: {
+                action: action,
+                integrationType: integrationType,
+                pendingRecipients: pendingRecipients
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error saving shared integration settings:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to save shared integration settings',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Delete shared integration settings
+ * DELETE /api/organizations/:proKey/integrations/:integrationType
+ */
+export async function deleteSharedIntegration(req, res) {
+    try {
+        const membership = await getMembership(req, res);
+        if (!membership) {
+            return;
+        }
+
+        const { organization } = membership;
+        const { integrationType } = req.params;
+
+        if (!canManageOrganization(organization.role)) {
+            return rejectNonManager(res);
+        }
+
+        if (!checkIntegrationType(res, integrationType)) {
+            return;
+        }
+
+        const deleted = await deleteOrganizationIntegrationSettings(organization.id, integrationType);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: `No shared ${integrationType} settings found`
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: `Shared ${integrationType} settings deleted successfully`
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting shared integration settings:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to delete shared integration settings',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Get validations and schedule executions across all keys of the organization
+ * GET /api/organizations/:proKey/usage?days=30
+ */
+export async function getOrganizationUsage(req, res) {
+    try {
+        const membership = await getMembership(req, res);
+        if (!membership) {
+            return;
+        }
+
+        const { organization } = membership;
+        if (!canManageOrganization(organization.role)) {
+            return rejectNonManager(res);
+        }
+
+        const days = parseUsageDays(req.query.days);
+        const report = await getOrganizationUsageReport(organization.id, days);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                organization: formatOrganization(organization),
+                periodDays: days,
+                totals: summarizeOrganizationUsage(report.keys),
+                keys: report.keys.map(row => ({
+                    keyId: row.pro_key_id,
+                    role: row.role,
+                    name: row.customer_name || null,
+                    tier: row.tier,
+                    status: row.status,
+                    validations: Number(row.validations),
+                    activeDays: Number(row.active_days),
+                    lastUsed: row.last_used || null,
+                    activeSchedules: Number(row.active_schedules),
+                    executions: Number(row.executions),
+                    successful: Number(row.successful),
+                    failed: Number(row.failed),
+                    skipped: Number(row.skipped),
+                    totalTokens: Number(row.total_tokens)
+                })),
+                daily: report.daily.map(row => ({
+                    date: row.day,
+                    validations: Number(row.validations),
+                    executions: Number(row.executions)
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting organization usage:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to get organization usage',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
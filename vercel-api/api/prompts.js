@@ -0,0 +1,423 @@
+// Prompt Library API Endpoints
+// Saved prompts with immutable versions and tags, and the schedules that use each version
+
+import { validateKey } from '../db/queries.js';
+import {
+    listPrompts,
+    getPrompt as getPromptRecord,
+    getPromptVersions,
+    getPromptVersion as getPromptVersionRecord,
+    createPrompt as createPromptRecord,
+    updatePrompt as updatePromptRecord,
+    deletePrompt as deletePromptRecord,
+    getPromptSchedules
+} from '../db/prompt-queries.js';
+import { normalizeTags, parsePromptInput, isNewVersion } from '../services/prompt-library.js';
+import { getTemplateVariables } from '../services/prompt-template.js';
+
+/**
+ * Get the pro key a request is for
+ * Requests authenticated with a session token use the token's key instead of the raw key
+ * @returns {Promise<Object|null>} - pro_keys row, or null if the key is invalid
+ */
+async function getRequestKey(req, key) {
+    if (req.proKeyData) {
+        return req.proKeyData;
+    }
+
+    if (!key || key === 'me') {
+        return null;
+    }
+
+    const result = await validateKey(key);
+    return result.isValid ? result.keyData : null;
+}
+
+/**
+ * Reject a request whose pro key is missing or invalid
+ */
+function rejectPromptKey(res) {
+    return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired pro key',
+        code: 'INVALID_PRO_KEY'
+    });
+}
+
+/**
+ * Reject a request for a prompt the key doesn't have
+ */
+function rejectMissingPrompt(res) {
+    return res.status(404).json({
+        success: false,
+        message: 'Prompt not found',
+        code: 'PROMPT_NOT_FOUND'
+    });
+}
+
+/**
+ * Reject prompt content whose {{ }} placeholders don't parse
+ * Which variables are defined is up to each schedule, so only the syntax is checked here
+ * @returns {boolean} - True if a response was sent
+ */
+function rejectInvalidTemplate(res, content) {
+    const template = content === undefined ? {} : getTemplateVariables(content);
+    if (!template.error) {
+        return false;
+    }
+
+    res.status(400).json({
+        success: false,
+        message: template.error,
+        code: 'INVALID_TEMPLATE'
+    });
+    return true;
+}
+
+/**
+ * Get the requesting key and the prompt in the path, or send the error response
+ * @returns {Promise<Object|null>} - { keyData, prompt }, or null if a response was sent
+ */
+async function getKeyPrompt(req, res) {
+    const keyData = await getRequestKey(req, req.params.proKey);
+    if (!keyData) {
+        rejectPromptKey(res);
+        return null;
+    }
+
+    const promptId = Number(req.params.promptId);
+    const prompt = Number.isInteger(promptId) && promptId > 0 ? await getPromptRecord(keyData.id, promptId) : null;
+    if (!prompt) {
+        rejectMissingPrompt(res);
+        return null;
+    }
+
+    return { keyData, prompt };
+}
+
+/**
+ * List the key's library prompts
+ * GET /api/prompts/:proKey?tag=reports&q=weekly
+ */
+export async function getPrompts(req, res) {
+    try {
+        const keyData = await getRequestKey(req, req.params.proKey);
+        if (!keyData) {
+            return rejectPromptKey(res);
+        }
+
+        let tag = null;
+        if (req.query.tag) {
+            const normalized = normalizeTags([req.query.tag]);
+            if (normalized.error) {
+                return res.status(400).json({ success: false, message: normalized.error });
+            }
+            tag = normalized.tags[0];
+        }
+
+        const prompts = await listPrompts(keyData.id, {
+            tag: tag,
+            search: typeof req.query.q === 'string' && req.query.q.trim() ? req.query.q.trim() : null
+        });
+
+        return res.status(200).json({
+            success: true,
+            // Listings skip the content, fetch a prompt to read it
+            data: prompts.map(({ content, ...prompt }) => prompt),
+            count: prompts.length
+        });
+
+    } catch (error) {
+        console.error('❌ Error listing prompts:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to list prompts',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Save a prompt to the library as version 1
+ * POST /api/prompts/:proKey
+ * Body: { title, content, description?, tags?, note? }
+ */
+export async function createPrompt(req, res) {
+    try {
+        const keyData = await getRequestKey(req, req.params.proKey);
+        if (!keyData) {
+            return rejectPromptKey(res);
+        }
+
+        const input = parsePromptInput(req.body);
+        if (input.error) {
+            return res.status(400).json({
+                success: false,
+                message: input.error,
+                code: 'INVALID_PROMPT'
+            });
+        }
+
+        if (rejectInvalidTemplate(res, input.content)) {
+            return;
+        }
+
+        const prompt = await createPromptRecord(keyData.id, input);
+
+        return res.status(201).json({
+            success: true,
+            message: 'Prompt saved',
+            data: prompt
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating prompt:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to save prompt',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Get a prompt with its latest content and version history
+ * GET /api/prompts/:proKey/:promptId
+ */
+export async function getPrompt(req, res) {
+    try {
+        const found = await getKeyPrompt(req, res);
+        if (!found) {
+            return;
+        }
+
+        const versions = await getPromptVersions(found.prompt.id);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                ...found.prompt,
+                versions: versions.map(version => ({
+                    version: Number(version.version),
+                    title: version.title,
+                    note: version.note,
+                    contentLength: Number(version.content_length),
+                    createdAt: version.created_at
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting prompt:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to get prompt',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Get the full text of one version
+ * GET /api/prompts/:proKey/:promptId/versions/:version
+ */
+export async function getPromptVersion(req, res) {
+    try {
+        const found = await getKeyPrompt(req, res);
+        if (!found) {
+            return;
+        }
+
+        const versionNumber = Number(req.params.version);
+        const version = Number.isInteger(versionNumber) && versionNumber > 0
+            ? await getPromptVersionRecord(found.keyData.id, found.prompt.id, versionNumber)
+            : null;
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: `Prompt ${found.prompt.id} has no version ${req.params.version}`,
+                code: 'PROMPT_VERSION_NOT_FOUND'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                promptId: found.prompt.id,
+                version: Number(version.version),
+                isLatest: Number(version.version) === found.prompt.latestVersion,
+                title: version.title,
+                content: version.content,
+                note: version.note,
+                createdAt: version.created_at
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting prompt version:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to get prompt version',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Edit a prompt
+ * PUT /api/prompts/:proKey/:promptId
+ * Body: { title?, content?, description?, tags?, note? }
+ * A new title or content is saved as the next version, which schedules following the latest version pick up.
+ * Description and tags are changed in place.
+ */
+export async function updatePrompt(req, res) {
+    try {
+        const found = await getKeyPrompt(req, res);
+        if (!found) {
+            return;
+        }
+
+        const input = parsePromptInput(req.body, true);
+        if (input.error) {
+            return res.status(400).json({
+                success: false,
+                message: input.error,
+                code: 'INVALID_PROMPT'
+            });
+        }
+
+        if (rejectInvalidTemplate(res, input.content)) {
+            return;
+        }
+
+        const { prompt } = found;
+        const nextVersion = isNewVersion(prompt, input)
+            ? { title: input.title ?? prompt.title, content: input.content ?? prompt.content }
+            : null;
+
+        const result = await updatePromptRecord(prompt.id, input, nextVersion);
+
+        return res.status(200).json({
+            success: true,
+            message: nextVersion
+                ? `Prompt saved as version ${result.version}`
+                : 'Prompt updated, the text is unchanged so no new version was created',
+            data: {
+                ...(await getPromptRecord(found.keyData.id, prompt.id)),
+                newVersion: Boolean(nextVersion),
+                schedulesUpdated: result.schedulesUpdated
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating prompt:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update prompt',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Delete a prompt and all its versions
+ * DELETE /api/prompts/:proKey/:promptId
+ * Prompts used by pending or running schedules can't be deleted
+ */
+export async function deletePrompt(req, res) {
+    try {
+        const found = await getKeyPrompt(req, res);
+        if (!found) {
+            return;
+        }
+
+        const deleted = await deletePromptRecord(found.prompt.id);
+
+        if (!deleted) {
+            return res.status(409).json({
+                success: false,
+                message: 'Prompt is used by active schedules. Delete them or switch them to another prompt first.',
+                code: 'PROMPT_IN_USE'
+            });
+        }
+
+        console.log(`🗑️ Prompt ${found.prompt.id} deleted for pro key ID ${found.keyData.id}`);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Prompt deleted'
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting prompt:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to delete prompt',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Show which schedules use which version of a prompt
+ * GET /api/prompts/:proKey/:promptId/schedules
+ */
+export async function getPromptUsage(req, res) {
+    try {
+        const found = await getKeyPrompt(req, res);
+        if (!found) {
+            return;
+        }
+
+        const schedules = await getPromptSchedules(found.prompt.id);
+        const versions = [];
+
+        for (const schedule of schedules) {
+            const version = Number(schedule.library_version);
+            let group = versions.find(entry => entry.version === version);
+
+            if (!group) {
+                group = { version, isLatest: version === found.prompt.latestVersion, schedules: [] };
+                versions.push(group);
+            }
+
+            group.schedules.push({
+                id: schedule.id,
+                status: schedule.status,
+                followLatest: Boolean(schedule.library_follow_latest),
+                scheduledTime: schedule.scheduled_time,
+                displayTime: schedule.display_time,
+                timezone: schedule.user_timezone,
+                recurring: Boolean(schedule.recurrence_type),
+                executionCount: schedule.execution_count || 0,
+                lastExecution: schedule.last_execution || null
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                promptId: found.prompt.id,
+                latestVersion: found.prompt.latestVersion,
+                versions: versions,
+                scheduleCount: schedules.length
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting prompt usage:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to get prompt usage',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
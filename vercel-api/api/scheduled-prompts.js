@@ -1,41 +1,70 @@
 // Scheduled Prompts API Endpoints
 // Handles automation scheduling for custom prompts with user timezone support
 
+import os from 'os';
+import crypto from 'crypto';
 import {
     createScheduledPrompt,
     checkUserScheduleLimit,
     getDueScheduledPrompts,
+    claimDueScheduledPrompts,
+    extendScheduledPromptLease,
+    recoverExpiredLeases,
     updateScheduledPromptStatus,
+    rescheduleRecurringPrompt,
+    scheduleRetry,
+    saveWorkflowProgress,
     logAutomationExecution,
     getUserScheduledPrompts,
     deleteScheduledPrompt,
     updateScheduledPrompt,
     getAutomationStats
 } from '../db/automation-queries.js';
-import { validateKey, getUserIntegrationSettings } from '../db/queries.js';
+import { enqueueDeliveries, getUserDeliveries, getDeliveryQueueStats } from '../db/delivery-queries.js';
+import { getKeyEntitlements, countExecutionsToday } from '../db/entitlement-queries.js';
+import { getScheduleEntitlementError } from '../services/entitlements.js';
+import { validateKey } from '../db/queries.js';
+import { getPromptVersion } from '../db/prompt-queries.js';
+import { getWorkflow } from '../db/workflow-queries.js';
+import { parsePromptVersion } from '../services/prompt-library.js';
+import {
+    normalizeTemplateVariables,
+    validateTemplate,
+    buildBuiltinVariables,
+    renderTemplate
+} from '../services/prompt-template.js';
+import { validateWorkflowTemplates, buildStepVariables, evaluateCondition } from '../services/workflows.js';
+import { executePrompt } from '../services/prompt-executor.js';
+import {
+    DELIVERY_DESTINATIONS,
+    DELIVERY_RETRY_POLICY,
+    processDeliveryOutbox
+} from '../services/delivery-outbox.js';
+import { normalizeRecurrence, getNextOccurrence, isValidTimezone } from '../services/recurrence.js';
+import {
+    isTransientError,
+    normalizeRetryPolicy,
+    computeRetryDelay
+} from '../services/retry-policy.js';
+import { getClientIP } from '../services/client-ip.js';
 
-// Temporary Discord and Telegram integration functions (inline)
-// TODO: Move to separate service file later
+// Identifies this process in scheduled prompt leases
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+const LEASE_SECONDS = Number(process.env.SCHEDULER_LEASE_SECONDS || 300);
+const CLAIM_BATCH_SIZE = Number(process.env.SCHEDULER_BATCH_SIZE || 10);
 
-/**
- * Get client IP address from request headers
- */
-function getClientIP(req) {
-    const forwarded = req.headers['x-forwarded-for'];
-    const realIP = req.headers['x-real-ip'];
-    const cfConnectingIP = req.headers['cf-connecting-ip'];
-
-    if (forwarded) {
-        return forwarded.split(',')[0].trim();
-    }
-
-    return realIP || cfConnectingIP || req.connection?.remoteAddress || req.ip || 'unknown';
-}
+// In-flight execution run, shared by overlapping callers in this process
+let activeExecution = null;
 
 /**
  * Validate pro key and get user data
+ * Requests authenticated with a session token use the token's key instead of the raw key
  */
-async function validateProKey(key) {
+async function validateProKey(req, key) {
+    if (req.proKeyData) {
+        return req.proKeyData;
+    }
+
     if (!key) {
         throw new Error('Pro key is required');
     }
@@ -69,9 +98,76 @@ function formatDisplayTime(scheduledTime, userTimezone) {
     }
 }
 
+/**
+ * Validate a recurrence from a request and find its first run
+ * @param {Object} recurrence - Raw recurrence from the request body
+ * @param {string} userTimezone - Timezone the rule is written in
+ * @param {Date} anchor - Earliest allowed first run (DTSTART)
+ * @returns {Object} - { recurrence, firstRun }
+ */
+function resolveRecurrence(recurrence, userTimezone, anchor) {
+    if (!isValidTimezone(userTimezone)) {
+        throw new Error(`Invalid recurrence rule: unknown timezone "${userTimezone}"`);
+    }
+
+    const normalized = normalizeRecurrence(recurrence, userTimezone);
+    const firstRun = getNextOccurrence(normalized, {
+        timezone: userTimezone,
+        after: new Date(anchor.getTime() - 1),
+        start: anchor
+    });
+
+    if (!firstRun) {
+        throw new Error('Invalid recurrence rule: no occurrences after the scheduled time');
+    }
+
+    return { recurrence: normalized, firstRun };
+}
+
+/**
+ * Find the prompt library version a schedule should use
+ * @param {number} proKeyId - Pro key that owns the prompt
+ * @param {*} libraryPromptId - Prompt ID from the request body
+ * @param {*} promptVersion - Version number, "latest" or undefined (follows the latest version)
+ * @returns {Promise<Object>} - { libraryPrompt: { promptId, version, followLatest, title, content } } or { error, code }
+ */
+async function resolveLibraryPrompt(proKeyId, libraryPromptId, promptVersion) {
+    const parsed = parsePromptVersion(promptVersion);
+    if (parsed.error) {
+        return { error: parsed.error, code: 'INVALID_PROMPT_VERSION' };
+    }
+
+    const promptId = Number(libraryPromptId);
+    const version = Number.isInteger(promptId) && promptId > 0
+        ? await getPromptVersion(proKeyId, promptId, parsed.followLatest ? null : parsed.version)
+        : null;
+
+    if (!version) {
+        return {
+            error: parsed.followLatest ? 'Library prompt not found' : `Library prompt ${libraryPromptId} has no version ${parsed.version}`,
+            code: 'PROMPT_NOT_FOUND'
+        };
+    }
+
+    return {
+        libraryPrompt: {
+            promptId: promptId,
+            version: Number(version.version),
+            followLatest: parsed.followLatest,
+            title: version.title,
+            content: version.content
+        }
+    };
+}
+
 /**
  * Create a new scheduled prompt
  * POST /api/scheduled-prompts
+ * Send libraryPromptId (and optionally promptVersion) instead of promptTitle and promptContent
+ * to use a prompt from the library; without promptVersion the schedule follows the latest version
+ * The prompt content may use {{ name }} placeholders for the built-in variables and the
+ * schedule's own templateVariables ({ name: value }), filled in at each run
+ * Send workflowId instead of a prompt to run a workflow's steps (see /api/workflows)
  */
 export async function createSchedule(req, res) {
     try {
@@ -85,27 +181,131 @@ export async function createSchedule(req, res) {
             promptContent,
             scheduledTime,
             userTimezone,
-            integrations
+            integrations,
+            recurrence,
+            retryPolicy,
+            libraryPromptId,
+            promptVersion,
+            templateVariables,
+            workflowId
         } = req.body;
 
-        // Validate required fields
-        if (!proKey || !promptTitle || !promptContent || !scheduledTime || !userTimezone) {
+        // Validate required fields (cron schedules may omit scheduledTime, library prompts and workflows bring their own text)
+        const needsScheduledTime = !recurrence || recurrence.type !== 'cron';
+        const usesLibrary = libraryPromptId !== undefined && libraryPromptId !== null;
+        const usesWorkflow = workflowId !== undefined && workflowId !== null;
+        if ((!proKey && !req.proKeyData) || (!usesLibrary && !usesWorkflow && (!promptTitle || !promptContent)) || (needsScheduledTime && !scheduledTime) || !userTimezone) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: proKey, promptTitle, promptContent, scheduledTime, userTimezone'
+                message: 'Missing required fields: proKey, promptTitle and promptContent (or libraryPromptId or workflowId), scheduledTime, userTimezone'
             });
         }
 
+        if (usesLibrary && usesWorkflow) {
+            return res.status(400).json({
+                success: false,
+                message: 'Send either libraryPromptId or workflowId, not both'
+            });
+        }
+
+        let normalizedRetryPolicy = null;
+        if (retryPolicy) {
+            try {
+                normalizedRetryPolicy = normalizeRetryPolicy(retryPolicy);
+            } catch (retryPolicyError) {
+                return res.status(400).json({
+                    success: false,
+                    message: retryPolicyError.message,
+                    code: 'INVALID_RETRY_POLICY'
+                });
+            }
+        }
+
         // Validate pro key
-        const userData = await validateProKey(proKey);
+        const userData = await validateProKey(req, proKey);
+
+        let libraryPrompt = null;
+        if (usesLibrary) {
+            const resolved = await resolveLibraryPrompt(userData.id, libraryPromptId, promptVersion);
+            if (resolved.error) {
+                return res.status(resolved.code === 'PROMPT_NOT_FOUND' ? 404 : 400).json({
+                    success: false,
+                    message: resolved.error,
+                    code: resolved.code
+                });
+            }
+            libraryPrompt = resolved.libraryPrompt;
+        }
+
+        let workflow = null;
+        if (usesWorkflow) {
+            const id = Number(workflowId);
+            workflow = Number.isInteger(id) && id > 0 ? await getWorkflow(userData.id, id) : null;
+            if (!workflow) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Workflow not found',
+                    code: 'WORKFLOW_NOT_FOUND'
+                });
+            }
+        }
+
+        // The template may only use built-in variables and the ones defined for this schedule.
+        // Workflow schedules keep no content of their own, every step is checked instead
+        const content = workflow ? '' : libraryPrompt ? libraryPrompt.content : promptContent.trim();
+        const normalizedVariables = normalizeTemplateVariables(templateVariables);
+        const templateError = normalizedVariables.error || (workflow
+            ? validateWorkflowTemplates(workflow.steps, normalizedVariables.variables)
+            : validateTemplate(content, normalizedVariables.variables));
+        if (templateError) {
+            return res.status(400).json({
+                success: false,
+                message: templateError,
+                code: 'INVALID_TEMPLATE'
+            });
+        }
 
-                // Validate scheduled time is in the future with buffer
-        const scheduleDate = new Date(scheduledTime);
         const now = new Date();
         
         // Add 10 second buffer to account for processing time
         const minimumTime = new Date(now.getTime() + 10000);
 
+        let scheduleDate = scheduledTime ? new Date(scheduledTime) : minimumTime;
+        let normalizedRecurrence = null;
+        let recurrenceStart = null;
+
+        // Recurring schedules first run at the earliest rule occurrence from scheduledTime on
+        if (recurrence) {
+            const anchor = scheduleDate > minimumTime ? scheduleDate : new Date(minimumTime.getTime() + 1000);
+
+            try {
+                const resolved = resolveRecurrence(recurrence, userTimezone, anchor);
+                normalizedRecurrence = resolved.recurrence;
+                recurrenceStart = anchor.toISOString();
+                scheduleDate = resolved.firstRun;
+            } catch (recurrenceError) {
+                return res.status(400).json({
+                    success: false,
+                    message: recurrenceError.message,
+                    code: 'INVALID_RECURRENCE'
+                });
+            }
+        }
+
+        // Integrations and recurrence must be part of the key's plan
+        const entitlementError = getScheduleEntitlementError(await getKeyEntitlements(userData.id), {
+            integrations: integrations,
+            recurrence: normalizedRecurrence
+        });
+        if (entitlementError) {
+            return res.status(403).json({
+                success: false,
+                message: entitlementError,
+                code: 'NOT_ENTITLED'
+            });
+        }
+
+        // Validate scheduled time is in the future with buffer
         if (scheduleDate <= minimumTime) {
             return res.status(400).json({
                 success: false,
@@ -114,18 +314,28 @@ export async function createSchedule(req, res) {
         }
 
         // Format display time
-        const displayTime = formatDisplayTime(scheduledTime, userTimezone);
+        const displayTime = formatDisplayTime(scheduleDate, userTimezone);
 
         // Create the scheduled prompt
         const scheduleData = {
             proKeyId: userData.id,
             promptId: promptId || null,
-            promptTitle: promptTitle.trim(),
-            promptContent: promptContent.trim(),
+            promptTitle: workflow ? workflow.name : libraryPrompt ? libraryPrompt.title : promptTitle.trim(),
+            promptContent: content,
             scheduledTime: scheduleDate.toISOString(),
             userTimezone: userTimezone,
             displayTime: displayTime,
-            integrations: integrations || { telegram: false, discord: false }
+            integrations: integrations || { telegram: false, discord: false },
+            recurrence: normalizedRecurrence,
+            recurrenceStart: recurrenceStart,
+            retryPolicy: normalizedRetryPolicy,
+            libraryPrompt: libraryPrompt && {
+                promptId: libraryPrompt.promptId,
+                version: libraryPrompt.version,
+                followLatest: libraryPrompt.followLatest
+            },
+            templateVariables: normalizedVariables.variables,
+            workflowId: workflow ? workflow.id : null
         };
 
         const result = await createScheduledPrompt(scheduleData);
@@ -166,7 +376,7 @@ export async function getScheduleLimit(req, res) {
         const { proKey } = req.params;
         
         // Validate pro key
-        const userData = await validateProKey(proKey);
+        const userData = await validateProKey(req, proKey);
         
         // Get limit status
         const limitStatus = await checkUserScheduleLimit(userData.id);
@@ -189,160 +399,86 @@ export async function getScheduleLimit(req, res) {
 
 /**
  * Execute due scheduled prompts (called by cron job)
- * This function processes all pending schedules that are due for execution
+ * This function processes all pending schedules that are due for execution.
+ * Prompts are claimed with a lease first, so several server instances (or a manual
+ * trigger during a tick) never execute the same prompt twice.
  */
 export async function executeScheduledPrompts() {
+    // Never overlap runs in this process: a tick and a manual trigger share one run
+    if (activeExecution) {
+        console.log('⏳ Scheduled prompt execution already in progress, joining it');
+        return activeExecution;
+    }
+
+    activeExecution = runDueScheduledPrompts().finally(() => {
+        activeExecution = null;
+    });
+
+    return activeExecution;
+}
+
+/**
+ * Claim and execute due prompts in batches until none are left
+ * @returns {Promise<Object>} - { executed, failed, retrying, skipped }
+ */
+async function runDueScheduledPrompts() {
     try {
         console.log('🔍 Checking for due scheduled prompts...');
-        
-        const duePrompts = await getDueScheduledPrompts();
-        
-        if (duePrompts.length === 0) {
-            console.log('📭 No scheduled prompts due for execution');
-            return { executed: 0, failed: 0 };
-        }
 
-        console.log(`⏰ Found ${duePrompts.length} scheduled prompts due for execution`);
+        // Release prompts held by workers that crashed mid-execution
+        await recoverExpiredLeases();
 
         let executed = 0;
         let failed = 0;
+        let retrying = 0;
+        let skipped = 0;
+        let claimed = 0;
 
-        // Process each due prompt
-        for (const prompt of duePrompts) {
-            try {
-                const startTime = Date.now();
-                
-                console.log(`🚀 Executing scheduled prompt: ${prompt.prompt_title} (ID: ${prompt.id})`);
-                
-                // Create comprehensive analysis result
-                const analysisData = {
-                    analysisType: prompt.prompt_title,
-                    result: {
-                        content: `Analysis completed for: ${prompt.prompt_title}\n\nPrompt: ${prompt.prompt_content}\n\nExecuted at: ${new Date().toISOString()}`,
-                        summary: `Automated execution of "${prompt.prompt_title}" scheduled prompt`,
-                        keyPoints: [
-                            'Prompt executed automatically as scheduled',
-                            `Execution time: ${new Date().toLocaleString()}`,
-                            'Analysis completed successfully'
-                        ]
-                    },
-                    date: new Date().toISOString()
-                };
-
-                // Initialize integration results
-                const integrationResults = {
-                    telegram: false,
-                    discord: false,
-                    telegramError: null,
-                    discordError: null
-                };
-
-                // Check and execute integrations based on schedule settings
-                const integrations = prompt.integrations || {};
-                console.log(`🔗 Integration settings for prompt ${prompt.id}:`, integrations);
-
-                // Send to Telegram if enabled
-                if (integrations.telegram) {
-                    try {
-                        console.log(`📱 Sending to Telegram for prompt ${prompt.id}...`);
-                        
-                        // Get user's Telegram settings
-                        const telegramSettings = await getTelegramSettings(prompt.pro_key_id);
-                        
-                        if (telegramSettings && telegramSettings.botToken && telegramSettings.chatId) {
-                            const telegramResult = await sendAnalysisToTelegram(
-                                analysisData,
-                                telegramSettings.botToken,
-                                telegramSettings.chatId
-                            );
-                            
-                            if (telegramResult.success) {
-                                integrationResults.telegram = true;
-                                console.log(`✅ Successfully sent to Telegram for prompt ${prompt.id}`);
-                            } else {
-                                integrationResults.telegramError = telegramResult.error;
-                                console.error(`❌ Failed to send to Telegram for prompt ${prompt.id}:`, telegramResult.error);
-                            }
-                        } else {
-                            integrationResults.telegramError = 'Telegram settings not configured';
-                            console.warn(`⚠️ Telegram settings not found for prompt ${prompt.id}`);
-                        }
-                    } catch (telegramError) {
-                        integrationResults.telegramError = telegramError.message;
-                        console.error(`❌ Telegram integration error for prompt ${prompt.id}:`, telegramError);
-                    }
+        while (true) {
+            const duePrompts = await claimDueScheduledPrompts(WORKER_ID, LEASE_SECONDS, CLAIM_BATCH_SIZE);
+
+            if (duePrompts.length === 0) {
+                break;
+            }
+
+            claimed += duePrompts.length;
+            console.log(`⏰ Claimed ${duePrompts.length} scheduled prompts due for execution`);
+
+            // Process each claimed prompt
+            for (const prompt of duePrompts) {
+                // Renew the lease before each prompt so earlier prompts in the batch can't let it lapse
+                const stillOwned = await extendScheduledPromptLease(prompt.id, WORKER_ID, LEASE_SECONDS);
+                if (!stillOwned) {
+                    console.warn(`⚠️ Lease on scheduled prompt ${prompt.id} was lost, skipping`);
+                    continue;
                 }
 
-                // Send to Discord if enabled
-                if (integrations.discord) {
-                    try {
-                        console.log(`🎮 Sending to Discord for prompt ${prompt.id}...`);
-                        
-                        // Get user's Discord settings
-                        const discordSettings = await getDiscordSettings(prompt.pro_key_id);
-                        
-                        if (discordSettings && discordSettings.webhookUrl) {
-                            const discordResult = await sendAnalysisToDiscord(
-                                analysisData,
-                                discordSettings.webhookUrl
-                            );
-                            
-                            if (discordResult.success) {
-                                integrationResults.discord = true;
-                                console.log(`✅ Successfully sent to Discord for prompt ${prompt.id}`);
-                            } else {
-                                integrationResults.discordError = discordResult.error;
-                                console.error(`❌ Failed to send to Discord for prompt ${prompt.id}:`, discordResult.error);
-                            }
-                        } else {
-                            integrationResults.discordError = 'Discord settings not configured';
-                            console.warn(`⚠️ Discord settings not found for prompt ${prompt.id}`);
-                        }
-                    } catch (discordError) {
-                        integrationResults.discordError = discordError.message;
-                        console.error(`❌ Discord integration error for prompt ${prompt.id}:`, discordError);
-                    }
+                const outcome = await executeClaimedPrompt(prompt);
+                if (outcome === 'success') {
+                    executed++;
+                } else if (outcome === 'retrying') {
+                    retrying++;
+                } else if (outcome === 'skipped') {
+                    skipped++;
+                } else if (outcome === 'lost') {
+                    console.warn(`⚠️ Lease on scheduled prompt ${prompt.id} was lost mid-run, left to its new owner`);
+                } else {
+                    failed++;
                 }
-                
-                const executionDuration = Date.now() - startTime;
-                
-                // Log successful execution with integration results
-                await logAutomationExecution({
-                    scheduledPromptId: prompt.id,
-                    status: 'success',
-                    analysisResult: analysisData.result.content,
-                    integrationResults: integrationResults,
-                    executionDuration: executionDuration
-                });
-                
-                // Update prompt status to completed
-                await updateScheduledPromptStatus(prompt.id, 'completed');
-                
-                console.log(`✅ Successfully executed scheduled prompt: ${prompt.prompt_title}`);
-                console.log(`📊 Automation execution logged: Schedule ${prompt.id}, Status: success`);
-                executed++;
-
-            } catch (executionError) {
-                console.error(`❌ Failed to execute scheduled prompt ${prompt.id}:`, executionError);
-                
-                // Log failed execution
-                await logAutomationExecution({
-                    scheduledPromptId: prompt.id,
-                    status: 'failed',
-                    errorMessage: executionError.message,
-                    executionDuration: 0
-                });
-                
-                // Update prompt status to failed
-                await updateScheduledPromptStatus(prompt.id, 'failed');
-                
-                failed++;
             }
+
+            if (duePrompts.length < CLAIM_BATCH_SIZE) {
+                break;
+            }
+        }
+
+        if (claimed === 0) {
+            console.log('📭 No scheduled prompts due for execution');
+            return { executed: 0, failed: 0, retrying: 0, skipped: 0 };
         }
 
-        console.log(`📊 Execution summary: ${executed} successful, ${failed} failed`);
-        console.log(`📊 [${new Date().toISOString()}] Execution summary: ${executed} successful, ${failed} failed`);
-        return { executed, failed };
+        console.log(`📊 [${new Date().toISOString()}] Execution summary: ${executed} successful, ${retrying} retrying, ${failed} failed, ${skipped} skipped`);
+        return { executed, failed, retrying, skipped };
 
     } catch (error) {
         console.error('❌ Error in executeScheduledPrompts:', error);
@@ -350,18 +486,391 @@ export async function executeScheduledPrompts() {
     }
 }
 
+/**
+ * Execute one claimed prompt, log the attempt and queue its deliveries
+ * Transient failures are retried with backoff until the schedule's retry policy runs out
+ * @param {Object} prompt - Claimed prompt row
+ * @returns {Promise<string>} - 'success', 'retrying', 'failed', 'skipped' or 'lost' when a workflow lost its lease
+ */
+async function executeClaimedPrompt(prompt) {
+    const attempt = Number(prompt.attempt_count || 0) + 1;
+
+    if (prompt.workflow_id) {
+        return await executeClaimedWorkflow(prompt, attempt);
+    }
+
+    const startTime = Date.now();
+    let renderedPrompt = null;
+
+    try {
+        // Fill in the template for this run, a template that no longer renders fails without retrying
+        renderedPrompt = renderTemplate(prompt.prompt_content, {
+            ...prompt.templateVariables,
+            ...getRunVariables(prompt)
+        });
+
+        // The key's plan is checked again at run time, it may have changed since the prompt was scheduled
+        const entitlements = await getKeyEntitlements(prompt.pro_key_id);
+        const executionsToday = await countExecutionsToday(prompt.pro_key_id);
+
+        if (executionsToday >= entitlements.maxExecutionsPerDay) {
+            return await skipRunOverDailyLimit(prompt, entitlements, attempt, renderedPrompt);
+        }
+
+        console.log(`🚀 Executing scheduled prompt: ${prompt.prompt_title} (ID: ${prompt.id}, attempt ${attempt})`);
+        
+        // Run the prompt against the configured LLM
+        const execution = await executePrompt({
+            title: prompt.prompt_title,
+            content: renderedPrompt
+        });
+
+        const analysisData = {
+            analysisType: prompt.prompt_title,
+            result: execution.result,
+            date: new Date().toISOString()
+        };
+
+        const { destinations, integrationResults } = getDeliveryPlan(prompt, entitlements);
+
+        const executionDuration = Date.now() - startTime;
+        
+        // Log successful execution with queued integration results
+        const logEntry = await logAutomationExecution({
+            scheduledPromptId: prompt.id,
+            status: 'success',
+            analysisResult: analysisData.result.content,
+            integrationResults: integrationResults,
+            executionDuration: executionDuration,
+            model: execution.model,
+            tokenUsage: execution.usage,
+            attempt: attempt,
+            libraryVersion: prompt.library_version ?? null,
+            renderedPrompt: renderedPrompt
+        });
+
+        await queueDeliveries(prompt, logEntry.logId, destinations, analysisData);
+        
+        // Mark completed, or move a recurring prompt to its next occurrence
+        await finishScheduledRun(prompt, 'completed');
+        
+        console.log(`✅ Successfully executed scheduled prompt: ${prompt.prompt_title}`);
+        return 'success';
+
+    } catch (executionError) {
+        console.error(`❌ Failed to execute scheduled prompt ${prompt.id} (attempt ${attempt}):`, executionError);
+
+        return await failScheduledRun(prompt, attempt, executionError, {
+            executionDuration: Date.now() - startTime,
+            libraryVersion: prompt.library_version ?? null,
+            renderedPrompt: renderedPrompt
+        });
+    }
+}
+
+/**
+ * Execute one claimed workflow: run its steps in order, each step's output feeding the
+ * templates of the steps after it, and log every step separately
+ * A step whose condition isn't met ends the run, its output isn't delivered and the
+ * remaining steps are logged as skipped. Completed steps are saved, so a retry resumes from the
+ * step that failed without running, counting or delivering the earlier steps again.
+ * @param {Object} prompt - Claimed schedule row with workflow_id
+ * @param {number} attempt - Attempt number
+ * @returns {Promise<string>} - 'success', 'retrying', 'failed', 'skipped' or 'lost' if the lease was lost between steps
+ */
+async function executeClaimedWorkflow(prompt, attempt) {
+    let stepNumber = null;
+    let stepStart = Date.now();
+    let renderedPrompt = null;
+
+    try {
+        const workflow = await getWorkflow(prompt.pro_key_id, Number(prompt.workflow_id));
+        if (!workflow) {
+            throw new Error(`Workflow ${prompt.workflow_id} no longer exists`);
+        }
+
+        // Outputs of the steps an earlier attempt completed, unless the workflow was edited since
+        const progress = prompt.workflowProgress;
+        const resumable = progress && progress.workflowUpdatedAt === workflow.updatedAt && progress.outputs.length < workflow.steps.length;
+        if (progress && !resumable) {
+            console.warn(`⚠️ Saved progress of workflow schedule ${prompt.id} no longer matches workflow ${workflow.id}, starting over`);
+        }
+        const outputs = resumable ? [...progress.outputs] : [];
+
+        // Every step is an execution, so the run only starts when the day has room for all remaining steps
+        const entitlements = await getKeyEntitlements(prompt.pro_key_id);
+        const executionsToday = await countExecutionsToday(prompt.pro_key_id);
+
+        if (executionsToday + workflow.steps.length - outputs.length > entitlements.maxExecutionsPerDay) {
+            return await skipRunOverDailyLimit(prompt, entitlements, attempt, null);
+        }
+
+        console.log(`🚀 Executing workflow: ${workflow.name} (schedule ID: ${prompt.id}, ${workflow.steps.length} steps, ` +
+            `${outputs.length > 0 ? `resuming at step ${outputs.length + 1}, ` : ''}attempt ${attempt})`);
+
+        const { destinations, integrationResults } = getDeliveryPlan(prompt, entitlements);
+        const runVariables = { ...prompt.templateVariables, ...getRunVariables(prompt) };
+
+        for (const [index, step] of workflow.steps.entries()) {
+            if (index < outputs.length) {
+                continue;
+            }
+
+            stepNumber = index + 1;
+
+            // A run can outlast one lease, so renew it before each step and stop if another worker took over
+            if (!await extendScheduledPromptLease(prompt.id, WORKER_ID, LEASE_SECONDS)) {
+                console.warn(`⚠️ Lost the lease on workflow schedule ${prompt.id} before step ${stepNumber}, stopping`);
+                return 'lost';
+            }
+
+            stepStart = Date.now();
+            renderedPrompt = null; // Not carried over to a step that fails to render
+
+            renderedPrompt = renderTemplate(step.content, { ...runVariables, ...buildStepVariables(outputs) });
+
+            const execution = await executePrompt({ title: step.title, content: renderedPrompt });
+            const output = execution.result.content;
+            const check = step.condition ? evaluateCondition(step.condition, output) : { met: true, reason: null };
+            const notify = step.notify && check.met;
+
+            const logEntry = await logAutomationExecution({
+                scheduledPromptId: prompt.id,
+                status: 'success',
+                analysisResult: output,
+                integrationResults: notify ? integrationResults : null,
+                errorMessage: check.reason,
+                executionDuration: Date.now() - stepStart,
+                model: execution.model,
+                tokenUsage: execution.usage,
+                attempt: attempt,
+                renderedPrompt: renderedPrompt,
+                workflowStep: stepNumber,
+                conditionMet: step.condition ? check.met : null
+            });
+
+            if (notify) {
+                await queueDeliveries(prompt, logEntry.logId, destinations, {
+                    analysisType: `${workflow.name}: ${step.title}`,
+                    result: execution.result,
+                    date: new Date().toISOString()
+                });
+            }
+
+            if (!check.met) {
+                console.log(`⏹️ Workflow ${workflow.id} stopped after step ${stepNumber}: ${check.reason}`);
+
+                for (let skipped = stepNumber + 1; skipped <= workflow.steps.length; skipped++) {
+                    await logAutomationExecution({
+                        scheduledPromptId: prompt.id,
+                        status: 'skipped',
+                        errorMessage: `Condition of step ${stepNumber} not met`,
+                        attempt: attempt,
+                        workflowStep: skipped
+                    });
+                }
+                break;
+            }
+
+            outputs.push(output);
+
+            if (stepNumber < workflow.steps.length &&
+                !await saveWorkflowProgress(prompt.id, { workflowUpdatedAt: workflow.updatedAt, outputs }, WORKER_ID)) {
+                console.warn(`⚠️ Lost the lease on workflow schedule ${prompt.id} after step ${stepNumber}, stopping`);
+                return 'lost';
+            }
+        }
+
+        // Mark completed, or move a recurring schedule to its next occurrence
+        await finishScheduledRun(prompt, 'completed');
+
+        console.log(`✅ Successfully executed workflow: ${workflow.name}`);
+        return 'success';
+
+    } catch (executionError) {
+        console.error(`❌ Failed to execute workflow schedule ${prompt.id} at step ${stepNumber ?? '-'} (attempt ${attempt}):`, executionError);
+
+        return await failScheduledRun(prompt, attempt, executionError, {
+            executionDuration: Date.now() - stepStart,
+            renderedPrompt: renderedPrompt,
+            workflowStep: stepNumber
+        });
+    }
+}
+
+/**
+ * Build the built-in template variables for a schedule's run
+ * @param {Object} prompt - Claimed schedule row
+ * @returns {Object} - Built-in variables
+ */
+function getRunVariables(prompt) {
+    return buildBuiltinVariables({
+        now: new Date(),
+        timezone: prompt.user_timezone,
+        lastExecution: prompt.last_execution,
+        executionCount: prompt.execution_count
+    });
+}
+
+/**
+ * Work out which of a schedule's destinations its key may deliver to
+ * @param {Object} prompt - Claimed schedule row
+ * @param {Object} entitlements - The key's resolved entitlements
+ * @returns {Object} - { destinations, integrationResults } for the log entry
+ */
+function getDeliveryPlan(prompt, entitlements) {
+    const integrations = prompt.integrations || {};
+    const requested = DELIVERY_DESTINATIONS.filter(destination => integrations[destination]);
+    const destinations = requested.filter(destination => entitlements.integrations.includes(destination));
+    const integrationResults = {};
+
+    for (const destination of requested) {
+        const entitled = destinations.includes(destination);
+        integrationResults[destination] = false;
+        integrationResults[`${destination}Status`] = entitled ? 'queued' : 'not_entitled';
+        integrationResults[`${destination}Error`] = entitled ? null : `Not included in the ${entitlements.tier} plan`;
+    }
+
+    return { destinations, integrationResults };
+}
+
+/**
+ * Queue a result for delivery
+ * Deliveries are sent by the outbox worker, so a slow or failing destination never holds up execution
+ * @param {Object} prompt - Claimed schedule row
+ * @param {number} logId - automation_logs entry that produced the result
+ * @param {Array<string>} destinations - Entitled destinations
+ * @param {Object} payload - Analysis data to send
+ */
+async function queueDeliveries(prompt, logId, destinations, payload) {
+    if (destinations.length === 0) {
+        return;
+    }
+
+    await enqueueDeliveries({
+        automationLogId: logId,
+        scheduledPromptId: prompt.id,
+        proKeyId: prompt.pro_key_id,
+        destinations: destinations,
+        payload: payload,
+        maxAttempts: DELIVERY_RETRY_POLICY.maxAttempts
+    });
+}
+
+/**
+ * Log a failed attempt, then schedule a retry or finish the run
+ * @param {Object} prompt - Claimed schedule row
+ * @param {number} attempt - Attempt number
+ * @param {Error} executionError - Failure
+ * @param {Object} logFields - Extra automation log fields for the attempt
+ * @returns {Promise<string>} - 'retrying' or 'failed'
+ */
+async function failScheduledRun(prompt, attempt, executionError, logFields) {
+    const retryPolicy = prompt.retryPolicy;
+    const willRetry = isTransientError(executionError) && attempt < retryPolicy.maxAttempts;
+
+    // Every attempt gets its own log entry
+    await logAutomationExecution({
+        scheduledPromptId: prompt.id,
+        status: willRetry ? 'retrying' : 'failed',
+        errorMessage: executionError.message,
+        attempt: attempt,
+        ...logFields
+    });
+
+    if (willRetry) {
+        const delayMs = computeRetryDelay(attempt, retryPolicy, executionError.retryAfterMs);
+        await scheduleRetry(prompt.id, new Date(Date.now() + delayMs).toISOString(), attempt, WORKER_ID);
+        return 'retrying';
+    }
+
+    // Mark failed, or move a recurring prompt to its next occurrence
+    await finishScheduledRun(prompt, 'failed');
+
+    return 'failed';
+}
+
+/**
+ * Skip a run because the key has used its executions for the day
+ * Recurring prompts move on to their next occurrence, one-shot prompts wait until the next UTC day
+ * @param {Object} prompt - Claimed prompt row
+ * @param {Object} entitlements - The key's resolved entitlements
+ * @param {number} attempt - Attempt number the run would have had
+ * @param {string} renderedPrompt - Prompt the run would have sent
+ * @returns {Promise<string>} - 'skipped'
+ */
+async function skipRunOverDailyLimit(prompt, entitlements, attempt, renderedPrompt) {
+    const message = `Daily execution limit reached (${entitlements.maxExecutionsPerDay} per day on the ${entitlements.tier} plan)`;
+    console.warn(`🚫 ${message}, skipping scheduled prompt ${prompt.id}`);
+
+    await logAutomationExecution({
+        scheduledPromptId: prompt.id,
+        status: 'skipped',
+        errorMessage: message,
+        attempt: attempt,
+        libraryVersion: prompt.library_version ?? null,
+        renderedPrompt: renderedPrompt
+    });
+
+    if (prompt.recurrence) {
+        await finishScheduledRun(prompt, 'failed');
+    } else {
+        const nextDay = new Date();
+        nextDay.setUTCHours(24, 0, 0, 0);
+        await scheduleRetry(prompt.id, nextDay.toISOString(), attempt - 1, WORKER_ID);
+    }
+
+    return 'skipped';
+}
+
+/**
+ * Finish a run: one-shot prompts take the final status, recurring prompts are
+ * rescheduled to their next occurrence until the series ends
+ * @param {Object} prompt - Due prompt row
+ * @param {string} status - Final status when there is no next occurrence
+ */
+async function finishScheduledRun(prompt, status) {
+    if (prompt.recurrence) {
+        // Occurrences missed while the server was down are skipped, not replayed
+        const nextRun = getNextOccurrence(prompt.recurrence, {
+            timezone: prompt.user_timezone,
+            after: new Date(Math.max(Date.now(), new Date(prompt.scheduled_time).getTime())),
+            start: prompt.recurrence_start || prompt.scheduled_time,
+            occurrencesSoFar: Number(prompt.execution_count || 0) + 1
+        });
+
+        if (nextRun) {
+            await rescheduleRecurringPrompt(
+                prompt.id,
+                nextRun.toISOString(),
+                formatDisplayTime(nextRun, prompt.user_timezone),
+                WORKER_ID
+            );
+            return;
+        }
+
+        console.log(`🏁 Recurring prompt ${prompt.id} has no further occurrences`);
+    }
+
+    await updateScheduledPromptStatus(prompt.id, status, WORKER_ID);
+}
+
 /**
  * Manual execution endpoint for testing
  * POST /api/scheduled-prompts/execute
+ * Headers: Authorization: Bearer <admin secret>
  */
 export async function manualExecute(req, res) {
     try {
         const result = await executeScheduledPrompts();
+
+        // Send what this run queued right away instead of waiting for the outbox tick
+        const deliveries = await processDeliveryOutbox();
         
         return res.status(200).json({
             success: true,
-            data: result,
-            message: `Executed ${result.executed} prompts, ${result.failed} failed`
+            data: { ...result, deliveries },
+            message: `Executed ${result.executed} prompts, ${result.retrying} retrying, ${result.failed} failed, ${result.skipped} skipped`
         });
 
     } catch (error) {
@@ -385,7 +894,7 @@ export async function getUserSchedules(req, res) {
         const { status } = req.query;
 
         // Validate pro key
-        const userData = await validateProKey(proKey);
+        const userData = await validateProKey(req, proKey);
 
         // Get user's scheduled prompts
         const schedules = await getUserScheduledPrompts(userData.id, status);
@@ -407,6 +916,37 @@ export async function getUserSchedules(req, res) {
     }
 }
 
+/**
+ * Get user's delivery jobs
+ * GET /api/scheduled-prompts/deliveries/:proKey
+ */
+export async function getUserDeliveryJobs(req, res) {
+    try {
+        const { proKey } = req.params;
+        const { status } = req.query;
+
+        // Validate pro key
+        const userData = await validateProKey(req, proKey);
+
+        const deliveries = await getUserDeliveries(userData.id, status);
+
+        return res.status(200).json({
+            success: true,
+            data: deliveries,
+            count: deliveries.length
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting user deliveries:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to get deliveries',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
 /**
  * Delete a scheduled prompt
  * DELETE /api/scheduled-prompts/:scheduleId/:proKey
@@ -416,7 +956,7 @@ export async function deleteSchedule(req, res) {
         const { scheduleId, proKey } = req.params;
 
         // Validate pro key
-        const userData = await validateProKey(proKey);
+        const userData = await validateProKey(req, proKey);
 
         // Delete the schedule
         const deleted = await deleteScheduledPrompt(parseInt(scheduleId), userData.id);
@@ -447,11 +987,27 @@ export async function deleteSchedule(req, res) {
 /**
  * Update a scheduled prompt
  * PUT /api/scheduled-prompts/:scheduleId/:proKey
+ * library_prompt_id (with an optional prompt_version) switches the schedule to a library prompt
+ * or changes its pinned version; null keeps the current text without the library reference
+ * template_variables replaces the schedule's template variables
  */
 export async function updateSchedule(req, res) {
     try {
         const { scheduleId, proKey } = req.params;
-        const { scheduled_time, send_to_telegram, send_to_discord, user_timezone } = req.body;
+        const {
+            scheduled_time,
+            send_to_telegram,
+            send_to_discord,
+            send_to_slack,
+            send_to_email,
+            send_to_webhook,
+            user_timezone,
+            recurrence,
+            retry_policy,
+            library_prompt_id,
+            prompt_version,
+            template_variables
+        } = req.body;
 
         // Validate required fields
         if (!scheduled_time) {
@@ -462,7 +1018,7 @@ export async function updateSchedule(req, res) {
         }
 
         // Validate pro key
-        const userData = await validateProKey(proKey);
+        const userData = await validateProKey(req, proKey);
 
         // Use provided timezone or default to UTC
         const userTimezone = user_timezone || 'UTC';
@@ -473,10 +1029,92 @@ export async function updateSchedule(req, res) {
             userTimezone: userTimezone,
             integrations: {
                 telegram: Boolean(send_to_telegram),
-                discord: Boolean(send_to_discord)
+                discord: Boolean(send_to_discord),
+                slack: Boolean(send_to_slack),
+                email: Boolean(send_to_email),
+                webhook: Boolean(send_to_webhook)
             }
         };
 
+        // A recurrence in the body replaces the current rule; null makes the schedule one-shot
+        if (recurrence !== undefined) {
+            updateData.recurrence = null;
+
+            if (recurrence) {
+                try {
+                    const resolved = resolveRecurrence(recurrence, userTimezone, new Date(scheduled_time));
+                    updateData.recurrence = resolved.recurrence;
+                    updateData.recurrenceStart = updateData.scheduledTime;
+                    updateData.scheduledTime = resolved.firstRun.toISOString();
+                } catch (recurrenceError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: recurrenceError.message,
+                        code: 'INVALID_RECURRENCE'
+                    });
+                }
+            }
+        }
+
+        // New integrations and recurrence must be part of the key's plan
+        const entitlementError = getScheduleEntitlementError(await getKeyEntitlements(userData.id), {
+            integrations: updateData.integrations,
+            recurrence: updateData.recurrence || null
+        });
+        if (entitlementError) {
+            return res.status(403).json({
+                success: false,
+                message: entitlementError,
+                code: 'NOT_ENTITLED'
+            });
+        }
+
+        // A retry policy in the body replaces the current one; null restores the defaults
+        if (retry_policy !== undefined) {
+            try {
+                updateData.retryPolicy = retry_policy ? normalizeRetryPolicy(retry_policy) : null;
+            } catch (retryPolicyError) {
+                return res.status(400).json({
+                    success: false,
+                    message: retryPolicyError.message,
+                    code: 'INVALID_RETRY_POLICY'
+                });
+            }
+        }
+
+        if (library_prompt_id === null) {
+            updateData.libraryPrompt = null;
+        } else if (library_prompt_id !== undefined) {
+            const resolved = await resolveLibraryPrompt(userData.id, library_prompt_id, prompt_version);
+            if (resolved.error) {
+                return res.status(resolved.code === 'PROMPT_NOT_FOUND' ? 404 : 400).json({
+                    success: false,
+                    message: resolved.error,
+                    code: resolved.code
+                });
+            }
+            updateData.libraryPrompt = resolved.libraryPrompt;
+        } else if (prompt_version !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Send library_prompt_id with prompt_version',
+                code: 'INVALID_PROMPT_VERSION'
+            });
+        }
+
+        // The variables are checked against the new content when the schedule is updated
+        if (template_variables !== undefined) {
+            const normalized = normalizeTemplateVariables(template_variables);
+            if (normalized.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: normalized.error,
+                    code: 'INVALID_TEMPLATE'
+                });
+            }
+            updateData.templateVariables = normalized.variables;
+        }
+
         // Update the schedule
         const result = await updateScheduledPrompt(parseInt(scheduleId), userData.id, updateData);
 
@@ -491,6 +1129,21 @@ export async function updateSchedule(req, res) {
     } catch (error) {
         console.error('❌ Error updating schedule:', error);
 
+        if (error.message.startsWith('Workflow schedules')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message.startsWith('Invalid template')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+                code: 'INVALID_TEMPLATE'
+            });
+        }
+
         if (error.message.includes('not found') || error.message.includes('access denied')) {
             return res.status(404).json({
                 success: false,
@@ -498,6 +1151,14 @@ export async function updateSchedule(req, res) {
             });
         }
 
+        if (error.message.startsWith('Schedule is no longer pending')) {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                code: 'SCHEDULE_NOT_PENDING'
+            });
+        }
+
         if (error.message.includes('only edit pending') || error.message.includes('future')) {
             return res.status(400).json({
                 success: false,
@@ -522,7 +1183,7 @@ export async function getAutomationStatistics(req, res) {
         const { proKey } = req.params;
 
         // Validate pro key
-        const userData = await validateProKey(proKey);
+        const userData = await validateProKey(req, proKey);
 
         // Get automation stats
         const stats = await getAutomationStats(userData.id);
@@ -550,12 +1211,14 @@ export async function getAutomationStatistics(req, res) {
 export async function healthCheck(req, res) {
     try {
         const duePrompts = await getDueScheduledPrompts();
+        const deliveryQueue = await getDeliveryQueueStats();
         
         return res.status(200).json({
             success: true,
             data: {
                 status: 'healthy',
                 duePrompts: duePrompts.length,
+                deliveryQueue: deliveryQueue,
                 timestamp: new Date().toISOString()
             }
         });
@@ -570,354 +1233,3 @@ export async function healthCheck(req, res) {
         });
     }
 }
-
-/**
- * Get Discord settings for a pro key ID from database
- * @param {number} proKeyId - Pro key ID
- * @returns {Promise<Object|null>} - Discord settings or null
- */
-async function getDiscordSettings(proKeyId) {
-    try {
-        console.log(`🔍 Getting Discord settings for pro key ID: ${proKeyId}`);
-
-        // Get Discord integration settings from database
-        const settings = await getUserIntegrationSettings(proKeyId, 'discord');
-        
-        if (settings && settings.settings && settings.settings.webhookUrl) {
-            console.log(`✅ Found Discord webhook URL for pro key ID: ${proKeyId}`);
-            return {
-                webhookUrl: settings.settings.webhookUrl
-            };
-        }
-
-        // Fallback to environment variable for testing
-        const testWebhookUrl = process.env.TEST_DISCORD_WEBHOOK_URL;
-        if (testWebhookUrl) {
-            console.log('🧪 Using test Discord webhook URL from environment');
-            return {
-                webhookUrl: testWebhookUrl
-            };
-        }
-
-        console.warn(`⚠️ No Discord settings configured for pro key ID: ${proKeyId}`);
-        return null;
-    } catch (error) {
-        console.error('❌ Error getting Discord settings:', error);
-        return null;
-    }
-}
-
-/**
- * Get Telegram settings for a pro key ID from database
- * @param {number} proKeyId - Pro key ID
- * @returns {Promise<Object|null>} - Telegram settings or null
- */
-async function getTelegramSettings(proKeyId) {
-    try {
-        console.log(`🔍 Getting Telegram settings for pro key ID: ${proKeyId}`);
-
-        // Get Telegram integration settings from database
-        const settings = await getUserIntegrationSettings(proKeyId, 'telegram');
-        
-        if (settings && settings.settings && settings.settings.botToken && settings.settings.chatId) {
-            console.log(`✅ Found Telegram settings for pro key ID: ${proKeyId}`);
-            return {
-                botToken: settings.settings.botToken,
-                chatId: settings.settings.chatId
-            };
-        }
-
-        // Fallback to environment variables for testing
-        const testBotToken = process.env.TEST_TELEGRAM_BOT_TOKEN;
-        const testChatId = process.env.TEST_TELEGRAM_CHAT_ID;
-        
-        if (testBotToken && testChatId) {
-            console.log('🧪 Using test Telegram settings from environment');
-            return {
-                botToken: testBotToken,
-                chatId: testChatId
-            };
-        }
-
-        console.warn(`⚠️ No Telegram settings configured for pro key ID: ${proKeyId}`);
-        return null;
-    } catch (error) {
-        console.error('❌ Error getting Telegram settings:', error);
-        return null;
-    }
-}
-
-/**
- * Send analysis results to Discord via webhook
- * @param {Object} analysisData - The analysis data to send
- * @param {string} webhookUrl - Discord webhook URL
- * @returns {Promise<Object>} - Result of the send operation
- */
-async function sendAnalysisToDiscord(analysisData, webhookUrl) {
-    try {
-        if (!webhookUrl) {
-            throw new Error('Discord webhook URL is required');
-        }
-
-        const embed = formatAnalysisAsDiscordEmbed(analysisData);
-
-        const payload = {
-            content: "🤖 **Agent Hustle Pro Analyzer - Scheduled Analysis Results**",
-            embeds: [embed]
-        };
-
-        console.log(`🎮 Sending Discord webhook to: ${webhookUrl.substring(0, 50)}...`);
-
-        const response = await fetch(webhookUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(payload)
-        });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Discord webhook failed: ${response.status} - ${errorText}`);
-        }
-
-        return {
-            success: true,
-            message: 'Successfully sent to Discord'
-        };
-
-    } catch (error) {
-        console.error('Error sending to Discord:', error);
-        return {
-            success: false,
-            error: error.message
-        };
-    }
-}
-
-/**
- * Send analysis results to Telegram
- * @param {Object} analysisData - The analysis data to send
- * @param {string} botToken - Telegram bot token
- * @param {string} chatId - Telegram chat ID
- * @returns {Promise<Object>} - Result of the send operation
- */
-async function sendAnalysisToTelegram(analysisData, botToken, chatId) {
-    try {
-        if (!botToken || !chatId) {
-            throw new Error('Bot token and chat ID are required');
-        }
-
-        const message = formatAnalysisAsMarkdown(analysisData);
-
-        // Send the message to Telegram
-        const result = await sendTelegramMessage(botToken, chatId, message);
-
-        return {
-            success: true,
-            messageId: result.messageId
-        };
-
-    } catch (error) {
-        console.error('Error sending to Telegram:', error);
-        return {
-            success: false,
-            error: error.message
-        };
-    }
-}
-
-/**
- * Send a message to Telegram using Bot API
- * @param {string} botToken - Bot token
- * @param {string} chatId - Chat ID
- * @param {string} message - Message text
- * @returns {Promise<Object>} - API response
- */
-async function sendTelegramMessage(botToken, chatId, message) {
-    const url = `https://api.telegram.org/bot${botToken}/sendMessage`;
-    
-    const payload = {
-        chat_id: chatId,
-        text: message,
-        parse_mode: 'HTML',
-        disable_web_page_preview: true
-    };
-
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
-    });
-
-    const data = await response.json();
-
-    if (!response.ok) {
-        throw new Error(data.description || `HTTP ${response.status}`);
-    }
-
-    return {
-        success: true,
-        messageId: data.result.message_id
-    };
-}
-
-/**
- * Format analysis data as Discord embed
- * @param {Object} analysisData - Analysis data object
- * @returns {Object} - Discord embed object
- */
-function formatAnalysisAsDiscordEmbed(analysisData) {
-    const { analysisType, result, date } = analysisData;
-
-    const embed = {
-        title: `📊 ${analysisType || 'Analysis Report'}`,
-        description: result.summary || 'Automated analysis completed',
-        color: 0x667eea, // Purple color
-        timestamp: new Date(date || new Date()).toISOString(),
-        footer: {
-            text: "Agent Hustle Pro Analyzer - Scheduled Execution"
-        }
-    };
-
-    // Add main content
-    if (result.content) {
-        const content = result.content.length > 1000 
-            ? result.content.substring(0, 1000) + '...' 
-            : result.content;
-        
-        embed.fields = embed.fields || [];
-        embed.fields.push({
-            name: "📝 Analysis Results",
-            value: content,
-            inline: false
-        });
-    }
-
-    // Add key points
-    if (result.keyPoints && Array.isArray(result.keyPoints) && result.keyPoints.length > 0) {
-        embed.fields = embed.fields || [];
-        embed.fields.push({
-            name: "🔑 Key Points",
-            value: result.keyPoints.map((point, index) => `${index + 1}. ${point}`).join('\n'),
-            inline: false
-        });
-    }
-
-    return embed;
-}
-
-/**
- * Format analysis data as HTML for Telegram
- * @param {Object} analysisData - Analysis data object
- * @returns {string} - Formatted HTML message
- */
-function formatAnalysisAsMarkdown(analysisData) {
-    const { analysisType, result, date } = analysisData;
-
-    let message = `🤖 <b>Agent Hustle Analysis Report</b>\n\n`;
-
-    // Add analysis type and date
-    message += `📊 <b>Analysis Type:</b> ${analysisType || 'General Analysis'}\n`;
-    message += `📅 <b>Generated:</b> ${formatDateForTelegram(date || new Date())}\n`;
-    message += `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
-    
-    // Add executive summary if available
-    if (result.summary && result.summary.trim()) {
-        message += `📋 <b>Executive Summary</b>\n`;
-        message += `${cleanHtmlForTelegram(result.summary.trim())}\n\n`;
-        message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
-    }
-
-    // Add main analysis content
-    if (result.content && result.content.trim()) {
-        message += `📝 <b>Detailed Analysis</b>\n`;
-        const cleanContent = cleanAnalysisContent(result.content);
-        message += `${cleanHtmlForTelegram(cleanContent)}\n\n`;
-        message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
-    }
-
-    // Add key points if available
-    if (result.keyPoints && Array.isArray(result.keyPoints) && result.keyPoints.length > 0) {
-        message += `🔑 <b>Key Insights</b>\n`;
-        result.keyPoints.forEach((point, index) => {
-            const cleanPoint = point.trim();
-            if (cleanPoint) {
-                message += `${index + 1}. ${cleanHtmlForTelegram(cleanPoint)}\n`;
-            }
-        });
-        message += '\n';
-        message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
-    }
-
-    // Add footer with branding
-    message += `🚀 <b>Powered by Agent Hustle Pro</b>\n`;
-    message += `<i>Professional AI Analysis at Your Fingertips</i>`;
-
-    return message;
-}
-
-/**
- * Clean and format analysis content for better readability
- * @param {string} content - Raw analysis content
- * @returns {string} - Cleaned content
- */
-function cleanAnalysisContent(content) {
-    if (!content || typeof content !== 'string') {
-        return '';
-    }
-
-    let cleaned = content.trim();
-
-    // Remove excessive whitespace and normalize line breaks
-    cleaned = cleaned.replace(/\n\s*\n\s*\n/g, '\n\n');
-    cleaned = cleaned.replace(/[ \t]+/g, ' ');
-
-    // Clean up any HTML tags that might be present
-    cleaned = cleaned.replace(/<[^>]*>/g, '');
-
-    // Use more of Telegram's 4096 character limit (leave buffer for headers/footers)
-    if (cleaned.length > 4000) {
-        cleaned = cleaned.substring(0, 4000) + '...\n\n_[Content truncated - message too long for Telegram]_';
-    }
-
-    return cleaned.trim();
-}
-
-/**
- * Clean HTML for Telegram while preserving readability
- * @param {string} text - Text to clean
- * @returns {string} - Cleaned text
- */
-function cleanHtmlForTelegram(text) {
-    if (!text || typeof text !== 'string') {
-        return '';
-    }
-
-    // Escape HTML special characters for Telegram
-    return text
-        .replace(/&/g, '&amp;')   // Escape ampersands first
-        .replace(/</g, '&lt;')    // Escape less than
-        .replace(/>/g, '&gt;')    // Escape greater than
-        .replace(/"/g, '&quot;')  // Escape quotes
-        .replace(/'/g, '&#x27;'); // Escape single quotes
-}
-
-/**
- * Format date for Telegram display
- * @param {Date} date - Date to format
- * @returns {string} - Formatted date string
- */
-function formatDateForTelegram(date) {
-    return new Date(date).toLocaleString('en-US', {
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        hour12: false
-    });
-} 
\ No newline at end of file
@@ -0,0 +1,284 @@
+// Trial API Endpoints
+// Self-service trial keys and their upgrade to paid pro keys
+
+import crypto from 'crypto';
+import { createProKey } from '../db/admin-queries.js';
+import { registerKeyDevice } from '../db/device-queries.js';
+import { getKeyEntitlements } from '../db/entitlement-queries.js';
+import {
+    countTrialIssuances,
+    claimTrialIssuance,
+    attachTrialKey,
+    releaseTrialIssuance,
+    convertTrialKey
+} from '../db/trial-queries.js';
+import { issueSessionTokens } from './auth.js';
+import { validateGuardedKey, rejectBlockedAttempt } from './brute-force.js';
+import { createKeyHash } from '../services/key-hashing.js';
+import { getSeatLimit, hashDeviceId, isValidDeviceId, normalizeDeviceName } from '../services/device-seats.js';
+import { getMembershipStatus, getGraceDays } from '../services/membership.js';
+import {
+    TRIAL_TIER,
+    TRIAL_POLICY,
+    getTrialFingerprints,
+    getTrialLimitError,
+    getTrialExpiry
+} from '../services/trials.js';
+import { getClientIP } from '../services/client-ip.js';
+
+/**
+ * Move a trial's schedules and settings to a paid key and retire the trial
+ * @param {Object} trialKeyData - pro_keys row of the trial
+ * @param {Object} paidKeyData - pro_keys row of the paid key
+ * @param {Object} context - { actor, ipAddress, userAgent, deviceId, deviceName } (deviceId registers the device on the paid key)
+ * @returns {Promise<Object>} - { schedules, integrations, deliveries, prompts, workflows, device }
+ */
+export async function convertTrialToKey(trialKeyData, paidKeyData, context) {
+    const moved = await convertTrialKey(trialKeyData.id, paidKeyData.id, {
+        actor: context.actor,
+        ipAddress: context.ipAddress,
+        reason: 'Trial upgraded to a paid key'
+    });
+
+    let device = null;
+    if (context.deviceId) {
+        const seatLimit = getSeatLimit(paidKeyData);
+        const registration = await registerKeyDevice(
+            paidKeyData.id,
+            hashDeviceId(paidKeyData.id, context.deviceId),
+            {
+                name: normalizeDeviceName(context.deviceName),
+                ipAddress: context.ipAddress,
+                userAgent: context.userAgent
+            },
+            seatLimit
+        );
+
+        device = registration.registered
+            ? { id: registration.device.id, name: registration.device.device_name, seatLimit, devicesUsed: registration.devicesUsed }
+            : null;
+
+        if (!registration.registered) {
+            console.log(`🚫 Device not moved from trial ${trialKeyData.id}, pro key ID ${paidKeyData.id} has no free seat`);
+        }
+    }
+
+    return { ...moved, device };
+}
+
+/**
+ * Start a trial on this device
+ * POST /api/trials
+ * Body: { deviceId, deviceName?, issueToken? }
+ */
+export async function startTrial(req, res) {
+    try {
+        const clientIP = getClientIP(req);
+        const { deviceId, deviceName, issueToken } = req.body || {};
+
+        if (!TRIAL_POLICY.enabled) {
+            return res.status(403).json({
+                success: false,
+                message: 'Trials are not available right now',
+                code: 'TRIALS_DISABLED'
+            });
+        }
+
+        if (!isValidDeviceId(deviceId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid device ID is required to start a trial',
+                code: 'INVALID_DEVICE_ID'
+            });
+        }
+
+        const { deviceHash, ipHash } = getTrialFingerprints(deviceId, clientIP);
+        const countIssuances = () => countTrialIssuances(deviceHash, ipHash, TRIAL_POLICY.ipWindowDays);
+        const limitError = getTrialLimitError(await countIssuances());
+
+        const issuanceId = limitError ? null : await claimTrialIssuance(deviceHash, ipHash, TRIAL_POLICY);
+
+        if (!issuanceId) {
+            // A parallel request may have taken the last trial between the count and the claim
+            const error = limitError
+                || getTrialLimitError(await countIssuances())
+                || getTrialLimitError({ device: 0, ip: Infinity });
+            console.log(`🚫 Trial refused (${error.code}) for IP: ${clientIP}`);
+
+            return res.status(403).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+
+        const plainKey = `hp_${crypto.randomBytes(24).toString('hex')}`;
+        let key;
+        try {
+            key = await createProKey({
+                ...(await createKeyHash(plainKey)),
+                tier: TRIAL_TIER,
+                expiresAt: getTrialExpiry(),
+                notes: 'Self-service trial'
+            }, { actor: 'trial', ipAddress: clientIP, reason: 'Self-service trial' });
+            await attachTrialKey(issuanceId, key.id);
+        } catch (createError) {
+            await releaseTrialIssuance(issuanceId);
+            throw createError;
+        }
+
+        const registration = await registerKeyDevice(
+            key.id,
+            hashDeviceId(key.id, deviceId),
+            {
+                name: normalizeDeviceName(deviceName),
+                ipAddress: clientIP,
+                userAgent: req.headers['user-agent'] || 'Unknown'
+            },
+            getSeatLimit(key)
+        );
+
+        const { overrides, ...entitlements } = await getKeyEntitlements(key.id);
+        const membership = getMembershipStatus(key.expires_at, new Date(), getGraceDays(TRIAL_TIER));
+
+        let session;
+        if (issueToken === true) {
+            try {
+                session = await issueSessionTokens(key, req, registration.device?.id);
+            } catch (sessionError) {
+                console.warn('⚠️ Session token issue failed, returning trial key only:', sessionError.message);
+                session = null;
+            }
+        }
+
+        console.log(`🎓 Trial key ${key.id} issued to IP: ${clientIP}`);
+
+        return res.status(201).json({
+            success: true,
+            isPro: true,
+            message: `Trial started. It ends in ${TRIAL_POLICY.lifetimeDays} days.`,
+            key: plainKey, // Only returned once
+            membershipDetails: {
+                status: membership.status,
+                tier: TRIAL_TIER,
+                createdAt: key.created_at,
+                expiresAt: key.expires_at,
+                daysRemaining: membership.daysRemaining,
+                isExpired: false,
+                isTrial: true,
+                entitlements: { ...entitlements, deviceSeats: getSeatLimit(key) }
+            },
+            device: {
+                id: registration.device.id,
+                name: registration.device.device_name,
+                isNew: true,
+                seatLimit: getSeatLimit(key),
+                devicesUsed: registration.devicesUsed
+            },
+            session: session
+        });
+
+    } catch (error) {
+        console.error('❌ Error starting trial:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to start trial',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Upgrade a trial to a paid pro key, moving its schedules, integration settings and device
+ * POST /api/trials/upgrade
+ * Body: { trialKey, proKey, deviceId?, deviceName? } (a trial session token can replace trialKey)
+ * Expired trials can still be upgraded
+ */
+export async function upgradeTrial(req, res) {
+    try {
+        const clientIP = getClientIP(req);
+        const { trialKey, proKey, deviceId, deviceName } = req.body || {};
+
+        if (!proKey || (!trialKey && req.proKeyData?.tier !== TRIAL_TIER)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: trialKey, proKey'
+            });
+        }
+
+        if (deviceId !== undefined && !isValidDeviceId(deviceId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid device ID',
+                code: 'INVALID_DEVICE_ID'
+            });
+        }
+
+        // Both keys are raw keys, so unknown ones count toward brute-force bans
+        let trial = req.proKeyData?.tier === TRIAL_TIER ? req.proKeyData : null;
+
+        if (!trial) {
+            const trialAttempt = await validateGuardedKey(req, String(trialKey));
+            if (trialAttempt.blocked) {
+                return rejectBlockedAttempt(res, trialAttempt.blocked);
+            }
+            trial = trialAttempt.result.keyData;
+        }
+
+        if (!trial || trial.tier !== TRIAL_TIER) {
+            return res.status(400).json({
+                success: false,
+                message: 'Trial key not found or already upgraded',
+                code: 'INVALID_TRIAL_KEY'
+            });
+        }
+
+        const paidAttempt = await validateGuardedKey(req, String(proKey));
+        if (paidAttempt.blocked) {
+            return rejectBlockedAttempt(res, paidAttempt.blocked);
+        }
+
+        const paid = paidAttempt.result;
+
+        if (!paid.isValid || paid.keyData.tier === TRIAL_TIER) {
+            return res.status(400).json({
+                success: false,
+                message: paid.isValid ? 'Trials can only be upgraded to a paid pro key' : 'Invalid or expired pro key',
+                code: 'INVALID_PRO_KEY'
+            });
+        }
+
+        const moved = await convertTrialToKey(trial, paid.keyData, {
+            actor: 'trial-upgrade',
+            ipAddress: clientIP,
+            userAgent: req.headers['user-agent'] || 'Unknown',
+            deviceId: deviceId,
+            deviceName: deviceName
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Trial upgraded. Use your pro key from now on.',
+            data: {
+                moved: {
+                    schedules: moved.schedules,
+                    integrations: moved.integrations,
+                    deliveries: moved.deliveries,
+                    prompts: moved.prompts,
+                    workflows: moved.workflows
+                },
+                device: moved.device
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error upgrading trial:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to upgrade trial',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
@@ -1,33 +1,48 @@
 // User Integration Settings API Endpoints
-// Handles Discord and Telegram settings management for pro key users
+// Handles Discord, Telegram, Slack, email and webhook settings management for pro key users
 
 import { 
     getUserIntegrationSettings, 
     saveUserIntegrationSettings, 
     deleteUserIntegrationSettings,
     getAllUserIntegrationSettings,
+    getCustomerEmail,
     validateKey 
 } from '../db/queries.js';
+import {
+    getRecipientConfirmations,
+    countRecentRecipientConfirmations,
+    createRecipientConfirmation
+} from '../db/account-queries.js';
+import { buildWebhookPayload, postSignedWebhook, sendAnalysisToEmail, sendNoticeToEmail } from '../services/integrations.js';
+import { isEmailConfigured, validateEmailSettings } from '../services/email.js';
+import { resolveEmailRecipients } from '../services/delivery-outbox.js';
+import {
+    RECIPIENT_CONFIRMATION_TTL_HOURS,
+    MAX_RECIPIENT_CONFIRMATIONS_PER_DAY,
+    createRecipientConfirmationToken,
+    formatRecipientConfirmationNotice
+} from '../services/account.js';
+import { SIGNATURE_HEADER, TIMESTAMP_HEADER } from '../services/webhook-signature.js';
+import { assertPublicWebhookTarget, isLocalDevelopmentHost } from '../services/webhook-target.js';
+import { getClientIP } from '../services/client-ip.js';
+
+export const INTEGRATION_TYPES = ['discord', 'telegram', 'slack', 'email', 'webhook'];
+const INVALID_TYPE_MESSAGE = `Invalid integration type. Must be one of: ${INTEGRATION_TYPES.map(type => `"${type}"`).join(', ')}`;
+
+// Headers users may not set on their webhook because we control them
+const RESERVED_WEBHOOK_HEADERS = ['content-type', 'content-length', 'host', 'user-agent',
+    SIGNATURE_HEADER.toLowerCase(), TIMESTAMP_HEADER.toLowerCase()];
 
 /**
- * Get client IP address from request headers
+ * Validate pro key and get user data
+ * Requests authenticated with a session token use the token's key instead of the raw key
  */
-function getClientIP(req) {
-    const forwarded = req.headers['x-forwarded-for'];
-    const realIP = req.headers['x-real-ip'];
-    const cfConnectingIP = req.headers['cf-connecting-ip'];
-
-    if (forwarded) {
-        return forwarded.split(',')[0].trim();
+async function validateProKey(req, key) {
+    if (req.proKeyData) {
+        return req.proKeyData;
     }
 
-    return realIP || cfConnectingIP || req.connection?.remoteAddress || req.ip || 'unknown';
-}
-
-/**
- * Validate pro key and get user data
- */
-async function validateProKey(key) {
     if (!key) {
         throw new Error('Pro key is required');
     }
@@ -55,6 +70,21 @@ function isValidDiscordWebhook(webhookUrl) {
     return discordWebhookRegex.test(webhookUrl);
 }
 
+/**
+ * Validate Slack incoming webhook URL
+ * @param {string} webhookUrl - Slack webhook URL
+ * @returns {boolean} - True if valid
+ */
+function isValidSlackWebhook(webhookUrl) {
+    if (!webhookUrl || typeof webhookUrl !== 'string') {
+        return false;
+    }
+
+    // Incoming webhook URLs look like https://hooks.slack.com/services/T000/B000/XXXX
+    const slackWebhookRegex = /^https:\/\/hooks\.slack\.com\/services\/[A-Z0-9]+\/[A-Z0-9]+\/[A-Za-z0-9]+$/;
+    return slackWebhookRegex.test(webhookUrl);
+}
+
 /**
  * Validate Telegram settings
  * @param {Object} settings - Telegram settings object
@@ -81,6 +111,125 @@ function isValidTelegramSettings(settings) {
     return true;
 }
 
+/**
+ * Validate generic webhook settings
+ * @param {Object} settings - Webhook settings { url, secret, headers }
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateWebhookSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        return 'Webhook settings are required';
+    }
+
+    const { url, secret, headers } = settings;
+
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return 'Invalid webhook URL';
+    }
+
+    // Plain http is only allowed for local development receivers
+    if (parsedUrl.protocol !== 'https:' && !(parsedUrl.protocol === 'http:' && isLocalDevelopmentHost(parsedUrl.hostname))) {
+        return 'Webhook URL must use https';
+    }
+
+    if (!secret || typeof secret !== 'string' || secret.length < 16) {
+        return 'Webhook secret must be at least 16 characters';
+    }
+
+    if (headers !== undefined) {
+        if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+            return 'Webhook headers must be an object of header names to values';
+        }
+
+        const entries = Object.entries(headers);
+        if (entries.length > 20) {
+            return 'Webhook headers are limited to 20 entries';
+        }
+
+        for (const [name, value] of entries) {
+            if (!/^[A-Za-z0-9-]+$/.test(name) || typeof value !== 'string') {
+                return `Invalid webhook header: ${name}`;
+            }
+            if (RESERVED_WEBHOOK_HEADERS.includes(name.toLowerCase())) {
+                return `Webhook header ${name} is set automatically and can't be overridden`;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check integration settings before they are saved
+ * Webhook hosts are resolved here, so saving one that points at a private address fails
+ * @param {string} integrationType - Integration type
+ * @param {Object} settings - Settings from the request body
+ * @returns {Promise<string|null>} - Error message, or null if valid
+ */
+export async function validateIntegrationSettings(integrationType, settings) {
+    if (integrationType === 'discord') {
+        return settings?.webhookUrl && isValidDiscordWebhook(settings.webhookUrl) ? null : 'Invalid Discord webhook URL format';
+    }
+
+    if (integrationType === 'telegram') {
+        return isValidTelegramSettings(settings) ? null : 'Invalid Telegram settings. Bot token and chat ID are required';
+    }
+
+    if (integrationType === 'slack') {
+        return settings?.webhookUrl && isValidSlackWebhook(settings.webhookUrl) ? null : 'Invalid Slack webhook URL format';
+    }
+
+    if (integrationType === 'email') {
+        return validateEmailSettings(settings);
+    }
+
+    if (integrationType === 'webhook') {
+        const webhookError = validateWebhookSettings(settings);
+        if (webhookError) {
+            return webhookError;
+        }
+
+        try {
+            await assertPublicWebhookTarget(settings.url);
+        } catch (error) {
+            return error.message;
+        }
+
+        return null;
+    }
+
+    return INVALID_TYPE_MESSAGE;
+}
+
+/**
+ * Mask secrets before settings are returned to the client
+ * @param {string} integrationType - Integration type
+ * @param {Object} settings - Stored settings
+ * @returns {Object} - Copy of the settings with secrets masked
+ */
+export function maskSettings(integrationType, settings) {
+    const masked = { ...settings };
+
+    if (integrationType === 'telegram' && masked.botToken) {
+        masked.botToken = masked.botToken.substring(0, 10) + '...';
+    }
+
+    if (integrationType === 'webhook') {
+        if (masked.secret) {
+            masked.secret = masked.secret.substring(0, 4) + '...';
+        }
+        if (masked.headers) {
+            // Custom headers often carry credentials, so only their names are shown
+            masked.headers = Object.fromEntries(Object.keys(masked.headers).map(name => [name, '...']));
+        }
+    }
+
+    return masked;
+}
+
 /**
  * Get user integration settings
  * GET /api/user-settings/:proKey/:integrationType
@@ -90,7 +239,7 @@ export async function getUserSettings(req, res) {
         // Set CORS headers
         res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization');
         
         const { proKey, integrationType } = req.params;
         const clientIP = getClientIP(req);
@@ -98,15 +247,15 @@ export async function getUserSettings(req, res) {
         console.log(`🔍 Getting ${integrationType} settings request from IP: ${clientIP}`);
 
         // Validate integration type
-        if (!['discord', 'telegram'].includes(integrationType)) {
+        if (!INTEGRATION_TYPES.includes(integrationType)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid integration type. Must be "discord" or "telegram"'
+                message: INVALID_TYPE_MESSAGE
             });
         }
 
         // Validate pro key
-        const userData = await validateProKey(proKey);
+        const userData = await validateProKey(req, proKey);
 
         // Get integration settings
         const settings = await getUserIntegrationSettings(userData.id, integrationType);
@@ -121,10 +270,7 @@ export async function getUserSettings(req, res) {
 
         // Remove sensitive data from response
         const responseSettings = { ...settings };
-        if (integrationType === 'telegram' && responseSettings.settings.botToken) {
-            // Mask bot token for security
-            responseSettings.settings.botToken = responseSettings.settings.botToken.substring(0, 10) + '...';
-        }
+        responseSettings.settings = maskSettings(integrationType, settings.settings);
 
         return res.status(200).json({
             success: true,
@@ -143,6 +289,52 @@ export async function getUserSettings(req, res) {
     }
 }
 
+/**
+ * Ask new email recipients to confirm they want analysis emails
+ * Analysis emails only go to the account email and confirmed recipients, so saving an address
+ * sends it a confirmation token instead of mail it never asked for.
+ * @param {Object} owner - { proKeyId } for a key's own settings or { organizationId } for shared settings
+ * @param {Array<string>} recipients - Recipients from the saved email settings
+ * @param {string|null} accountEmail - Email of the customer saving the settings, which needs no confirmation
+ * @returns {Promise<Array<string>>} - Recipients still waiting for confirmation
+ */
+export async function requestRecipientConfirmations(owner, recipients, accountEmail) {
+    const confirmations = await getRecipientConfirmations(owner);
+    const unconfirmed = [...new Set((recipients || []).map(email => email.toLowerCase()))]
+        .filter(email => email !== accountEmail?.toLowerCase() && confirmations.get(email) !== 'confirmed');
+
+    if (!isEmailConfigured()) {
+        return unconfirmed;
+    }
+
+    let sent = await countRecentRecipientConfirmations(owner);
+
+    for (const email of unconfirmed) {
+        // Recipients with a token that is still valid already have their email
+        if (confirmations.has(email) || sent >= MAX_RECIPIENT_CONFIRMATIONS_PER_DAY) {
+            continue;
+        }
+
+        const { token, tokenHash } = createRecipientConfirmationToken();
+        const result = await sendNoticeToEmail(formatRecipientConfirmationNotice({
+            token: token,
+            email: email,
+            expiresAt: new Date(Date.now() + RECIPIENT_CONFIRMATION_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+            confirmUrl: process.env.EMAIL_RECIPIENT_CONFIRM_URL
+        }), [email]);
+
+        if (!result.success) {
+            console.error(`❌ Recipient confirmation email failed: ${result.error}`);
+            continue;
+        }
+
+        await createRecipientConfirmation(owner, email, tokenHash, RECIPIENT_CONFIRMATION_TTL_HOURS);
+        sent++;
+    }
+
+    return unconfirmed;
+}
+
 /**
  * Save user integration settings
  * POST /api/user-settings/:proKey/:integrationType
@@ -152,7 +344,7 @@ export async function saveUserSettings(req, res) {
         // Set CORS headers
         res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization');
         
         const { proKey, integrationType } = req.params;
         const settings = req.body;
@@ -161,31 +353,23 @@ export async function saveUserSettings(req, res) {
         console.log(`💾 Saving ${integrationType} settings request from IP: ${clientIP}`);
 
         // Validate integration type
-        if (!['discord', 'telegram'].includes(integrationType)) {
+        if (!INTEGRATION_TYPES.includes(integrationType)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid integration type. Must be "discord" or "telegram"'
+                message: INVALID_TYPE_MESSAGE
             });
         }
 
         // Validate pro key
-        const userData = await validateProKey(proKey);
+        const userData = await validateProKey(req, proKey);
 
         // Validate settings based on integration type
-        if (integrationType === 'discord') {
-            if (!settings.webhookUrl || !isValidDiscordWebhook(settings.webhookUrl)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid Discord webhook URL format'
-                });
-            }
-        } else if (integrationType === 'telegram') {
-            if (!isValidTelegramSettings(settings)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid Telegram settings. Bot token and chat ID are required'
-                });
-            }
+        const settingsError = await validateIntegrationSettings(integrationType, settings);
+        if (settingsError) {
+            return res.status(400).json({
+                success: false,
+                message: settingsError
+            });
         }
 
         // Save settings
@@ -193,10 +377,16 @@ export async function saveUserSettings(req, res) {
 
         console.log(`✅ ${integrationType} settings ${result.action} for pro key ID: ${userData.id}`);
 
+        const pendingRecipients = integrationType === 'email'
+            ? await requestRecipientConfirmations({ proKeyId: userData.id }, settings.recipients, await getCustomerEmail(userData.id))
+            : [];
+
         return res.status(result.action === 'created' ? 201 : 200).json({
             success: true,
-            data: result,
-            message: `${integrationType} settings ${result.action} successfully`
+            data: integrationType === 'email' ? { ...result, pendingRecipients } : result,
+            message: pendingRecipients.length > 0
+                ? `${integrationType} settings ${result.action} successfully. ${pendingRecipients.length} recipient(s) get emails once they confirm the address.`
+                : `${integrationType} settings ${result.action} successfully`
         });
 
     } catch (error) {
@@ -219,7 +409,7 @@ export async function deleteUserSettings(req, res) {
         // Set CORS headers
         res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization');
         
         const { proKey, integrationType } = req.params;
         const clientIP = getClientIP(req);
@@ -227,15 +417,15 @@ export async function deleteUserSettings(req, res) {
         console.log(`🗑️ Deleting ${integrationType} settings request from IP: ${clientIP}`);
 
         // Validate integration type
-        if (!['discord', 'telegram'].includes(integrationType)) {
+        if (!INTEGRATION_TYPES.includes(integrationType)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid integration type. Must be "discord" or "telegram"'
+                message: INVALID_TYPE_MESSAGE
             });
         }
 
         // Validate pro key
-        const userData = await validateProKey(proKey);
+        const userData = await validateProKey(req, proKey);
 
         // Delete settings
         const deleted = await deleteUserIntegrationSettings(userData.id, integrationType);
@@ -274,7 +464,7 @@ export async function getAllUserSettings(req, res) {
         // Set CORS headers
         res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization');
         
         const { proKey } = req.params;
         const clientIP = getClientIP(req);
@@ -282,19 +472,16 @@ export async function getAllUserSettings(req, res) {
         console.log(`📋 Getting all integration settings request from IP: ${clientIP}`);
 
         // Validate pro key
-        const userData = await validateProKey(proKey);
+        const userData = await validateProKey(req, proKey);
 
         // Get all integration settings
         const allSettings = await getAllUserIntegrationSettings(userData.id);
 
         // Mask sensitive data for response
-        const maskedSettings = allSettings.map(setting => {
-            const masked = { ...setting };
-            if (setting.integration_type === 'telegram' && setting.settings.botToken) {
-                masked.settings.botToken = setting.settings.botToken.substring(0, 10) + '...';
-            }
-            return masked;
-        });
+        const maskedSettings = allSettings.map(setting => ({
+            ...setting,
+            settings: maskSettings(setting.integration_type, setting.settings)
+        }));
 
         return res.status(200).json({
             success: true,
@@ -322,7 +509,7 @@ export async function testUserSettings(req, res) {
         // Set CORS headers
         res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization');
         
         const { proKey, integrationType } = req.params;
         const clientIP = getClientIP(req);
@@ -330,15 +517,15 @@ export async function testUserSettings(req, res) {
         console.log(`🧪 Testing ${integrationType} settings request from IP: ${clientIP}`);
 
         // Validate integration type
-        if (!['discord', 'telegram'].includes(integrationType)) {
+        if (!INTEGRATION_TYPES.includes(integrationType)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid integration type. Must be "discord" or "telegram"'
+                message: INVALID_TYPE_MESSAGE
             });
         }
 
         // Validate pro key
-        const userData = await validateProKey(proKey);
+        const userData = await validateProKey(req, proKey);
 
         // Get integration settings
         const settings = await getUserIntegrationSettings(userData.id, integrationType);
@@ -357,6 +544,12 @@ export async function testUserSettings(req, res) {
             testResult = await testDiscordWebhook(settings.settings.webhookUrl);
         } else if (integrationType === 'telegram') {
             testResult = await testTelegramBot(settings.settings.botToken, settings.settings.chatId);
+        } else if (integrationType === 'slack') {
+            testResult = await testSlackWebhook(settings.settings.webhookUrl);
+        } else if (integrationType === 'email') {
+            testResult = await testEmail(userData.id, settings.settings);
+        } else if (integrationType === 'webhook') {
+            testResult = await testWebhook(settings.settings);
         }
 
         return res.status(200).json({
@@ -470,12 +663,135 @@ async function testTelegramBot(botToken, chatId) {
     }
 }
 
+/**
+ * Test Slack incoming webhook
+ * @param {string} webhookUrl - Slack webhook URL
+ * @returns {Promise<Object>} - Test result
+ */
+async function testSlackWebhook(webhookUrl) {
+    try {
+        const testPayload = {
+            text: "🧪 Test Message from Agent Hustle Pro",
+            blocks: [
+                {
+                    type: "header",
+                    text: { type: "plain_text", text: "🧪 Integration Test", emoji: true }
+                },
+                {
+                    type: "section",
+                    text: { type: "mrkdwn", text: "If you're seeing this, your *Slack* integration is working correctly!" }
+                }
+            ]
+        };
+
+        const response = await fetch(webhookUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(testPayload)
+        });
+
+        if (response.ok) {
+            return {
+                success: true,
+                message: 'Slack webhook test successful'
+            };
+        } else {
+            // Slack explains rejections in a plain-text body, e.g. "invalid_token"
+            const errorText = await response.text();
+            return {
+                success: false,
+                message: `Slack webhook test failed: ${response.status} ${errorText}`.trim()
+            };
+        }
+    } catch (error) {
+        return {
+            success: false,
+            message: `Slack webhook test error: ${error.message}`
+        };
+    }
+}
+
+/**
+ * Test email delivery by sending a sample analysis to the account email and confirmed recipients
+ * @param {number} proKeyId - Pro key ID, used to look up the account email
+ * @param {Object} settings - Email settings { recipients, includeAccountEmail }
+ * @returns {Promise<Object>} - Test result
+ */
+async function testEmail(proKeyId, settings) {
+    try {
+        if (!isEmailConfigured()) {
+            return {
+                success: false,
+                message: 'Email test failed: email delivery is not configured on this server'
+            };
+        }
+
+        const recipients = await resolveEmailRecipients(proKeyId, settings);
+        if (recipients.length === 0) {
+            return {
+                success: false,
+                message: 'Email test failed: no confirmed recipients configured'
+            };
+        }
+
+        const result = await sendAnalysisToEmail({
+            analysisType: 'Integration Test',
+            result: {
+                summary: "If you're reading this, your email integration is working correctly!",
+                content: 'Scheduled analysis results will arrive in this format.',
+                keyPoints: []
+            },
+            date: new Date().toISOString()
+        }, recipients);
+
+        return {
+            success: result.success,
+            message: result.success ? 'Email test successful' : `Email test failed: ${result.error}`,
+            recipients: recipients
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: `Email test error: ${error.message}`
+        };
+    }
+}
+
+/**
+ * Test generic webhook with a signed "test" event
+ * @param {Object} settings - Webhook settings { url, secret, headers }
+ * @returns {Promise<Object>} - Test result
+ */
+async function testWebhook(settings) {
+    try {
+        const payload = buildWebhookPayload('test', {
+            message: "If you're seeing this, your webhook integration is working correctly!"
+        });
+
+        const status = await postSignedWebhook(settings, payload);
+
+        return {
+            success: true,
+            message: 'Webhook test successful',
+            status: status,
+            eventId: payload.id
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: `Webhook test failed: ${error.message}`
+        };
+    }
+}
+
 /**
  * Handle OPTIONS requests for CORS
  */
 export async function handleOptions(req, res) {
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization');
     return res.status(200).end();
 } 
\ No newline at end of file
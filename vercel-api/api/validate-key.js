@@ -2,84 +2,31 @@
 // Supports membership tracking with expiration dates, tiers, and usage
 // Works with hashed keys for security and real database storage
 
-import crypto from 'crypto';
 import { validateKey, logKeyUsage } from '../db/queries.js';
-
-// Salt for hashing (should match your extension's salt)
-const PRO_SALT = 'AgentHustle2024ProSalt!@#$%^&*()_+SecureKey';
-
-// Rate limiting mechanism
-const rateLimitMap = new Map(); // Track requests by IP
-const RATE_LIMIT_WINDOW = 10000; // 10 seconds
-const MAX_REQUESTS_PER_WINDOW = 3; // Max 3 requests per 10 seconds per IP
-
-/**
- * Hash a key using the same algorithm as the extension
- * @param {string} key - Plain text key
- * @param {string} salt - Salt for hashing
- * @returns {string} - Hashed key
- */
-function hashKey(key, salt = PRO_SALT) {
-    return crypto.createHash('sha256').update(key + salt).digest('hex');
-}
-
-/**
- * Check if request should be rate limited
- * @param {string} clientIP - Client IP address
- * @returns {boolean} - True if rate limited
- */
-function isRateLimited(clientIP) {
-    const now = Date.now();
-    const key = clientIP;
-    
-    if (!rateLimitMap.has(key)) {
-        rateLimitMap.set(key, { count: 1, firstRequest: now });
-        return false;
-    }
-    
-    const rateData = rateLimitMap.get(key);
-    
-    // Reset window if enough time has passed
-    if (now - rateData.firstRequest > RATE_LIMIT_WINDOW) {
-        rateLimitMap.set(key, { count: 1, firstRequest: now });
-        return false;
-    }
-    
-    // Check if limit exceeded
-    if (rateData.count >= MAX_REQUESTS_PER_WINDOW) {
-        console.log(`🚫 Rate limit exceeded for IP: ${clientIP} (${rateData.count} requests)`);
-        return true;
-    }
-    
-    // Increment counter
-    rateData.count++;
-    return false;
-}
-
-/**
- * Get client IP address from request headers
- * @param {Request} req - Express request object
- * @returns {string} - Client IP address
- */
-function getClientIP(req) {
-    // Check various headers for the real IP (considering proxies/CDNs)
-    const forwarded = req.headers['x-forwarded-for'];
-    const realIP = req.headers['x-real-ip'];
-    const cfConnectingIP = req.headers['cf-connecting-ip']; // Cloudflare
-    
-    if (forwarded) {
-        // x-forwarded-for can contain multiple IPs, take the first one
-        return forwarded.split(',')[0].trim();
-    }
-    
-    return realIP || cfConnectingIP || req.connection?.remoteAddress || req.ip || 'unknown';
-}
+import { issueSessionTokens } from './auth.js';
+import { TRIAL_TIER } from '../services/trials.js';
+import { registerKeyDevice } from '../db/device-queries.js';
+import { getKeyEntitlements } from '../db/entitlement-queries.js';
+import {
+    REQUIRE_DEVICE_ID,
+    getSeatLimit,
+    hashDeviceId,
+    isValidDeviceId,
+    normalizeDeviceName
+} from '../services/device-seats.js';
+import {
+    getRequestAttemptSubjects,
+    checkAttemptAllowed,
+    recordFailedAttempt,
+    rejectBlockedAttempt
+} from './brute-force.js';
+import { getClientIP } from '../services/client-ip.js';
 
 export default async function handler(req, res) {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization');
     
     // Handle preflight requests
     if (req.method === 'OPTIONS') {
@@ -95,21 +42,12 @@ export default async function handler(req, res) {
     }
     
     try {
-        // Get client IP and check rate limiting
+        // Rate limiting is applied by the rateLimit('validate-key') middleware in app.js
         const clientIP = getClientIP(req);
         
-        if (isRateLimited(clientIP)) {
-            return res.status(429).json({
-                success: false,
-                message: 'Rate limit exceeded. Please wait before making another request.',
-                rateLimited: true,
-                retryAfter: Math.ceil(RATE_LIMIT_WINDOW / 1000) // seconds
-            });
-        }
-        
         console.log(`🔍 Validation request from IP: ${clientIP}`);
         
-        const { key, action } = req.body;
+        const { key, action, issueToken, deviceId, deviceName } = req.body;
         
         if (!key) {
             return res.status(400).json({
@@ -125,10 +63,72 @@ export default async function handler(req, res) {
             });
         }
         
+        if (deviceId === undefined && REQUIRE_DEVICE_ID) {
+            return res.status(400).json({
+                success: false,
+                message: 'Device ID is required. Please update the extension.',
+                code: 'DEVICE_ID_REQUIRED'
+            });
+        }
+        
+        if (deviceId !== undefined && !isValidDeviceId(deviceId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid device ID',
+                code: 'INVALID_DEVICE_ID'
+            });
+        }
+        
+        // Refuse attempts from banned or throttled clients before touching the key
+        const subjects = getRequestAttemptSubjects(req, key);
+        const blocked = await checkAttemptAllowed(subjects);
+        
+        if (blocked) {
+            console.log(`🚫 Validation blocked (${blocked.code}) for IP: ${clientIP}`);
+            return rejectBlockedAttempt(res, blocked);
+        }
+        
         // Validate the key against database
         const result = await validateKey(key);
         
         if (result.isValid) {
+            // Bind the key to this device, refusing new devices once every seat is taken
+            let device;
+            if (deviceId !== undefined) {
+                const seatLimit = getSeatLimit(result.keyData);
+                const registration = await registerKeyDevice(
+                    result.keyData.id,
+                    hashDeviceId(result.keyData.id, deviceId),
+                    {
+                        name: normalizeDeviceName(deviceName),
+                        ipAddress: clientIP,
+                        userAgent: req.headers['user-agent'] || 'Unknown'
+                    },
+                    seatLimit
+                );
+                
+                if (!registration.registered) {
+                    console.log(`🚫 Device limit reached for key ID ${result.keyData.id} (${registration.devicesUsed}/${seatLimit})`);
+                    
+                    return res.status(403).json({
+                        success: false,
+                        isPro: false,
+                        message: `This pro key is already active on ${registration.devicesUsed} of ${seatLimit} devices. Release a device to use it here.`,
+                        code: 'DEVICE_LIMIT_REACHED',
+                        seatLimit: seatLimit,
+                        devicesUsed: registration.devicesUsed
+                    });
+                }
+                
+                device = {
+                    id: registration.device.id,
+                    name: registration.device.device_name,
+                    isNew: registration.isNew,
+                    seatLimit: seatLimit,
+                    devicesUsed: registration.devicesUsed
+                };
+            }
+            
             // Try to log successful usage, but don't fail if logging fails
             try {
                 await logKeyUsage(
@@ -143,35 +143,66 @@ export default async function handler(req, res) {
             
             console.log(`✅ Valid key used: ${result.keyData.notes?.substring(0, 30)}... (Usage: ${result.keyData.usage_count + 1})`);
             
-            // Calculate expiration details
-            const now = new Date();
-            const expiresAt = result.keyData.expires_at ? new Date(result.keyData.expires_at) : null;
-            const isExpired = expiresAt ? now > expiresAt : false;
-            const daysRemaining = expiresAt ? Math.max(0, Math.ceil((expiresAt - now) / (1000 * 60 * 60 * 24))) : null;
+            // Expiration details; expired keys still validate during their grace period
+            const membership = result.membership;
+            
+            // What the key's plan includes, so the extension can hide what it can't use
+            let entitlements;
+            try {
+                const { overrides, ...resolved } = await getKeyEntitlements(result.keyData.id);
+                entitlements = { ...resolved, deviceSeats: getSeatLimit(result.keyData) };
+            } catch (entitlementError) {
+                console.warn('⚠️ Entitlement lookup failed, returning validation without entitlements:', entitlementError.message);
+                entitlements = null;
+            }
+            
+            // Optional session tokens so later requests don't need to send the key
+            let session;
+            if (issueToken === true) {
+                try {
+                    session = await issueSessionTokens(result.keyData, req, device?.id);
+                } catch (sessionError) {
+                    console.warn('⚠️ Session token issue failed, returning validation only:', sessionError.message);
+                    session = null;
+                }
+            }
             
             return res.status(200).json({
                 success: true,
                 isPro: true,
-                message: 'Valid pro key',
+                message: membership.status === 'in_grace'
+                    ? 'Pro key expired, renew before the grace period ends'
+                    : 'Valid pro key',
                 membershipDetails: {
-                    status: isExpired ? 'expired' : 'active',
+                    status: membership.status,
                     tier: result.keyData.tier || 'pro',
                     usageCount: result.keyData.usage_count + 1,
                     lastUsed: new Date().toISOString(),
                     createdAt: result.keyData.created_at || null,
                     expiresAt: result.keyData.expires_at || null,
-                    daysRemaining: daysRemaining,
-                    isExpired: isExpired,
-                    notes: result.keyData.notes
-                }
+                    daysRemaining: membership.daysRemaining,
+                    isExpired: membership.isExpired,
+                    inGracePeriod: membership.status === 'in_grace',
+                    graceEndsAt: membership.graceEndsAt,
+                    graceDaysRemaining: membership.graceDaysRemaining,
+                    notes: result.keyData.notes,
+                    isTrial: result.keyData.tier === TRIAL_TIER,
+                    entitlements: entitlements
+                },
+                device: device,
+                session: session
             });
         } else {
             console.log(`❌ Invalid key attempt from IP: ${clientIP}`);
             
+            // Expired keys are real keys, only unknown keys count as guesses
+            const delay = result.keyData ? 0 : await recordFailedAttempt(subjects);
+            
             return res.status(200).json({
                 success: true,
                 isPro: false,
-                message: 'Invalid pro key'
+                message: 'Invalid pro key',
+                retryAfter: delay > 0 ? delay : undefined // seconds before the next attempt is accepted
             });
         }
         
@@ -184,13 +215,3 @@ export default async function handler(req, res) {
         });
     }
 }
-
-// Clean up old rate limit entries periodically
-setInterval(() => {
-    const now = Date.now();
-    for (const [key, data] of rateLimitMap.entries()) {
-        if (now - data.firstRequest > RATE_LIMIT_WINDOW * 2) {
-            rateLimitMap.delete(key);
-        }
-    }
-}, RATE_LIMIT_WINDOW); 
\ No newline at end of file
@@ -0,0 +1,285 @@
+// Workflow API Endpoints
+// Multi-step prompt workflows with conditions, scheduled through /api/scheduled-prompts with workflowId
+
+import { validateKey } from '../db/queries.js';
+import {
+    listWorkflows,
+    getWorkflow as getWorkflowRecord,
+    createWorkflow as createWorkflowRecord,
+    updateWorkflow as updateWorkflowRecord,
+    deleteWorkflow as deleteWorkflowRecord,
+    getWorkflowSchedules
+} from '../db/workflow-queries.js';
+import { parseWorkflowInput, validateWorkflowTemplates } from '../services/workflows.js';
+
+/**
+ * Get the pro key a request is for
+ * Requests authenticated with a session token use the token's key instead of the raw key
+ * @returns {Promise<Object|null>} - pro_keys row, or null if the key is invalid
+ */
+async function getRequestKey(req, key) {
+    if (req.proKeyData) {
+        return req.proKeyData;
+    }
+
+    if (!key || key === 'me') {
+        return null;
+    }
+
+    const result = await validateKey(key);
+    return result.isValid ? result.keyData : null;
+}
+
+/**
+ * Reject a request whose pro key is missing or invalid
+ */
+function rejectWorkflowKey(res) {
+    return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired pro key',
+        code: 'INVALID_PRO_KEY'
+    });
+}
+
+/**
+ * Get the requesting key and the workflow in the path, or send the error response
+ * @returns {Promise<Object|null>} - { keyData, workflow }, or null if a response was sent
+ */
+async function getKeyWorkflow(req, res) {
+    const keyData = await getRequestKey(req, req.params.proKey);
+    if (!keyData) {
+        rejectWorkflowKey(res);
+        return null;
+    }
+
+    const workflowId = Number(req.params.workflowId);
+    const workflow = Number.isInteger(workflowId) && workflowId > 0 ? await getWorkflowRecord(keyData.id, workflowId) : null;
+    if (!workflow) {
+        res.status(404).json({
+            success: false,
+            message: 'Workflow not found',
+            code: 'WORKFLOW_NOT_FOUND'
+        });
+        return null;
+    }
+
+    return { keyData, workflow };
+}
+
+/**
+ * Reject an invalid workflow body
+ */
+function rejectWorkflowInput(res, message) {
+    return res.status(400).json({
+        success: false,
+        message: message,
+        code: 'INVALID_WORKFLOW'
+    });
+}
+
+/**
+ * List the key's workflows
+ * GET /api/workflows/:proKey
+ */
+export async function getWorkflows(req, res) {
+    try {
+        const keyData = await getRequestKey(req, req.params.proKey);
+        if (!keyData) {
+            return rejectWorkflowKey(res);
+        }
+
+        const workflows = await listWorkflows(keyData.id);
+
+        return res.status(200).json({
+            success: true,
+            data: workflows,
+            count: workflows.length
+        });
+
+    } catch (error) {
+        console.error('❌ Error listing workflows:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to list workflows',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Save a workflow
+ * POST /api/workflows/:proKey
+ * Body: { name, description?, steps: [{ title, content, condition?, notify? }] }
+ * Step content may use {{ previous_output }} and {{ step_N_output }} for the outputs of earlier steps.
+ * condition is { type: 'keyword', value, caseSensitive? }, { type: 'regex', pattern, flags? }
+ * or { type: 'json', path, operator, value } and is checked against the step's own output.
+ * notify defaults to true for the last step only.
+ */
+export async function createWorkflow(req, res) {
+    try {
+        const keyData = await getRequestKey(req, req.params.proKey);
+        if (!keyData) {
+            return rejectWorkflowKey(res);
+        }
+
+        const input = parseWorkflowInput(req.body);
+        if (input.error) {
+            return rejectWorkflowInput(res, input.error);
+        }
+
+        const workflow = await createWorkflowRecord(keyData.id, input);
+
+        return res.status(201).json({
+            success: true,
+            message: 'Workflow saved',
+            data: workflow
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating workflow:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to save workflow',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Get a workflow with the active schedules that run it
+ * GET /api/workflows/:proKey/:workflowId
+ */
+export async function getWorkflow(req, res) {
+    try {
+        const found = await getKeyWorkflow(req, res);
+        if (!found) {
+            return;
+        }
+
+        const schedules = await getWorkflowSchedules(found.workflow.id);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                ...found.workflow,
+                schedules: schedules.map(schedule => ({
+                    id: schedule.id,
+                    status: schedule.status,
+                    scheduledTime: schedule.scheduled_time,
+                    displayTime: schedule.display_time,
+                    timezone: schedule.user_timezone,
+                    recurring: Boolean(schedule.recurrence_type)
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting workflow:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to get workflow',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Edit a workflow
+ * PUT /api/workflows/:proKey/:workflowId
+ * Body: { name?, description?, steps? }
+ * New steps replace the old ones from the next run of each schedule, so they must still
+ * render with the template variables of every active schedule that runs the workflow
+ */
+export async function updateWorkflow(req, res) {
+    try {
+        const found = await getKeyWorkflow(req, res);
+        if (!found) {
+            return;
+        }
+
+        const input = parseWorkflowInput(req.body, true);
+        if (input.error) {
+            return rejectWorkflowInput(res, input.error);
+        }
+
+        if (input.steps) {
+            for (const schedule of await getWorkflowSchedules(found.workflow.id)) {
+                let variables = {};
+                try {
+                    variables = JSON.parse(schedule.template_variables || '{}');
+                } catch (error) {
+                    console.warn(`⚠️ Invalid template variables JSON for schedule ${schedule.id}`);
+                }
+
+                const templateError = validateWorkflowTemplates(input.steps, variables);
+                if (templateError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Schedule ${schedule.id} can't run these steps. ${templateError}`,
+                        code: 'INVALID_TEMPLATE'
+                    });
+                }
+            }
+        }
+
+        await updateWorkflowRecord(found.workflow.id, input);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Workflow updated',
+            data: await getWorkflowRecord(found.keyData.id, found.workflow.id)
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating workflow:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update workflow',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Delete a workflow
+ * DELETE /api/workflows/:proKey/:workflowId
+ * Workflows run by pending or running schedules can't be deleted
+ */
+export async function deleteWorkflow(req, res) {
+    try {
+        const found = await getKeyWorkflow(req, res);
+        if (!found) {
+            return;
+        }
+
+        const deleted = await deleteWorkflowRecord(found.workflow.id);
+
+        if (!deleted) {
+            return res.status(409).json({
+                success: false,
+                message: 'Workflow is run by active schedules. Delete those schedules first.',
+                code: 'WORKFLOW_IN_USE'
+            });
+        }
+
+        console.log(`🗑️ Workflow ${found.workflow.id} deleted for pro key ID ${found.keyData.id}`);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Workflow deleted'
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting workflow:', error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to delete workflow',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
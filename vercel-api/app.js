@@ -8,6 +8,14 @@ import helmet from 'helmet';
 import dotenv from 'dotenv';
 import { testConnection } from './db/connection.js';
 import { checkDatabaseHealth } from './db/queries.js';
+import { mountApiRouters, listEndpoints } from './routes/index.js';
+import { initializeScheduler } from './services/scheduler.js';
+import { rateLimit, setRateLimitStore, createMemoryRateLimitStore } from './services/rate-limiter.js';
+import { createDatabaseRateLimitStore } from './db/rate-limit-queries.js';
+import { initRateLimitDatabase } from './db/init-rate-limits.js';
+import { initAdminDatabase } from './db/init-admin.js';
+import { initAccountDatabase } from './db/init-account.js';
+import { getClientIP, getTrustProxyHops } from './services/client-ip.js';
 
 // Load environment variables
 dotenv.config();
@@ -18,6 +26,20 @@ import validateKeyHandler from './api/validate-key.js';
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Run the automation scheduler in this process (disable on extra instances)
+const ENABLE_SCHEDULER = process.env.ENABLE_SCHEDULER === 'true';
+
+// Only believe X-Forwarded-For for the proxies in front of us (TRUST_PROXY_HOPS), so req.ip
+// is the address our own proxy saw and not whatever the client put in the header
+app.set('trust proxy', getTrustProxyHops());
+
+// Rate limit buckets live in the database so every instance shares them
+// (RATE_LIMIT_STORE=memory keeps them in this process, for local development)
+const USE_DATABASE_RATE_LIMITS = process.env.RATE_LIMIT_STORE !== 'memory';
+setRateLimitStore(USE_DATABASE_RATE_LIMITS
+    ? createDatabaseRateLimitStore()
+    : createMemoryRateLimitStore());
+
 // Security middleware
 app.use(helmet({
     crossOriginResourcePolicy: { policy: "cross-origin" }
@@ -28,19 +50,49 @@ app.use(cors({
     origin: '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'],
     credentials: false
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Billing webhook signatures cover the exact bytes received, so keep them for verification
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buffer) => {
+        if (req.originalUrl.startsWith('/api/billing/')) {
+            req.rawBody = buffer;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Paths that still accept a raw pro key as a path segment ("me" is used with session tokens)
+const PRO_KEY_PATH_PATTERNS = [
+    /^(\/api\/user-settings\/)([^/?]+)/,
+    /^(\/api\/devices\/)([^/?]+)/,
+    /^(\/api\/account\/)(?!confirm-email|confirm-recipient)([^/?]+)/,
+    /^(\/api\/organizations\/)([^/?]+)/,
+    /^(\/api\/prompts\/)([^/?]+)/,
+    /^(\/api\/workflows\/)([^/?]+)/,
+    /^(\/api\/scheduled-prompts\/(?:user|limit|deliveries|stats|\d+)\/)([^/?]+)/
+];
+
+/**
+ * Replace pro keys in a request URL so they never reach the logs
+ * @param {string} url - Request URL
+ * @returns {string} - URL with the key segment redacted
+ */
+function redactProKeys(url) {
+    return PRO_KEY_PATH_PATTERNS.reduce((redacted, pattern) => redacted.replace(pattern,
+        (match, prefix, segment) => segment === 'me' ? match : `${prefix}[redacted]`), url);
+}
+
 // Request logging middleware
 app.use((req, res, next) => {
     const timestamp = new Date().toISOString();
     const method = req.method;
-    const url = req.url;
-    const ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
+    const url = redactProKeys(req.url);
+    const ip = getClientIP(req);
     
     console.log(`[${timestamp}] ${method} ${url} - ${ip}`);
     next();
@@ -71,16 +123,13 @@ app.get('/', (req, res) => {
         name: 'HustlePlug Pro Validation API',
         version: '2.0.0-turso',
         status: 'running',
-        endpoints: {
-            validate: 'POST /api/validate-key',
-            health: 'GET /health'
-        },
+        endpoints: listEndpoints(app),
         timestamp: new Date().toISOString()
     });
 });
 
 // Main validation endpoint - maintains exact same path as Vercel
-app.post('/api/validate-key', async (req, res) => {
+app.post('/api/validate-key', rateLimit('validate-key'), async (req, res) => {
     try {
         // Convert Express req/res to match Vercel serverless function format
         await validateKeyHandler(req, res);
@@ -94,6 +143,9 @@ app.post('/api/validate-key', async (req, res) => {
     }
 });
 
+// Scheduled prompts and user settings APIs
+mountApiRouters(app);
+
 // Handle preflight requests for CORS
 app.options('*', (req, res) => {
     res.status(200).end();
@@ -104,11 +156,7 @@ app.use('*', (req, res) => {
     res.status(404).json({
         error: 'Not Found',
         message: 'The requested endpoint does not exist',
-        availableEndpoints: [
-            'POST /api/validate-key',
-            'GET /health',
-            'GET /'
-        ]
+        availableEndpoints: listEndpoints(app)
     });
 });
 
@@ -133,6 +181,19 @@ async function startServer() {
             console.error('❌ Failed to connect to Turso database. Please check your credentials.');
             process.exit(1);
         }
+
+        // The limiter lets requests through when its store fails, so a missing table would
+        // silently turn rate limiting off. Create it here and refuse to start if that fails.
+        if (USE_DATABASE_RATE_LIMITS) {
+            await initRateLimitDatabase();
+        }
+
+        // Key validation reads and rehashes the versioned hash columns on every request,
+        // so add them before serving instead of failing each validation
+        await initAdminDatabase();
+
+        // Email deliveries check recipient confirmations before sending
+        await initAccountDatabase();
         
         // Start the server
         app.listen(PORT, '0.0.0.0', () => {
@@ -140,6 +201,12 @@ async function startServer() {
             console.log(`📊 Health check: http://localhost:${PORT}/health`);
             console.log(`🔑 Validation endpoint: http://localhost:${PORT}/api/validate-key`);
             console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+            if (ENABLE_SCHEDULER) {
+                initializeScheduler();
+            } else {
+                console.log('⏸️ Automation scheduler disabled (set ENABLE_SCHEDULER=true to enable)');
+            }
         });
         
     } catch (error) {
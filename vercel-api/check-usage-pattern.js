@@ -106,6 +106,41 @@ async function investigateUsagePattern() {
             console.log('✅ No duplicate calls found');
         }
         
+        // 5. Check failed validations (brute-force protection)
+        console.log('\n🔐 Failed validations by IP (last 24 hours):');
+        const failures = await turso.execute(`
+            SELECT 
+                ip_address,
+                COUNT(*) as failure_count,
+                COUNT(DISTINCT key_prefix) as distinct_keys,
+                MAX(created_at) as last_failure
+            FROM validation_failures
+            WHERE created_at >= datetime('now', '-1 day')
+            GROUP BY ip_address
+            ORDER BY failure_count DESC
+            LIMIT 20
+        `);
+        
+        if (failures.rows.length > 0) {
+            failures.rows.forEach(row => {
+                console.log(`🚨 IP ${row.ip_address}: ${row.failure_count} failures, ${row.distinct_keys} different keys (last: ${row.last_failure})`);
+            });
+        } else {
+            console.log('✅ No failed validations');
+        }
+        
+        const bans = await turso.execute(`
+            SELECT subject_type, subject, reason, banned_until
+            FROM security_bans
+            WHERE cleared_at IS NULL AND banned_until > datetime('now')
+            ORDER BY banned_until DESC
+        `);
+        
+        console.log(`\n⛔ Active bans: ${bans.rows.length}`);
+        bans.rows.forEach(row => {
+            console.log(`   ${row.subject_type}: ${row.subject?.substring(0, 60)} until ${row.banned_until} (${row.reason})`);
+        });
+        
     } catch (error) {
         console.error('❌ Error investigating usage:', error);
     }
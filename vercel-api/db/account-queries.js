@@ -0,0 +1,250 @@
+// Account Database Queries
+// Customer profiles, confirmed email changes and confirmed email recipients for the self-service account endpoints
+
+import { turso } from './connection.js';
+
+/**
+ * Get the customer attached to a pro key
+ * @param {number} proKeyId - Pro key ID
+ * @returns {Promise<Object|null>} - customers row, or null if the key has no customer
+ */
+export async function getAccountCustomer(proKeyId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT id, name, email, created_at
+                  FROM customers
+                  WHERE pro_key_id = ?
+                  ORDER BY id ASC
+                  LIMIT 1`,
+            args: [proKeyId]
+        });
+
+        return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+        console.error('❌ Error getting account customer:', error);
+        throw error;
+    }
+}
+
+/**
+ * Count the email changes a key requested in the last day
+ * @param {number} proKeyId - Pro key ID
+ * @returns {Promise<number>} - Requests in the last 24 hours
+ */
+export async function countRecentEmailChanges(proKeyId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT COUNT(*) as count
+                  FROM customer_email_changes
+                  WHERE pro_key_id = ? AND created_at >= datetime('now', '-1 day')`,
+            args: [proKeyId]
+        });
+
+        return Number(result.rows[0].count);
+
+    } catch (error) {
+        console.error('❌ Error counting email changes:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record a requested email change, replacing any earlier unconfirmed request
+ * @param {number} proKeyId - Pro key ID
+ * @param {string} newEmail - Address to confirm
+ * @param {string} tokenHash - Hash of the confirmation token
+ * @param {number} ttlHours - Hours the token stays valid
+ * @returns {Promise<Object>} - { id, new_email, expires_at }
+ */
+export async function createEmailChange(proKeyId, newEmail, tokenHash, ttlHours) {
+    try {
+        const results = await turso.batch([
+            {
+                sql: `UPDATE customer_email_changes SET cancelled_at = datetime('now')
+                      WHERE pro_key_id = ? AND confirmed_at IS NULL AND cancelled_at IS NULL`,
+                args: [proKeyId]
+            },
+            {
+                sql: `INSERT INTO customer_email_changes (pro_key_id, new_email, token_hash, expires_at)
+                      VALUES (?, ?, ?, datetime('now', '+' || ? || ' hours'))
+                      RETURNING id, new_email, expires_at`,
+                args: [proKeyId, newEmail, tokenHash, ttlHours]
+            }
+        ]);
+
+        return results[1].rows[0];
+
+    } catch (error) {
+        console.error('❌ Error creating email change:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get a key's unconfirmed, unexpired email change
+ * @param {number} proKeyId - Pro key ID
+ * @returns {Promise<Object|null>} - { new_email, expires_at, created_at }, or null
+ */
+export async function getPendingEmailChange(proKeyId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT new_email, expires_at, created_at
+                  FROM customer_email_changes
+                  WHERE pro_key_id = ? AND confirmed_at IS NULL AND cancelled_at IS NULL
+                    AND expires_at > datetime('now')
+                  ORDER BY id DESC
+                  LIMIT 1`,
+            args: [proKeyId]
+        });
+
+        return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+        console.error('❌ Error getting pending email change:', error);
+        throw error;
+    }
+}
+
+/**
+ * Use up a confirmation token
+ * Marking the change confirmed in the same statement that checks it means a token works once
+ * @param {string} tokenHash - Hash of the confirmation token
+ * @returns {Promise<Object|null>} - { id, pro_key_id, new_email }, or null if the token is unknown, used or expired
+ */
+export async function claimEmailChange(tokenHash) {
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE customer_email_changes SET confirmed_at = datetime('now')
+                  WHERE token_hash = ? AND confirmed_at IS NULL AND cancelled_at IS NULL
+                    AND expires_at > datetime('now')
+                  RETURNING id, pro_key_id, new_email`,
+            args: [tokenHash]
+        });
+
+        return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+        console.error('❌ Error claiming email change:', error);
+        throw error;
+    }
+}
+
+/**
+ * Give back a claimed email change whose address could not be saved, so the token can be retried
+ * @param {number} changeId - Change ID from claimEmailChange
+ */
+export async function releaseEmailChange(changeId) {
+    try {
+        await turso.execute({
+            sql: 'UPDATE customer_email_changes SET confirmed_at = NULL WHERE id = ?',
+            args: [changeId]
+        });
+
+    } catch (error) {
+        console.error('❌ Error releasing email change:', error);
+        throw error;
+    }
+}
+
+/**
+ * Build the owner condition for email recipient confirmations
+ * @param {Object} owner - { proKeyId } for a key's own settings or { organizationId } for shared settings
+ * @returns {Array} - [pro_key_id, organization_id] matched with IS, so NULL matches NULL
+ */
+function getRecipientOwnerArgs(owner) {
+    return [owner.proKeyId ?? null, owner.organizationId ?? null];
+}
+
+/**
+ * Get the state of an owner's email recipients
+ * @param {Object} owner - { proKeyId } or { organizationId }
+ * @returns {Promise<Map<string, string>>} - Lowercase email to 'confirmed' or 'pending' (unexpired token sent)
+ */
+export async function getRecipientConfirmations(owner) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT email, MAX(confirmed_at IS NOT NULL) as confirmed
+                  FROM email_recipient_confirmations
+                  WHERE pro_key_id IS ? AND organization_id IS ?
+                    AND (confirmed_at IS NOT NULL OR expires_at > datetime('now'))
+                  GROUP BY email`,
+            args: getRecipientOwnerArgs(owner)
+        });
+
+        return new Map(result.rows.map(row => [row.email, Number(row.confirmed) ? 'confirmed' : 'pending']));
+
+    } catch (error) {
+        console.error('❌ Error getting email recipient confirmations:', error);
+        throw error;
+    }
+}
+
+/**
+ * Count the recipient confirmation emails an owner sent in the last day
+ * @param {Object} owner - { proKeyId } or { organizationId }
+ * @returns {Promise<number>} - Confirmations requested in the last 24 hours
+ */
+export async function countRecentRecipientConfirmations(owner) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT COUNT(*) as count
+                  FROM email_recipient_confirmations
+                  WHERE pro_key_id IS ? AND organization_id IS ? AND created_at >= datetime('now', '-1 day')`,
+            args: getRecipientOwnerArgs(owner)
+        });
+
+        return Number(result.rows[0].count);
+
+    } catch (error) {
+        console.error('❌ Error counting email recipient confirmations:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record a confirmation token sent to a new email recipient
+ * @param {Object} owner - { proKeyId } or { organizationId }
+ * @param {string} email - Lowercase recipient address
+ * @param {string} tokenHash - Hash of the confirmation token
+ * @param {number} ttlHours - Hours the token stays valid
+ * @returns {Promise<Object>} - { id, email, expires_at }
+ */
+export async function createRecipientConfirmation(owner, email, tokenHash, ttlHours) {
+    try {
+        const result = await turso.execute({
+            sql: `INSERT INTO email_recipient_confirmations (pro_key_id, organization_id, email, token_hash, expires_at)
+                  VALUES (?, ?, ?, ?, datetime('now', '+' || ? || ' hours'))
+                  RETURNING id, email, expires_at`,
+            args: [...getRecipientOwnerArgs(owner), email, tokenHash, ttlHours]
+        });
+
+        return result.rows[0];
+
+    } catch (error) {
+        console.error('❌ Error creating email recipient confirmation:', error);
+        throw error;
+    }
+}
+
+/**
+ * Use up a recipient confirmation token
+ * @param {string} tokenHash - Hash of the confirmation token
+ * @returns {Promise<Object|null>} - { id, pro_key_id, organization_id, email }, or null if the token is unknown, used or expired
+ */
+export async function claimRecipientConfirmation(tokenHash) {
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE email_recipient_confirmations SET confirmed_at = datetime('now')
+                  WHERE token_hash = ? AND confirmed_at IS NULL AND expires_at > datetime('now')
+                  RETURNING id, pro_key_id, organization_id, email`,
+            args: [tokenHash]
+        });
+
+        return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+        console.error('❌ Error claiming email recipient confirmation:', error);
+        throw error;
+    }
+}
@@ -0,0 +1,366 @@
+// Admin Database Queries
+// Pro key lifecycle management with an audit trail for every change
+
+import { turso } from './connection.js';
+
+// Columns admins may change through updateProKey
+const UPDATABLE_KEY_FIELDS = ['tier', 'status', 'expires_at', 'notes', 'seat_limit'];
+
+// Never return key_hash from admin queries; the plaintext is only shown once at issue time
+const KEY_COLUMNS = `pk.id, pk.status, pk.tier, pk.expires_at, pk.seat_limit, pk.usage_count, pk.last_used, pk.notes,
+                     pk.created_at, pk.updated_at,
+                     c.id as customer_id, c.name as customer_name, c.email as customer_email`;
+
+/**
+ * Build the audit log insert for a change
+ * @param {string} proKeyIdSql - SQL expression for the key ID ("?" or a subquery)
+ * @param {Array} proKeyIdArgs - Arguments for that expression
+ * @param {Object} audit - { action, actor, ipAddress, reason }
+ * @param {Object} changes - { field: { from, to } }
+ * @returns {Object} - Statement for turso.execute/batch
+ */
+export function buildAuditStatement(proKeyIdSql, proKeyIdArgs, audit, changes) {
+    return {
+        sql: `INSERT INTO pro_key_audit_log (pro_key_id, action, actor, ip_address, changes, reason)
+              VALUES (${proKeyIdSql}, ?, ?, ?, ?, ?)`,
+        args: [
+            ...proKeyIdArgs,
+            audit.action,
+            audit.actor,
+            audit.ipAddress || null,
+            JSON.stringify(changes || {}),
+            audit.reason || null
+        ]
+    };
+}
+
+/**
+ * Create a pro key, optionally with its customer, and audit the issue
+ * @param {Object} keyData - { keyHash, keySalt, keyLookup, hashVersion, tier, expiresAt, notes, seatLimit, customer: { name, email } }
+ * @param {Object} audit - { actor, ipAddress, reason }
+ * @returns {Promise<Object>} - Created key (without its hash)
+ */
+export async function createProKey(keyData, audit) {
+    const {
+        keyHash,
+        keySalt = null,
+        keyLookup = null,
+        hashVersion = 1,
+        tier = 'pro',
+        expiresAt = null,
+        notes = null,
+        seatLimit = null,
+        customer = null
+    } = keyData;
+    const keyIdSql = '(SELECT id FROM pro_keys WHERE key_hash = ?)';
+
+    try {
+        const changes = {
+            tier: { from: null, to: tier },
+            status: { from: null, to: 'active' },
+            expires_at: { from: null, to: expiresAt },
+            notes: { from: null, to: notes },
+            seat_limit: { from: null, to: seatLimit }
+        };
+        if (customer) {
+            changes.customer = { from: null, to: { name: customer.name || null, email: customer.email || null } };
+        }
+
+        const statements = [
+            {
+                sql: `INSERT INTO pro_keys (key_hash, key_salt, key_lookup, hash_version,
+                                            status, tier, expires_at, notes, seat_limit, usage_count, created_at, updated_at)
+                      VALUES (?, ?, ?, ?, 'active', ?, ?, ?, ?, 0, datetime('now'), datetime('now'))`,
+                args: [keyHash, keySalt, keyLookup, hashVersion, tier, expiresAt, notes, seatLimit]
+            },
+            buildAuditStatement(keyIdSql, [keyHash], { ...audit, action: 'issue' }, changes)
+        ];
+
+        if (customer) {
+            statements.push({
+                sql: `INSERT INTO customers (name, email, pro_key_id) VALUES (?, ?, ${keyIdSql})`,
+                args: [customer.name || null, customer.email || null, keyHash]
+            });
+        }
+
+        await turso.batch(statements);
+
+        const result = await turso.execute({
+            sql: `SELECT ${KEY_COLUMNS}
+                  FROM pro_keys pk
+                  LEFT JOIN customers c ON c.pro_key_id = pk.id
+                  WHERE pk.key_hash = ?`,
+            args: [keyHash]
+        });
+
+        console.log(`🔑 Pro key ${result.rows[0].id} issued by ${audit.actor}`);
+
+        return result.rows[0];
+
+    } catch (error) {
+        console.error('❌ Error creating pro key:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get a pro key by ID
+ * @param {number} keyId - Pro key ID
+ * @returns {Promise<Object|null>} - Key with customer details, or null if not found
+ */
+export async function getProKeyById(keyId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT ${KEY_COLUMNS}
+                  FROM pro_keys pk
+                  LEFT JOIN customers c ON c.pro_key_id = pk.id
+                  WHERE pk.id = ?`,
+            args: [keyId]
+        });
+
+        return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+        console.error('❌ Error getting pro key:', error);
+        throw error;
+    }
+}
+
+/**
+ * Search pro keys
+ * @param {Object} filters - { query, status, tier, limit, offset }
+ * @returns {Promise<Object>} - { keys, total }
+ */
+export async function searchProKeys(filters = {}) {
+    const { query = null, status = null, tier = null, limit = 50, offset = 0 } = filters;
+
+    try {
+        const conditions = [];
+        const args = [];
+
+        if (query) {
+            // Free text matches notes and customer details; a number also matches the key ID
+            const pattern = `%${query}%`;
+            conditions.push('(pk.notes LIKE ? OR c.name LIKE ? OR c.email LIKE ? OR pk.id = ?)');
+            args.push(pattern, pattern, pattern, /^\d+$/.test(query) ? Number(query) : -1);
+        }
+        if (status) {
+            conditions.push('pk.status = ?');
+            args.push(status);
+        }
+        if (tier) {
+            conditions.push('pk.tier = ?');
+            args.push(tier);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [keysResult, countResult] = await Promise.all([
+            turso.execute({
+                sql: `SELECT ${KEY_COLUMNS}
+                      FROM pro_keys pk
+                      LEFT JOIN customers c ON c.pro_key_id = pk.id
+                      ${where}
+                      ORDER BY pk.created_at DESC, pk.id DESC
+                      LIMIT ? OFFSET ?`,
+                args: [...args, limit, offset]
+            }),
+            turso.execute({
+                sql: `SELECT COUNT(*) as count
+                      FROM pro_keys pk
+                      LEFT JOIN customers c ON c.pro_key_id = pk.id
+                      ${where}`,
+                args
+            })
+        ]);
+
+        return {
+            keys: keysResult.rows,
+            total: countResult.rows[0].count
+        };
+
+    } catch (error) {
+        console.error('❌ Error searching pro keys:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update a pro key and audit the fields that actually changed
+ * @param {number} keyId - Pro key ID
+ * @param {Object} fields - Any of { tier, status, expires_at, notes, seat_limit }
+ * @param {Object} audit - { action, actor, ipAddress, reason }
+ * @returns {Promise<Object|null>} - { key, changes }, or null if the key doesn't exist
+ */
+export async function updateProKey(keyId, fields, audit) {
+    try {
+        const existing = await getProKeyById(keyId);
+        if (!existing) {
+            return null;
+        }
+
+        const changes = {};
+        for (const field of UPDATABLE_KEY_FIELDS) {
+            if (fields[field] !== undefined && fields[field] !== existing[field]) {
+                changes[field] = { from: existing[field], to: fields[field] };
+            }
+        }
+
+        const changedFields = Object.keys(changes);
+        if (changedFields.length === 0) {
+            return { key: existing, changes };
+        }
+
+        await turso.batch([
+            {
+                sql: `UPDATE pro_keys
+                      SET ${changedFields.map(field => `${field} = ?`).join(', ')}, updated_at = datetime('now')
+                      WHERE id = ?`,
+                args: [...changedFields.map(field => changes[field].to), keyId]
+            },
+            buildAuditStatement('?', [keyId], audit, changes)
+        ]);
+
+        console.log(`🔧 Pro key ${keyId} ${audit.action} by ${audit.actor}: ${changedFields.join(', ')}`);
+
+        return {
+            key: await getProKeyById(keyId),
+            changes
+        };
+
+    } catch (error) {
+        console.error('❌ Error updating pro key:', error);
+        throw error;
+    }
+}
+
+/**
+ * Attach a customer to a pro key
+ * Either moves an existing customer row onto the key, or creates/updates the key's own customer row
+ * @param {number} keyId - Pro key ID
+ * @param {Object} customer - { customerId } or { name, email }
+ * @param {Object} audit - { actor, ipAddress, reason, action } (action defaults to 'attach_customer')
+ * @returns {Promise<Object|null>} - { key, changes }, or null if the key or customer doesn't exist
+ */
+export async function attachCustomerToKey(keyId, customer, audit) {
+    try {
+        const existing = await getProKeyById(keyId);
+        if (!existing) {
+            return null;
+        }
+
+        const current = existing.customer_id
+            ? { id: existing.customer_id, name: existing.customer_name, email: existing.customer_email }
+            : null;
+        let statement;
+        let next;
+
+        if (customer.customerId) {
+            const customerResult = await turso.execute({
+                sql: 'SELECT id, name, email, pro_key_id FROM customers WHERE id = ?',
+                args: [customer.customerId]
+            });
+            if (customerResult.rows.length === 0) {
+                return null;
+            }
+
+            const row = customerResult.rows[0];
+            if (current && current.id !== row.id) {
+                throw new Error(`Pro key ${keyId} already has customer ${current.id}`);
+            }
+
+            next = { id: row.id, name: row.name, email: row.email };
+            statement = {
+                sql: 'UPDATE customers SET pro_key_id = ? WHERE id = ?',
+                args: [keyId, row.id]
+            };
+        } else if (current) {
+            next = {
+                id: current.id,
+                name: customer.name !== undefined ? customer.name : current.name,
+                email: customer.email !== undefined ? customer.email : current.email
+            };
+            statement = {
+                sql: 'UPDATE customers SET name = ?, email = ? WHERE id = ?',
+                args: [next.name, next.email, current.id]
+            };
+        } else {
+            next = { id: null, name: customer.name || null, email: customer.email || null };
+            statement = {
+                sql: 'INSERT INTO customers (name, email, pro_key_id) VALUES (?, ?, ?)',
+                args: [next.name, next.email, keyId]
+            };
+        }
+
+        const changes = { customer: { from: current, to: next } };
+
+        await turso.batch([
+            statement,
+            buildAuditStatement('?', [keyId], { action: 'attach_customer', ...audit }, changes)
+        ]);
+
+        console.log(`👤 Customer attached to pro key ${keyId} by ${audit.actor}`);
+
+        return {
+            key: await getProKeyById(keyId),
+            changes
+        };
+
+    } catch (error) {
+        console.error('❌ Error attaching customer to pro key:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record an admin action that doesn't change the pro_keys row itself
+ * @param {number} keyId - Pro key ID
+ * @param {Object} audit - { action, actor, ipAddress, reason }
+ * @param {Object} changes - { field: { from, to } }
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function logKeyAudit(keyId, audit, changes) {
+    try {
+        await turso.execute(buildAuditStatement('?', [keyId], audit, changes));
+        return true;
+    } catch (error) {
+        console.error('❌ Error logging key audit entry:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the audit trail, newest first
+ * @param {Object} filters - { keyId, actor, action, limit, offset }
+ * @returns {Promise<Array>} - Audit entries with parsed changes
+ */
+export async function getKeyAuditTrail(filters = {}) {
+    const { keyId = null, actor = null, action = null, limit = 50, offset = 0 } = filters;
+
+    try {
+        const result = await turso.execute({
+            sql: `SELECT id, pro_key_id, action, actor, ip_address, changes, reason, created_at
+                  FROM pro_key_audit_log
+                  WHERE (? IS NULL OR pro_key_id = ?)
+                    AND (? IS NULL OR actor = ?)
+                    AND (? IS NULL OR action = ?)
+                  ORDER BY created_at DESC, id DESC
+                  LIMIT ? OFFSET ?`,
+            args: [keyId, keyId, actor, actor, action, action, limit, offset]
+        });
+
+        return result.rows.map(row => {
+            let changes = {};
+            try {
+                changes = JSON.parse(row.changes || '{}');
+            } catch (error) {
+                console.warn(`⚠️ Invalid changes JSON for audit entry ${row.id}`);
+            }
+            return { ...row, changes };
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting key audit trail:', error);
+        throw error;
+    }
+}
@@ -2,6 +2,13 @@
 // Handles scheduled prompt automation with user timezone support
 
 import { turso } from './connection.js';
+import { DEFAULT_RETRY_POLICY } from '../services/retry-policy.js';
+import { DEFAULT_TIER_ENTITLEMENTS, FALLBACK_TIER } from '../services/entitlements.js';
+import { getKeyEntitlements, countExecutionsToday } from './entitlement-queries.js';
+import { getOrganizationScheduleQuota } from './organization-queries.js';
+import { getWorkflow } from './workflow-queries.js';
+import { validateTemplate } from '../services/prompt-template.js';
+import { validateWorkflowTemplates } from '../services/workflows.js';
 
 /**
  * Create a new scheduled prompt
@@ -17,21 +24,36 @@ export async function createScheduledPrompt(scheduleData) {
         scheduledTime, // UTC ISO string
         userTimezone,
         displayTime, // Human-readable time in user's timezone
-        integrations = {}
+        integrations = {},
+        recurrence = null, // Normalized { type, rule, endDate, maxOccurrences }
+        recurrenceStart = scheduledTime, // UTC anchor for RRULE intervals
+        retryPolicy = null, // Normalized { maxAttempts, backoffSeconds, jitter }
+        libraryPrompt = null, // { promptId, version, followLatest } when the title and content come from the prompt library
+        templateVariables = {}, // Normalized { name: value } for the {{ name }} placeholders in promptContent
+        workflowId = null // Workflow run instead of promptContent
     } = scheduleData;
 
     try {
-        // First check if user has reached the 10 schedule limit
+        // First check if user has reached their tier's schedule limit
         const limitCheck = await checkUserScheduleLimit(proKeyId);
         if (!limitCheck.canSchedule) {
-            throw new Error(`Schedule limit reached. Maximum 10 schedules per user. Current: ${limitCheck.currentCount}`);
+            const { organization } = limitCheck;
+
+            if (organization && organization.remaining === 0) {
+                throw new Error(`Schedule limit reached. Maximum ${organization.maxSchedules} schedules for your organization. Current: ${organization.currentCount}`);
+            }
+
+            throw new Error(`Schedule limit reached. Maximum ${limitCheck.maxSchedules} schedules per user. Current: ${limitCheck.currentCount}`);
         }
 
         const result = await turso.execute({
             sql: `INSERT INTO scheduled_prompts 
                   (pro_key_id, prompt_id, prompt_title, prompt_content, 
-                   scheduled_time, user_timezone, display_time, integrations)
-                  VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                   scheduled_time, user_timezone, display_time, integrations,
+                   recurrence_type, recurrence_rule, recurrence_start, recurrence_end, max_occurrences,
+                   max_attempts, retry_backoff_seconds, retry_jitter,
+                   library_prompt_id, library_version, library_follow_latest, template_variables, workflow_id)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             args: [
                 proKeyId,
                 promptId,
@@ -40,7 +62,20 @@ export async function createScheduledPrompt(scheduleData) {
                 scheduledTime,
                 userTimezone,
                 displayTime,
-                JSON.stringify(integrations)
+                JSON.stringify(integrations),
+                recurrence?.type || null,
+                recurrence?.rule || null,
+                recurrence ? recurrenceStart : null,
+                recurrence?.endDate || null,
+                recurrence?.maxOccurrences || null,
+                retryPolicy?.maxAttempts ?? null,
+                retryPolicy?.backoffSeconds ?? null,
+                retryPolicy?.jitter ?? null,
+                libraryPrompt?.promptId ?? null,
+                libraryPrompt?.version ?? null,
+                Boolean(libraryPrompt?.followLatest),
+                JSON.stringify(templateVariables || {}),
+                workflowId
             ]
         });
 
@@ -51,6 +86,11 @@ export async function createScheduledPrompt(scheduleData) {
             scheduleId: Number(result.lastInsertRowid),
             scheduledTime: scheduledTime,
             displayTime: displayTime,
+            recurrence: recurrence,
+            retryPolicy: retryPolicy || { ...DEFAULT_RETRY_POLICY },
+            libraryPrompt: libraryPrompt,
+            templateVariables: templateVariables || {},
+            workflowId: workflowId,
             message: `Prompt scheduled for ${displayTime}`
         };
 
@@ -61,27 +101,122 @@ export async function createScheduledPrompt(scheduleData) {
 }
 
 /**
- * Check if user can schedule more prompts (10 max limit)
+ * Build the recurrence object from a scheduled_prompts row
+ * @param {Object} row - scheduled_prompts row
+ * @returns {Object|null} - { type, rule, endDate, maxOccurrences } or null for one-shot schedules
+ */
+function parseRecurrence(row) {
+    if (!row.recurrence_type) {
+        return null;
+    }
+
+    return {
+        type: row.recurrence_type,
+        rule: row.recurrence_rule,
+        endDate: row.recurrence_end || null,
+        maxOccurrences: row.max_occurrences ? Number(row.max_occurrences) : null
+    };
+}
+
+/**
+ * Build the prompt library reference from a scheduled_prompts row
+ * @param {Object} row - scheduled_prompts row
+ * @returns {Object|null} - { promptId, version, followLatest } or null for schedules with their own prompt
+ */
+function parseLibraryPrompt(row) {
+    if (row.library_prompt_id == null) {
+        return null;
+    }
+
+    return {
+        promptId: Number(row.library_prompt_id),
+        version: Number(row.library_version),
+        followLatest: Boolean(row.library_follow_latest)
+    };
+}
+
+/**
+ * Read the template variables of a scheduled_prompts row
+ * @param {Object} row - scheduled_prompts row
+ * @returns {Object} - { name: value }
+ */
+function parseTemplateVariables(row) {
+    try {
+        return JSON.parse(row.template_variables || '{}');
+    } catch (error) {
+        console.warn(`⚠️ Invalid template variables JSON for schedule ${row.id}`);
+        return {};
+    }
+}
+
+/**
+ * Read the saved progress of a workflow run from a scheduled_prompts row
+ * @param {Object} row - scheduled_prompts row
+ * @returns {Object|null} - { workflowUpdatedAt, outputs }, or null when no step of the run has completed
+ */
+function parseWorkflowProgress(row) {
+    if (!row.workflow_progress) {
+        return null;
+    }
+
+    try {
+        const progress = JSON.parse(row.workflow_progress);
+        return Array.isArray(progress?.outputs) ? progress : null;
+    } catch (error) {
+        console.warn(`⚠️ Invalid workflow progress JSON for schedule ${row.id}`);
+        return null;
+    }
+}
+
+/**
+ * Build the retry policy from a scheduled_prompts row, filling gaps with the defaults
+ * @param {Object} row - scheduled_prompts row
+ * @returns {Object} - { maxAttempts, backoffSeconds, jitter }
+ */
+function parseRetryPolicy(row) {
+    return {
+        maxAttempts: row.max_attempts != null ? Number(row.max_attempts) : DEFAULT_RETRY_POLICY.maxAttempts,
+        backoffSeconds: row.retry_backoff_seconds != null ? Number(row.retry_backoff_seconds) : DEFAULT_RETRY_POLICY.backoffSeconds,
+        jitter: row.retry_jitter != null ? Number(row.retry_jitter) : DEFAULT_RETRY_POLICY.jitter
+    };
+}
+
+/**
+ * Check if user can schedule more prompts (maxSchedules from the key's entitlements)
+ * Keys in an organization with a quota are also limited by the schedules of all its keys
  * @param {number} proKeyId - Pro key ID
- * @returns {Promise<Object>} - Limit check result
+ * @returns {Promise<Object>} - Limit check result, with the organization quota or null
  */
 export async function checkUserScheduleLimit(proKeyId) {
     try {
-        const result = await turso.execute({
-            sql: `SELECT COUNT(*) as current_count 
-                  FROM scheduled_prompts 
-                  WHERE pro_key_id = ? AND status IN ('pending', 'completed')`,
-            args: [proKeyId]
-        });
+        const [result, entitlements, orgQuota] = await Promise.all([
+            turso.execute({
+                sql: `SELECT COUNT(*) as current_count 
+                      FROM scheduled_prompts 
+                      WHERE pro_key_id = ? AND status IN ('pending', 'running', 'completed')`,
+                args: [proKeyId]
+            }),
+            getKeyEntitlements(proKeyId),
+            getOrganizationScheduleQuota(proKeyId)
+        ]);
 
         const currentCount = Number(result.rows[0]?.current_count || 0);
-        const maxSchedules = 10;
+        const maxSchedules = entitlements.maxSchedules;
+        const remaining = Math.max(0, maxSchedules - currentCount);
+
+        const organization = orgQuota && {
+            id: orgQuota.organizationId,
+            maxSchedules: orgQuota.maxSchedules,
+            currentCount: orgQuota.currentCount,
+            remaining: Math.max(0, orgQuota.maxSchedules - orgQuota.currentCount)
+        };
 
         return {
-            canSchedule: currentCount < maxSchedules,
+            canSchedule: remaining > 0 && (!organization || organization.remaining > 0),
             currentCount: currentCount,
             maxSchedules: maxSchedules,
-            remaining: Math.max(0, maxSchedules - currentCount)
+            remaining: organization ? Math.min(remaining, organization.remaining) : remaining,
+            organization: organization || null
         };
 
     } catch (error) {
@@ -119,6 +254,10 @@ export async function getUserScheduledPrompts(proKeyId, status = null) {
         return result.rows.map(row => ({
             ...row,
             integrations: JSON.parse(row.integrations || '{}'),
+            recurrence: parseRecurrence(row),
+            retryPolicy: parseRetryPolicy(row),
+            libraryPrompt: parseLibraryPrompt(row),
+            templateVariables: parseTemplateVariables(row),
             scheduledTime: new Date(row.scheduled_time),
             displayTime: row.display_time,
             userTimezone: row.user_timezone
@@ -164,7 +303,9 @@ export async function getDueScheduledPrompts() {
 
         return result.rows.map(row => ({
             ...row,
-            integrations: JSON.parse(row.integrations || '{}')
+            integrations: JSON.parse(row.integrations || '{}'),
+            recurrence: parseRecurrence(row),
+            retryPolicy: parseRetryPolicy(row)
         }));
 
     } catch (error) {
@@ -173,19 +314,163 @@ export async function getDueScheduledPrompts() {
     }
 }
 
+/**
+ * Atomically claim due scheduled prompts for one worker
+ * Claimed rows move to 'running' with a lease; other workers skip them until the lease expires
+ * @param {string} workerId - Unique ID of the claiming worker
+ * @param {number} leaseSeconds - How long the claim is held without renewal
+ * @param {number} limit - Maximum number of prompts to claim
+ * @returns {Promise<Array>} - Claimed prompts
+ */
+export async function claimDueScheduledPrompts(workerId, leaseSeconds = 300, limit = 10) {
+    try {
+        // Single UPDATE so concurrent workers can never claim the same row
+        const claimResult = await turso.execute({
+            sql: `UPDATE scheduled_prompts
+                  SET status = 'running',
+                      lease_owner = ?,
+                      lease_expires_at = datetime('now', '+' || ? || ' seconds'),
+                      updated_at = datetime('now')
+                  WHERE id IN (
+                      SELECT sp.id FROM scheduled_prompts sp
+                      JOIN pro_keys pk ON sp.pro_key_id = pk.id
+                      WHERE sp.status = 'pending'
+                        AND datetime(sp.scheduled_time) <= datetime('now')
+                        AND pk.status = 'active'
+                      ORDER BY sp.scheduled_time ASC
+                      LIMIT ?
+                  )
+                  AND status = 'pending'
+                  RETURNING id`,
+            args: [workerId, leaseSeconds, limit]
+        });
+
+        if (claimResult.rows.length === 0) {
+            return [];
+        }
+
+        const ids = claimResult.rows.map(row => Number(row.id));
+
+        const result = await turso.execute({
+            sql: `SELECT sp.*, pk.key_hash, pk.status as key_status
+                  FROM scheduled_prompts sp
+                  JOIN pro_keys pk ON sp.pro_key_id = pk.id
+                  WHERE sp.id IN (${ids.map(() => '?').join(', ')})
+                    AND sp.lease_owner = ?
+                  ORDER BY sp.scheduled_time ASC`,
+            args: [...ids, workerId]
+        });
+
+        console.log(`🔒 Worker ${workerId} claimed ${result.rows.length} due prompts`);
+
+        return result.rows.map(row => ({
+            ...row,
+            integrations: JSON.parse(row.integrations || '{}'),
+            recurrence: parseRecurrence(row),
+            retryPolicy: parseRetryPolicy(row),
+            templateVariables: parseTemplateVariables(row),
+            workflowProgress: parseWorkflowProgress(row)
+        }));
+
+    } catch (error) {
+        console.error('❌ Error claiming due scheduled prompts:', error);
+        throw error;
+    }
+}
+
+/**
+ * Extend a worker's lease on a running prompt
+ * @param {number} scheduleId - Schedule ID
+ * @param {string} workerId - Worker holding the lease
+ * @param {number} leaseSeconds - New lease length from now
+ * @returns {Promise<boolean>} - False if the lease was lost to another worker
+ */
+export async function extendScheduledPromptLease(scheduleId, workerId, leaseSeconds = 300) {
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE scheduled_prompts
+                  SET lease_expires_at = datetime('now', '+' || ? || ' seconds')
+                  WHERE id = ? AND status = 'running' AND lease_owner = ?`,
+            args: [leaseSeconds, scheduleId, workerId]
+        });
+
+        return result.rowsAffected > 0;
+
+    } catch (error) {
+        console.error('❌ Error extending scheduled prompt lease:', error);
+        throw error;
+    }
+}
+
+/**
+ * Save the steps a workflow run has completed so a retry resumes after them
+ * @param {number} scheduleId - Schedule ID
+ * @param {Object} progress - { workflowUpdatedAt, outputs }
+ * @param {string} workerId - Worker holding the lease
+ * @returns {Promise<boolean>} - False if the lease was lost to another worker
+ */
+export async function saveWorkflowProgress(scheduleId, progress, workerId) {
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE scheduled_prompts
+                  SET workflow_progress = ?, updated_at = datetime('now')
+                  WHERE id = ? AND status = 'running' AND lease_owner = ?`,
+            args: [JSON.stringify(progress), scheduleId, workerId]
+        });
+
+        return result.rowsAffected > 0;
+
+    } catch (error) {
+        console.error('❌ Error saving workflow progress:', error);
+        throw error;
+    }
+}
+
+/**
+ * Return prompts whose lease expired (e.g. the worker crashed) to 'pending'
+ * @returns {Promise<number>} - Number of prompts recovered
+ */
+export async function recoverExpiredLeases() {
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE scheduled_prompts
+                  SET status = 'pending',
+                      lease_owner = NULL,
+                      lease_expires_at = NULL,
+                      updated_at = datetime('now')
+                  WHERE status = 'running'
+                    AND datetime(lease_expires_at) <= datetime('now')`,
+            args: []
+        });
+
+        if (result.rowsAffected > 0) {
+            console.warn(`♻️ Recovered ${result.rowsAffected} scheduled prompts with expired leases`);
+        }
+
+        return result.rowsAffected;
+
+    } catch (error) {
+        console.error('❌ Error recovering expired leases:', error);
+        throw error;
+    }
+}
+
 /**
  * Update scheduled prompt status
  * @param {number} scheduleId - Schedule ID
  * @param {string} status - New status
+ * @param {string} leaseOwner - If set, only update while this worker still holds the lease
  * @returns {Promise<boolean>} - Success status
  */
-export async function updateScheduledPromptStatus(scheduleId, status) {
+export async function updateScheduledPromptStatus(scheduleId, status, leaseOwner = null) {
     try {
         const result = await turso.execute({
             sql: `UPDATE scheduled_prompts 
-                  SET status = ?, updated_at = datetime('now'), execution_count = execution_count + 1
-                  WHERE id = ?`,
-            args: [status, scheduleId]
+                  SET status = ?, updated_at = datetime('now'), execution_count = execution_count + 1,
+                      last_execution = datetime('now'), lease_owner = NULL, lease_expires_at = NULL,
+                      attempt_count = 0, workflow_progress = NULL
+                  WHERE id = ? AND (? IS NULL OR lease_owner = ?)`,
+            args: [status, scheduleId, leaseOwner, leaseOwner]
         });
 
         return result.rowsAffected > 0;
@@ -196,6 +481,75 @@ export async function updateScheduledPromptStatus(scheduleId, status) {
     }
 }
 
+/**
+ * Record a run of a recurring prompt and move it to its next occurrence
+ * @param {number} scheduleId - Schedule ID
+ * @param {string} nextScheduledTime - Next run as UTC ISO string
+ * @param {string} displayTime - Next run formatted in the user's timezone
+ * @param {string} leaseOwner - If set, only update while this worker still holds the lease
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function rescheduleRecurringPrompt(scheduleId, nextScheduledTime, displayTime, leaseOwner = null) {
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE scheduled_prompts 
+                  SET status = 'pending',
+                      scheduled_time = ?,
+                      display_time = ?,
+                      execution_count = execution_count + 1,
+                      last_execution = datetime('now'),
+                      attempt_count = 0,
+                      workflow_progress = NULL,
+                      lease_owner = NULL,
+                      lease_expires_at = NULL,
+                      updated_at = datetime('now')
+                  WHERE id = ? AND (? IS NULL OR lease_owner = ?)`,
+            args: [nextScheduledTime, displayTime, scheduleId, leaseOwner, leaseOwner]
+        });
+
+        console.log(`🔁 Recurring prompt ${scheduleId} rescheduled for ${displayTime}`);
+
+        return result.rowsAffected > 0;
+
+    } catch (error) {
+        console.error('❌ Error rescheduling recurring prompt:', error);
+        throw error;
+    }
+}
+
+/**
+ * Put a prompt back in the queue for another attempt after a transient failure
+ * The display time is left alone so users still see the occurrence that is being retried
+ * @param {number} scheduleId - Schedule ID
+ * @param {string} retryTime - Next attempt as UTC ISO string
+ * @param {number} attemptCount - Attempts made so far for this run
+ * @param {string} leaseOwner - If set, only update while this worker still holds the lease
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function scheduleRetry(scheduleId, retryTime, attemptCount, leaseOwner = null) {
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE scheduled_prompts 
+                  SET status = 'pending',
+                      scheduled_time = ?,
+                      attempt_count = ?,
+                      lease_owner = NULL,
+                      lease_expires_at = NULL,
+                      updated_at = datetime('now')
+                  WHERE id = ? AND (? IS NULL OR lease_owner = ?)`,
+            args: [retryTime, attemptCount, scheduleId, leaseOwner, leaseOwner]
+        });
+
+        console.log(`⏳ Scheduled prompt ${scheduleId} will retry at ${retryTime} (attempt ${attemptCount + 1})`);
+
+        return result.rowsAffected > 0;
+
+    } catch (error) {
+        console.error('❌ Error scheduling retry:', error);
+        throw error;
+    }
+}
+
 /**
  * Delete a scheduled prompt
  * @param {number} scheduleId - Schedule ID
@@ -235,12 +589,21 @@ export async function updateScheduledPrompt(scheduleId, proKeyId, updateData) {
         const {
             scheduledTime,
             userTimezone,
-            integrations
+            integrations,
+            recurrence, // undefined keeps the current rule, null makes the schedule one-shot
+            recurrenceStart = scheduledTime,
+            retryPolicy, // undefined keeps the current policy, null restores the defaults
+            libraryPrompt, // undefined keeps the current prompt, null detaches it, or { promptId, version, followLatest, title, content }
+            templateVariables // undefined keeps the current variables, or normalized { name: value }
         } = updateData;
 
         // Validate that the schedule exists and belongs to the user
         const existingResult = await turso.execute({
-            sql: `SELECT id, status, user_timezone FROM scheduled_prompts 
+            sql: `SELECT id, status, user_timezone, recurrence_type, recurrence_rule,
+                         recurrence_end, max_occurrences, max_attempts, retry_backoff_seconds, retry_jitter,
+                         prompt_title, prompt_content, library_prompt_id, library_version, library_follow_latest,
+                         template_variables, workflow_id
+                  FROM scheduled_prompts 
                   WHERE id = ? AND pro_key_id = ?`,
             args: [scheduleId, proKeyId]
         });
@@ -268,27 +631,87 @@ export async function updateScheduledPrompt(scheduleId, proKeyId, updateData) {
         // Format display time using the timezone
         const displayTime = formatDisplayTime(scheduledTime, userTimezone || existing.user_timezone);
 
-        // Update the scheduled prompt
+        const nextRecurrence = recurrence === undefined ? parseRecurrence(existing) : recurrence;
+        const nextRetryPolicy = retryPolicy === undefined
+            ? {
+                maxAttempts: existing.max_attempts ?? null,
+                backoffSeconds: existing.retry_backoff_seconds ?? null,
+                jitter: existing.retry_jitter ?? null
+            }
+            : retryPolicy;
+
+        if (existing.workflow_id && libraryPrompt) {
+            throw new Error('Workflow schedules run their workflow steps and can\'t use a library prompt');
+        }
+
+        // Detaching keeps the copied title and content, attaching copies in the chosen version
+        const nextLibraryPrompt = libraryPrompt === undefined ? parseLibraryPrompt(existing) : libraryPrompt;
+        const promptTitle = libraryPrompt ? libraryPrompt.title : existing.prompt_title;
+        const promptContent = libraryPrompt ? libraryPrompt.content : existing.prompt_content;
+
+        // The content and variables must still fit together after the change
+        const nextTemplateVariables = templateVariables === undefined ? parseTemplateVariables(existing) : templateVariables;
+        let templateError = validateTemplate(promptContent, nextTemplateVariables);
+        if (!templateError && existing.workflow_id) {
+            const workflow = await getWorkflow(proKeyId, Number(existing.workflow_id));
+            templateError = workflow ? validateWorkflowTemplates(workflow.steps, nextTemplateVariables) : null;
+        }
+        if (templateError) {
+            throw new Error(`Invalid template: ${templateError}`);
+        }
+
+        // Update the scheduled prompt (a new start time re-anchors the recurrence)
+        // Status and lease are checked again here, a worker may have claimed the schedule since it was read
         const result = await turso.execute({
             sql: `UPDATE scheduled_prompts 
                   SET scheduled_time = ?, 
                       user_timezone = ?, 
                       display_time = ?, 
                       integrations = ?, 
+                      recurrence_type = ?,
+                      recurrence_rule = ?,
+                      recurrence_start = ?,
+                      recurrence_end = ?,
+                      max_occurrences = ?,
+                      max_attempts = ?,
+                      retry_backoff_seconds = ?,
+                      retry_jitter = ?,
+                      prompt_title = ?,
+                      prompt_content = ?,
+                      library_prompt_id = ?,
+                      library_version = ?,
+                      library_follow_latest = ?,
+                      template_variables = ?,
+                      attempt_count = 0,
+                      workflow_progress = NULL,
                       updated_at = datetime('now')
-                  WHERE id = ? AND pro_key_id = ?`,
+                  WHERE id = ? AND pro_key_id = ? AND status = 'pending' AND lease_owner IS NULL`,
             args: [
                 scheduledTime,
                 userTimezone || existing.user_timezone,
                 displayTime,
                 JSON.stringify(integrations || {}),
+                nextRecurrence?.type || null,
+                nextRecurrence?.rule || null,
+                nextRecurrence ? recurrenceStart : null,
+                nextRecurrence?.endDate || null,
+                nextRecurrence?.maxOccurrences || null,
+                nextRetryPolicy?.maxAttempts ?? null,
+                nextRetryPolicy?.backoffSeconds ?? null,
+                nextRetryPolicy?.jitter ?? null,
+                promptTitle,
+                promptContent,
+                nextLibraryPrompt?.promptId ?? null,
+                nextLibraryPrompt?.version ?? null,
+                Boolean(nextLibraryPrompt?.followLatest),
+                JSON.stringify(nextTemplateVariables),
                 scheduleId,
                 proKeyId
             ]
         });
 
         if (result.rowsAffected === 0) {
-            throw new Error('Failed to update schedule');
+            throw new Error('Schedule is no longer pending, it started running while it was being edited');
         }
 
         console.log(`✏️ Updated scheduled prompt: ID ${scheduleId} for ${displayTime}`);
@@ -298,6 +721,18 @@ export async function updateScheduledPrompt(scheduleId, proKeyId, updateData) {
             scheduleId: scheduleId,
             scheduledTime: scheduledTime,
             displayTime: displayTime,
+            recurrence: nextRecurrence,
+            retryPolicy: parseRetryPolicy({
+                max_attempts: nextRetryPolicy?.maxAttempts,
+                retry_backoff_seconds: nextRetryPolicy?.backoffSeconds,
+                retry_jitter: nextRetryPolicy?.jitter
+            }),
+            libraryPrompt: nextLibraryPrompt && {
+                promptId: nextLibraryPrompt.promptId,
+                version: nextLibraryPrompt.version,
+                followLatest: nextLibraryPrompt.followLatest
+            },
+            templateVariables: nextTemplateVariables,
             message: `Schedule updated for ${displayTime}`
         };
 
@@ -343,26 +778,44 @@ export async function logAutomationExecution(logData) {
         analysisResult = null,
         integrationResults = null,
         errorMessage = null,
-        executionDuration = null
+        executionDuration = null,
+        model = null,
+        tokenUsage = null, // { promptTokens, completionTokens, totalTokens }
+        attempt = 1,
+        libraryVersion = null, // Prompt library version that ran
+        renderedPrompt = null, // Prompt content after template rendering
+        workflowStep = null, // 1-based step number for workflow runs
+        conditionMet = null // Result of the workflow step's condition, null without one
     } = logData;
 
     try {
         const result = await turso.execute({
             sql: `INSERT INTO automation_logs 
                   (scheduled_prompt_id, status, analysis_result, 
-                   integration_results, error_message, execution_duration)
-                  VALUES (?, ?, ?, ?, ?, ?)`,
+                   integration_results, error_message, execution_duration,
+                   model, prompt_tokens, completion_tokens, total_tokens, attempt, library_version, rendered_prompt,
+                   workflow_step, condition_met)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             args: [
                 scheduledPromptId,
                 status,
                 analysisResult,
                 JSON.stringify(integrationResults),
                 errorMessage,
-                executionDuration
+                executionDuration,
+                model,
+                tokenUsage?.promptTokens ?? null,
+                tokenUsage?.completionTokens ?? null,
+                tokenUsage?.totalTokens ?? null,
+                attempt,
+                libraryVersion,
+                renderedPrompt,
+                workflowStep,
+                conditionMet
             ]
         });
 
-        console.log(`📊 Automation execution logged: Schedule ${scheduledPromptId}, Status: ${status}`);
+        console.log(`📊 Automation execution logged: Schedule ${scheduledPromptId}${workflowStep ? ` step ${workflowStep}` : ''}, Status: ${status}, Attempt: ${attempt}`);
 
         return {
             success: true,
@@ -405,15 +858,26 @@ export async function getAutomationExecutionHistory(scheduledPromptId, limit = 5
 }
 
 /**
- * Clean up old automation logs (called by trigger, but can be manual)
+ * Clean up automation logs older than their key's retention days (called by the scheduler, but can be manual)
+ * Logs of deleted schedules use the fallback tier's retention
  * @returns {Promise<number>} - Number of logs deleted
  */
 export async function cleanupOldAutomationLogs() {
     try {
         const result = await turso.execute({
             sql: `DELETE FROM automation_logs 
-                  WHERE created_at < datetime('now', '-2 days')`,
-            args: []
+                  WHERE id IN (
+                      SELECT al.id
+                      FROM automation_logs al
+                      LEFT JOIN scheduled_prompts sp ON al.scheduled_prompt_id = sp.id
+                      LEFT JOIN pro_keys pk ON sp.pro_key_id = pk.id
+                      LEFT JOIN key_entitlement_overrides o ON o.pro_key_id = pk.id
+                      LEFT JOIN tier_entitlements te ON te.tier = COALESCE(pk.tier, ?)
+                      LEFT JOIN tier_entitlements fallback ON fallback.tier = ?
+                      WHERE al.created_at < datetime('now', '-' ||
+                          COALESCE(o.retention_days, te.retention_days, fallback.retention_days, ?) || ' days')
+                  )`,
+            args: [FALLBACK_TIER, FALLBACK_TIER, DEFAULT_TIER_ENTITLEMENTS.retentionDays]
         });
 
         if (result.rowsAffected > 0) {
@@ -435,12 +899,13 @@ export async function cleanupOldAutomationLogs() {
  */
 export async function getAutomationStats(proKeyId) {
     try {
-        const [scheduleStats, executionStats] = await Promise.all([
+        const [scheduleStats, executionStats, entitlements, executionsToday] = await Promise.all([
             // Schedule statistics
             turso.execute({
                 sql: `SELECT 
                         COUNT(*) as total_schedules,
                         COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
+                        COUNT(CASE WHEN status = 'running' THEN 1 END) as running,
                         COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed,
                         COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed
                       FROM scheduled_prompts 
@@ -459,7 +924,9 @@ export async function getAutomationStats(proKeyId) {
                       WHERE sp.pro_key_id = ? 
                         AND al.created_at >= datetime('now', '-7 days')`,
                 args: [proKeyId]
-            })
+            }),
+            getKeyEntitlements(proKeyId),
+            countExecutionsToday(proKeyId)
         ]);
 
         const scheduleData = scheduleStats.rows[0] || {};
@@ -469,9 +936,11 @@ export async function getAutomationStats(proKeyId) {
             schedules: {
                 total: scheduleData.total_schedules || 0,
                 pending: scheduleData.pending || 0,
+                running: scheduleData.running || 0,
                 completed: scheduleData.completed || 0,
                 failed: scheduleData.failed || 0,
-                remaining: Math.max(0, 10 - (scheduleData.total_schedules || 0))
+                limit: entitlements.maxSchedules,
+                remaining: Math.max(0, entitlements.maxSchedules - (scheduleData.total_schedules || 0))
             },
             executions: {
                 total: executionData.total_executions || 0,
@@ -480,7 +949,9 @@ export async function getAutomationStats(proKeyId) {
                 successRate: executionData.total_executions > 0 
                     ? ((executionData.successful || 0) / executionData.total_executions * 100).toFixed(1)
                     : 0,
-                avgDuration: executionData.avg_duration ? Math.round(executionData.avg_duration) : 0
+                avgDuration: executionData.avg_duration ? Math.round(executionData.avg_duration) : 0,
+                today: executionsToday,
+                dailyLimit: entitlements.maxExecutionsPerDay
             }
         };
 
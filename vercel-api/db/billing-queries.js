@@ -0,0 +1,264 @@
+// Billing Database Queries
+// Idempotent billing event processing and the subscriptions behind pro keys
+
+import { turso } from './connection.js';
+
+// A 'processing' event or 'provisioning' subscription older than this is assumed to have crashed and may be claimed again
+const STALE_PROCESSING_MINUTES = 10;
+
+/**
+ * Claim a billing event for processing
+ * New events are claimed straight away. Redeliveries of failed events, or of events stuck
+ * in 'processing', are claimed again. Anything else is a duplicate.
+ * @param {string} eventId - Provider event ID
+ * @param {string} eventType - Provider event type
+ * @returns {Promise<Object>} - { claimed, status } (status of the earlier delivery when not claimed)
+ */
+export async function claimBillingEvent(eventId, eventType) {
+    try {
+        const result = await turso.execute({
+            sql: `INSERT INTO billing_events (event_id, event_type, status)
+                  VALUES (?1, ?2, 'processing')
+                  ON CONFLICT (event_id) DO UPDATE SET
+                      status = 'processing',
+                      error = NULL,
+                      attempts = billing_events.attempts + 1,
+                      received_at = datetime('now')
+                  WHERE billing_events.status = 'failed'
+                     OR (billing_events.status = 'processing'
+                         AND billing_events.received_at < datetime('now', '-' || ?3 || ' minutes'))
+                  RETURNING event_id`,
+            args: [eventId, eventType, STALE_PROCESSING_MINUTES]
+        });
+
+        if (result.rows.length > 0) {
+            return { claimed: true, status: 'processing' };
+        }
+
+        const existing = await turso.execute({
+            sql: 'SELECT status FROM billing_events WHERE event_id = ?',
+            args: [eventId]
+        });
+
+        return { claimed: false, status: existing.rows[0]?.status || null };
+
+    } catch (error) {
+        console.error('❌ Error claiming billing event:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record the outcome of a claimed billing event
+ * @param {string} eventId - Provider event ID
+ * @param {Object} outcome - { status: 'processed'|'ignored'|'failed', action, proKeyId, error }
+ */
+export async function completeBillingEvent(eventId, outcome) {
+    try {
+        await turso.execute({
+            sql: `UPDATE billing_events
+                  SET status = ?, action = ?, pro_key_id = ?, error = ?, processed_at = datetime('now')
+                  WHERE event_id = ?`,
+            args: [
+                outcome.status,
+                outcome.action || null,
+                outcome.proKeyId || null,
+                outcome.error || null,
+                eventId
+            ]
+        });
+
+    } catch (error) {
+        console.error('❌ Error completing billing event:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get a subscription with the status of the key it pays for
+ * @param {string} subscriptionId - Provider subscription ID
+ * @returns {Promise<Object|null>} - billing_subscriptions row with key_status, or null
+ */
+export async function getBillingSubscription(subscriptionId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT bs.*, pk.status as key_status, pk.tier as key_tier, pk.expires_at as key_expires_at
+                  FROM billing_subscriptions bs
+                  JOIN pro_keys pk ON pk.id = bs.pro_key_id
+                  WHERE bs.subscription_id = ?`,
+            args: [subscriptionId]
+        });
+
+        return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+        console.error('❌ Error getting billing subscription:', error);
+        throw error;
+    }
+}
+
+/**
+ * Find the key a returning customer paid for before, so a new subscription reuses it
+ * @param {string} providerCustomerId - Provider customer ID
+ * @returns {Promise<Object|null>} - Latest billing_subscriptions row of the customer with key_status, or null
+ */
+export async function findCustomerBillingKey(providerCustomerId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT bs.*, pk.status as key_status, pk.tier as key_tier, pk.expires_at as key_expires_at
+                  FROM billing_subscriptions bs
+                  JOIN pro_keys pk ON pk.id = bs.pro_key_id
+                  WHERE bs.provider_customer_id = ? AND pk.status != 'revoked'
+                  ORDER BY bs.updated_at DESC
+                  LIMIT 1`,
+            args: [providerCustomerId]
+        });
+
+        return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+        console.error('❌ Error finding customer billing key:', error);
+        throw error;
+    }
+}
+
+/**
+ * Claim a new subscription before creating its key
+ * Checkout and the first invoice can arrive together, only the event that inserts the row may create
+ * and email a key. A claim left 'provisioning' by a crash can be taken over once it is stale.
+ * @param {string} subscriptionId - Provider subscription ID
+ * @param {string|null} providerCustomerId - Provider customer ID
+ * @returns {Promise<boolean>} - True if this caller owns the claim
+ */
+export async function claimBillingSubscription(subscriptionId, providerCustomerId) {
+    try {
+        const result = await turso.execute({
+            sql: `INSERT INTO billing_subscriptions (subscription_id, provider_customer_id, pro_key_id, status)
+                  VALUES (?1, ?2, NULL, 'provisioning')
+                  ON CONFLICT (subscription_id) DO UPDATE SET
+                      updated_at = datetime('now')
+                  WHERE billing_subscriptions.status = 'provisioning'
+                    AND billing_subscriptions.updated_at < datetime('now', '-' || ?3 || ' minutes')
+                  RETURNING subscription_id`,
+            args: [subscriptionId, providerCustomerId || null, STALE_PROCESSING_MINUTES]
+        });
+
+        return result.rows.length > 0;
+
+    } catch (error) {
+        console.error('❌ Error claiming billing subscription:', error);
+        throw error;
+    }
+}
+
+/**
+ * Drop a subscription claim whose key could not be created, so a redelivered event can try again
+ * @param {string} subscriptionId - Provider subscription ID
+ */
+export async function releaseBillingSubscriptionClaim(subscriptionId) {
+    try {
+        await turso.execute({
+            sql: "DELETE FROM billing_subscriptions WHERE subscription_id = ? AND status = 'provisioning'",
+            args: [subscriptionId]
+        });
+
+    } catch (error) {
+        console.error('❌ Error releasing billing subscription claim:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create or update a subscription
+ * Saving a claimed subscription attaches its key and ends the claim
+ * @param {Object} subscription - { subscriptionId, providerCustomerId, proKeyId, tier, status, currentPeriodEnd }
+ */
+export async function saveBillingSubscription(subscription) {
+    try {
+        await turso.execute({
+            sql: `INSERT INTO billing_subscriptions
+                      (subscription_id, provider_customer_id, pro_key_id, tier, status, current_period_end)
+                  VALUES (?, ?, ?, ?, ?, ?)
+                  ON CONFLICT (subscription_id) DO UPDATE SET
+                      provider_customer_id = COALESCE(excluded.provider_customer_id, billing_subscriptions.provider_customer_id),
+                      pro_key_id = COALESCE(excluded.pro_key_id, billing_subscriptions.pro_key_id),
+                      tier = COALESCE(excluded.tier, billing_subscriptions.tier),
+                      status = excluded.status,
+                      current_period_end = COALESCE(excluded.current_period_end, billing_subscriptions.current_period_end),
+                      updated_at = datetime('now')`,
+            args: [
+                subscription.subscriptionId,
+                subscription.providerCustomerId || null,
+                subscription.proKeyId,
+                subscription.tier || null,
+                subscription.status,
+                subscription.currentPeriodEnd || null
+            ]
+        });
+
+    } catch (error) {
+        console.error('❌ Error saving billing subscription:', error);
+        throw error;
+    }
+}
+
+/**
+ * Count a key's other active subscriptions
+ * A key reused by a returning customer can outlive the subscription that first paid for it
+ * @param {number} proKeyId - Pro key ID
+ * @param {string} subscriptionId - Subscription to leave out
+ * @returns {Promise<number>} - Active subscriptions besides subscriptionId
+ */
+export async function countOtherActiveSubscriptions(proKeyId, subscriptionId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT COUNT(*) as count
+                  FROM billing_subscriptions
+                  WHERE pro_key_id = ? AND subscription_id != ? AND status = 'active'`,
+            args: [proKeyId, subscriptionId]
+        });
+
+        return Number(result.rows[0].count);
+
+    } catch (error) {
+        console.error('❌ Error counting active subscriptions:', error);
+        throw error;
+    }
+}
+
+/**
+ * List a key's subscriptions and recent billing events
+ * @param {number} proKeyId - Pro key ID
+ * @param {number} limit - Maximum events returned
+ * @returns {Promise<Object>} - { subscriptions, events }
+ */
+export async function getKeyBilling(proKeyId, limit = 20) {
+    try {
+        const [subscriptions, events] = await turso.batch([
+            {
+                sql: `SELECT subscription_id, provider_customer_id, tier, status, current_period_end, created_at, updated_at
+                      FROM billing_subscriptions
+                      WHERE pro_key_id = ?
+                      ORDER BY created_at DESC`,
+                args: [proKeyId]
+            },
+            {
+                sql: `SELECT event_id, event_type, action, status, error, attempts, received_at, processed_at
+                      FROM billing_events
+                      WHERE pro_key_id = ?
+                      ORDER BY received_at DESC
+                      LIMIT ?`,
+                args: [proKeyId, limit]
+            }
+        ]);
+
+        return {
+            subscriptions: subscriptions.rows,
+            events: events.rows
+        };
+
+    } catch (error) {
+        console.error('❌ Error getting key billing:', error);
+        throw error;
+    }
+}
@@ -0,0 +1,325 @@
+// Delivery Outbox Database Queries
+// Persistent per-destination delivery jobs for scheduled prompt results
+
+import { turso } from './connection.js';
+
+/**
+ * Queue one delivery job per destination for an execution
+ * @param {Object} deliveryData - Delivery configuration
+ * @param {number} deliveryData.automationLogId - Execution log the payload belongs to
+ * @param {number} deliveryData.scheduledPromptId - Schedule ID
+ * @param {number} deliveryData.proKeyId - Pro key ID used to look up destination settings
+ * @param {Array<string>} deliveryData.destinations - e.g. ['telegram', 'discord']
+ * @param {Object} deliveryData.payload - Analysis data to send
+ * @param {number} deliveryData.maxAttempts - Attempts per destination before giving up
+ * @returns {Promise<Array<number>>} - Created delivery IDs
+ */
+export async function enqueueDeliveries(deliveryData) {
+    const {
+        automationLogId,
+        scheduledPromptId,
+        proKeyId,
+        destinations,
+        payload,
+        maxAttempts
+    } = deliveryData;
+
+    try {
+        const ids = [];
+
+        for (const destination of destinations) {
+            const result = await turso.execute({
+                sql: `INSERT INTO delivery_outbox
+                      (automation_log_id, scheduled_prompt_id, pro_key_id, destination, payload, max_attempts)
+                      VALUES (?, ?, ?, ?, ?, ?)
+                      ON CONFLICT(automation_log_id, destination) DO NOTHING`,
+                args: [
+                    automationLogId,
+                    scheduledPromptId,
+                    proKeyId,
+                    destination,
+                    JSON.stringify(payload),
+                    maxAttempts
+                ]
+            });
+
+            if (result.rowsAffected > 0) {
+                ids.push(Number(result.lastInsertRowid));
+            }
+        }
+
+        console.log(`📮 Queued ${ids.length} deliveries for schedule ${scheduledPromptId}: ${destinations.join(', ')}`);
+
+        return ids;
+
+    } catch (error) {
+        console.error('❌ Error queueing deliveries:', error);
+        throw error;
+    }
+}
+
+/**
+ * Atomically claim due delivery jobs for one worker
+ * @param {string} workerId - Unique ID of the claiming worker
+ * @param {number} leaseSeconds - How long the claim is held
+ * @param {number} limit - Maximum number of jobs to claim
+ * @returns {Promise<Array>} - Claimed jobs with parsed payloads
+ */
+export async function claimDueDeliveries(workerId, leaseSeconds = 120, limit = 20) {
+    try {
+        const claimResult = await turso.execute({
+            sql: `UPDATE delivery_outbox
+                  SET status = 'sending',
+                      lease_owner = ?,
+                      lease_expires_at = datetime('now', '+' || ? || ' seconds'),
+                      updated_at = datetime('now')
+                  WHERE id IN (
+                      SELECT id FROM delivery_outbox
+                      WHERE status = 'pending'
+                        AND datetime(next_attempt_at) <= datetime('now')
+                      ORDER BY next_attempt_at ASC
+                      LIMIT ?
+                  )
+                  AND status = 'pending'
+                  RETURNING id`,
+            args: [workerId, leaseSeconds, limit]
+        });
+
+        if (claimResult.rows.length === 0) {
+            return [];
+        }
+
+        const ids = claimResult.rows.map(row => Number(row.id));
+
+        const result = await turso.execute({
+            sql: `SELECT * FROM delivery_outbox
+                  WHERE id IN (${ids.map(() => '?').join(', ')})
+                    AND lease_owner = ?
+                  ORDER BY next_attempt_at ASC`,
+            args: [...ids, workerId]
+        });
+
+        return result.rows.map(row => ({
+            ...row,
+            payload: JSON.parse(row.payload)
+        }));
+
+    } catch (error) {
+        console.error('❌ Error claiming due deliveries:', error);
+        throw error;
+    }
+}
+
+/**
+ * Renew a worker's lease on a claimed delivery before sending it
+ * @param {number} deliveryId - Delivery ID
+ * @param {string} workerId - Worker holding the lease
+ * @param {number} leaseSeconds - New lease length from now
+ * @returns {Promise<boolean>} - False if the lease was lost to another worker
+ */
+export async function extendDeliveryLease(deliveryId, workerId, leaseSeconds) {
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE delivery_outbox
+                  SET lease_expires_at = datetime('now', '+' || ? || ' seconds'),
+                      updated_at = datetime('now')
+                  WHERE id = ? AND status = 'sending' AND lease_owner = ?`,
+            args: [leaseSeconds, deliveryId, workerId]
+        });
+
+        return result.rowsAffected > 0;
+
+    } catch (error) {
+        console.error('❌ Error extending delivery lease:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record how many messages of a split delivery were sent, renewing the lease
+ * @param {number} deliveryId - Delivery ID
+ * @param {number} sentParts - Messages sent so far
+ * @param {string} workerId - Worker holding the lease
+ * @param {number} leaseSeconds - New lease length from now
+ * @returns {Promise<boolean>} - False if the lease was lost to another worker
+ */
+export async function recordDeliveryProgress(deliveryId, sentParts, workerId, leaseSeconds) {
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE delivery_outbox
+                  SET sent_parts = ?,
+                      lease_expires_at = datetime('now', '+' || ? || ' seconds'),
+                      updated_at = datetime('now')
+                  WHERE id = ? AND status = 'sending' AND lease_owner = ?`,
+            args: [sentParts, leaseSeconds, deliveryId, workerId]
+        });
+
+        return result.rowsAffected > 0;
+
+    } catch (error) {
+        console.error('❌ Error recording delivery progress:', error);
+        throw error;
+    }
+}
+
+/**
+ * Return deliveries whose sending worker disappeared to 'pending'
+ * @returns {Promise<number>} - Number of jobs recovered
+ */
+export async function recoverExpiredDeliveryLeases() {
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE delivery_outbox
+                  SET status = 'pending',
+                      lease_owner = NULL,
+                      lease_expires_at = NULL,
+                      updated_at = datetime('now')
+                  WHERE status = 'sending'
+                    AND datetime(lease_expires_at) <= datetime('now')`,
+            args: []
+        });
+
+        if (result.rowsAffected > 0) {
+            console.warn(`♻️ Recovered ${result.rowsAffected} deliveries with expired leases`);
+        }
+
+        return result.rowsAffected;
+
+    } catch (error) {
+        console.error('❌ Error recovering expired delivery leases:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record the outcome of one delivery attempt
+ * @param {number} deliveryId - Delivery ID
+ * @param {Object} outcome - Attempt outcome
+ * @param {string} outcome.status - 'delivered', 'pending' (retry later) or 'failed'
+ * @param {number} outcome.attemptCount - Attempts made so far
+ * @param {string} outcome.lastError - Error from this attempt, if any
+ * @param {string} outcome.nextAttemptAt - UTC ISO time of the next attempt when retrying
+ * @param {string} workerId - Only update while this worker still holds the lease
+ * @returns {Promise<boolean>} - False if the lease was lost
+ */
+export async function recordDeliveryAttempt(deliveryId, outcome, workerId) {
+    const { status, attemptCount, lastError = null, nextAttemptAt = null } = outcome;
+
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE delivery_outbox
+                  SET status = ?,
+                      attempt_count = ?,
+                      last_error = ?,
+                      next_attempt_at = COALESCE(?, next_attempt_at),
+                      delivered_at = CASE WHEN ? = 'delivered' THEN datetime('now') ELSE delivered_at END,
+                      lease_owner = NULL,
+                      lease_expires_at = NULL,
+                      updated_at = datetime('now')
+                  WHERE id = ? AND lease_owner = ?`,
+            args: [status, attemptCount, lastError, nextAttemptAt, status, deliveryId, workerId]
+        });
+
+        return result.rowsAffected > 0;
+
+    } catch (error) {
+        console.error('❌ Error recording delivery attempt:', error);
+        throw error;
+    }
+}
+
+/**
+ * Mirror a delivery's state into its execution log's integration_results
+ * @param {number} automationLogId - Execution log ID
+ * @param {string} destination - Destination name, e.g. 'slack'
+ * @param {string} status - 'queued', 'retrying', 'delivered' or 'failed'
+ * @param {string|null} errorMessage - Last delivery error
+ * @returns {Promise<boolean>} - False if the log was already cleaned up
+ */
+export async function updateLogDeliveryResult(automationLogId, destination, status, errorMessage = null) {
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE automation_logs
+                  SET integration_results = json_set(
+                      CASE WHEN json_valid(integration_results) AND json_type(integration_results) = 'object'
+                           THEN integration_results ELSE '{}' END,
+                      '$.' || ?, json(?),
+                      '$.' || ? || 'Status', ?,
+                      '$.' || ? || 'Error', ?
+                  )
+                  WHERE id = ?`,
+            args: [
+                destination, status === 'delivered' ? 'true' : 'false',
+                destination, status,
+                destination, errorMessage,
+                automationLogId
+            ]
+        });
+
+        return result.rowsAffected > 0;
+
+    } catch (error) {
+        console.error('❌ Error updating log delivery result:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get delivery jobs for a user, newest first
+ * @param {number} proKeyId - Pro key ID
+ * @param {string} status - Filter by status (optional)
+ * @param {number} limit - Number of jobs to return
+ * @returns {Promise<Array>} - Delivery jobs without payloads
+ */
+export async function getUserDeliveries(proKeyId, status = null, limit = 50) {
+    try {
+        let sql = `SELECT id, automation_log_id, scheduled_prompt_id, destination, status,
+                          attempt_count, max_attempts, next_attempt_at, last_error,
+                          delivered_at, created_at, updated_at
+                   FROM delivery_outbox
+                   WHERE pro_key_id = ?`;
+
+        const args = [proKeyId];
+
+        if (status) {
+            sql += ' AND status = ?';
+            args.push(status);
+        }
+
+        sql += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+        args.push(limit);
+
+        const result = await turso.execute({ sql, args });
+
+        return result.rows;
+
+    } catch (error) {
+        console.error('❌ Error getting user deliveries:', error);
+        throw error;
+    }
+}
+
+/**
+ * Count delivery jobs by status
+ * @returns {Promise<Object>} - { pending, sending, delivered, failed }
+ */
+export async function getDeliveryQueueStats() {
+    try {
+        const result = await turso.execute(`
+            SELECT status, COUNT(*) as count
+            FROM delivery_outbox
+            GROUP BY status
+        `);
+
+        const stats = { pending: 0, sending: 0, delivered: 0, failed: 0 };
+        for (const row of result.rows) {
+            stats[row.status] = Number(row.count);
+        }
+
+        return stats;
+
+    } catch (error) {
+        console.error('❌ Error getting delivery queue stats:', error);
+        throw error;
+    }
+}
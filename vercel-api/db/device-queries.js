@@ -0,0 +1,155 @@
+// Device Database Queries
+// Registered devices per pro key, used to enforce seat limits
+
+import { turso } from './connection.js';
+
+/**
+ * Register a device for a pro key, or refresh it if it is already registered
+ * New devices are only added while the key has a free seat
+ * @param {number} proKeyId - Pro key ID
+ * @param {string} deviceHash - Hashed device fingerprint
+ * @param {Object} details - { name, ipAddress, userAgent }
+ * @param {number} seatLimit - Maximum active devices for the key
+ * @returns {Promise<Object>} - { registered, isNew, device, devicesUsed }
+ */
+export async function registerKeyDevice(proKeyId, deviceHash, details, seatLimit) {
+    const { name = null, ipAddress = null, userAgent = null } = details;
+
+    try {
+        const existing = await turso.execute({
+            sql: `UPDATE key_devices
+                  SET last_seen_at = datetime('now'), last_ip = ?, user_agent = ?, device_name = COALESCE(?, device_name)
+                  WHERE pro_key_id = ? AND device_hash = ? AND released_at IS NULL`,
+            args: [ipAddress, userAgent, name, proKeyId, deviceHash]
+        });
+
+        let isNew = false;
+
+        if (existing.rowsAffected === 0) {
+            // Count and insert in one statement so two new devices can't both take the last seat
+            const inserted = await turso.execute({
+                sql: `INSERT INTO key_devices (pro_key_id, device_hash, device_name, last_ip, user_agent)
+                      SELECT ?, ?, ?, ?, ?
+                      WHERE (SELECT COUNT(*) FROM key_devices WHERE pro_key_id = ? AND released_at IS NULL) < ?
+                      ON CONFLICT(pro_key_id, device_hash) DO UPDATE SET
+                          released_at = NULL,
+                          device_name = COALESCE(excluded.device_name, device_name),
+                          last_ip = excluded.last_ip,
+                          user_agent = excluded.user_agent,
+                          first_seen_at = datetime('now'),
+                          last_seen_at = datetime('now')`,
+                args: [proKeyId, deviceHash, name, ipAddress, userAgent, proKeyId, seatLimit]
+            });
+            isNew = inserted.rowsAffected > 0;
+        }
+
+        const [deviceResult, countResult] = await Promise.all([
+            turso.execute({
+                sql: `SELECT id, device_name, first_seen_at, last_seen_at
+                      FROM key_devices
+                      WHERE pro_key_id = ? AND device_hash = ? AND released_at IS NULL`,
+                args: [proKeyId, deviceHash]
+            }),
+            turso.execute({
+                sql: 'SELECT COUNT(*) as count FROM key_devices WHERE pro_key_id = ? AND released_at IS NULL',
+                args: [proKeyId]
+            })
+        ]);
+
+        if (isNew) {
+            console.log(`💻 New device registered for pro key ID: ${proKeyId}`);
+        }
+
+        return {
+            registered: deviceResult.rows.length > 0,
+            isNew: isNew,
+            device: deviceResult.rows[0] || null,
+            devicesUsed: countResult.rows[0].count
+        };
+
+    } catch (error) {
+        console.error('❌ Error registering key device:', error);
+        throw error;
+    }
+}
+
+/**
+ * List the active devices of a pro key
+ * @param {number} proKeyId - Pro key ID
+ * @returns {Promise<Array>} - Devices, most recently seen first
+ */
+export async function getKeyDevices(proKeyId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT id, device_name, last_ip, user_agent, first_seen_at, last_seen_at
+                  FROM key_devices
+                  WHERE pro_key_id = ? AND released_at IS NULL
+                  ORDER BY last_seen_at DESC`,
+            args: [proKeyId]
+        });
+
+        return result.rows;
+
+    } catch (error) {
+        console.error('❌ Error getting key devices:', error);
+        throw error;
+    }
+}
+
+/**
+ * Count devices released recently, so seats can't be rotated between machines all day
+ * @param {number} proKeyId - Pro key ID
+ * @param {number} hours - Look-back window in hours
+ * @returns {Promise<number>} - Number of releases in the window
+ */
+export async function countRecentDeviceReleases(proKeyId, hours = 24) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT COUNT(*) as count FROM key_devices
+                  WHERE pro_key_id = ? AND released_at >= datetime('now', '-' || ? || ' hours')`,
+            args: [proKeyId, hours]
+        });
+
+        return result.rows[0].count;
+
+    } catch (error) {
+        console.error('❌ Error counting device releases:', error);
+        throw error;
+    }
+}
+
+/**
+ * Release a device so its seat can be used by another one
+ * Sessions started from the device are revoked with it
+ * @param {number} proKeyId - Pro key ID
+ * @param {number} deviceId - key_devices row ID
+ * @returns {Promise<boolean>} - True if the device was released
+ */
+export async function releaseKeyDevice(proKeyId, deviceId) {
+    try {
+        const results = await turso.batch([
+            {
+                sql: `UPDATE key_devices SET released_at = datetime('now')
+                      WHERE id = ? AND pro_key_id = ? AND released_at IS NULL`,
+                args: [deviceId, proKeyId]
+            },
+            {
+                sql: `UPDATE key_sessions
+                      SET revoked_at = datetime('now'), revoked_reason = 'device_released'
+                      WHERE device_id = ? AND pro_key_id = ? AND revoked_at IS NULL`,
+                args: [deviceId, proKeyId]
+            }
+        ]);
+
+        const released = results[0].rowsAffected > 0;
+        if (released) {
+            console.log(`💻 Device ${deviceId} released for pro key ID: ${proKeyId}`);
+        }
+
+        return released;
+
+    } catch (error) {
+        console.error('❌ Error releasing key device:', error);
+        throw error;
+    }
+}
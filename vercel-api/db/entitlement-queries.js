@@ -0,0 +1,151 @@
+// Entitlement Database Queries
+// Tier entitlements, per-key overrides and the usage they are enforced against
+
+import { turso } from './connection.js';
+import { resolveEntitlements, toEntitlementColumns } from '../services/entitlements.js';
+
+/**
+ * Get the entitlements of every tier
+ * @returns {Promise<Array<Object>>} - Resolved entitlements per tier
+ */
+export async function getTierEntitlements() {
+    try {
+        const result = await turso.execute('SELECT * FROM tier_entitlements ORDER BY max_schedules ASC, tier ASC');
+
+        return result.rows.map(row => ({
+            ...resolveEntitlements(row.tier, [row]),
+            updatedAt: row.updated_at
+        }));
+
+    } catch (error) {
+        console.error('❌ Error getting tier entitlements:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the resolved entitlements of a pro key (tier, then the key's overrides)
+ * @param {number} proKeyId - Pro key ID
+ * @returns {Promise<Object>} - Resolved entitlements, see resolveEntitlements()
+ */
+export async function getKeyEntitlements(proKeyId) {
+    try {
+        const [key, tiers] = await turso.batch([
+            {
+                sql: `SELECT pk.tier as key_tier, o.*
+                      FROM pro_keys pk
+                      LEFT JOIN key_entitlement_overrides o ON o.pro_key_id = pk.id
+                      WHERE pk.id = ?`,
+                args: [proKeyId]
+            },
+            'SELECT * FROM tier_entitlements'
+        ]);
+
+        const row = key.rows[0] || null;
+
+        return resolveEntitlements(row?.key_tier, tiers.rows, row?.pro_key_id ? row : null);
+
+    } catch (error) {
+        console.error('❌ Error getting key entitlements:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create or update a tier's entitlements
+ * @param {string} tier - Tier name
+ * @param {Object} fields - Parsed entitlement fields; a new tier needs all of them
+ * @returns {Promise<Object>} - Resolved entitlements of the tier
+ */
+export async function upsertTierEntitlements(tier, fields) {
+    const columns = toEntitlementColumns(fields);
+    const names = Object.keys(columns);
+
+    try {
+        await turso.execute({
+            sql: `INSERT INTO tier_entitlements (tier, ${names.join(', ')})
+                  VALUES (?, ${names.map(() => '?').join(', ')})
+                  ON CONFLICT(tier) DO UPDATE SET
+                      ${names.map(name => `${name} = excluded.${name}`).join(', ')},
+                      updated_at = datetime('now')`,
+            args: [tier, ...names.map(name => columns[name])]
+        });
+
+        const result = await turso.execute({
+            sql: 'SELECT * FROM tier_entitlements WHERE tier = ?',
+            args: [tier]
+        });
+
+        return resolveEntitlements(tier, result.rows);
+
+    } catch (error) {
+        console.error('❌ Error saving tier entitlements:', error);
+        throw error;
+    }
+}
+
+/**
+ * Set or clear per-key entitlement overrides
+ * @param {number} proKeyId - Pro key ID
+ * @param {Object} fields - Parsed entitlement fields; null clears an override
+ * @returns {Promise<Object>} - { before, after } resolved entitlements
+ */
+export async function setKeyEntitlementOverrides(proKeyId, fields) {
+    const columns = toEntitlementColumns(fields);
+    const names = Object.keys(columns);
+
+    try {
+        const before = await getKeyEntitlements(proKeyId);
+
+        if (names.length > 0) {
+            await turso.batch([
+                {
+                    sql: `INSERT INTO key_entitlement_overrides (pro_key_id, ${names.join(', ')})
+                          VALUES (?, ${names.map(() => '?').join(', ')})
+                          ON CONFLICT(pro_key_id) DO UPDATE SET
+                              ${names.map(name => `${name} = excluded.${name}`).join(', ')},
+                              updated_at = datetime('now')`,
+                    args: [proKeyId, ...names.map(name => columns[name])]
+                },
+                {
+                    // Drop the row once nothing is overridden
+                    sql: `DELETE FROM key_entitlement_overrides
+                          WHERE pro_key_id = ? AND max_schedules IS NULL AND max_executions_per_day IS NULL
+                            AND allowed_integrations IS NULL AND allowed_recurrence IS NULL AND retention_days IS NULL`,
+                    args: [proKeyId]
+                }
+            ]);
+        }
+
+        return { before, after: await getKeyEntitlements(proKeyId) };
+
+    } catch (error) {
+        console.error('❌ Error saving key entitlement overrides:', error);
+        throw error;
+    }
+}
+
+/**
+ * Count a key's prompt executions today (UTC), retry attempts included
+ * @param {number} proKeyId - Pro key ID
+ * @returns {Promise<number>} - Executions since midnight UTC
+ */
+export async function countExecutionsToday(proKeyId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT COUNT(*) as count
+                  FROM automation_logs al
+                  JOIN scheduled_prompts sp ON al.scheduled_prompt_id = sp.id
+                  WHERE sp.pro_key_id = ?
+                    AND al.status IN ('success', 'retrying', 'failed', 'timeout')
+                    AND al.created_at >= date('now')`,
+            args: [proKeyId]
+        });
+
+        return Number(result.rows[0]?.count || 0);
+
+    } catch (error) {
+        console.error('❌ Error counting executions today:', error);
+        throw error;
+    }
+}
@@ -0,0 +1,25 @@
+// Initialize Account Database
+// Creates the customer_email_changes and email_recipient_confirmations tables
+
+import { runSchemaFile, tablesExist, runIfExecutedDirectly } from './schema-runner.js';
+
+const TABLES = ['customer_email_changes', 'email_recipient_confirmations'];
+
+/**
+ * Initialize account database schema
+ * @returns {Promise<Object>} - Initialization result
+ */
+export async function initAccountDatabase() {
+    return runSchemaFile('schema-account.sql', TABLES);
+}
+
+/**
+ * Check if the account tables exist
+ * @returns {Promise<boolean>} - True if both account tables exist
+ */
+export async function checkAccountTables() {
+    return tablesExist(TABLES);
+}
+
+// Run initialization if this file is executed directly
+runIfExecutedDirectly(import.meta.url, initAccountDatabase);
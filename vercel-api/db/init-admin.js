@@ -0,0 +1,25 @@
+// Initialize Admin Database
+// Creates the pro key audit log used by the admin API and the versioned key hashing columns
+
+import { runSchemaFile, tablesExist, runIfExecutedDirectly } from './schema-runner.js';
+
+const TABLES = ['pro_key_audit_log'];
+
+/**
+ * Initialize admin database schema
+ * @returns {Promise<Object>} - Initialization result
+ */
+export async function initAdminDatabase() {
+    return runSchemaFile('schema-admin.sql', TABLES);
+}
+
+/**
+ * Check if the admin tables exist
+ * @returns {Promise<boolean>} - True if the audit log table exists
+ */
+export async function checkAdminTables() {
+    return tablesExist(TABLES);
+}
+
+// Run initialization if this file is executed directly
+runIfExecutedDirectly(import.meta.url, initAdminDatabase);
@@ -88,8 +88,8 @@ export async function initializeAutomationDatabase() {
                 await turso.execute(statement);
                 console.log(`✅ Executed: ${statement.substring(0, 50)}...`);
             } catch (error) {
-                // Ignore "already exists" errors
-                if (error.message.includes('already exists')) {
+                // Ignore "already exists" errors (tables, indexes and upgrade columns)
+                if (error.message.includes('already exists') || error.message.includes('duplicate column')) {
                     console.log(`⚠️ Already exists: ${statement.substring(0, 50)}...`);
                 } else {
                     console.error(`❌ Error executing statement: ${statement.substring(0, 50)}...`);
@@ -115,10 +115,10 @@ export async function checkAutomationTables() {
     try {
         const result = await turso.execute(`
             SELECT name FROM sqlite_master 
-            WHERE type='table' AND name IN ('scheduled_prompts', 'automation_logs')
+            WHERE type='table' AND name IN ('scheduled_prompts', 'automation_logs', 'delivery_outbox')
         `);
 
-        return result.rows.length === 2;
+        return result.rows.length === 3;
 
     } catch (error) {
         console.error('Error checking automation tables:', error);
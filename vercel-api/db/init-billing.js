@@ -0,0 +1,25 @@
+// Initialize Billing Database
+// Creates the billing_events and billing_subscriptions tables
+
+import { runSchemaFile, tablesExist, runIfExecutedDirectly } from './schema-runner.js';
+
+const TABLES = ['billing_events', 'billing_subscriptions'];
+
+/**
+ * Initialize billing database schema
+ * @returns {Promise<Object>} - Initialization result
+ */
+export async function initBillingDatabase() {
+    return runSchemaFile('schema-billing.sql', TABLES);
+}
+
+/**
+ * Check if the billing tables exist
+ * @returns {Promise<boolean>} - True if both billing tables exist
+ */
+export async function checkBillingTables() {
+    return tablesExist(TABLES);
+}
+
+// Run initialization if this file is executed directly
+runIfExecutedDirectly(import.meta.url, initBillingDatabase);
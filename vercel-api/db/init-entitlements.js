@@ -0,0 +1,25 @@
+// Initialize Entitlements Database
+// Creates the tier_entitlements and key_entitlement_overrides tables and seeds the default tiers
+
+import { runSchemaFile, tablesExist, runIfExecutedDirectly } from './schema-runner.js';
+
+const TABLES = ['tier_entitlements', 'key_entitlement_overrides'];
+
+/**
+ * Initialize entitlements database schema
+ * @returns {Promise<Object>} - Initialization result
+ */
+export async function initEntitlementsDatabase() {
+    return runSchemaFile('schema-entitlements.sql', TABLES);
+}
+
+/**
+ * Check if the entitlement tables exist
+ * @returns {Promise<boolean>} - True if the tier_entitlements and key_entitlement_overrides tables exist
+ */
+export async function checkEntitlementTables() {
+    return tablesExist(TABLES);
+}
+
+// Run initialization if this file is executed directly
+runIfExecutedDirectly(import.meta.url, initEntitlementsDatabase);
@@ -0,0 +1,25 @@
+// Initialize Notifications Database
+// Creates the expiry_notifications table used by the expiry notice job
+
+import { runSchemaFile, tablesExist, runIfExecutedDirectly } from './schema-runner.js';
+
+const TABLES = ['expiry_notifications'];
+
+/**
+ * Initialize notifications database schema
+ * @returns {Promise<Object>} - Initialization result
+ */
+export async function initNotificationsDatabase() {
+    return runSchemaFile('schema-notifications.sql', TABLES);
+}
+
+/**
+ * Check if the notification tables exist
+ * @returns {Promise<boolean>} - True if the expiry_notifications table exists
+ */
+export async function checkNotificationTables() {
+    return tablesExist(TABLES);
+}
+
+// Run initialization if this file is executed directly
+runIfExecutedDirectly(import.meta.url, initNotificationsDatabase);
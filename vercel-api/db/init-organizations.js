@@ -0,0 +1,25 @@
+// Initialize Organizations Database
+// Creates the organizations, organization_members and organization_integration_settings tables
+
+import { runSchemaFile, tablesExist, runIfExecutedDirectly } from './schema-runner.js';
+
+const TABLES = ['organizations', 'organization_members', 'organization_integration_settings'];
+
+/**
+ * Initialize organizations database schema
+ * @returns {Promise<Object>} - Initialization result
+ */
+export async function initOrganizationsDatabase() {
+    return runSchemaFile('schema-organizations.sql', TABLES);
+}
+
+/**
+ * Check if the organization tables exist
+ * @returns {Promise<boolean>} - True if all organization tables exist
+ */
+export async function checkOrganizationTables() {
+    return tablesExist(TABLES);
+}
+
+// Run initialization if this file is executed directly
+runIfExecutedDirectly(import.meta.url, initOrganizationsDatabase);
@@ -0,0 +1,25 @@
+// Initialize Prompts Database
+// Creates the prompts and prompt_versions tables of the prompt library
+
+import { runSchemaFile, tablesExist, runIfExecutedDirectly } from './schema-runner.js';
+
+const TABLES = ['prompts', 'prompt_versions'];
+
+/**
+ * Initialize prompts database schema
+ * @returns {Promise<Object>} - Initialization result
+ */
+export async function initPromptsDatabase() {
+    return runSchemaFile('schema-prompts.sql', TABLES);
+}
+
+/**
+ * Check if the prompt library tables exist
+ * @returns {Promise<boolean>} - True if the prompts and prompt_versions tables exist
+ */
+export async function checkPromptTables() {
+    return tablesExist(TABLES);
+}
+
+// Run initialization if this file is executed directly
+runIfExecutedDirectly(import.meta.url, initPromptsDatabase);
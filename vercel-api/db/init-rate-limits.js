@@ -0,0 +1,25 @@
+// Initialize Rate Limit Database
+// Creates the rate_limit_buckets table used by the database rate limit store
+
+import { runSchemaFile, tablesExist, runIfExecutedDirectly } from './schema-runner.js';
+
+const TABLES = ['rate_limit_buckets'];
+
+/**
+ * Initialize rate limit database schema
+ * @returns {Promise<Object>} - Initialization result
+ */
+export async function initRateLimitDatabase() {
+    return runSchemaFile('schema-rate-limits.sql', TABLES);
+}
+
+/**
+ * Check if the rate limit table exists
+ * @returns {Promise<boolean>} - True if the rate_limit_buckets table exists
+ */
+export async function checkRateLimitTables() {
+    return tablesExist(TABLES);
+}
+
+// Run initialization if this file is executed directly
+runIfExecutedDirectly(import.meta.url, initRateLimitDatabase);
@@ -0,0 +1,25 @@
+// Initialize Security Database
+// Creates the validation_failures and security_bans tables used for brute-force protection
+
+import { runSchemaFile, tablesExist, runIfExecutedDirectly } from './schema-runner.js';
+
+const TABLES = ['validation_failures', 'security_bans'];
+
+/**
+ * Initialize security database schema
+ * @returns {Promise<Object>} - Initialization result
+ */
+export async function initSecurityDatabase() {
+    return runSchemaFile('schema-security.sql', TABLES);
+}
+
+/**
+ * Check if the security tables exist
+ * @returns {Promise<boolean>} - True if the validation_failures and security_bans tables exist
+ */
+export async function checkSecurityTables() {
+    return tablesExist(TABLES);
+}
+
+// Run initialization if this file is executed directly
+runIfExecutedDirectly(import.meta.url, initSecurityDatabase);
@@ -0,0 +1,25 @@
+// Initialize Session Database
+// Creates the key_sessions and key_devices tables backing session tokens and device seats
+
+import { runSchemaFile, tablesExist, runIfExecutedDirectly } from './schema-runner.js';
+
+const TABLES = ['key_sessions', 'key_devices'];
+
+/**
+ * Initialize session database schema
+ * @returns {Promise<Object>} - Initialization result
+ */
+export async function initSessionDatabase() {
+    return runSchemaFile('schema-sessions.sql', TABLES);
+}
+
+/**
+ * Check if the session tables exist
+ * @returns {Promise<boolean>} - True if the key_sessions and key_devices tables exist
+ */
+export async function checkSessionTables() {
+    return tablesExist(TABLES);
+}
+
+// Run initialization if this file is executed directly
+runIfExecutedDirectly(import.meta.url, initSessionDatabase);
@@ -0,0 +1,25 @@
+// Initialize Trials Database
+// Creates the trial_issuances table and the trial tier entitlements
+
+import { runSchemaFile, tablesExist, runIfExecutedDirectly } from './schema-runner.js';
+
+const TABLES = ['trial_issuances'];
+
+/**
+ * Initialize trials database schema
+ * @returns {Promise<Object>} - Initialization result
+ */
+export async function initTrialsDatabase() {
+    return runSchemaFile('schema-trials.sql', TABLES);
+}
+
+/**
+ * Check if the trial tables exist
+ * @returns {Promise<boolean>} - True if the trial_issuances table exists
+ */
+export async function checkTrialTables() {
+    return tablesExist(TABLES);
+}
+
+// Run initialization if this file is executed directly
+runIfExecutedDirectly(import.meta.url, initTrialsDatabase);
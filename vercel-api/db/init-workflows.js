@@ -0,0 +1,25 @@
+// Initialize Workflows Database
+// Creates the workflows table for multi-step scheduled prompts
+
+import { runSchemaFile, tablesExist, runIfExecutedDirectly } from './schema-runner.js';
+
+const TABLES = ['workflows'];
+
+/**
+ * Initialize workflows database schema
+ * @returns {Promise<Object>} - Initialization result
+ */
+export async function initWorkflowsDatabase() {
+    return runSchemaFile('schema-workflows.sql', TABLES);
+}
+
+/**
+ * Check if the workflows table exists
+ * @returns {Promise<boolean>} - True if the workflows table exists
+ */
+export async function checkWorkflowTable() {
+    return tablesExist(TABLES);
+}
+
+// Run initialization if this file is executed directly
+runIfExecutedDirectly(import.meta.url, initWorkflowsDatabase);
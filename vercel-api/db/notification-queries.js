@@ -0,0 +1,112 @@
+// Notification Database Queries
+// Keys approaching expiry and the expiry notices already sent to them
+
+import { turso } from './connection.js';
+
+/**
+ * Get active keys that expire within the notice window or are still in their grace period
+ * @param {number} noticeDays - Largest notice threshold in days
+ * @param {number} graceDays - Grace period in days
+ * @returns {Promise<Array<Object>>} - [{ id, tier, expires_at, customer_name, sent_thresholds: [days] }]
+ */
+export async function getKeysNearingExpiry(noticeDays, graceDays) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT pk.id, pk.tier, pk.expires_at, c.name as customer_name,
+                         (SELECT json_group_array(en.threshold_days) FROM expiry_notifications en
+                          WHERE en.pro_key_id = pk.id AND en.expires_at = pk.expires_at) as sent_thresholds
+                  FROM pro_keys pk
+                  LEFT JOIN customers c ON c.pro_key_id = pk.id
+                  WHERE pk.status = 'active'
+                    AND pk.expires_at IS NOT NULL
+                    AND datetime(pk.expires_at) <= datetime('now', '+' || ? || ' days')
+                    AND datetime(pk.expires_at) > datetime('now', '-' || ? || ' days')
+                  GROUP BY pk.id
+                  ORDER BY datetime(pk.expires_at) ASC`,
+            args: [noticeDays, graceDays]
+        });
+
+        return result.rows.map(row => ({
+            ...row,
+            sent_thresholds: JSON.parse(row.sent_thresholds || '[]')
+        }));
+
+    } catch (error) {
+        console.error('❌ Error getting keys nearing expiry:', error);
+        throw error;
+    }
+}
+
+/**
+ * Claim an expiry notice before sending it
+ * The unique (pro_key_id, expires_at, threshold_days) row means only one instance ever sends a notice
+ * @param {number} proKeyId - Pro key ID
+ * @param {string} expiresAt - Expiry date the notice is about
+ * @param {number} thresholdDays - Notice threshold
+ * @returns {Promise<number|null>} - Notice ID, or null if it was already claimed
+ */
+export async function claimExpiryNotice(proKeyId, expiresAt, thresholdDays) {
+    try {
+        const result = await turso.execute({
+            sql: `INSERT OR IGNORE INTO expiry_notifications (pro_key_id, expires_at, threshold_days)
+                  VALUES (?, ?, ?)
+                  RETURNING id`,
+            args: [proKeyId, expiresAt, thresholdDays]
+        });
+
+        return result.rows.length > 0 ? Number(result.rows[0].id) : null;
+
+    } catch (error) {
+        console.error('❌ Error claiming expiry notice:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record how sending an expiry notice went
+ * @param {number} noticeId - Notice ID from claimExpiryNotice
+ * @param {string} status - 'sent' or 'failed'
+ * @param {Array<Object>} channelResults - [{ channel, success, error }]
+ */
+export async function completeExpiryNotice(noticeId, status, channelResults) {
+    try {
+        await turso.execute({
+            sql: `UPDATE expiry_notifications
+                  SET status = ?, channel_results = ?, sent_at = datetime('now')
+                  WHERE id = ?`,
+            args: [status, JSON.stringify(channelResults), noticeId]
+        });
+
+    } catch (error) {
+        console.error('❌ Error completing expiry notice:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the expiry notices sent to a key
+ * @param {number} proKeyId - Pro key ID
+ * @param {number} limit - Maximum notices to return
+ * @returns {Promise<Array<Object>>} - Notices, newest first
+ */
+export async function getKeyExpiryNotices(proKeyId, limit = 20) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT id, expires_at, threshold_days, status, channel_results, created_at, sent_at
+                  FROM expiry_notifications
+                  WHERE pro_key_id = ?
+                  ORDER BY id DESC
+                  LIMIT ?`,
+            args: [proKeyId, limit]
+        });
+
+        return result.rows.map(row => ({
+            ...row,
+            channel_results: row.channel_results ? JSON.parse(row.channel_results) : null
+        }));
+
+    } catch (error) {
+        console.error('❌ Error getting key expiry notices:', error);
+        throw error;
+    }
+}
@@ -0,0 +1,502 @@
+// Organization Database Queries
+// Teams of pro keys, member roles, shared integration settings, schedule quotas and usage reports
+
+import { turso } from './connection.js';
+import { buildAuditStatement } from './admin-queries.js';
+
+// Execution log statuses that are intermediate steps rather than finished runs
+const NON_RUN_STATUSES = ['retrying', 'skipped'];
+
+/**
+ * Get the organization a key belongs to, with the key's role
+ * @param {number} proKeyId - Pro key ID
+ * @returns {Promise<Object|null>} - { id, name, max_schedules, created_at, updated_at, role, joined_at }, or null
+ */
+export async function getKeyOrganization(proKeyId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT o.id, o.name, o.max_schedules, o.created_at, o.updated_at, om.role, om.joined_at
+                  FROM organization_members om
+                  JOIN organizations o ON o.id = om.organization_id
+                  WHERE om.pro_key_id = ?`,
+            args: [proKeyId]
+        });
+
+        return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+        console.error('❌ Error getting key organization:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create an organization owned by a key
+ * @param {string} name - Organization name
+ * @param {number} ownerKeyId - Pro key that becomes the owner
+ * @param {Object} audit - { actor, ipAddress, reason }
+ * @returns {Promise<Object|null>} - Organization with the owner's role, or null if the key is already in one
+ */
+export async function createOrganization(name, ownerKeyId, audit) {
+    try {
+        // The member insert reuses the organization's rowid; the UNIQUE pro_key_id rolls back the
+        // whole batch if the key joined another organization in the meantime
+        await turso.batch([
+            {
+                sql: 'INSERT INTO organizations (name) VALUES (?)',
+                args: [name]
+            },
+            {
+                sql: `INSERT INTO organization_members (organization_id, pro_key_id, role, added_by_key_id)
+                      VALUES (last_insert_rowid(), ?, 'owner', ?)`,
+                args: [ownerKeyId, ownerKeyId]
+            },
+            buildAuditStatement('?', [ownerKeyId], { ...audit, action: 'create_organization' }, {
+                organization: { from: null, to: name },
+                organization_role: { from: null, to: 'owner' }
+            })
+        ]);
+
+        const organization = await getKeyOrganization(ownerKeyId);
+
+        console.log(`🏢 Organization ${organization.id} created by pro key ${ownerKeyId}`);
+
+        return organization;
+
+    } catch (error) {
+        if (error.message.includes('UNIQUE')) {
+            return null;
+        }
+
+        console.error('❌ Error creating organization:', error);
+        throw error;
+    }
+}
+
+/**
+ * Change an organization's name or schedule quota
+ * @param {number} organizationId - Organization ID
+ * @param {Object} fields - Any of { name, max_schedules }
+ * @returns {Promise<boolean>} - True if the organization exists
+ */
+export async function updateOrganization(organizationId, fields) {
+    const columns = ['name', 'max_schedules'].filter(column => fields[column] !== undefined);
+
+    if (columns.length === 0) {
+        return true;
+    }
+
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE organizations
+                  SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = datetime('now')
+                  WHERE id = ?`,
+            args: [...columns.map(column => fields[column]), organizationId]
+        });
+
+        return result.rowsAffected > 0;
+
+    } catch (error) {
+        console.error('❌ Error updating organization:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete an organization, its memberships and shared settings
+ * Member keys, their schedules and their own settings are kept
+ * @param {number} organizationId - Organization ID
+ * @param {Object} audit - { actor, ipAddress, reason }
+ */
+export async function deleteOrganization(organizationId, audit) {
+    try {
+        await turso.batch([
+            {
+                sql: `INSERT INTO pro_key_audit_log (pro_key_id, action, actor, ip_address, changes, reason)
+                      SELECT pro_key_id, 'leave_organization', ?, ?, json_object('organization_role', json_object('from', role, 'to', NULL)), ?
+                      FROM organization_members WHERE organization_id = ?`,
+                args: [audit.actor, audit.ipAddress || null, audit.reason || null, organizationId]
+            },
+            {
+                sql: 'DELETE FROM organization_integration_settings WHERE organization_id = ?',
+                args: [organizationId]
+            },
+            {
+                sql: 'DELETE FROM organization_members WHERE organization_id = ?',
+                args: [organizationId]
+            },
+            {
+                sql: 'DELETE FROM organizations WHERE id = ?',
+                args: [organizationId]
+            }
+        ]);
+
+        console.log(`🏢 Organization ${organizationId} deleted by ${audit.actor}`);
+
+    } catch (error) {
+        console.error('❌ Error deleting organization:', error);
+        throw error;
+    }
+}
+
+/**
+ * List an organization's member keys
+ * @param {number} organizationId - Organization ID
+ * @returns {Promise<Array>} - Members with key and customer details, owner first
+ */
+export async function getOrganizationMembers(organizationId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT om.pro_key_id, om.role, om.joined_at, om.added_by_key_id,
+                         pk.tier, pk.status, pk.expires_at,
+                         c.name as customer_name, c.email as customer_email
+                  FROM organization_members om
+                  JOIN pro_keys pk ON pk.id = om.pro_key_id
+                  LEFT JOIN customers c ON c.id = (SELECT MIN(id) FROM customers WHERE pro_key_id = om.pro_key_id)
+                  WHERE om.organization_id = ?
+                  ORDER BY CASE om.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END, om.joined_at ASC`,
+            args: [organizationId]
+        });
+
+        return result.rows;
+
+    } catch (error) {
+        console.error('❌ Error getting organization members:', error);
+        throw error;
+    }
+}
+
+/**
+ * Add a key to an organization
+ * @param {number} organizationId - Organization ID
+ * @param {number} proKeyId - Key to add
+ * @param {string} role - 'admin' or 'member'
+ * @param {number} addedByKeyId - Key of the member adding it
+ * @param {Object} audit - { actor, ipAddress, reason }
+ * @returns {Promise<boolean>} - False if the key already belongs to an organization
+ */
+export async function addOrganizationMember(organizationId, proKeyId, role, addedByKeyId, audit) {
+    try {
+        const result = await turso.execute({
+            sql: `INSERT OR IGNORE INTO organization_members (organization_id, pro_key_id, role, added_by_key_id)
+                  VALUES (?, ?, ?, ?)
+                  RETURNING id`,
+            args: [organizationId, proKeyId, role, addedByKeyId]
+        });
+
+        if (result.rows.length === 0) {
+            return false;
+        }
+
+        await turso.execute(buildAuditStatement('?', [proKeyId], { ...audit, action: 'join_organization' }, {
+            organization_id: { from: null, to: organizationId },
+            organization_role: { from: null, to: role }
+        }));
+
+        console.log(`🏢 Pro key ${proKeyId} joined organization ${organizationId} as ${role}`);
+
+        return true;
+
+    } catch (error) {
+        console.error('❌ Error adding organization member:', error);
+        throw error;
+    }
+}
+
+/**
+ * Change a member's role
+ * @param {number} organizationId - Organization ID
+ * @param {Object} member - Member row { pro_key_id, role }
+ * @param {string} role - New role ('admin' or 'member')
+ * @param {Object} audit - { actor, ipAddress, reason }
+ * @returns {Promise<boolean>} - True if the member was updated
+ */
+export async function updateOrganizationMemberRole(organizationId, member, role, audit) {
+    try {
+        const [result] = await turso.batch([
+            {
+                sql: 'UPDATE organization_members SET role = ? WHERE organization_id = ? AND pro_key_id = ?',
+                args: [role, organizationId, member.pro_key_id]
+            },
+            buildAuditStatement('?', [member.pro_key_id], { ...audit, action: 'change_organization_role' }, {
+                organization_role: { from: member.role, to: role }
+            })
+        ]);
+
+        return result.rowsAffected > 0;
+
+    } catch (error) {
+        console.error('❌ Error updating organization member role:', error);
+        throw error;
+    }
+}
+
+/**
+ * Make another member the owner. The previous owner becomes an admin
+ * @param {number} organizationId - Organization ID
+ * @param {number} ownerKeyId - Current owner's key
+ * @param {Object} member - Member row of the new owner { pro_key_id, role }
+ * @param {Object} audit - { actor, ipAddress, reason }
+ */
+export async function transferOrganizationOwnership(organizationId, ownerKeyId, member, audit) {
+    try {
+        await turso.batch([
+            {
+                sql: `UPDATE organization_members SET role = 'admin'
+                      WHERE organization_id = ? AND pro_key_id = ? AND role = 'owner'`,
+                args: [organizationId, ownerKeyId]
+            },
+            {
+                sql: `UPDATE organization_members SET role = 'owner'
+                      WHERE organization_id = ? AND pro_key_id = ?`,
+                args: [organizationId, member.pro_key_id]
+            },
+            buildAuditStatement('?', [ownerKeyId], { ...audit, action: 'change_organization_role' }, {
+                organization_role: { from: 'owner', to: 'admin' }
+            }),
+            buildAuditStatement('?', [member.pro_key_id], { ...audit, action: 'change_organization_role' }, {
+                organization_role: { from: member.role, to: 'owner' }
+            })
+        ]);
+
+        console.log(`🏢 Organization ${organizationId} transferred from pro key ${ownerKeyId} to ${member.pro_key_id}`);
+
+    } catch (error) {
+        console.error('❌ Error transferring organization ownership:', error);
+        throw error;
+    }
+}
+
+/**
+ * Remove a key from an organization
+ * The key keeps its schedules; they stop counting towards the org quota and stop using shared settings
+ * @param {number} organizationId - Organization ID
+ * @param {Object} member - Member row { pro_key_id, role }
+ * @param {Object} audit - { actor, ipAddress, reason }
+ * @returns {Promise<boolean>} - True if the member was removed
+ */
+export async function removeOrganizationMember(organizationId, member, audit) {
+    try {
+        const [result] = await turso.batch([
+            {
+                sql: 'DELETE FROM organization_members WHERE organization_id = ? AND pro_key_id = ?',
+                args: [organizationId, member.pro_key_id]
+            },
+            buildAuditStatement('?', [member.pro_key_id], { ...audit, action: 'leave_organization' }, {
+                organization_id: { from: organizationId, to: null },
+                organization_role: { from: member.role, to: null }
+            })
+        ]);
+
+        return result.rowsAffected > 0;
+
+    } catch (error) {
+        console.error('❌ Error removing organization member:', error);
+        throw error;
+    }
+}
+
+/**
+ * List an organization's shared integration settings
+ * @param {number} organizationId - Organization ID
+ * @returns {Promise<Array>} - Settings rows with parsed settings
+ */
+export async function getOrganizationIntegrationSettings(organizationId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT * FROM organization_integration_settings
+                  WHERE organization_id = ?
+                  ORDER BY integration_type ASC`,
+            args: [organizationId]
+        });
+
+        return result.rows.map(row => ({
+            id: Number(row.id),
+            integration_type: row.integration_type,
+            settings: JSON.parse(row.settings || '{}'),
+            is_active: Boolean(row.is_active),
+            created_at: row.created_at,
+            updated_at: row.updated_at
+        }));
+
+    } catch (error) {
+        console.error('❌ Error getting organization integration settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create or replace a shared integration setting
+ * @param {number} organizationId - Organization ID
+ * @param {string} integrationType - Integration type
+ * @param {Object} settings - Settings to store as JSON
+ * @returns {Promise<string>} - 'created' or 'updated'
+ */
+export async function saveOrganizationIntegrationSettings(organizationId, integrationType, settings) {
+    try {
+        const [existing] = await turso.batch([
+            {
+                sql: `SELECT id FROM organization_integration_settings
+                      WHERE organization_id = ? AND integration_type = ?`,
+                args: [organizationId, integrationType]
+            },
+            {
+                sql: `INSERT INTO organization_integration_settings (organization_id, integration_type, settings, is_active)
+                      VALUES (?, ?, ?, TRUE)
+                      ON CONFLICT (organization_id, integration_type) DO UPDATE SET
+                          settings = excluded.settings,
+                          is_active = TRUE,
+                          updated_at = datetime('now')`,
+                args: [organizationId, integrationType, JSON.stringify(settings || {})]
+            }
+        ]);
+
+        return existing.rows.length > 0 ? 'updated' : 'created';
+
+    } catch (error) {
+        console.error('❌ Error saving organization integration settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete a shared integration setting
+ * @param {number} organizationId - Organization ID
+ * @param {string} integrationType - Integration type
+ * @returns {Promise<boolean>} - True if settings were deleted
+ */
+export async function deleteOrganizationIntegrationSettings(organizationId, integrationType) {
+    try {
+        const result = await turso.execute({
+            sql: 'DELETE FROM organization_integration_settings WHERE organization_id = ? AND integration_type = ?',
+            args: [organizationId, integrationType]
+        });
+
+        return result.rowsAffected > 0;
+
+    } catch (error) {
+        console.error('❌ Error deleting organization integration settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the org-wide schedule quota that applies to a key
+ * @param {number} proKeyId - Pro key ID
+ * @returns {Promise<Object|null>} - { organizationId, maxSchedules, currentCount }, or null if no quota applies
+ */
+export async function getOrganizationScheduleQuota(proKeyId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT o.id, o.max_schedules,
+                         (SELECT COUNT(*)
+                          FROM scheduled_prompts sp
+                          JOIN organization_members m ON m.pro_key_id = sp.pro_key_id
+                          WHERE m.organization_id = o.id AND sp.status IN ('pending', 'running', 'completed')) as current_count
+                  FROM organization_members om
+                  JOIN organizations o ON o.id = om.organization_id
+                  WHERE om.pro_key_id = ? AND o.max_schedules IS NOT NULL`,
+            args: [proKeyId]
+        });
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        const row = result.rows[0];
+
+        return {
+            organizationId: row.id,
+            maxSchedules: Number(row.max_schedules),
+            currentCount: Number(row.current_count)
+        };
+
+    } catch (error) {
+        console.error('❌ Error getting organization schedule quota:', error);
+        throw error;
+    }
+}
+
+/**
+ * Aggregate key validations and schedule executions across an organization's keys
+ * @param {number} organizationId - Organization ID
+ * @param {number} days - Days to look back
+ * @returns {Promise<Object>} - { keys, daily } with one row per member key and per day
+ */
+export async function getOrganizationUsageReport(organizationId, days) {
+    const memberKeys = 'SELECT pro_key_id FROM organization_members WHERE organization_id = ?1';
+    const since = "datetime('now', '-' || ?2 || ' days')";
+    const nonRunStatuses = NON_RUN_STATUSES.map(status => `'${status}'`).join(', ');
+
+    try {
+        const [keys, daily] = await turso.batch([
+            {
+                sql: `SELECT om.pro_key_id, om.role, pk.tier, pk.status,
+                             c.name as customer_name,
+                             COALESCE(u.validations, 0) as validations,
+                             COALESCE(u.active_days, 0) as active_days,
+                             u.last_used,
+                             COALESCE(e.executions, 0) as executions,
+                             COALESCE(e.successful, 0) as successful,
+                             COALESCE(e.failed, 0) as failed,
+                             COALESCE(e.skipped, 0) as skipped,
+                             COALESCE(e.total_tokens, 0) as total_tokens,
+                             (SELECT COUNT(*) FROM scheduled_prompts sp
+                              WHERE sp.pro_key_id = om.pro_key_id AND sp.status IN ('pending', 'running', 'completed')) as active_schedules
+                      FROM organization_members om
+                      JOIN pro_keys pk ON pk.id = om.pro_key_id
+                      LEFT JOIN customers c ON c.id = (SELECT MIN(id) FROM customers WHERE pro_key_id = om.pro_key_id)
+                      LEFT JOIN (
+                          SELECT pro_key_id, COUNT(*) as validations,
+                                 COUNT(DISTINCT DATE(used_at)) as active_days, MAX(used_at) as last_used
+                          FROM key_usage
+                          WHERE pro_key_id IN (${memberKeys}) AND used_at >= ${since}
+                          GROUP BY pro_key_id
+                      ) u ON u.pro_key_id = om.pro_key_id
+                      LEFT JOIN (
+                          SELECT sp.pro_key_id,
+                                 COUNT(CASE WHEN al.status NOT IN (${nonRunStatuses}) THEN 1 END) as executions,
+                                 COUNT(CASE WHEN al.status = 'success' THEN 1 END) as successful,
+                                 COUNT(CASE WHEN al.status IN ('failed', 'timeout') THEN 1 END) as failed,
+                                 COUNT(CASE WHEN al.status = 'skipped' THEN 1 END) as skipped,
+                                 SUM(COALESCE(al.total_tokens, 0)) as total_tokens
+                          FROM automation_logs al
+                          JOIN scheduled_prompts sp ON sp.id = al.scheduled_prompt_id
+                          WHERE sp.pro_key_id IN (${memberKeys}) AND al.created_at >= ${since}
+                          GROUP BY sp.pro_key_id
+                      ) e ON e.pro_key_id = om.pro_key_id
+                      WHERE om.organization_id = ?1
+                      ORDER BY executions DESC, validations DESC, om.pro_key_id ASC`,
+                args: [organizationId, days]
+            },
+            {
+                sql: `SELECT day, SUM(validations) as validations, SUM(executions) as executions
+                      FROM (
+                          SELECT DATE(used_at) as day, COUNT(*) as validations, 0 as executions
+                          FROM key_usage
+                          WHERE pro_key_id IN (${memberKeys}) AND used_at >= ${since}
+                          GROUP BY DATE(used_at)
+                          UNION ALL
+                          SELECT DATE(al.created_at) as day, 0 as validations, COUNT(*) as executions
+                          FROM automation_logs al
+                          JOIN scheduled_prompts sp ON sp.id = al.scheduled_prompt_id
+                          WHERE sp.pro_key_id IN (${memberKeys}) AND al.created_at >= ${since}
+                            AND al.status NOT IN (${nonRunStatuses})
+                          GROUP BY DATE(al.created_at)
+                      )
+                      GROUP BY day
+                      ORDER BY day ASC`,
+                args: [organizationId, days]
+            }
+        ]);
+
+        return {
+            keys: keys.rows,
+            daily: daily.rows
+        };
+
+    } catch (error) {
+        console.error('❌ Error getting organization usage report:', error);
+        throw error;
+    }
+}
@@ -0,0 +1,308 @@
+// Prompt Library Database Queries
+// Saved prompts, their immutable versions and the schedules that use them
+
+import { turso } from './connection.js';
+
+// Schedules that will still run and so keep their library prompt alive
+const ACTIVE_SCHEDULE_STATUSES = ['pending', 'running'];
+const activeStatuses = ACTIVE_SCHEDULE_STATUSES.map(status => `'${status}'`).join(', ');
+
+/**
+ * Parse a prompts row joined with its latest version
+ * @param {Object} row - Raw row
+ * @returns {Object} - Prompt with parsed tags
+ */
+function parsePromptRow(row) {
+    let tags = [];
+
+    try {
+        tags = JSON.parse(row.tags || '[]');
+    } catch (error) {
+        console.warn(`⚠️ Invalid tags JSON for prompt ${row.id}`);
+    }
+
+    return {
+        id: Number(row.id),
+        title: row.title,
+        content: row.content,
+        description: row.description,
+        tags: tags,
+        latestVersion: Number(row.latest_version),
+        activeSchedules: Number(row.active_schedules || 0),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+const PROMPT_COLUMNS = `p.id, p.description, p.tags, p.latest_version, p.created_at, p.updated_at,
+                        pv.title, pv.content,
+                        (SELECT COUNT(*) FROM scheduled_prompts sp
+                         WHERE sp.library_prompt_id = p.id AND sp.status IN (${activeStatuses})) as active_schedules`;
+
+/**
+ * List a key's library prompts with their latest version
+ * @param {number} proKeyId - Pro key ID
+ * @param {Object} filters - { tag, search } (search matches the latest title)
+ * @returns {Promise<Array>} - Prompts, most recently updated first
+ */
+export async function listPrompts(proKeyId, { tag = null, search = null } = {}) {
+    try {
+        let sql = `SELECT ${PROMPT_COLUMNS}
+                   FROM prompts p
+                   JOIN prompt_versions pv ON pv.prompt_id = p.id AND pv.version = p.latest_version
+                   WHERE p.pro_key_id = ?`;
+        const args = [proKeyId];
+
+        if (tag) {
+            sql += ' AND EXISTS (SELECT 1 FROM json_each(p.tags) WHERE json_each.value = ?)';
+            args.push(tag);
+        }
+
+        if (search) {
+            sql += " AND pv.title LIKE '%' || ? || '%'";
+            args.push(search);
+        }
+
+        sql += ' ORDER BY p.updated_at DESC, p.id DESC';
+
+        const result = await turso.execute({ sql, args });
+
+        return result.rows.map(parsePromptRow);
+
+    } catch (error) {
+        console.error('❌ Error listing prompts:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get one of a key's library prompts with its latest version
+ * @param {number} proKeyId - Pro key ID
+ * @param {number} promptId - Prompt ID
+ * @returns {Promise<Object|null>} - Prompt, or null if the key has no such prompt
+ */
+export async function getPrompt(proKeyId, promptId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT ${PROMPT_COLUMNS}
+                  FROM prompts p
+                  JOIN prompt_versions pv ON pv.prompt_id = p.id AND pv.version = p.latest_version
+                  WHERE p.id = ? AND p.pro_key_id = ?`,
+            args: [promptId, proKeyId]
+        });
+
+        return result.rows.length > 0 ? parsePromptRow(result.rows[0]) : null;
+
+    } catch (error) {
+        console.error('❌ Error getting prompt:', error);
+        throw error;
+    }
+}
+
+/**
+ * List a prompt's versions, newest first
+ * @param {number} promptId - Prompt ID
+ * @returns {Promise<Array>} - { version, title, note, created_at } without the content
+ */
+export async function getPromptVersions(promptId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT version, title, note, length(content) as content_length, created_at
+                  FROM prompt_versions
+                  WHERE prompt_id = ?
+                  ORDER BY version DESC`,
+            args: [promptId]
+        });
+
+        return result.rows;
+
+    } catch (error) {
+        console.error('❌ Error getting prompt versions:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get a version of one of a key's prompts
+ * @param {number} proKeyId - Pro key ID
+ * @param {number} promptId - Prompt ID
+ * @param {number|null} version - Version number, or null for the latest
+ * @returns {Promise<Object|null>} - { prompt_id, version, title, content, note, created_at }, or null
+ */
+export async function getPromptVersion(proKeyId, promptId, version = null) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT pv.prompt_id, pv.version, pv.title, pv.content, pv.note, pv.created_at
+                  FROM prompts p
+                  JOIN prompt_versions pv ON pv.prompt_id = p.id AND pv.version = COALESCE(?, p.latest_version)
+                  WHERE p.id = ? AND p.pro_key_id = ?`,
+            args: [version, promptId, proKeyId]
+        });
+
+        return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+        console.error('❌ Error getting prompt version:', error);
+        throw error;
+    }
+}
+
+/**
+ * Save a new library prompt as version 1
+ * @param {number} proKeyId - Pro key ID
+ * @param {Object} input - { title, content, description, tags, note }
+ * @returns {Promise<Object>} - Created prompt
+ */
+export async function createPrompt(proKeyId, input) {
+    try {
+        const [created] = await turso.batch([
+            {
+                sql: `INSERT INTO prompts (pro_key_id, description, tags, latest_version)
+                      VALUES (?, ?, ?, 1)
+                      RETURNING id`,
+                args: [proKeyId, input.description ?? null, JSON.stringify(input.tags || [])]
+            },
+            {
+                sql: `INSERT INTO prompt_versions (prompt_id, version, title, content, note)
+                      VALUES (last_insert_rowid(), 1, ?, ?, ?)`,
+                args: [input.title, input.content, input.note ?? null]
+            }
+        ]);
+
+        const promptId = Number(created.rows[0].id);
+
+        console.log(`📚 Prompt ${promptId} saved for pro key ID ${proKeyId}`);
+
+        return await getPrompt(proKeyId, promptId);
+
+    } catch (error) {
+        console.error('❌ Error creating prompt:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update a prompt. A changed title or content is saved as the next version and
+ * copied into the active schedules that follow the latest version
+ * @param {number} promptId - Prompt ID
+ * @param {Object} input - Parsed update { title?, content?, description?, tags?, note? }
+ * @param {Object|null} nextVersion - { title, content } of the new version, or null to only change metadata
+ * @returns {Promise<Object>} - { version, schedulesUpdated }
+ */
+export async function updatePrompt(promptId, input, nextVersion) {
+    try {
+        const statements = [];
+
+        if (nextVersion) {
+            statements.push(
+                {
+                    sql: `INSERT INTO prompt_versions (prompt_id, version, title, content, note)
+                          SELECT id, latest_version + 1, ?, ?, ? FROM prompts WHERE id = ?`,
+                    args: [nextVersion.title, nextVersion.content, input.note ?? null, promptId]
+                },
+                {
+                    sql: 'UPDATE prompts SET latest_version = latest_version + 1 WHERE id = ?',
+                    args: [promptId]
+                },
+                {
+                    sql: `UPDATE scheduled_prompts
+                          SET prompt_title = ?, prompt_content = ?,
+                              library_version = (SELECT latest_version FROM prompts WHERE id = ?),
+                              updated_at = datetime('now')
+                          WHERE library_prompt_id = ? AND library_follow_latest = TRUE
+                            AND status IN (${activeStatuses})`,
+                    args: [nextVersion.title, nextVersion.content, promptId, promptId]
+                }
+            );
+        }
+
+        statements.push({
+            sql: `UPDATE prompts
+                  SET description = CASE WHEN ?1 THEN ?2 ELSE description END,
+                      tags = COALESCE(?3, tags),
+                      updated_at = datetime('now')
+                  WHERE id = ?4
+                  RETURNING latest_version`,
+            args: [
+                input.description !== undefined,
+                input.description ?? null,
+                input.tags ? JSON.stringify(input.tags) : null,
+                promptId
+            ]
+        });
+
+        const results = await turso.batch(statements);
+        const version = Number(results[results.length - 1].rows[0].latest_version);
+        const schedulesUpdated = nextVersion ? results[2].rowsAffected : 0;
+
+        if (nextVersion) {
+            console.log(`📚 Prompt ${promptId} saved as version ${version} (${schedulesUpdated} schedules follow it)`);
+        }
+
+        return { version, schedulesUpdated };
+
+    } catch (error) {
+        console.error('❌ Error updating prompt:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete a prompt and its versions unless an active schedule still uses it
+ * Finished schedules keep their copied title and content and lose the library reference
+ * @param {number} promptId - Prompt ID
+ * @returns {Promise<boolean>} - False if an active schedule uses the prompt
+ */
+export async function deletePrompt(promptId) {
+    const unused = `NOT EXISTS (SELECT 1 FROM scheduled_prompts
+                                WHERE library_prompt_id = ?1 AND status IN (${activeStatuses}))`;
+
+    try {
+        const results = await turso.batch([
+            {
+                sql: `UPDATE scheduled_prompts
+                      SET library_prompt_id = NULL, library_version = NULL, library_follow_latest = FALSE
+                      WHERE library_prompt_id = ?1 AND ${unused}`,
+                args: [promptId]
+            },
+            {
+                sql: `DELETE FROM prompt_versions WHERE prompt_id = ?1 AND ${unused}`,
+                args: [promptId]
+            },
+            {
+                sql: `DELETE FROM prompts WHERE id = ?1 AND ${unused}`,
+                args: [promptId]
+            }
+        ]);
+
+        return results[2].rowsAffected > 0;
+
+    } catch (error) {
+        console.error('❌ Error deleting prompt:', error);
+        throw error;
+    }
+}
+
+/**
+ * List the schedules that use a prompt with the version each one runs
+ * @param {number} promptId - Prompt ID
+ * @returns {Promise<Array>} - Schedule rows, newest version first
+ */
+export async function getPromptSchedules(promptId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT id, status, library_version, library_follow_latest, scheduled_time, display_time,
+                         user_timezone, recurrence_type, execution_count, last_execution
+                  FROM scheduled_prompts
+                  WHERE library_prompt_id = ?
+                  ORDER BY library_version DESC, scheduled_time ASC`,
+            args: [promptId]
+        });
+
+        return result.rows;
+
+    } catch (error) {
+        console.error('❌ Error getting prompt schedules:', error);
+        throw error;
+    }
+}
@@ -1,21 +1,15 @@
 // Database Queries Module
 // Contains all SQL queries for pro key validation and management
 
-import crypto from 'crypto';
 import { turso } from './connection.js';
-
-// Salt for hashing (should match your extension's salt)
-const PRO_SALT = 'AgentHustle2024ProSalt!@#$%^&*()_+SecureKey';
-
-/**
- * Hash a key using the same algorithm as the extension
- * @param {string} key - Plain text key
- * @param {string} salt - Salt for hashing
- * @returns {string} - Hashed key
- */
-function hashKey(key, salt = PRO_SALT) {
-    return crypto.createHash('sha256').update(key + salt).digest('hex');
-}
+import {
+    computeKeyLookup,
+    createKeyHash,
+    hashKeyLegacy,
+    needsRehash,
+    verifyKeyHash
+} from '../services/key-hashing.js';
+import { getMembershipStatus, getGraceDays } from '../services/membership.js';
 
 /**
  * Find a pro key by its hash
@@ -258,19 +252,24 @@ export async function logKeyUsage(proKeyId, ipAddress, userAgent, action = 'vali
  */
 export async function validateKey(plainKey) {
     try {
-        // Hash the key
-        const hashedKey = hashKey(plainKey);
-        
-        // Find the key in database
+        // Current keys are found by their lookup digest, keys not yet rehashed by their global-salt hash
         const result = await turso.execute({
             sql: `SELECT pk.*, c.name as customer_name, c.email as customer_email 
                   FROM pro_keys pk 
                   LEFT JOIN customers c ON pk.id = c.pro_key_id 
-                  WHERE pk.key_hash = ? AND pk.status = 'active'`,
-            args: [hashedKey]
+                  WHERE (pk.key_lookup = ? OR pk.key_hash = ?) AND pk.status = 'active'`,
+            args: [computeKeyLookup(plainKey), hashKeyLegacy(plainKey)]
         });
         
-        if (result.rows.length === 0) {
+        let keyData = null;
+        for (const row of result.rows) {
+            if (await verifyKeyHash(plainKey, row)) {
+                keyData = row;
+                break;
+            }
+        }
+        
+        if (!keyData) {
             return {
                 isValid: false,
                 keyData: null,
@@ -278,30 +277,251 @@ export async function validateKey(plainKey) {
             };
         }
         
-        const keyData = result.rows[0];
+        // Expired keys keep validating until their grace period ends
+        const membership = getMembershipStatus(keyData.expires_at, new Date(), getGraceDays(keyData.tier));
         
-        // Check expiration if expires_at is set
-        if (keyData.expires_at) {
-            const now = new Date();
-            const expiresAt = new Date(keyData.expires_at);
-            
-            if (now > expiresAt) {
-                return {
-                    isValid: false,
-                    keyData: keyData,
-                    reason: 'Key expired'
-                };
-            }
+        if (membership.status === 'expired') {
+            return {
+                isValid: false,
+                keyData: keyData,
+                membership: membership,
+                reason: 'Key expired'
+            };
+        }
+        
+        if (needsRehash(keyData)) {
+            await rehashProKey(keyData, plainKey);
         }
         
         return {
             isValid: true,
             keyData: keyData,
-            reason: 'Valid key'
+            membership: membership,
+            reason: membership.status === 'in_grace' ? 'Valid key (in grace period)' : 'Valid key'
         };
         
     } catch (error) {
         console.error('❌ Error validating key:', error);
         throw error;
     }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Move a key that just validated to the current hash version
+ * Failures are logged and ignored; the key is rehashed on a later validation instead
+ * @param {Object} keyData - pro_keys row that matched
+ * @param {string} plainKey - Plain text key
+ */
+async function rehashProKey(keyData, plainKey) {
+    try {
+        const { keyHash, keySalt, keyLookup, hashVersion } = await createKeyHash(plainKey);
+
+        // Only replace the hash we verified, so concurrent validations rehash once
+        const result = await turso.execute({
+            sql: `UPDATE pro_keys 
+                  SET key_hash = ?, key_salt = ?, key_lookup = ?, hash_version = ?, updated_at = datetime('now')
+                  WHERE id = ? AND key_hash = ?`,
+            args: [keyHash, keySalt, keyLookup, hashVersion, keyData.id, keyData.key_hash]
+        });
+
+        if (result.rowsAffected > 0) {
+            console.log(`🔐 Key ID ${keyData.id} rehashed from version ${keyData.hash_version || 1} to ${hashVersion}`);
+        }
+    } catch (error) {
+        console.warn(`⚠️ Rehashing key ID ${keyData.id} failed:`, error.message);
+    }
+}
+
+/**
+ * Parse the JSON settings column of an integration settings row
+ * @param {Object} row - Raw user_integration_settings row
+ * @returns {Object} - Row with parsed settings and boolean is_active
+ */
+function parseIntegrationSettingsRow(row) {
+    let settings = {};
+
+    try {
+        settings = JSON.parse(row.settings || '{}');
+    } catch (error) {
+        console.warn(`⚠️ Invalid settings JSON for integration ${row.integration_type} (ID ${row.id})`);
+    }
+
+    return {
+        id: Number(row.id),
+        pro_key_id: Number(row.pro_key_id),
+        integration_type: row.integration_type,
+        settings: settings,
+        is_active: Boolean(row.is_active),
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+/**
+ * Get active integration settings of one type for a pro key
+ * @param {number} proKeyId - Pro key ID
+ * @param {string} integrationType - Integration type ('discord', 'telegram')
+ * @returns {Promise<Object|null>} - Settings row with parsed settings or null
+ */
+export async function getUserIntegrationSettings(proKeyId, integrationType) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT * FROM user_integration_settings
+                  WHERE pro_key_id = ? AND integration_type = ? AND is_active = TRUE`,
+            args: [proKeyId, integrationType]
+        });
+
+        return result.rows.length > 0 ? parseIntegrationSettingsRow(result.rows[0]) : null;
+    } catch (error) {
+        console.error('❌ Error getting user integration settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the integration settings of one type that deliveries for a pro key use
+ * The key's own settings win, otherwise its organization's shared settings apply
+ * @param {number} proKeyId - Pro key ID
+ * @param {string} integrationType - Integration type ('discord', 'telegram')
+ * @returns {Promise<Object|null>} - Settings row with parsed settings, source ('key' or 'organization')
+ *                                    and organizationId for shared settings, or null
+ */
+export async function getEffectiveIntegrationSettings(proKeyId, integrationType) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT 'key' as source, 0 as priority, NULL as organization_id,
+                         id, pro_key_id, integration_type, settings, is_active, created_at, updated_at
+                  FROM user_integration_settings
+                  WHERE pro_key_id = ?1 AND integration_type = ?2 AND is_active = TRUE
+                  UNION ALL
+                  SELECT 'organization' as source, 1 as priority, ois.organization_id,
+                         ois.id, om.pro_key_id, ois.integration_type, ois.settings, ois.is_active, ois.created_at, ois.updated_at
+                  FROM organization_integration_settings ois
+                  JOIN organization_members om ON om.organization_id = ois.organization_id
+                  WHERE om.pro_key_id = ?1 AND ois.integration_type = ?2 AND ois.is_active = TRUE
+                  ORDER BY priority ASC
+                  LIMIT 1`,
+            args: [proKeyId, integrationType]
+        });
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        const row = result.rows[0];
+
+        return {
+            ...parseIntegrationSettingsRow(row),
+            source: row.source,
+            organizationId: row.organization_id === null ? null : Number(row.organization_id)
+        };
+    } catch (error) {
+        console.error('❌ Error getting effective integration settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create or update integration settings for a pro key
+ * @param {number} proKeyId - Pro key ID
+ * @param {string} integrationType - Integration type ('discord', 'telegram')
+ * @param {Object} settings - Integration settings to store as JSON
+ * @returns {Promise<Object>} - Save result with action 'created' or 'updated'
+ */
+export async function saveUserIntegrationSettings(proKeyId, integrationType, settings) {
+    try {
+        const existing = await turso.execute({
+            sql: `SELECT id FROM user_integration_settings
+                  WHERE pro_key_id = ? AND integration_type = ?`,
+            args: [proKeyId, integrationType]
+        });
+
+        const result = await turso.execute({
+            sql: `INSERT INTO user_integration_settings (pro_key_id, integration_type, settings, is_active)
+                  VALUES (?, ?, ?, TRUE)
+                  ON CONFLICT(pro_key_id, integration_type) DO UPDATE SET
+                      settings = excluded.settings,
+                      is_active = TRUE,
+                      updated_at = datetime('now')`,
+            args: [proKeyId, integrationType, JSON.stringify(settings || {})]
+        });
+
+        const action = existing.rows.length > 0 ? 'updated' : 'created';
+
+        console.log(`💾 Integration settings ${action}: ${integrationType} for Key ID ${proKeyId}`);
+
+        return {
+            success: true,
+            action: action,
+            id: action === 'created' ? Number(result.lastInsertRowid) : Number(existing.rows[0].id),
+            integrationType: integrationType
+        };
+    } catch (error) {
+        console.error('❌ Error saving user integration settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete integration settings of one type for a pro key
+ * @param {number} proKeyId - Pro key ID
+ * @param {string} integrationType - Integration type ('discord', 'telegram')
+ * @returns {Promise<boolean>} - True if settings were deleted
+ */
+export async function deleteUserIntegrationSettings(proKeyId, integrationType) {
+    try {
+        const result = await turso.execute({
+            sql: `DELETE FROM user_integration_settings
+                  WHERE pro_key_id = ? AND integration_type = ?`,
+            args: [proKeyId, integrationType]
+        });
+
+        return result.rowsAffected > 0;
+    } catch (error) {
+        console.error('❌ Error deleting user integration settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get all active integration settings for a pro key
+ * @param {number} proKeyId - Pro key ID
+ * @returns {Promise<Array>} - Settings rows with parsed settings
+ */
+export async function getAllUserIntegrationSettings(proKeyId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT * FROM user_integration_settings
+                  WHERE pro_key_id = ? AND is_active = TRUE
+                  ORDER BY integration_type ASC`,
+            args: [proKeyId]
+        });
+
+        return result.rows.map(parseIntegrationSettingsRow);
+    } catch (error) {
+        console.error('❌ Error getting all user integration settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the customer email attached to a pro key
+ * @param {number} proKeyId - Pro key ID
+ * @returns {Promise<string|null>} - Customer email or null
+ */
+export async function getCustomerEmail(proKeyId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT email FROM customers
+                  WHERE pro_key_id = ? AND email IS NOT NULL AND email != ''
+                  ORDER BY id ASC
+                  LIMIT 1`,
+            args: [proKeyId]
+        });
+
+        return result.rows.length > 0 ? result.rows[0].email : null;
+    } catch (error) {
+        console.error('❌ Error getting customer email:', error);
+        throw error;
+    }
+}
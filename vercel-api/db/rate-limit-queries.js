@@ -0,0 +1,89 @@
+// Rate Limit Database Queries
+// Token buckets stored in the database so every instance shares the same limits
+
+import { turso } from './connection.js';
+import { RATE_LIMIT_IDLE_MS } from '../services/rate-limiter.js';
+
+// How often each process clears out idle buckets
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+let lastPruneAt = 0;
+
+/**
+ * Take a token from a bucket in a single atomic statement
+ * Same arithmetic as takeToken() in services/rate-limiter.js
+ * @param {string} bucketKey - Policy and identity, e.g. "user-settings:key:42"
+ * @param {number} capacity - Bucket size
+ * @param {number} refillPerMs - Tokens added per millisecond
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {Promise<Object>} - { allowed, tokens, updatedAtMs }
+ */
+export async function consumeRateLimitToken(bucketKey, capacity, refillPerMs, nowMs) {
+    try {
+        const result = await turso.execute({
+            sql: `INSERT INTO rate_limit_buckets (bucket_key, tokens, updated_at_ms, last_allowed)
+                  VALUES (?1, ?2 - 1, ?3, 1)
+                  ON CONFLICT(bucket_key) DO UPDATE SET
+                      tokens = CASE WHEN MIN(?2, tokens + MAX(0, ?3 - updated_at_ms) * ?4) >= 1
+                                    THEN MIN(?2, tokens + MAX(0, ?3 - updated_at_ms) * ?4) - 1
+                                    ELSE MIN(?2, tokens + MAX(0, ?3 - updated_at_ms) * ?4) END,
+                      last_allowed = CASE WHEN MIN(?2, tokens + MAX(0, ?3 - updated_at_ms) * ?4) >= 1
+                                          THEN 1 ELSE 0 END,
+                      updated_at_ms = ?3
+                  RETURNING tokens, last_allowed`,
+            args: [bucketKey, capacity, nowMs, refillPerMs]
+        });
+
+        if (nowMs - lastPruneAt > PRUNE_INTERVAL_MS) {
+            lastPruneAt = nowMs;
+            pruneRateLimitBuckets(nowMs - RATE_LIMIT_IDLE_MS).catch(() => {});
+        }
+
+        const row = result.rows[0];
+
+        return {
+            allowed: Number(row.last_allowed) === 1,
+            tokens: Number(row.tokens),
+            updatedAtMs: nowMs
+        };
+
+    } catch (error) {
+        console.error('❌ Error consuming rate limit token:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete buckets that haven't been used for a while (they would be full again anyway)
+ * @param {number} olderThanMs - Delete buckets last updated before this time
+ * @returns {Promise<number>} - Number of buckets deleted
+ */
+export async function pruneRateLimitBuckets(olderThanMs) {
+    try {
+        const result = await turso.execute({
+            sql: 'DELETE FROM rate_limit_buckets WHERE updated_at_ms < ?',
+            args: [olderThanMs]
+        });
+
+        if (result.rowsAffected > 0) {
+            console.log(`🧹 Pruned ${result.rowsAffected} idle rate limit buckets`);
+        }
+
+        return result.rowsAffected;
+
+    } catch (error) {
+        console.error('❌ Error pruning rate limit buckets:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create the rate limit store backed by the rate_limit_buckets table
+ * @returns {Object} - Store for setRateLimitStore()
+ */
+export function createDatabaseRateLimitStore() {
+    return {
+        name: 'database',
+        consume: consumeRateLimitToken
+    };
+}
@@ -0,0 +1,35 @@
+-- Account Database Schema
+-- Pending customer email changes, email recipient confirmations and their tokens
+
+-- Requested email changes. The customer's email only changes once the token sent to the new address is confirmed
+CREATE TABLE IF NOT EXISTS customer_email_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pro_key_id INTEGER NOT NULL,
+    new_email TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the token, the token itself is never stored
+    expires_at DATETIME NOT NULL,
+    confirmed_at DATETIME,
+    cancelled_at DATETIME, -- Set when a newer request replaces this one
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (pro_key_id) REFERENCES pro_keys (id) ON DELETE CASCADE
+);
+
+-- Index for pending changes and the daily request limit
+CREATE INDEX IF NOT EXISTS idx_customer_email_changes_key ON customer_email_changes(pro_key_id, created_at);
+
+-- Email integration recipients other than the account email. Analysis emails only go to an address once
+-- it confirmed the token sent to it, for the key or organization (shared settings) that added it
+CREATE TABLE IF NOT EXISTS email_recipient_confirmations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pro_key_id INTEGER, -- Owner of the email settings, NULL for an organization's shared settings
+    organization_id INTEGER, -- Owner of shared email settings, NULL for a key's own settings
+    email TEXT NOT NULL, -- Lowercase
+    token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the token, the token itself is never stored
+    expires_at DATETIME NOT NULL,
+    confirmed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (pro_key_id) REFERENCES pro_keys (id) ON DELETE CASCADE
+);
+
+-- Index for the confirmed recipients of an owner and the daily confirmation limit
+CREATE INDEX IF NOT EXISTS idx_email_recipient_confirmations_owner ON email_recipient_confirmations(pro_key_id, organization_id, email);
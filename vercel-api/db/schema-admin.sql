@@ -0,0 +1,35 @@
+-- Admin Database Schema
+-- Audit trail for pro key lifecycle changes made through the admin API, and versioned key hashing
+
+-- One row per change, kept when the key is deleted so the history survives
+CREATE TABLE IF NOT EXISTS pro_key_audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pro_key_id INTEGER,
+    action TEXT NOT NULL, -- 'issue', 'update', 'revoke', 'reactivate', 'attach_customer', 'revoke_sessions'
+    actor TEXT NOT NULL, -- Name of the admin credential that made the change
+    ip_address TEXT,
+    changes TEXT, -- JSON object of { field: { from, to } }
+    reason TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for efficient querying
+CREATE INDEX IF NOT EXISTS idx_pro_key_audit_key ON pro_key_audit_log(pro_key_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_pro_key_audit_actor ON pro_key_audit_log(actor, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_pro_keys_status ON pro_keys(status);
+
+-- Versioned key hashing: version 1 is SHA-256 with the global PRO_SALT, later versions use per-key salts
+-- and are looked up by key_lookup (HMAC of the key with KEY_LOOKUP_SECRET)
+-- Upgrades for databases created before these columns existed (duplicate column errors are ignored)
+ALTER TABLE pro_keys ADD COLUMN hash_version INTEGER DEFAULT 1;
+
+ALTER TABLE pro_keys ADD COLUMN key_salt TEXT;
+
+ALTER TABLE pro_keys ADD COLUMN key_lookup TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pro_keys_lookup ON pro_keys(key_lookup);
+
+-- Per-key device seat count, NULL uses the tier's seat count (DEVICE_SEAT_LIMITS)
+ALTER TABLE pro_keys ADD COLUMN seat_limit INTEGER;
@@ -8,11 +8,28 @@ CREATE TABLE IF NOT EXISTS scheduled_prompts (
     prompt_id TEXT, -- Reference to saved prompt (optional)
     prompt_title TEXT NOT NULL,
     prompt_content TEXT NOT NULL,
+    library_prompt_id INTEGER, -- Prompt library entry the title and content come from (see schema-prompts.sql)
+    library_version INTEGER, -- Library version currently copied into prompt_title and prompt_content
+    library_follow_latest BOOLEAN DEFAULT FALSE, -- TRUE moves the schedule to each new version, FALSE pins library_version
+    template_variables TEXT DEFAULT '{}', -- JSON: {"ticker": "AAPL"}, user values for {{ name }} placeholders in prompt_content
+    workflow_id INTEGER, -- Workflow run instead of prompt_content (see schema-workflows.sql), prompt_title holds its name
+    workflow_progress TEXT, -- JSON: {"workflowUpdatedAt", "outputs"} of the steps the current run completed, retries resume after them
     scheduled_time DATETIME NOT NULL, -- UTC timestamp
     user_timezone TEXT NOT NULL, -- User's local timezone (e.g., 'America/New_York')
     display_time TEXT NOT NULL, -- Human-readable time in user's timezone
-    status TEXT DEFAULT 'pending', -- 'pending', 'completed', 'failed', 'cancelled'
-    integrations TEXT DEFAULT '{}', -- JSON: {"telegram": true, "discord": false}
+    status TEXT DEFAULT 'pending', -- 'pending', 'running', 'completed', 'failed', 'cancelled'
+    integrations TEXT DEFAULT '{}', -- JSON: {"telegram": true, "discord": false, "slack": false, "email": false, "webhook": false}
+    recurrence_type TEXT, -- NULL for one-shot, 'cron' or 'rrule'
+    recurrence_rule TEXT, -- Cron expression or RRULE, evaluated in user_timezone
+    recurrence_start DATETIME, -- UTC anchor (DTSTART) for RRULE intervals
+    recurrence_end DATETIME, -- Optional UTC end date for the series
+    max_occurrences INTEGER, -- Optional cap on total runs
+    lease_owner TEXT, -- Worker that claimed the row while status = 'running'
+    lease_expires_at DATETIME, -- Claim is recovered by any worker after this UTC time
+    max_attempts INTEGER, -- Retry policy; NULL columns fall back to the server defaults
+    retry_backoff_seconds INTEGER, -- Base delay, doubled after each failed attempt
+    retry_jitter REAL, -- Random +/- fraction applied to each delay
+    attempt_count INTEGER DEFAULT 0, -- Failed attempts for the current run
     execution_count INTEGER DEFAULT 0,
     last_execution DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -20,33 +37,99 @@ CREATE TABLE IF NOT EXISTS scheduled_prompts (
     FOREIGN KEY (pro_key_id) REFERENCES pro_keys (id)
 );
 
--- Table for automation execution logs (2-day retention)
+-- Table for automation execution logs (kept for the key's retention_days, see schema-entitlements.sql)
 CREATE TABLE IF NOT EXISTS automation_logs (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     scheduled_prompt_id INTEGER NOT NULL,
     execution_time DATETIME DEFAULT CURRENT_TIMESTAMP,
-    status TEXT NOT NULL, -- 'success', 'failed', 'timeout'
+    status TEXT NOT NULL, -- 'success', 'retrying', 'failed', 'timeout', 'skipped' (daily execution limit reached, or a workflow step after an unmet condition)
+    attempt INTEGER DEFAULT 1, -- Attempt number within the run
     analysis_result TEXT, -- The generated analysis content
     integration_results TEXT, -- JSON: results from Telegram/Discord sends
     error_message TEXT,
     execution_duration INTEGER, -- milliseconds
+    model TEXT, -- LLM model that produced the analysis
+    prompt_tokens INTEGER,
+    completion_tokens INTEGER,
+    total_tokens INTEGER,
+    library_version INTEGER, -- Prompt library version that ran, NULL for schedules without a library prompt
+    rendered_prompt TEXT, -- prompt_content with the template variables of this run filled in
+    workflow_step INTEGER, -- 1-based step number for workflow runs, one log entry per step
+    condition_met BOOLEAN, -- Result of the step's condition, NULL when the step has none
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (scheduled_prompt_id) REFERENCES scheduled_prompts (id)
 );
 
+-- Outbox of pending deliveries: one job per (execution, destination), retried independently
+CREATE TABLE IF NOT EXISTS delivery_outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    automation_log_id INTEGER, -- Execution that produced the payload
+    scheduled_prompt_id INTEGER NOT NULL,
+    pro_key_id INTEGER NOT NULL,
+    destination TEXT NOT NULL, -- 'telegram', 'discord', 'slack', 'email', 'webhook'
+    payload TEXT NOT NULL, -- JSON analysis data to send
+    status TEXT DEFAULT 'pending', -- 'pending', 'sending', 'delivered', 'failed'
+    attempt_count INTEGER DEFAULT 0,
+    max_attempts INTEGER NOT NULL,
+    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- UTC time the job becomes due
+    last_error TEXT,
+    lease_owner TEXT, -- Worker sending the job while status = 'sending'
+    lease_expires_at DATETIME,
+    sent_parts INTEGER DEFAULT 0, -- Messages of a split Slack or Telegram delivery already sent, a retry continues after them
+    delivered_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (scheduled_prompt_id) REFERENCES scheduled_prompts (id),
+    UNIQUE(automation_log_id, destination)
+);
+
+-- Upgrades for databases created before these columns existed (duplicate column errors are ignored)
+ALTER TABLE automation_logs ADD COLUMN model TEXT;
+ALTER TABLE automation_logs ADD COLUMN prompt_tokens INTEGER;
+ALTER TABLE automation_logs ADD COLUMN completion_tokens INTEGER;
+ALTER TABLE automation_logs ADD COLUMN total_tokens INTEGER;
+ALTER TABLE scheduled_prompts ADD COLUMN recurrence_type TEXT;
+ALTER TABLE scheduled_prompts ADD COLUMN recurrence_rule TEXT;
+ALTER TABLE scheduled_prompts ADD COLUMN recurrence_start DATETIME;
+ALTER TABLE scheduled_prompts ADD COLUMN recurrence_end DATETIME;
+ALTER TABLE scheduled_prompts ADD COLUMN max_occurrences INTEGER;
+ALTER TABLE scheduled_prompts ADD COLUMN lease_owner TEXT;
+ALTER TABLE scheduled_prompts ADD COLUMN lease_expires_at DATETIME;
+ALTER TABLE scheduled_prompts ADD COLUMN max_attempts INTEGER;
+ALTER TABLE scheduled_prompts ADD COLUMN retry_backoff_seconds INTEGER;
+ALTER TABLE scheduled_prompts ADD COLUMN retry_jitter REAL;
+ALTER TABLE scheduled_prompts ADD COLUMN attempt_count INTEGER DEFAULT 0;
+ALTER TABLE automation_logs ADD COLUMN attempt INTEGER DEFAULT 1;
+ALTER TABLE scheduled_prompts ADD COLUMN library_prompt_id INTEGER;
+ALTER TABLE scheduled_prompts ADD COLUMN library_version INTEGER;
+ALTER TABLE scheduled_prompts ADD COLUMN library_follow_latest BOOLEAN DEFAULT FALSE;
+ALTER TABLE automation_logs ADD COLUMN library_version INTEGER;
+ALTER TABLE scheduled_prompts ADD COLUMN template_variables TEXT DEFAULT '{}';
+ALTER TABLE automation_logs ADD COLUMN rendered_prompt TEXT;
+ALTER TABLE scheduled_prompts ADD COLUMN workflow_id INTEGER;
+ALTER TABLE scheduled_prompts ADD COLUMN workflow_progress TEXT;
+ALTER TABLE automation_logs ADD COLUMN workflow_step INTEGER;
+ALTER TABLE automation_logs ADD COLUMN condition_met BOOLEAN;
+ALTER TABLE delivery_outbox ADD COLUMN sent_parts INTEGER DEFAULT 0;
+
 -- Indexes for efficient querying
 CREATE INDEX IF NOT EXISTS idx_scheduled_prompts_time ON scheduled_prompts(scheduled_time);
 CREATE INDEX IF NOT EXISTS idx_scheduled_prompts_status ON scheduled_prompts(status);
 CREATE INDEX IF NOT EXISTS idx_scheduled_prompts_pro_key ON scheduled_prompts(pro_key_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_prompts_lease ON scheduled_prompts(status, lease_expires_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_prompts_library ON scheduled_prompts(library_prompt_id, library_version);
+CREATE INDEX IF NOT EXISTS idx_scheduled_prompts_workflow ON scheduled_prompts(workflow_id);
 CREATE INDEX IF NOT EXISTS idx_automation_logs_scheduled_id ON automation_logs(scheduled_prompt_id);
 CREATE INDEX IF NOT EXISTS idx_automation_logs_created_at ON automation_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_delivery_outbox_due ON delivery_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_delivery_outbox_log ON delivery_outbox(automation_log_id);
 
--- Trigger to automatically clean up logs older than 2 days
-CREATE TRIGGER IF NOT EXISTS cleanup_old_automation_logs
-AFTER INSERT ON automation_logs
+-- Trigger to clean up finished deliveries older than 2 days
+CREATE TRIGGER IF NOT EXISTS cleanup_old_delivery_outbox
+AFTER INSERT ON delivery_outbox
 BEGIN
-    DELETE FROM automation_logs 
-    WHERE created_at < datetime('now', '-2 days');
+    DELETE FROM delivery_outbox 
+    WHERE status IN ('delivered', 'failed') AND updated_at < datetime('now', '-2 days');
 END;
 
 -- View for getting user's scheduled prompts with readable formatting
@@ -0,0 +1,39 @@
+-- Billing Database Schema
+-- Payment provider webhook events and the subscriptions that keep pro keys paid up
+
+-- One row per received event. The event ID makes redelivered events a no-op
+CREATE TABLE IF NOT EXISTS billing_events (
+    event_id TEXT PRIMARY KEY,
+    event_type TEXT NOT NULL,
+    action TEXT,
+    status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'processed', 'ignored', 'failed')),
+    pro_key_id INTEGER,
+    error TEXT,
+    attempts INTEGER DEFAULT 1,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    processed_at DATETIME,
+    FOREIGN KEY (pro_key_id) REFERENCES pro_keys (id) ON DELETE SET NULL
+);
+
+-- Subscriptions (or one-off checkouts) and the key each one pays for
+-- A 'provisioning' row has no key yet, it is the claim of the event creating one
+CREATE TABLE IF NOT EXISTS billing_subscriptions (
+    subscription_id TEXT PRIMARY KEY,
+    provider_customer_id TEXT,
+    pro_key_id INTEGER,
+    tier TEXT,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('provisioning', 'active', 'suspended', 'canceled')),
+    current_period_end DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (pro_key_id) REFERENCES pro_keys (id) ON DELETE CASCADE
+);
+
+-- Indexes for event review and for finding a returning customer's key
+CREATE INDEX IF NOT EXISTS idx_billing_events_key ON billing_events(pro_key_id, received_at);
+
+CREATE INDEX IF NOT EXISTS idx_billing_events_status ON billing_events(status, received_at);
+
+CREATE INDEX IF NOT EXISTS idx_billing_subscriptions_customer ON billing_subscriptions(provider_customer_id);
+
+CREATE INDEX IF NOT EXISTS idx_billing_subscriptions_key ON billing_subscriptions(pro_key_id, status);
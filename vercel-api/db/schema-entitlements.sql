@@ -0,0 +1,41 @@
+-- Entitlements Database Schema
+-- Quotas and features per tier, with optional per-key overrides
+
+-- One row per tier. Keys whose tier has no row use the 'pro' row.
+CREATE TABLE IF NOT EXISTS tier_entitlements (
+    tier TEXT PRIMARY KEY,
+    max_schedules INTEGER NOT NULL, -- Active schedules (pending, running or completed)
+    max_executions_per_day INTEGER NOT NULL, -- Prompt executions per UTC day, retries included
+    allowed_integrations TEXT NOT NULL, -- JSON array of delivery destinations
+    allowed_recurrence TEXT NOT NULL, -- JSON array of recurrence types, empty for one-shot schedules only
+    retention_days INTEGER NOT NULL, -- Days execution logs are kept
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-key overrides. NULL columns use the tier's value
+CREATE TABLE IF NOT EXISTS key_entitlement_overrides (
+    pro_key_id INTEGER PRIMARY KEY,
+    max_schedules INTEGER,
+    max_executions_per_day INTEGER,
+    allowed_integrations TEXT,
+    allowed_recurrence TEXT,
+    retention_days INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (pro_key_id) REFERENCES pro_keys (id) ON DELETE CASCADE
+);
+
+-- Default tiers (existing rows are left alone)
+INSERT OR IGNORE INTO tier_entitlements (tier, max_schedules, max_executions_per_day, allowed_integrations, allowed_recurrence, retention_days)
+VALUES ('pro', 10, 100, '["telegram","discord","slack","email","webhook"]', '["cron","rrule"]', 2);
+
+INSERT OR IGNORE INTO tier_entitlements (tier, max_schedules, max_executions_per_day, allowed_integrations, allowed_recurrence, retention_days)
+VALUES ('premium', 25, 300, '["telegram","discord","slack","email","webhook"]', '["cron","rrule"]', 14);
+
+INSERT OR IGNORE INTO tier_entitlements (tier, max_schedules, max_executions_per_day, allowed_integrations, allowed_recurrence, retention_days)
+VALUES ('enterprise', 100, 2000, '["telegram","discord","slack","email","webhook"]', '["cron","rrule"]', 90);
+
+-- Execution log retention now depends on the key, so the fixed 2-day trigger is replaced by
+-- cleanupOldAutomationLogs() in the scheduler
+DROP TRIGGER IF EXISTS cleanup_old_automation_logs;
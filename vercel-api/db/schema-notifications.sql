@@ -0,0 +1,22 @@
+-- Notifications Database Schema
+-- Expiry notices sent to pro key holders, so each one goes out once
+
+-- One row per notice. expires_at is the expiry date the notice was about, so a renewed key gets fresh notices
+CREATE TABLE IF NOT EXISTS expiry_notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pro_key_id INTEGER NOT NULL,
+    expires_at TEXT NOT NULL,
+    threshold_days INTEGER NOT NULL, -- Days before expiry the notice was due, 0 for the notice at expiry
+    status TEXT DEFAULT 'sending' CHECK (status IN ('sending', 'sent', 'failed')),
+    channel_results TEXT, -- JSON array of { channel, success, error }
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME,
+    UNIQUE (pro_key_id, expires_at, threshold_days),
+    FOREIGN KEY (pro_key_id) REFERENCES pro_keys (id) ON DELETE CASCADE
+);
+
+-- Index for looking up the notices already sent to a key
+CREATE INDEX IF NOT EXISTS idx_expiry_notifications_key ON expiry_notifications(pro_key_id, expires_at);
+
+-- Index for finding keys that are about to expire
+CREATE INDEX IF NOT EXISTS idx_pro_keys_expires_at ON pro_keys(expires_at);
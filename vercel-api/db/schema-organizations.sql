@@ -0,0 +1,38 @@
+-- Organizations Database Schema
+-- Teams that own several pro keys, their member roles, shared integrations and schedule quota
+
+CREATE TABLE IF NOT EXISTS organizations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    max_schedules INTEGER, -- Active schedules across all member keys, NULL for no org-wide quota
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Each member is a pro key (a seat). A key belongs to at most one organization
+CREATE TABLE IF NOT EXISTS organization_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    organization_id INTEGER NOT NULL,
+    pro_key_id INTEGER NOT NULL UNIQUE,
+    role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
+    added_by_key_id INTEGER,
+    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (organization_id) REFERENCES organizations (id) ON DELETE CASCADE,
+    FOREIGN KEY (pro_key_id) REFERENCES pro_keys (id) ON DELETE CASCADE
+);
+
+-- Integration settings every member key can deliver to. A key's own settings of the same type win
+CREATE TABLE IF NOT EXISTS organization_integration_settings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    organization_id INTEGER NOT NULL,
+    integration_type TEXT NOT NULL,
+    settings TEXT NOT NULL DEFAULT '{}',
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (organization_id, integration_type),
+    FOREIGN KEY (organization_id) REFERENCES organizations (id) ON DELETE CASCADE
+);
+
+-- Index for listing an organization's members
+CREATE INDEX IF NOT EXISTS idx_organization_members_org ON organization_members(organization_id, role);
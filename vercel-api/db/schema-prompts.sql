@@ -0,0 +1,29 @@
+-- Prompt Library Database Schema
+-- Saved prompts with immutable versions and tags that scheduled prompts reference
+
+CREATE TABLE IF NOT EXISTS prompts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pro_key_id INTEGER NOT NULL,
+    description TEXT,
+    tags TEXT NOT NULL DEFAULT '[]', -- JSON array of lowercase tags
+    latest_version INTEGER NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (pro_key_id) REFERENCES pro_keys (id) ON DELETE CASCADE
+);
+
+-- Versions are never changed once written. Editing a prompt adds the next version
+CREATE TABLE IF NOT EXISTS prompt_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    prompt_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    content TEXT NOT NULL,
+    note TEXT, -- Optional change note
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (prompt_id, version),
+    FOREIGN KEY (prompt_id) REFERENCES prompts (id) ON DELETE CASCADE
+);
+
+-- Index for listing a key's prompts
+CREATE INDEX IF NOT EXISTS idx_prompts_pro_key ON prompts(pro_key_id, updated_at);
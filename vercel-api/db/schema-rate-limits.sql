@@ -0,0 +1,13 @@
+-- Rate Limit Database Schema
+-- Token buckets shared by every API instance
+
+-- One row per policy and identity, e.g. "validate-key:ip:<hash>" or "user-settings:key:42"
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+    bucket_key TEXT PRIMARY KEY,
+    tokens REAL NOT NULL, -- Requests left, refilled continuously up to the policy limit
+    updated_at_ms INTEGER NOT NULL, -- Unix time in milliseconds of the last request
+    last_allowed INTEGER NOT NULL DEFAULT 1 -- Whether the last request was allowed
+);
+
+-- Index for pruning idle buckets
+CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_updated ON rate_limit_buckets(updated_at_ms);
@@ -0,0 +1,127 @@
+// Schema Runner
+// Applies a db/schema-*.sql file and checks that the tables it should create are there.
+// Schema files are plain statements separated by ';' (no triggers) and are safe to re-run:
+// CREATE ... IF NOT EXISTS, plus ALTER TABLE ... ADD COLUMN lines for upgrades.
+
+import { turso } from './connection.js';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { basename, dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Split a schema file into statements
+ * @param {string} sql - Schema file contents
+ * @returns {Array<string>} - Statements without comment lines
+ */
+function splitStatements(sql) {
+    // SQLite doesn't support multiple statements in one execute
+    return sql
+        .split(';')
+        .map(stmt => stmt.split('\n').filter(line => !line.trim().startsWith('--')).join('\n').trim())
+        .filter(stmt => stmt.length > 0);
+}
+
+/**
+ * Check which of a set of tables are missing
+ * @param {Array<string>} tableNames - Tables that should exist
+ * @returns {Promise<Array<string>>} - The tables that don't exist
+ */
+async function findMissingTables(tableNames) {
+    const result = await turso.execute({
+        sql: `SELECT name FROM sqlite_master WHERE type='table' AND name IN (${tableNames.map(() => '?').join(', ')})`,
+        args: tableNames
+    });
+    const existing = new Set(result.rows.map(row => row.name));
+
+    return tableNames.filter(name => !existing.has(name));
+}
+
+/**
+ * Check if a set of tables exist
+ * @param {Array<string>} tableNames - Tables that should exist
+ * @returns {Promise<boolean>} - True if every table exists
+ */
+export async function tablesExist(tableNames) {
+    try {
+        return (await findMissingTables(tableNames)).length === 0;
+    } catch (error) {
+        console.error(`Error checking tables ${tableNames.join(', ')}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Apply a schema file and make sure its tables exist
+ * Statements that hit an existing table, index or upgrade column are skipped, any other error stops the run
+ * @param {string} schemaPath - Schema file, relative to db/ or absolute
+ * @param {Array<string>} expectedTables - Tables the schema must leave in place
+ * @returns {Promise<Object>} - Initialization result
+ */
+export async function runSchemaFile(schemaPath, expectedTables) {
+    const schemaName = basename(schemaPath);
+
+    try {
+        console.log(`🔧 Applying ${schemaName}...`);
+
+        const statements = splitStatements(readFileSync(resolve(__dirname, schemaPath), 'utf8'));
+
+        console.log(`📝 Executing ${statements.length} SQL statements...`);
+
+        for (let i = 0; i < statements.length; i++) {
+            try {
+                await turso.execute(statements[i]);
+                console.log(`✅ Statement ${i + 1}/${statements.length} executed successfully`);
+            } catch (error) {
+                // Skip already exists errors (tables, indexes and upgrade columns)
+                if (error.message.includes('already exists') || error.message.includes('duplicate column')) {
+                    console.log(`⚠️ Statement ${i + 1}/${statements.length} skipped (already exists)`);
+                } else {
+                    throw error;
+                }
+            }
+        }
+
+        const missing = await findMissingTables(expectedTables);
+        if (missing.length > 0) {
+            throw new Error(`${schemaName} did not create: ${missing.join(', ')}`);
+        }
+
+        console.log(`✅ ${schemaName} applied successfully`);
+
+        return {
+            success: true,
+            message: 'Database initialization completed',
+            tablesCreated: expectedTables,
+            timestamp: new Date().toISOString()
+        };
+
+    } catch (error) {
+        console.error(`❌ Error applying ${schemaName}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Run an init function when its module is executed directly (node db/init-x.js)
+ * @param {string} moduleUrl - import.meta.url of the init module
+ * @param {Function} init - Initialization to run
+ */
+export function runIfExecutedDirectly(moduleUrl, init) {
+    if (moduleUrl !== `file://${process.argv[1]}`) {
+        return;
+    }
+
+    console.log(`🚀 Running ${basename(fileURLToPath(moduleUrl))}...`);
+    init()
+        .then(result => {
+            console.log('🎉 Initialization completed:', result);
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('💥 Initialization failed:', error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,39 @@
+-- Security Database Schema
+-- Failed validation attempts and the temporary bans they lead to
+
+-- One row per failed validate-key attempt
+CREATE TABLE IF NOT EXISTS validation_failures (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ip_address TEXT NOT NULL,
+    key_prefix TEXT NOT NULL, -- Start of the key's lookup digest, groups guesses at the same key across IPs
+    user_agent TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for counting failures per subject inside the window
+CREATE INDEX IF NOT EXISTS idx_validation_failures_ip ON validation_failures(ip_address, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_validation_failures_key_prefix ON validation_failures(key_prefix, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_validation_failures_user_agent ON validation_failures(user_agent, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_validation_failures_created ON validation_failures(created_at);
+
+-- Temporary bans, kept after they end so repeat offenders get longer bans
+CREATE TABLE IF NOT EXISTS security_bans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    subject_type TEXT NOT NULL CHECK (subject_type IN ('ip', 'key_prefix', 'user_agent')),
+    subject TEXT NOT NULL,
+    reason TEXT,
+    failure_count INTEGER DEFAULT 0,
+    distinct_ips INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    banned_until DATETIME NOT NULL,
+    cleared_at DATETIME, -- Set when an admin lifts the ban early
+    cleared_by TEXT
+);
+
+-- Index for checking active bans
+CREATE INDEX IF NOT EXISTS idx_security_bans_subject ON security_bans(subject_type, subject, banned_until);
+
+CREATE INDEX IF NOT EXISTS idx_security_bans_created ON security_bans(created_at);
@@ -0,0 +1,44 @@
+-- Session Database Schema
+-- Server-side state for the session tokens returned by validate-key and the devices they come from
+
+-- One row per session, so a session can be revoked before its tokens expire
+CREATE TABLE IF NOT EXISTS key_sessions (
+    id TEXT PRIMARY KEY, -- Session ID carried in the "sid" claim of every token
+    pro_key_id INTEGER NOT NULL,
+    refresh_jti TEXT NOT NULL, -- Only the latest refresh token is accepted, older ones revoke the session
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_refreshed_at DATETIME,
+    expires_at DATETIME NOT NULL, -- Moves forward on every refresh
+    revoked_at DATETIME,
+    revoked_reason TEXT,
+    FOREIGN KEY (pro_key_id) REFERENCES pro_keys (id) ON DELETE CASCADE
+);
+
+-- Indexes for efficient querying
+CREATE INDEX IF NOT EXISTS idx_key_sessions_pro_key ON key_sessions(pro_key_id, revoked_at);
+
+CREATE INDEX IF NOT EXISTS idx_key_sessions_expires ON key_sessions(expires_at);
+
+-- Devices registered per pro key, limited by the key's seat count
+CREATE TABLE IF NOT EXISTS key_devices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pro_key_id INTEGER NOT NULL,
+    device_hash TEXT NOT NULL, -- SHA-256 of the key ID and the device fingerprint sent by the extension
+    device_name TEXT,
+    last_ip TEXT,
+    user_agent TEXT,
+    first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    released_at DATETIME, -- Set when the user frees the seat
+    FOREIGN KEY (pro_key_id) REFERENCES pro_keys (id) ON DELETE CASCADE,
+    UNIQUE(pro_key_id, device_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_key_devices_active ON key_devices(pro_key_id, released_at);
+
+-- Upgrades for databases created before these columns existed (duplicate column errors are ignored)
+ALTER TABLE key_sessions ADD COLUMN device_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_key_sessions_device ON key_sessions(device_id);
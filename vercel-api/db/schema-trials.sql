@@ -0,0 +1,25 @@
+-- Trials Database Schema
+-- Self-issued trial keys, the devices and networks they were issued to, and their conversion to paid keys
+
+-- One row per trial. The device and IP hashes don't include a key ID, so they match across trials
+CREATE TABLE IF NOT EXISTS trial_issuances (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pro_key_id INTEGER, -- Set once the trial key has been created
+    device_hash TEXT NOT NULL,
+    ip_hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    converted_to_key_id INTEGER, -- Paid key the trial's schedules and settings were moved to
+    converted_at DATETIME,
+    FOREIGN KEY (pro_key_id) REFERENCES pro_keys (id) ON DELETE SET NULL
+);
+
+-- Indexes for the per-device and per-IP limits
+CREATE INDEX IF NOT EXISTS idx_trial_issuances_device ON trial_issuances(device_hash);
+
+CREATE INDEX IF NOT EXISTS idx_trial_issuances_ip ON trial_issuances(ip_hash, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_trial_issuances_key ON trial_issuances(pro_key_id);
+
+-- Trial entitlements (needs schema-entitlements.sql first, existing rows are left alone)
+INSERT OR IGNORE INTO tier_entitlements (tier, max_schedules, max_executions_per_day, allowed_integrations, allowed_recurrence, retention_days)
+VALUES ('trial', 1, 10, '["telegram","discord","email"]', '[]', 1);
@@ -1,11 +1,11 @@
 -- User Integration Settings Database Schema
--- Stores Discord and Telegram settings for pro key users
+-- Stores Discord, Telegram, Slack, email and webhook settings for pro key users
 
 -- Table for storing user integration settings (Discord, Telegram)
 CREATE TABLE IF NOT EXISTS user_integration_settings (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     pro_key_id INTEGER NOT NULL,
-    integration_type TEXT NOT NULL, -- 'discord', 'telegram'
+    integration_type TEXT NOT NULL, -- 'discord', 'telegram', 'slack', 'email', 'webhook'
     settings TEXT NOT NULL, -- JSON: {"webhookUrl": "...", "botToken": "...", "chatId": "..."}
     is_active BOOLEAN DEFAULT TRUE,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -0,0 +1,16 @@
+-- Workflows Database Schema
+-- Multi-step prompt workflows that scheduled prompts run instead of a single prompt
+
+CREATE TABLE IF NOT EXISTS workflows (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pro_key_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    steps TEXT NOT NULL, -- JSON array: [{"title", "content", "condition", "notify"}], run in order
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (pro_key_id) REFERENCES pro_keys (id) ON DELETE CASCADE
+);
+
+-- Index for listing a key's workflows
+CREATE INDEX IF NOT EXISTS idx_workflows_pro_key ON workflows(pro_key_id, updated_at);
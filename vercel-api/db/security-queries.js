@@ -0,0 +1,303 @@
+// Security Database Queries
+// Failed validation tracking and temporary bans for brute-force protection
+
+import { turso } from './connection.js';
+
+// How long failed attempts are kept, and how often each process prunes older ones
+const FAILURE_RETENTION_DAYS = 7;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+let lastPruneAt = 0;
+
+/**
+ * Map security_bans.subject_type to validation_failures columns
+ * user_agent bans are no longer created or enforced, older ones can still be cleared
+ */
+const SUBJECT_COLUMNS = {
+    ip: 'ip_address',
+    key_prefix: 'key_prefix',
+    user_agent: 'user_agent'
+};
+
+/**
+ * Build the statement counting failures per subject inside the window
+ * @param {Object} subjects - { ip, key_prefix, user_agent }
+ * @param {number} windowSeconds - Window length
+ * @returns {Object} - Statement returning one row of counts
+ */
+function buildFailureStatsStatement(subjects, windowSeconds) {
+    const window = `-${windowSeconds} seconds`;
+
+    return {
+        sql: `SELECT
+                  (SELECT COUNT(*) FROM validation_failures
+                   WHERE ip_address = ?1 AND created_at >= datetime('now', ?4)) as ip_failures,
+                  (SELECT CAST(strftime('%s', 'now') AS INTEGER) - CAST(strftime('%s', MAX(created_at)) AS INTEGER)
+                   FROM validation_failures
+                   WHERE ip_address = ?1 AND created_at >= datetime('now', ?4)) as ip_seconds_since_last,
+                  (SELECT COUNT(*) FROM validation_failures
+                   WHERE key_prefix = ?2 AND created_at >= datetime('now', ?4)) as key_prefix_failures,
+                  (SELECT COUNT(DISTINCT ip_address) FROM validation_failures
+                   WHERE key_prefix = ?2 AND created_at >= datetime('now', ?4)) as key_prefix_ips,
+                  (SELECT COUNT(*) FROM validation_failures
+                   WHERE user_agent = ?3 AND created_at >= datetime('now', ?4)) as user_agent_failures,
+                  (SELECT COUNT(DISTINCT ip_address) FROM validation_failures
+                   WHERE user_agent = ?3 AND created_at >= datetime('now', ?4)) as user_agent_ips,
+                  (SELECT COUNT(*) FROM validation_failures
+                   WHERE created_at >= datetime('now', ?4)) as total_failures`,
+        args: [subjects.ip, subjects.key_prefix, subjects.user_agent, window]
+    };
+}
+
+/**
+ * Shape a failure stats row
+ * @param {Object} row - Row from buildFailureStatsStatement
+ * @returns {Object} - { ip: { failures, distinctIps, secondsSinceLast }, key_prefix: {...}, user_agent: {...},
+ *                      total: { failures } } where total counts failures from every client
+ */
+function formatFailureStats(row) {
+    const ipFailures = Number(row.ip_failures);
+
+    return {
+        ip: {
+            failures: ipFailures,
+            distinctIps: ipFailures > 0 ? 1 : 0,
+            secondsSinceLast: row.ip_seconds_since_last === null ? null : Number(row.ip_seconds_since_last)
+        },
+        key_prefix: {
+            failures: Number(row.key_prefix_failures),
+            distinctIps: Number(row.key_prefix_ips)
+        },
+        user_agent: {
+            failures: Number(row.user_agent_failures),
+            distinctIps: Number(row.user_agent_ips)
+        },
+        total: {
+            failures: Number(row.total_failures)
+        }
+    };
+}
+
+/**
+ * Get the active ban and recent failures for a validation attempt
+ * @param {Object} subjects - { ip, key_prefix, user_agent }
+ * @param {number} windowSeconds - Failure window
+ * @returns {Promise<Object>} - { ban, stats } where ban is the longest active ban or null
+ */
+export async function getAttemptStatus(subjects, windowSeconds) {
+    try {
+        const [bans, stats] = await turso.batch([
+            {
+                sql: `SELECT id, subject_type, banned_until,
+                             CAST(strftime('%s', banned_until) AS INTEGER) - CAST(strftime('%s', 'now') AS INTEGER) as seconds_remaining
+                      FROM security_bans
+                      WHERE cleared_at IS NULL AND banned_until > datetime('now')
+                        AND ((subject_type = 'ip' AND subject = ?)
+                          OR (subject_type = 'key_prefix' AND subject = ?))
+                      ORDER BY banned_until DESC
+                      LIMIT 1`,
+                args: [subjects.ip, subjects.key_prefix]
+            },
+            buildFailureStatsStatement(subjects, windowSeconds)
+        ]);
+
+        return {
+            ban: bans.rows.length > 0 ? bans.rows[0] : null,
+            stats: formatFailureStats(stats.rows[0])
+        };
+
+    } catch (error) {
+        console.error('❌ Error getting validation attempt status:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record a failed validation and return the updated failure counts
+ * @param {Object} subjects - { ip, key_prefix, user_agent }
+ * @param {number} windowSeconds - Failure window
+ * @returns {Promise<Object>} - Failure stats, as in getAttemptStatus
+ */
+export async function recordValidationFailure(subjects, windowSeconds) {
+    try {
+        const [, stats] = await turso.batch([
+            {
+                sql: `INSERT INTO validation_failures (ip_address, key_prefix, user_agent)
+                      VALUES (?, ?, ?)`,
+                args: [subjects.ip, subjects.key_prefix, subjects.user_agent]
+            },
+            buildFailureStatsStatement(subjects, windowSeconds)
+        ]);
+
+        if (Date.now() - lastPruneAt > PRUNE_INTERVAL_MS) {
+            lastPruneAt = Date.now();
+            pruneValidationFailures(FAILURE_RETENTION_DAYS).catch(() => {});
+        }
+
+        return formatFailureStats(stats.rows[0]);
+
+    } catch (error) {
+        console.error('❌ Error recording validation failure:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete failed attempts older than the retention period
+ * @param {number} days - Keep this many days
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+export async function pruneValidationFailures(days) {
+    try {
+        const result = await turso.execute({
+            sql: `DELETE FROM validation_failures WHERE created_at < datetime('now', '-' || ? || ' days')`,
+            args: [days]
+        });
+
+        return result.rowsAffected;
+
+    } catch (error) {
+        console.error('❌ Error pruning validation failures:', error);
+        throw error;
+    }
+}
+
+/**
+ * Count earlier bans of a subject
+ * @param {string} subjectType - 'ip', 'key_prefix' or 'user_agent'
+ * @param {string} subject - Subject value
+ * @param {number} days - How far back to look
+ * @returns {Promise<number>} - Number of bans
+ */
+export async function countRecentBans(subjectType, subject, days) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT COUNT(*) as count FROM security_bans
+                  WHERE subject_type = ? AND subject = ? AND created_at >= datetime('now', '-' || ? || ' days')`,
+            args: [subjectType, subject, days]
+        });
+
+        return Number(result.rows[0].count);
+
+    } catch (error) {
+        console.error('❌ Error counting recent bans:', error);
+        throw error;
+    }
+}
+
+/**
+ * Ban a subject unless it is already banned
+ * @param {Object} ban - { subjectType, subject, reason, failures, distinctIps, durationSeconds }
+ * @returns {Promise<Object|null>} - The new ban, or null if the subject already had an active ban
+ */
+export async function createSecurityBan(ban) {
+    const { subjectType, subject, reason = null, failures = 0, distinctIps = 0, durationSeconds } = ban;
+
+    try {
+        const result = await turso.execute({
+            sql: `INSERT INTO security_bans (subject_type, subject, reason, failure_count, distinct_ips, banned_until)
+                  SELECT ?, ?, ?, ?, ?, datetime('now', '+' || ? || ' seconds')
+                  WHERE NOT EXISTS (
+                      SELECT 1 FROM security_bans
+                      WHERE subject_type = ? AND subject = ? AND cleared_at IS NULL AND banned_until > datetime('now')
+                  )
+                  RETURNING *`,
+            args: [subjectType, subject, reason, failures, distinctIps, durationSeconds, subjectType, subject]
+        });
+
+        return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+        console.error('❌ Error creating security ban:', error);
+        throw error;
+    }
+}
+
+/**
+ * List bans for the admin API
+ * @param {Object} filters - { active, subjectType, limit, offset }
+ * @returns {Promise<Object>} - { bans, total }
+ */
+export async function listSecurityBans(filters = {}) {
+    const { active = true, subjectType = null, limit = 50, offset = 0 } = filters;
+    const conditions = [];
+    const args = [];
+
+    if (active) {
+        conditions.push(`cleared_at IS NULL AND banned_until > datetime('now')`);
+    }
+
+    if (subjectType) {
+        conditions.push('subject_type = ?');
+        args.push(subjectType);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const [bans, total] = await turso.batch([
+            {
+                sql: `SELECT *,
+                             CASE WHEN cleared_at IS NULL AND banned_until > datetime('now') THEN 1 ELSE 0 END as is_active
+                      FROM security_bans ${where}
+                      ORDER BY created_at DESC, id DESC
+                      LIMIT ? OFFSET ?`,
+                args: [...args, limit, offset]
+            },
+            {
+                sql: `SELECT COUNT(*) as count FROM security_bans ${where}`,
+                args: args
+            }
+        ]);
+
+        return {
+            bans: bans.rows,
+            total: Number(total.rows[0].count)
+        };
+
+    } catch (error) {
+        console.error('❌ Error listing security bans:', error);
+        throw error;
+    }
+}
+
+/**
+ * Lift a ban early and forget the subject's failures so its delays start over
+ * @param {number} banId - Ban ID
+ * @param {string} actor - Admin who cleared it
+ * @returns {Promise<Object|null>} - The cleared ban, or null if there was no active ban with that ID
+ */
+export async function clearSecurityBan(banId, actor) {
+    try {
+        const existing = await turso.execute({
+            sql: `SELECT * FROM security_bans WHERE id = ? AND cleared_at IS NULL AND banned_until > datetime('now')`,
+            args: [banId]
+        });
+
+        if (existing.rows.length === 0) {
+            return null;
+        }
+
+        const ban = existing.rows[0];
+        const column = SUBJECT_COLUMNS[ban.subject_type];
+
+        const [cleared] = await turso.batch([
+            {
+                sql: `UPDATE security_bans SET cleared_at = datetime('now'), cleared_by = ?
+                      WHERE id = ? AND cleared_at IS NULL
+                      RETURNING *`,
+                args: [actor, banId]
+            },
+            {
+                sql: `DELETE FROM validation_failures WHERE ${column} = ?`,
+                args: [ban.subject]
+            }
+        ]);
+
+        return cleared.rows.length > 0 ? cleared.rows[0] : null;
+
+    } catch (error) {
+        console.error('❌ Error clearing security ban:', error);
+        throw error;
+    }
+}
@@ -0,0 +1,131 @@
+// Session Database Queries
+// Server-side state for session tokens: creation, refresh token rotation and revocation
+
+import crypto from 'crypto';
+import { turso } from './connection.js';
+
+/**
+ * Create a session for a validated pro key
+ * @param {Object} sessionData - { proKeyId, deviceId, ipAddress, userAgent, ttlSeconds }
+ * @returns {Promise<Object>} - { sessionId, refreshJti }
+ */
+export async function createKeySession(sessionData) {
+    const { proKeyId, deviceId = null, ipAddress = null, userAgent = null, ttlSeconds } = sessionData;
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const refreshJti = crypto.randomBytes(16).toString('hex');
+
+    try {
+        await turso.execute({
+            sql: `INSERT INTO key_sessions (id, pro_key_id, device_id, refresh_jti, ip_address, user_agent, expires_at)
+                  VALUES (?, ?, ?, ?, ?, ?, datetime('now', '+' || ? || ' seconds'))`,
+            args: [sessionId, proKeyId, deviceId, refreshJti, ipAddress, userAgent, ttlSeconds]
+        });
+
+        return { sessionId, refreshJti };
+
+    } catch (error) {
+        console.error('❌ Error creating key session:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get a session with the current state of its pro key
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} - Key row (pk.*, customer details) plus session_* columns, or null
+ */
+export async function getKeySession(sessionId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT pk.*, c.name as customer_name, c.email as customer_email,
+                         s.id as session_id, s.device_id as session_device_id, s.refresh_jti as session_refresh_jti,
+                         s.revoked_at as session_revoked_at,
+                         CASE WHEN s.expires_at <= datetime('now') THEN 1 ELSE 0 END as session_expired
+                  FROM key_sessions s
+                  JOIN pro_keys pk ON pk.id = s.pro_key_id
+                  LEFT JOIN customers c ON c.pro_key_id = pk.id
+                  WHERE s.id = ?`,
+            args: [sessionId]
+        });
+
+        return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+        console.error('❌ Error getting key session:', error);
+        throw error;
+    }
+}
+
+/**
+ * Replace a session's refresh token and extend it
+ * Only succeeds while the presented refresh token is still the latest one
+ * @param {string} sessionId - Session ID
+ * @param {string} currentJti - jti of the refresh token being used
+ * @param {number} ttlSeconds - New session lifetime from now
+ * @returns {Promise<string|null>} - New refresh jti, or null if the token was already rotated
+ */
+export async function rotateSessionRefresh(sessionId, currentJti, ttlSeconds) {
+    const refreshJti = crypto.randomBytes(16).toString('hex');
+
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE key_sessions
+                  SET refresh_jti = ?, last_refreshed_at = datetime('now'),
+                      expires_at = datetime('now', '+' || ? || ' seconds')
+                  WHERE id = ? AND refresh_jti = ? AND revoked_at IS NULL`,
+            args: [refreshJti, ttlSeconds, sessionId, currentJti]
+        });
+
+        return result.rowsAffected > 0 ? refreshJti : null;
+
+    } catch (error) {
+        console.error('❌ Error rotating session refresh token:', error);
+        throw error;
+    }
+}
+
+/**
+ * Revoke a session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why the session was revoked
+ * @returns {Promise<boolean>} - True if an active session was revoked
+ */
+export async function revokeKeySession(sessionId, reason) {
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE key_sessions
+                  SET revoked_at = datetime('now'), revoked_reason = ?
+                  WHERE id = ? AND revoked_at IS NULL`,
+            args: [reason, sessionId]
+        });
+
+        return result.rowsAffected > 0;
+
+    } catch (error) {
+        console.error('❌ Error revoking key session:', error);
+        throw error;
+    }
+}
+
+/**
+ * Revoke every active session of a pro key
+ * @param {number} proKeyId - Pro key ID
+ * @param {string} reason - Why the sessions were revoked
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export async function revokeAllKeySessions(proKeyId, reason) {
+    try {
+        const result = await turso.execute({
+            sql: `UPDATE key_sessions
+                  SET revoked_at = datetime('now'), revoked_reason = ?
+                  WHERE pro_key_id = ? AND revoked_at IS NULL`,
+            args: [reason, proKeyId]
+        });
+
+        return result.rowsAffected;
+
+    } catch (error) {
+        console.error('❌ Error revoking key sessions:', error);
+        throw error;
+    }
+}
@@ -0,0 +1,187 @@
+// Trial Database Queries
+// Trial issuance limits and conversion of trial keys to paid keys
+
+import { turso } from './connection.js';
+import { buildAuditStatement } from './admin-queries.js';
+
+/**
+ * Count the trials already issued to a device and an IP
+ * @param {string} deviceHash - Trial device hash
+ * @param {string} ipHash - Trial IP hash
+ * @param {number} ipWindowDays - Days IP issuances are counted for
+ * @returns {Promise<Object>} - { device, ip }
+ */
+export async function countTrialIssuances(deviceHash, ipHash, ipWindowDays) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT
+                      (SELECT COUNT(*) FROM trial_issuances WHERE device_hash = ?) as device_count,
+                      (SELECT COUNT(*) FROM trial_issuances
+                       WHERE ip_hash = ? AND created_at >= datetime('now', '-' || ? || ' days')) as ip_count`,
+            args: [deviceHash, ipHash, ipWindowDays]
+        });
+
+        return {
+            device: Number(result.rows[0].device_count),
+            ip: Number(result.rows[0].ip_count)
+        };
+
+    } catch (error) {
+        console.error('❌ Error counting trial issuances:', error);
+        throw error;
+    }
+}
+
+/**
+ * Reserve a trial for a device and IP while both are under their limits
+ * Counting and inserting in one statement stops parallel requests from sharing the last trial
+ * @param {string} deviceHash - Trial device hash
+ * @param {string} ipHash - Trial IP hash
+ * @param {Object} policy - { maxPerDevice, maxPerIp, ipWindowDays }
+ * @returns {Promise<number|null>} - Issuance ID, or null if a limit was reached
+ */
+export async function claimTrialIssuance(deviceHash, ipHash, policy) {
+    try {
+        const result = await turso.execute({
+            sql: `INSERT INTO trial_issuances (device_hash, ip_hash)
+                  SELECT ?1, ?2
+                  WHERE (SELECT COUNT(*) FROM trial_issuances WHERE device_hash = ?1) < ?3
+                    AND (SELECT COUNT(*) FROM trial_issuances
+                         WHERE ip_hash = ?2 AND created_at >= datetime('now', '-' || ?5 || ' days')) < ?4
+                  RETURNING id`,
+            args: [deviceHash, ipHash, policy.maxPerDevice, policy.maxPerIp, policy.ipWindowDays]
+        });
+
+        return result.rows.length > 0 ? Number(result.rows[0].id) : null;
+
+    } catch (error) {
+        console.error('❌ Error claiming trial issuance:', error);
+        throw error;
+    }
+}
+
+/**
+ * Link a reserved trial to the key created for it
+ * @param {number} issuanceId - Issuance ID from claimTrialIssuance
+ * @param {number} proKeyId - Trial key ID
+ */
+export async function attachTrialKey(issuanceId, proKeyId) {
+    try {
+        await turso.execute({
+            sql: 'UPDATE trial_issuances SET pro_key_id = ? WHERE id = ?',
+            args: [proKeyId, issuanceId]
+        });
+
+    } catch (error) {
+        console.error('❌ Error attaching trial key:', error);
+        throw error;
+    }
+}
+
+/**
+ * Give back a reserved trial whose key could not be created
+ * @param {number} issuanceId - Issuance ID from claimTrialIssuance
+ */
+export async function releaseTrialIssuance(issuanceId) {
+    try {
+        await turso.execute({
+            sql: 'DELETE FROM trial_issuances WHERE id = ? AND pro_key_id IS NULL',
+            args: [issuanceId]
+        });
+
+    } catch (error) {
+        console.error('❌ Error releasing trial issuance:', error);
+        throw error;
+    }
+}
+
+/**
+ * Move a trial key's schedules, pending deliveries, library prompts, workflows and integration settings to a paid key, then retire the trial
+ * Settings the paid key already has are kept. The trial's devices are released and its sessions revoked,
+ * callers register the device on the paid key.
+ * @param {number} trialKeyId - Trial key ID
+ * @param {number} paidKeyId - Paid key ID
+ * @param {Object} audit - { actor, ipAddress, reason }
+ * @returns {Promise<Object>} - { schedules, integrations, deliveries, prompts, workflows } moved
+ */
+export async function convertTrialKey(trialKeyId, paidKeyId, audit) {
+    try {
+        const results = await turso.batch([
+            {
+                sql: `UPDATE scheduled_prompts SET pro_key_id = ?, updated_at = datetime('now')
+                      WHERE pro_key_id = ?`,
+                args: [paidKeyId, trialKeyId]
+            },
+            {
+                sql: `INSERT INTO user_integration_settings (pro_key_id, integration_type, settings, is_active)
+                      SELECT ?1, integration_type, settings, is_active
+                      FROM user_integration_settings
+                      WHERE pro_key_id = ?2
+                        AND integration_type NOT IN (SELECT integration_type FROM user_integration_settings WHERE pro_key_id = ?1)`,
+                args: [paidKeyId, trialKeyId]
+            },
+            {
+                sql: `UPDATE delivery_outbox SET pro_key_id = ?, updated_at = datetime('now')
+                      WHERE pro_key_id = ? AND status IN ('pending', 'sending')`,
+                args: [paidKeyId, trialKeyId]
+            },
+            {
+                sql: `UPDATE prompts SET pro_key_id = ?, updated_at = datetime('now')
+                      WHERE pro_key_id = ?`,
+                args: [paidKeyId, trialKeyId]
+            },
+            {
+                sql: `UPDATE workflows SET pro_key_id = ?, updated_at = datetime('now')
+                      WHERE pro_key_id = ?`,
+                args: [paidKeyId, trialKeyId]
+            },
+            {
+                sql: 'DELETE FROM user_integration_settings WHERE pro_key_id = ?',
+                args: [trialKeyId]
+            },
+            {
+                sql: `UPDATE key_devices SET released_at = datetime('now')
+                      WHERE pro_key_id = ? AND released_at IS NULL`,
+                args: [trialKeyId]
+            },
+            {
+                sql: `UPDATE key_sessions SET revoked_at = datetime('now'), revoked_reason = 'trial_converted'
+                      WHERE pro_key_id = ? AND revoked_at IS NULL`,
+                args: [trialKeyId]
+            },
+            {
+                sql: `UPDATE trial_issuances SET converted_to_key_id = ?, converted_at = datetime('now')
+                      WHERE pro_key_id = ? AND converted_to_key_id IS NULL`,
+                args: [paidKeyId, trialKeyId]
+            },
+            {
+                sql: `UPDATE pro_keys SET status = 'revoked', updated_at = datetime('now')
+                      WHERE id = ?`,
+                args: [trialKeyId]
+            },
+            buildAuditStatement('?', [trialKeyId], { ...audit, action: 'convert_trial' }, {
+                status: { from: 'active', to: 'revoked' },
+                converted_to_key_id: { from: null, to: paidKeyId }
+            }),
+            buildAuditStatement('?', [paidKeyId], { ...audit, action: 'absorb_trial' }, {
+                trial_key_id: { from: null, to: trialKeyId }
+            })
+        ]);
+
+        const moved = {
+            schedules: results[0].rowsAffected,
+            integrations: results[1].rowsAffected,
+            deliveries: results[2].rowsAffected,
+            prompts: results[3].rowsAffected,
+            workflows: results[4].rowsAffected
+        };
+
+        console.log(`🎓 Trial key ${trialKeyId} converted to pro key ${paidKeyId} (${moved.schedules} schedules, ${moved.integrations} integrations)`);
+
+        return moved;
+
+    } catch (error) {
+        console.error('❌ Error converting trial key:', error);
+        throw error;
+    }
+}
@@ -0,0 +1,209 @@
+// Workflow Database Queries
+// Multi-step prompt workflows and the schedules that run them
+
+import { turso } from './connection.js';
+
+// Schedules that will still run and so keep their workflow alive
+const ACTIVE_SCHEDULE_STATUSES = ['pending', 'running'];
+const activeStatuses = ACTIVE_SCHEDULE_STATUSES.map(status => `'${status}'`).join(', ');
+
+/**
+ * Parse a workflows row
+ * @param {Object} row - Raw row
+ * @returns {Object} - Workflow with parsed steps
+ */
+function parseWorkflowRow(row) {
+    let steps = [];
+
+    try {
+        steps = JSON.parse(row.steps || '[]');
+    } catch (error) {
+        console.warn(`⚠️ Invalid steps JSON for workflow ${row.id}`);
+    }
+
+    return {
+        id: Number(row.id),
+        name: row.name,
+        description: row.description,
+        steps: steps,
+        activeSchedules: Number(row.active_schedules || 0),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+const WORKFLOW_COLUMNS = `w.id, w.name, w.description, w.steps, w.created_at, w.updated_at,
+                          (SELECT COUNT(*) FROM scheduled_prompts sp
+                           WHERE sp.workflow_id = w.id AND sp.status IN (${activeStatuses})) as active_schedules`;
+
+/**
+ * List a key's workflows
+ * @param {number} proKeyId - Pro key ID
+ * @returns {Promise<Array>} - Workflows, most recently updated first
+ */
+export async function listWorkflows(proKeyId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT ${WORKFLOW_COLUMNS}
+                  FROM workflows w
+                  WHERE w.pro_key_id = ?
+                  ORDER BY w.updated_at DESC, w.id DESC`,
+            args: [proKeyId]
+        });
+
+        return result.rows.map(parseWorkflowRow);
+
+    } catch (error) {
+        console.error('❌ Error listing workflows:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get one of a key's workflows
+ * @param {number} proKeyId - Pro key ID
+ * @param {number} workflowId - Workflow ID
+ * @returns {Promise<Object|null>} - Workflow, or null if the key has no such workflow
+ */
+export async function getWorkflow(proKeyId, workflowId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT ${WORKFLOW_COLUMNS}
+                  FROM workflows w
+                  WHERE w.id = ? AND w.pro_key_id = ?`,
+            args: [workflowId, proKeyId]
+        });
+
+        return result.rows.length > 0 ? parseWorkflowRow(result.rows[0]) : null;
+
+    } catch (error) {
+        console.error('❌ Error getting workflow:', error);
+        throw error;
+    }
+}
+
+/**
+ * Save a new workflow
+ * @param {number} proKeyId - Pro key ID
+ * @param {Object} input - Parsed { name, description, steps }
+ * @returns {Promise<Object>} - Created workflow
+ */
+export async function createWorkflow(proKeyId, input) {
+    try {
+        const result = await turso.execute({
+            sql: `INSERT INTO workflows (pro_key_id, name, description, steps)
+                  VALUES (?, ?, ?, ?)
+                  RETURNING id`,
+            args: [proKeyId, input.name, input.description ?? null, JSON.stringify(input.steps)]
+        });
+
+        const workflowId = Number(result.rows[0].id);
+
+        console.log(`🔗 Workflow ${workflowId} saved for pro key ID ${proKeyId} (${input.steps.length} steps)`);
+
+        return await getWorkflow(proKeyId, workflowId);
+
+    } catch (error) {
+        console.error('❌ Error creating workflow:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update a workflow. New steps apply from the next run of every schedule using it,
+ * a new name is copied into their prompt_title
+ * @param {number} workflowId - Workflow ID
+ * @param {Object} input - Parsed update { name?, description?, steps? }
+ * @returns {Promise<void>}
+ */
+export async function updateWorkflow(workflowId, input) {
+    try {
+        const statements = [
+            {
+                sql: `UPDATE workflows
+                      SET name = COALESCE(?1, name),
+                          description = CASE WHEN ?2 THEN ?3 ELSE description END,
+                          steps = COALESCE(?4, steps),
+                          updated_at = datetime('now')
+                      WHERE id = ?5`,
+                args: [
+                    input.name ?? null,
+                    input.description !== undefined,
+                    input.description ?? null,
+                    input.steps ? JSON.stringify(input.steps) : null,
+                    workflowId
+                ]
+            }
+        ];
+
+        if (input.name) {
+            statements.push({
+                sql: `UPDATE scheduled_prompts SET prompt_title = ?, updated_at = datetime('now')
+                      WHERE workflow_id = ? AND status IN (${activeStatuses})`,
+                args: [input.name, workflowId]
+            });
+        }
+
+        await turso.batch(statements);
+
+        console.log(`🔗 Workflow ${workflowId} updated`);
+
+    } catch (error) {
+        console.error('❌ Error updating workflow:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete a workflow unless an active schedule still runs it
+ * Finished schedules keep their logs and lose the workflow reference
+ * @param {number} workflowId - Workflow ID
+ * @returns {Promise<boolean>} - False if an active schedule runs the workflow
+ */
+export async function deleteWorkflow(workflowId) {
+    const unused = `NOT EXISTS (SELECT 1 FROM scheduled_prompts
+                                WHERE workflow_id = ?1 AND status IN (${activeStatuses}))`;
+
+    try {
+        const results = await turso.batch([
+            {
+                sql: `UPDATE scheduled_prompts SET workflow_id = NULL
+                      WHERE workflow_id = ?1 AND ${unused}`,
+                args: [workflowId]
+            },
+            {
+                sql: `DELETE FROM workflows WHERE id = ?1 AND ${unused}`,
+                args: [workflowId]
+            }
+        ]);
+
+        return results[1].rowsAffected > 0;
+
+    } catch (error) {
+        console.error('❌ Error deleting workflow:', error);
+        throw error;
+    }
+}
+
+/**
+ * List the active schedules that run a workflow
+ * @param {number} workflowId - Workflow ID
+ * @returns {Promise<Array>} - scheduled_prompts rows with the schedule fields and template_variables
+ */
+export async function getWorkflowSchedules(workflowId) {
+    try {
+        const result = await turso.execute({
+            sql: `SELECT id, status, scheduled_time, display_time, user_timezone, recurrence_type, template_variables
+                  FROM scheduled_prompts
+                  WHERE workflow_id = ? AND status IN (${activeStatuses})
+                  ORDER BY scheduled_time ASC`,
+            args: [workflowId]
+        });
+
+        return result.rows;
+
+    } catch (error) {
+        console.error('❌ Error getting workflow schedules:', error);
+        throw error;
+    }
+}
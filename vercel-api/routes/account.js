@@ -0,0 +1,25 @@
+// Account Router
+// Maps the self-service account handlers to their documented paths under /api/account
+
+import express from 'express';
+import { getAccount, updateAccount, confirmEmailChange, confirmEmailRecipient } from '../api/account.js';
+import { authenticateSession } from '../api/auth.js';
+import { guardProKey } from '../api/brute-force.js';
+import { rateLimit } from '../services/rate-limiter.js';
+
+const router = express.Router();
+
+// Accept session tokens (Authorization: Bearer) in place of the pro key; use "me" for :proKey
+router.use(authenticateSession);
+
+router.use(rateLimit('account'));
+
+// Raw pro keys in the path are checked against brute-force bans and count as failed attempts when unknown
+router.param('proKey', guardProKey);
+
+router.post('/confirm-email', confirmEmailChange);
+router.post('/confirm-recipient', confirmEmailRecipient);
+router.get('/:proKey', getAccount);
+router.put('/:proKey', updateAccount);
+
+export default router;
@@ -0,0 +1,46 @@
+// Admin Router
+// Maps the pro key lifecycle, entitlement and ban management handlers to their documented paths under /api/admin
+
+import express from 'express';
+import {
+    requireAdmin,
+    issueKey,
+    listKeys,
+    getKey,
+    updateKey,
+    revokeKey,
+    reactivateKey,
+    revokeKeySessions,
+    attachCustomer,
+    getAuditTrail,
+    updateKeyEntitlements,
+    listTierEntitlements,
+    updateTierEntitlements,
+    listBans,
+    clearBan
+} from '../api/admin.js';
+
+const router = express.Router();
+
+// Every admin route requires an admin credential
+router.use(requireAdmin);
+
+router.get('/audit', getAuditTrail);
+
+router.post('/keys', issueKey);
+router.get('/keys', listKeys);
+router.get('/keys/:keyId', getKey);
+router.put('/keys/:keyId', updateKey);
+router.post('/keys/:keyId/revoke', revokeKey);
+router.post('/keys/:keyId/reactivate', reactivateKey);
+router.put('/keys/:keyId/customer', attachCustomer);
+router.delete('/keys/:keyId/sessions', revokeKeySessions);
+router.put('/keys/:keyId/entitlements', updateKeyEntitlements);
+
+router.get('/entitlements', listTierEntitlements);
+router.put('/entitlements/:tier', updateTierEntitlements);
+
+router.get('/bans', listBans);
+router.delete('/bans/:banId', clearBan);
+
+export default router;
@@ -0,0 +1,15 @@
+// Auth Router
+// Maps the session token handlers to their documented paths under /api/auth
+
+import express from 'express';
+import { refreshSession, revokeSession } from '../api/auth.js';
+import { rateLimit } from '../services/rate-limiter.js';
+
+const router = express.Router();
+
+router.use(rateLimit('auth'));
+
+router.post('/refresh', refreshSession);
+router.post('/revoke', revokeSession);
+
+export default router;
@@ -0,0 +1,12 @@
+// Billing Router
+// Maps the payment provider webhook to its documented path under /api/billing
+
+import express from 'express';
+import { handleBillingWebhook } from '../api/billing.js';
+
+const router = express.Router();
+
+// Authenticated by the webhook signature. No rate limit, providers deliver in bursts and retry on 429
+router.post('/webhook', handleBillingWebhook);
+
+export default router;
@@ -0,0 +1,24 @@
+// Devices Router
+// Maps the device seat handlers to their documented paths under /api/devices
+
+import express from 'express';
+import { getUserDevices, releaseUserDevice } from '../api/devices.js';
+import { authenticateSession } from '../api/auth.js';
+import { guardProKey } from '../api/brute-force.js';
+import { rateLimit } from '../services/rate-limiter.js';
+
+const router = express.Router();
+
+// Accept session tokens (Authorization: Bearer) in place of the pro key; use "me" for :proKey
+router.use(authenticateSession);
+
+// Limited per pro key for session token requests, per IP otherwise
+router.use(rateLimit('devices'));
+
+// Raw pro keys in the path are checked against brute-force bans and count as failed attempts when unknown
+router.param('proKey', guardProKey);
+
+router.get('/:proKey', getUserDevices);
+router.delete('/:proKey/:deviceId', releaseUserDevice);
+
+export default router;
@@ -0,0 +1,82 @@
+// Route Registry
+// Mounts the API routers and builds the endpoint index from what is actually registered
+
+import scheduledPromptsRouter from './scheduled-prompts.js';
+import userSettingsRouter from './user-settings.js';
+import adminRouter from './admin.js';
+import authRouter from './auth.js';
+import devicesRouter from './devices.js';
+import trialsRouter from './trials.js';
+import billingRouter from './billing.js';
+import accountRouter from './account.js';
+import organizationsRouter from './organizations.js';
+import promptsRouter from './prompts.js';
+import workflowsRouter from './workflows.js';
+
+// Routers and the base paths their handler doc comments describe
+export const apiRouters = [
+    { basePath: '/api/scheduled-prompts', router: scheduledPromptsRouter },
+    { basePath: '/api/user-settings', router: userSettingsRouter },
+    { basePath: '/api/admin', router: adminRouter },
+    { basePath: '/api/auth', router: authRouter },
+    { basePath: '/api/devices', router: devicesRouter },
+    { basePath: '/api/trials', router: trialsRouter },
+    { basePath: '/api/billing', router: billingRouter },
+    { basePath: '/api/account', router: accountRouter },
+    { basePath: '/api/organizations', router: organizationsRouter },
+    { basePath: '/api/prompts', router: promptsRouter },
+    { basePath: '/api/workflows', router: workflowsRouter }
+];
+
+/**
+ * Mount all API routers on the app
+ * @param {Object} app - Express application
+ */
+export function mountApiRouters(app) {
+    for (const { basePath, router } of apiRouters) {
+        app.use(basePath, router);
+    }
+}
+
+/**
+ * Collect "METHOD /path" strings from a router stack
+ * @param {Array} stack - Express router layer stack
+ * @param {string} basePath - Path prefix for the stack
+ * @returns {Array<string>} - Endpoint descriptions
+ */
+function collectRoutes(stack, basePath = '') {
+    const endpoints = [];
+
+    for (const layer of stack) {
+        if (!layer.route) {
+            continue;
+        }
+
+        const methods = Object.keys(layer.route.methods)
+            .filter(method => method !== '_all' && method !== 'options')
+            .map(method => method.toUpperCase());
+        const routePath = layer.route.path === '/' && basePath ? '' : layer.route.path;
+
+        for (const method of methods) {
+            endpoints.push(`${method} ${basePath}${routePath}`);
+        }
+    }
+
+    return endpoints;
+}
+
+/**
+ * List every endpoint registered on the app, including mounted API routers
+ * @param {Object} app - Express application
+ * @returns {Array<string>} - Endpoint descriptions, e.g. "POST /api/validate-key"
+ */
+export function listEndpoints(app) {
+    const endpoints = collectRoutes(app._router?.stack || [])
+        .filter(endpoint => !endpoint.endsWith(' *'));
+
+    for (const { basePath, router } of apiRouters) {
+        endpoints.push(...collectRoutes(router.stack, basePath));
+    }
+
+    return endpoints;
+}
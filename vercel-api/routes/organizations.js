@@ -0,0 +1,45 @@
+// Organizations Router
+// Maps the organization handlers to their documented paths under /api/organizations
+
+import express from 'express';
+import {
+    createOrganization,
+    getOrganization,
+    updateOrganization,
+    deleteOrganization,
+    addMember,
+    updateMemberRole,
+    removeMember,
+    saveSharedIntegration,
+    deleteSharedIntegration,
+    getOrganizationUsage
+} from '../api/organizations.js';
+import { authenticateSession } from '../api/auth.js';
+import { guardProKey } from '../api/brute-force.js';
+import { rateLimit } from '../services/rate-limiter.js';
+
+const router = express.Router();
+
+// Accept session tokens (Authorization: Bearer) in place of the pro key; use "me" for :proKey
+router.use(authenticateSession);
+
+router.use(rateLimit('organizations'));
+
+// Raw pro keys in the path are checked against brute-force bans and count as failed attempts when unknown
+router.param('proKey', guardProKey);
+
+router.post('/:proKey', createOrganization);
+router.get('/:proKey', getOrganization);
+router.put('/:proKey', updateOrganization);
+router.delete('/:proKey', deleteOrganization);
+
+router.get('/:proKey/usage', getOrganizationUsage);
+
+router.post('/:proKey/members', addMember);
+router.put('/:proKey/members/:keyId', updateMemberRole);
+router.delete('/:proKey/members/:keyId', removeMember);
+
+router.put('/:proKey/integrations/:integrationType', saveSharedIntegration);
+router.delete('/:proKey/integrations/:integrationType', deleteSharedIntegration);
+
+export default router;
@@ -0,0 +1,36 @@
+// Prompt Library Router
+// Maps the prompt library handlers to their documented paths under /api/prompts
+
+import express from 'express';
+import {
+    getPrompts,
+    createPrompt,
+    getPrompt,
+    getPromptVersion,
+    updatePrompt,
+    deletePrompt,
+    getPromptUsage
+} from '../api/prompts.js';
+import { authenticateSession } from '../api/auth.js';
+import { guardProKey } from '../api/brute-force.js';
+import { rateLimit } from '../services/rate-limiter.js';
+
+const router = express.Router();
+
+// Accept session tokens (Authorization: Bearer) in place of the pro key; use "me" for :proKey
+router.use(authenticateSession);
+
+router.use(rateLimit('prompts'));
+
+// Raw pro keys in the path are checked against brute-force bans and count as failed attempts when unknown
+router.param('proKey', guardProKey);
+
+router.get('/:proKey', getPrompts);
+router.post('/:proKey', createPrompt);
+router.get('/:proKey/:promptId', getPrompt);
+router.put('/:proKey/:promptId', updatePrompt);
+router.delete('/:proKey/:promptId', deletePrompt);
+router.get('/:proKey/:promptId/versions/:version', getPromptVersion);
+router.get('/:proKey/:promptId/schedules', getPromptUsage);
+
+export default router;
@@ -0,0 +1,47 @@
+// Scheduled Prompts Router
+// Maps the scheduled prompt handlers to their documented paths under /api/scheduled-prompts
+
+import express from 'express';
+import {
+    createSchedule,
+    getScheduleLimit,
+    manualExecute,
+    getUserSchedules,
+    getUserDeliveryJobs,
+    deleteSchedule,
+    updateSchedule,
+    getAutomationStatistics,
+    healthCheck
+} from '../api/scheduled-prompts.js';
+import { authenticateSession } from '../api/auth.js';
+import { requireAdmin } from '../api/admin.js';
+import { guardProKey, guardBodyProKey } from '../api/brute-force.js';
+import { rateLimit } from '../services/rate-limiter.js';
+
+const router = express.Router();
+
+// Runs every due prompt, so it takes an admin credential. Registered before authenticateSession,
+// which would reject the admin secret as an unknown session token.
+router.post('/execute', requireAdmin, manualExecute);
+
+// Accept session tokens (Authorization: Bearer) in place of the pro key; use "me" for :proKey
+router.use(authenticateSession);
+
+// Limited per pro key for session token requests, per IP otherwise
+router.use(rateLimit('scheduled-prompts'));
+
+// Raw pro keys in the path or body are checked against brute-force bans and count as failed attempts when unknown
+router.param('proKey', guardProKey);
+
+// Static paths first so they are never captured by /:scheduleId/:proKey
+router.get('/health', healthCheck);
+router.get('/limit/:proKey', getScheduleLimit);
+router.get('/user/:proKey', getUserSchedules);
+router.get('/deliveries/:proKey', getUserDeliveryJobs);
+router.get('/stats/:proKey', getAutomationStatistics);
+
+router.post('/', guardBodyProKey('proKey'), createSchedule);
+router.put('/:scheduleId/:proKey', updateSchedule);
+router.delete('/:scheduleId/:proKey', deleteSchedule);
+
+export default router;
@@ -0,0 +1,19 @@
+// Trials Router
+// Maps the trial handlers to their documented paths under /api/trials
+
+import express from 'express';
+import { startTrial, upgradeTrial } from '../api/trials.js';
+import { authenticateSession } from '../api/auth.js';
+import { rateLimit } from '../services/rate-limiter.js';
+
+const router = express.Router();
+
+// A trial session token (Authorization: Bearer) can stand in for trialKey when upgrading
+router.use(authenticateSession);
+
+router.use(rateLimit('trials'));
+
+router.post('/', startTrial);
+router.post('/upgrade', upgradeTrial);
+
+export default router;
@@ -0,0 +1,37 @@
+// User Settings Router
+// Maps the integration settings handlers to their documented paths under /api/user-settings
+
+import express from 'express';
+import {
+    getUserSettings,
+    saveUserSettings,
+    deleteUserSettings,
+    getAllUserSettings,
+    testUserSettings,
+    handleOptions
+} from '../api/user-settings.js';
+import { authenticateSession } from '../api/auth.js';
+import { guardProKey } from '../api/brute-force.js';
+import { rateLimit } from '../services/rate-limiter.js';
+
+const router = express.Router();
+
+router.options('*', handleOptions);
+
+// Accept session tokens (Authorization: Bearer) in place of the pro key; use "me" for :proKey
+router.use(authenticateSession);
+
+// Limited per pro key for session token requests, per IP otherwise
+router.use(rateLimit('user-settings'));
+
+// Raw pro keys in the path are checked against brute-force bans and count as failed attempts when unknown
+router.param('proKey', guardProKey);
+
+router.get('/:proKey', getAllUserSettings);
+router.get('/:proKey/:integrationType', getUserSettings);
+router.post('/:proKey/:integrationType', saveUserSettings);
+router.delete('/:proKey/:integrationType', deleteUserSettings);
+// Test sends reach real inboxes and webhooks, so they get their own much smaller budget
+router.post('/:proKey/:integrationType/test', rateLimit('integration-tests'), testUserSettings);
+
+export default router;
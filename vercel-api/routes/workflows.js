@@ -0,0 +1,32 @@
+// Workflow Router
+// Maps the workflow handlers to their documented paths under /api/workflows
+
+import express from 'express';
+import {
+    getWorkflows,
+    createWorkflow,
+    getWorkflow,
+    updateWorkflow,
+    deleteWorkflow
+} from '../api/workflows.js';
+import { authenticateSession } from '../api/auth.js';
+import { guardProKey } from '../api/brute-force.js';
+import { rateLimit } from '../services/rate-limiter.js';
+
+const router = express.Router();
+
+// Accept session tokens (Authorization: Bearer) in place of the pro key; use "me" for :proKey
+router.use(authenticateSession);
+
+router.use(rateLimit('workflows'));
+
+// Raw pro keys in the path are checked against brute-force bans and count as failed attempts when unknown
+router.param('proKey', guardProKey);
+
+router.get('/:proKey', getWorkflows);
+router.post('/:proKey', createWorkflow);
+router.get('/:proKey/:workflowId', getWorkflow);
+router.put('/:proKey/:workflowId', updateWorkflow);
+router.delete('/:proKey/:workflowId', deleteWorkflow);
+
+export default router;
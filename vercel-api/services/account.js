@@ -0,0 +1,128 @@
+// Account
+// Customer profile updates, and confirmation tokens for email changes and email integration recipients
+
+import crypto from 'crypto';
+import { isValidEmail } from './email.js';
+
+// Confirmation tokens stop working after this long
+export const EMAIL_CHANGE_TTL_HOURS = 24;
+
+// Confirmation emails a key can request per day
+export const MAX_EMAIL_CHANGES_PER_DAY = 5;
+
+// Recipient confirmation tokens stop working after this long
+export const RECIPIENT_CONFIRMATION_TTL_HOURS = 72;
+
+// Recipient confirmation emails a key or organization can send per day
+export const MAX_RECIPIENT_CONFIRMATIONS_PER_DAY = 20;
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Check a profile update from the customer
+ * @param {Object} body - Request body { name?, email? }
+ * @returns {Object} - { name, email } (only the fields sent) or { error }
+ */
+export function parseAccountUpdate(body) {
+    const update = {};
+
+    if (body?.name !== undefined) {
+        const name = typeof body.name === 'string' ? body.name.trim() : null;
+
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            return { error: `Name must be 1-${MAX_NAME_LENGTH} characters` };
+        }
+
+        update.name = name;
+    }
+
+    if (body?.email !== undefined) {
+        const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : null;
+
+        if (!isValidEmail(email)) {
+            return { error: 'Invalid email address' };
+        }
+
+        update.email = email;
+    }
+
+    if (Object.keys(update).length === 0) {
+        return { error: 'Nothing to update, send name and/or email' };
+    }
+
+    return update;
+}
+
+/**
+ * Hash an email change token for storage
+ * @param {string} token - Token from the confirmation email
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashEmailChangeToken(token) {
+    return crypto.createHash('sha256').update(`email-change:${token}`).digest('hex');
+}
+
+/**
+ * Create an email change confirmation token
+ * Only the hash is stored, the token itself is only ever sent to the new address
+ * @returns {Object} - { token, tokenHash }
+ */
+export function createEmailChangeToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    return { token, tokenHash: hashEmailChangeToken(token) };
+}
+
+/**
+ * Format the email that confirms a new address
+ * @param {Object} change - { token, newEmail, name, expiresAt, confirmUrl }
+ * @returns {Object} - { title, text }
+ */
+export function formatEmailChangeNotice({ token, newEmail, name, expiresAt, confirmUrl }) {
+    const title = 'Confirm your new Agent Hustle email address';
+    const greeting = name ? `Hi ${name},\n\n` : '';
+    const instructions = confirmUrl
+        ? `Open this link to confirm it:\n\n${confirmUrl}${confirmUrl.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`
+        : `Enter this confirmation code in the extension's account settings:\n\n${token}`;
+
+    return {
+        title: title,
+        text: `✉️ ${title}\n\n${greeting}Someone asked to change the email address of your Agent Hustle Pro account to ${newEmail}. ${instructions}\n\nThis expires on ${new Date(expiresAt).toUTCString()}. If you didn't ask for this, ignore this email and nothing will change.`
+    };
+}
+
+/**
+ * Hash an email recipient confirmation token for storage
+ * @param {string} token - Token from the confirmation email
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashRecipientConfirmationToken(token) {
+    return crypto.createHash('sha256').update(`email-recipient:${token}`).digest('hex');
+}
+
+/**
+ * Create an email recipient confirmation token
+ * @returns {Object} - { token, tokenHash }
+ */
+export function createRecipientConfirmationToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    return { token, tokenHash: hashRecipientConfirmationToken(token) };
+}
+
+/**
+ * Format the email that asks a new recipient to confirm analysis emails
+ * @param {Object} confirmation - { token, email, expiresAt, confirmUrl }
+ * @returns {Object} - { title, text }
+ */
+export function formatRecipientConfirmationNotice({ token, email, expiresAt, confirmUrl }) {
+    const title = 'Confirm Agent Hustle analysis emails';
+    const instructions = confirmUrl
+        ? `Open this link to start receiving them:\n\n${confirmUrl}${confirmUrl.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`
+        : `To start receiving them, give this confirmation code to the person who added you:\n\n${token}`;
+
+    return {
+        title: title,
+        text: `✉️ ${title}\n\nAn Agent Hustle Pro user wants to send scheduled analysis results to ${email}. ${instructions}\n\nThis expires on ${new Date(expiresAt).toUTCString()}. If you don't want these emails, ignore this one and you won't get any.`
+    };
+}
@@ -0,0 +1,258 @@
+// Billing
+// Stripe-format webhook signatures and the mapping from billing events to key changes
+
+import crypto from 'crypto';
+
+export const BILLING_SIGNATURE_HEADER = 'Stripe-Signature';
+
+// Events older than this are rejected even with a valid signature
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// One-off purchases run this long (metadata.period_days overrides), and subscription keys
+// created before their first invoice arrives run this long until it does
+const DEFAULT_PERIOD_DAYS = 31;
+
+const DEFAULT_TIER = 'pro';
+
+/**
+ * Load the price ID to tier map from BILLING_PRICE_TIERS, e.g. {"price_123":"premium"}
+ * @returns {Object} - Price ID to tier
+ */
+function loadPriceTiers() {
+    if (!process.env.BILLING_PRICE_TIERS) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(process.env.BILLING_PRICE_TIERS);
+    } catch (error) {
+        console.error('❌ Invalid BILLING_PRICE_TIERS, purchases without a tier in their metadata use the pro tier:', error.message);
+        return {};
+    }
+}
+
+export const BILLING_PRICE_TIERS = loadPriceTiers();
+
+/**
+ * Parse a Stripe-Signature header, e.g. "t=1700000000,v1=5257a869...,v1=..."
+ * @param {string} header - Header value
+ * @returns {Object} - { timestamp, signatures }
+ */
+export function parseSignatureHeader(header) {
+    const parsed = { timestamp: null, signatures: [] };
+
+    for (const part of String(header || '').split(',')) {
+        const [name, value] = part.split('=', 2).map(item => item?.trim());
+
+        if (name === 't') {
+            parsed.timestamp = Number(value);
+        } else if (name === 'v1' && value) {
+            parsed.signatures.push(value);
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Sign a billing event body the way the payment provider does
+ * @param {string} body - Exact JSON string that is sent
+ * @param {string} secret - Webhook signing secret
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} - Stripe-Signature header value
+ */
+export function signBillingPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+
+    return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Verify a received billing webhook
+ * Any v1 signature may match, so the provider can roll the signing secret
+ * @param {Object} options - Verification input
+ * @param {string} options.body - Raw request body, exactly as received
+ * @param {string} options.header - Stripe-Signature header value
+ * @param {string} options.secret - Webhook signing secret
+ * @param {number} options.toleranceSeconds - Maximum event age accepted
+ * @returns {boolean} - True if a signature matches and the timestamp is fresh
+ */
+export function verifyBillingSignature({ body, header, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS }) {
+    if (!body || !header || !secret) {
+        return false;
+    }
+
+    const { timestamp, signatures } = parseSignatureHeader(header);
+    if (!Number.isInteger(timestamp) || signatures.length === 0) {
+        return false;
+    }
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(signBillingPayload(body, secret, timestamp).split('v1=')[1]);
+
+    return signatures.some(signature => {
+        const received = Buffer.from(signature);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    });
+}
+
+/**
+ * Work out the tier a purchase grants
+ * metadata.tier set on the price, product or subscription wins over BILLING_PRICE_TIERS
+ * @param {Object} price - Stripe price object (may be missing)
+ * @param {Object} metadata - Metadata of the subscription or checkout session
+ * @param {Object} priceTiers - Price ID to tier map
+ * @returns {string|null} - Tier, or null if the purchase doesn't say (the key keeps its tier)
+ */
+export function resolveBillingTier(price, metadata = {}, priceTiers = BILLING_PRICE_TIERS) {
+    return price?.metadata?.tier
+        || metadata?.tier
+        || (price?.id && priceTiers[price.id])
+        || null;
+}
+
+/**
+ * Convert a Stripe Unix timestamp to an ISO date
+ * @param {number} seconds - Unix time in seconds
+ * @returns {string|null} - ISO date, or null
+ */
+function toISODate(seconds) {
+    return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/**
+ * Get the ID of an expandable Stripe field, which is either an ID or the expanded object
+ * @param {string|Object} value - Field value
+ * @returns {string|null} - Object ID
+ */
+function getObjectId(value) {
+    return typeof value === 'string' ? value : value?.id || null;
+}
+
+/**
+ * Map a billing event to the change it makes to a key
+ * Actions:
+ *   provision       - checkout finished, create (or reactivate) the customer's key
+ *   renew           - invoice paid, extend the key to the end of the paid period
+ *   update          - subscription changed plan or period
+ *   cancel          - subscription ended, expire the key when it ends
+ *   payment_failed  - payment failed, suspend the key once the provider stops retrying
+ *   ignore          - nothing to do
+ * @param {Object} event - Stripe event
+ * @param {Object} options - { now, priceTiers }
+ * @returns {Object} - { action, subscriptionId, customerId, email, name, tier, periodEnd, ... }
+ *   periodEnd is null when the event doesn't say how long the key is paid for
+ */
+export function normalizeBillingEvent(event, { now = new Date(), priceTiers = BILLING_PRICE_TIERS } = {}) {
+    const object = event?.data?.object || {};
+
+    switch (event?.type) {
+        case 'checkout.session.completed': {
+            if (object.payment_status === 'unpaid') {
+                return { action: 'ignore', reason: 'Checkout not paid yet' };
+            }
+
+            // One-off purchases have no subscription, the session stands in for it.
+            // A subscription's paid period comes from its invoice, which may arrive before or after this event.
+            const subscriptionId = getObjectId(object.subscription);
+            const periodDays = Number(object.metadata?.period_days) || DEFAULT_PERIOD_DAYS;
+            const provisionalEnd = new Date(now.getTime() + periodDays * 24 * 60 * 60 * 1000).toISOString();
+
+            return {
+                action: 'provision',
+                subscriptionId: subscriptionId || object.id,
+                customerId: getObjectId(object.customer),
+                email: object.customer_details?.email || object.customer_email || null,
+                name: object.customer_details?.name || null,
+                tier: resolveBillingTier(null, object.metadata, priceTiers) || DEFAULT_TIER,
+                periodEnd: subscriptionId ? null : provisionalEnd,
+                provisionalPeriodEnd: provisionalEnd
+            };
+        }
+
+        case 'invoice.paid':
+        case 'invoice.payment_succeeded': {
+            const subscriptionId = getObjectId(object.subscription);
+            if (!subscriptionId) {
+                return { action: 'ignore', reason: 'Invoice is not for a subscription' };
+            }
+
+            const lines = object.lines?.data || [];
+            const periodEnd = Math.max(0, ...lines.map(line => line.period?.end || 0));
+
+            return {
+                action: 'renew',
+                subscriptionId: subscriptionId,
+                customerId: getObjectId(object.customer),
+                email: object.customer_email || null,
+                name: object.customer_name || null,
+                tier: resolveBillingTier(lines[0]?.price, object.subscription_details?.metadata, priceTiers),
+                periodEnd: toISODate(periodEnd) || toISODate(object.period_end),
+                provisionalPeriodEnd: new Date(now.getTime() + DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000).toISOString()
+            };
+        }
+
+        case 'customer.subscription.updated': {
+            if (!['active', 'trialing'].includes(object.status)) {
+                return { action: 'ignore', reason: `Subscription is ${object.status}` };
+            }
+
+            return {
+                action: 'update',
+                subscriptionId: object.id,
+                customerId: getObjectId(object.customer),
+                tier: resolveBillingTier(object.items?.data?.[0]?.price, object.metadata, priceTiers),
+                periodEnd: toISODate(object.current_period_end)
+            };
+        }
+
+        case 'customer.subscription.deleted':
+            return {
+                action: 'cancel',
+                subscriptionId: object.id,
+                customerId: getObjectId(object.customer),
+                periodEnd: toISODate(object.ended_at) || toISODate(object.canceled_at) || now.toISOString()
+            };
+
+        case 'invoice.payment_failed': {
+            const subscriptionId = getObjectId(object.subscription);
+            if (!subscriptionId) {
+                return { action: 'ignore', reason: 'Invoice is not for a subscription' };
+            }
+
+            return {
+                action: 'payment_failed',
+                subscriptionId: subscriptionId,
+                customerId: getObjectId(object.customer),
+                // No further attempt means the provider has given up on this invoice
+                final: object.next_payment_attempt === null || object.next_payment_attempt === undefined,
+                attempt: object.attempt_count || 1
+            };
+        }
+
+        default:
+            return { action: 'ignore', reason: `Unhandled event type ${event?.type}` };
+    }
+}
+
+/**
+ * Format the email that delivers a purchased key
+ * @param {Object} purchase - { plainKey, tier, expiresAt, name }
+ * @returns {Object} - { title, text }
+ */
+export function formatKeyDeliveryNotice({ plainKey, tier, expiresAt, name }) {
+    const title = `Your Agent Hustle ${tier || DEFAULT_TIER} key`;
+    const greeting = name ? `Hi ${name},\n\n` : '';
+    const renewal = expiresAt ? `\n\nYour membership renews on ${new Date(expiresAt).toUTCString()}.` : '';
+
+    return {
+        title: title,
+        text: `🔑 ${title}\n\n${greeting}Thanks for your purchase. Your pro key is:\n\n${plainKey}\n\nEnter it in the extension settings to unlock pro features. Keep it private, it won't be shown again.${renewal}`
+    };
+}
@@ -0,0 +1,151 @@
+// Brute-force Protection
+// Failed validation tracking policy: progressive delays and temporary bans per IP and key hash prefix,
+// alerts on failures spread over many IPs behind one user agent, and a global failure threshold for
+// guessing spread over many IPs and keys
+
+import { computeKeyLookup } from './key-hashing.js';
+
+// Everything is judged on failures inside the window. Override with BRUTE_FORCE_POLICY, e.g.
+// {"ip":{"banAfter":30},"banSeconds":1800}
+const DEFAULT_BRUTE_FORCE_POLICY = {
+    windowSeconds: 15 * 60,
+    // Failures from one IP before each further attempt has to wait, doubling up to maxDelaySeconds
+    freeFailures: 5,
+    baseDelaySeconds: 2,
+    maxDelaySeconds: 5 * 60,
+    // Ban thresholds; minIps makes key prefix bans need a spread of IPs
+    ip: { banAfter: 20, minIps: 1 },
+    key_prefix: { banAfter: 10, minIps: 3 },
+    // User agents only alert: most real clients send the same stock browser string, so a ban
+    // would lock all of them out on behalf of one attacker
+    user_agent: { alertAfter: 50, minIps: 10 },
+    // Ban length doubles for each earlier ban of the same subject in banHistoryDays
+    banSeconds: 15 * 60,
+    maxBanSeconds: 24 * 60 * 60,
+    banHistoryDays: 7,
+    // Failures from all clients together that count as a spike: every IP waits from its first
+    // failure instead of after freeFailures, and an alert goes out
+    global: { spikeAfter: 500 }
+};
+
+export const BAN_SUBJECT_TYPES = ['ip', 'key_prefix'];
+
+// Policy sections whose overrides merge into the defaults instead of replacing them
+const MERGED_SECTIONS = [...BAN_SUBJECT_TYPES, 'user_agent', 'global'];
+
+// Enough of the lookup digest to group guesses at one key without storing something that finds the key row.
+// This is per key, so guesses at many different keys are caught by the global threshold instead.
+const KEY_PREFIX_LENGTH = 16;
+const MAX_USER_AGENT_LENGTH = 255;
+
+/**
+ * Load the brute-force policy, applying BRUTE_FORCE_POLICY overrides
+ * @returns {Object} - Policy
+ */
+function loadBruteForcePolicy() {
+    const policy = JSON.parse(JSON.stringify(DEFAULT_BRUTE_FORCE_POLICY));
+
+    if (!process.env.BRUTE_FORCE_POLICY) {
+        return policy;
+    }
+
+    try {
+        const overrides = JSON.parse(process.env.BRUTE_FORCE_POLICY);
+        for (const [name, override] of Object.entries(overrides)) {
+            policy[name] = MERGED_SECTIONS.includes(name) ? { ...policy[name], ...override } : override;
+        }
+    } catch (error) {
+        console.error('❌ Invalid BRUTE_FORCE_POLICY, using the default policy:', error.message);
+    }
+
+    return policy;
+}
+
+export const BRUTE_FORCE_POLICY = loadBruteForcePolicy();
+
+/**
+ * Get the subjects a validation attempt is tracked under
+ * @param {string} ipAddress - Client IP
+ * @param {string} userAgent - Client user agent
+ * @param {string} key - Key that was presented
+ * @returns {Object} - { ip, key_prefix, user_agent }
+ */
+export function getAttemptSubjects(ipAddress, userAgent, key) {
+    return {
+        ip: ipAddress || 'unknown',
+        key_prefix: computeKeyLookup(String(key)).substring(0, KEY_PREFIX_LENGTH),
+        user_agent: (userAgent || 'Unknown').substring(0, MAX_USER_AGENT_LENGTH)
+    };
+}
+
+/**
+ * Check whether failures from all clients together are high enough to count as a spike
+ * @param {number} totalFailures - Failures from every IP inside the window
+ * @returns {boolean} - True during a spike
+ */
+export function isFailureSpike(totalFailures) {
+    return totalFailures >= BRUTE_FORCE_POLICY.global.spikeAfter;
+}
+
+/**
+ * Get how long an IP has to wait between attempts after repeated failures
+ * @param {number} failures - Failures from the IP inside the window
+ * @param {boolean} spike - True during a global failure spike, when only the first failure is free
+ * @returns {number} - Delay in seconds (0 while under freeFailures)
+ */
+export function getProgressiveDelaySeconds(failures, spike = false) {
+    const freeFailures = spike ? Math.min(1, BRUTE_FORCE_POLICY.freeFailures) : BRUTE_FORCE_POLICY.freeFailures;
+    const extra = failures - freeFailures;
+
+    if (extra < 0) {
+        return 0;
+    }
+
+    return Math.min(BRUTE_FORCE_POLICY.maxDelaySeconds, BRUTE_FORCE_POLICY.baseDelaySeconds * 2 ** extra);
+}
+
+/**
+ * Get the ban length for a subject
+ * @param {number} previousBans - Bans of the same subject in banHistoryDays
+ * @returns {number} - Ban length in seconds
+ */
+export function getBanSeconds(previousBans) {
+    return Math.min(BRUTE_FORCE_POLICY.maxBanSeconds, BRUTE_FORCE_POLICY.banSeconds * 2 ** previousBans);
+}
+
+/**
+ * Decide which subjects should be banned after a failure
+ * @param {Object} stats - { ip: { failures, distinctIps }, key_prefix: {...} } inside the window
+ * @returns {Array<Object>} - [{ subjectType, failures, distinctIps, reason }]
+ */
+export function getBanDecisions(stats) {
+    const decisions = [];
+
+    for (const subjectType of BAN_SUBJECT_TYPES) {
+        const threshold = BRUTE_FORCE_POLICY[subjectType];
+        const { failures = 0, distinctIps = 0 } = stats[subjectType] || {};
+
+        if (failures >= threshold.banAfter && distinctIps >= threshold.minIps) {
+            decisions.push({
+                subjectType,
+                failures,
+                distinctIps,
+                reason: `${failures} failed validations from ${distinctIps} IP(s) in ${Math.round(BRUTE_FORCE_POLICY.windowSeconds / 60)} minutes`
+            });
+        }
+    }
+
+    return decisions;
+}
+
+/**
+ * Check whether failures behind one user agent are spread widely enough to alert on
+ * @param {Object} stats - Failure stats inside the window, see getBanDecisions
+ * @returns {Object|null} - { failures, distinctIps } when an alert should go out, otherwise null
+ */
+export function getUserAgentAlert(stats) {
+    const threshold = BRUTE_FORCE_POLICY.user_agent;
+    const { failures = 0, distinctIps = 0 } = stats.user_agent || {};
+
+    return failures >= threshold.alertAfter && distinctIps >= threshold.minIps ? { failures, distinctIps } : null;
+}
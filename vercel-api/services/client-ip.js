@@ -0,0 +1,40 @@
+// Client IP
+// The one place requests are attributed to an IP, for rate limits, brute force bans, trials and audit logs
+//
+// Forwarding headers are only believed for the proxy hops we run behind. Express works out req.ip
+// from X-Forwarded-For right to left, skipping the trusted hops, so a client can't pick its own
+// address by sending the header itself.
+
+// Render terminates connections at one load balancer in front of the app
+const DEFAULT_TRUST_PROXY_HOPS = 1;
+
+/**
+ * Read the Express 'trust proxy' setting from TRUST_PROXY_HOPS
+ * @returns {number} - Number of proxy hops in front of the app (0 when it is reached directly)
+ */
+export function getTrustProxyHops() {
+    const raw = process.env.TRUST_PROXY_HOPS;
+
+    if (raw === undefined || raw === '') {
+        return DEFAULT_TRUST_PROXY_HOPS;
+    }
+
+    const hops = Number(raw);
+
+    if (!Number.isInteger(hops) || hops < 0) {
+        console.warn(`⚠️ Invalid TRUST_PROXY_HOPS "${raw}", using ${DEFAULT_TRUST_PROXY_HOPS}`);
+        return DEFAULT_TRUST_PROXY_HOPS;
+    }
+
+    return hops;
+}
+
+/**
+ * Get the client IP address of a request
+ * Relies on app.set('trust proxy', getTrustProxyHops()) so req.ip is the first untrusted hop
+ * @param {Request} req - Express request object
+ * @returns {string} - Client IP address
+ */
+export function getClientIP(req) {
+    return req.ip || req.socket?.remoteAddress || 'unknown';
+}
@@ -0,0 +1,387 @@
+// Delivery Outbox Service
+// Drains queued deliveries to Discord, Telegram, Slack, email and webhooks independently of prompt execution
+
+import os from 'os';
+import crypto from 'crypto';
+import {
+    claimDueDeliveries,
+    extendDeliveryLease,
+    recordDeliveryProgress,
+    recoverExpiredDeliveryLeases,
+    recordDeliveryAttempt,
+    updateLogDeliveryResult
+} from '../db/delivery-queries.js';
+import { getEffectiveIntegrationSettings, getCustomerEmail } from '../db/queries.js';
+import { getRecipientConfirmations } from '../db/account-queries.js';
+import {
+    sendAnalysisToDiscord,
+    sendAnalysisToTelegram,
+    sendAnalysisToSlack,
+    sendAnalysisToEmail,
+    sendAnalysisToWebhook
+} from './integrations.js';
+import { isValidEmail } from './email.js';
+import { DEFAULT_RETRY_POLICY, computeRetryDelay } from './retry-policy.js';
+
+// Identifies this process in delivery leases
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+const LEASE_SECONDS = Number(process.env.DELIVERY_LEASE_SECONDS || 120);
+const CLAIM_BATCH_SIZE = Number(process.env.DELIVERY_BATCH_SIZE || 20);
+
+export const DELIVERY_RETRY_POLICY = {
+    maxAttempts: Number(process.env.DELIVERY_MAX_ATTEMPTS || 5),
+    backoffSeconds: Number(process.env.DELIVERY_BACKOFF_SECONDS || 30),
+    jitter: DEFAULT_RETRY_POLICY.jitter
+};
+
+/**
+ * Track the messages of a split delivery, so a retry only sends the ones that didn't go out
+ * Saving the count also renews the job's lease
+ * @param {Object} job - Claimed delivery_outbox row
+ * @returns {Object} - { sentParts, onPartSent } for the Slack and Telegram senders
+ */
+function getPartProgress(job) {
+    return {
+        sentParts: Number(job.sent_parts || 0),
+        onPartSent: sentParts => recordDeliveryProgress(job.id, sentParts, WORKER_ID, LEASE_SECONDS)
+    };
+}
+
+/**
+ * Senders keyed by destination; each resolves the user's settings and returns
+ * { success, error?, transient?, retryAfterMs? }
+ * Settings lookups throw when the database fails, so the job is retried instead of failing as not configured
+ */
+const DELIVERY_SENDERS = {
+    telegram: async (proKeyId, payload, job) => {
+        const telegramSettings = await getTelegramSettings(proKeyId);
+        if (!telegramSettings || !telegramSettings.botToken || !telegramSettings.chatId) {
+            return { success: false, error: 'Telegram settings not configured', transient: false };
+        }
+        return await sendAnalysisToTelegram(payload, telegramSettings.botToken, telegramSettings.chatId, getPartProgress(job));
+    },
+    discord: async (proKeyId, payload) => {
+        const discordSettings = await getDiscordSettings(proKeyId);
+        if (!discordSettings || !discordSettings.webhookUrl) {
+            return { success: false, error: 'Discord settings not configured', transient: false };
+        }
+        return await sendAnalysisToDiscord(payload, discordSettings.webhookUrl);
+    },
+    slack: async (proKeyId, payload, job) => {
+        const slackSettings = await getSlackSettings(proKeyId);
+        if (!slackSettings) {
+            return { success: false, error: 'Slack settings not configured', transient: false };
+        }
+        return await sendAnalysisToSlack(payload, slackSettings.webhookUrl, getPartProgress(job));
+    },
+    email: async (proKeyId, payload) => {
+        const emailSettings = await getEffectiveIntegrationSettings(proKeyId, 'email');
+        if (!emailSettings) {
+            return { success: false, error: 'Email settings not configured', transient: false };
+        }
+        const owner = emailSettings.source === 'organization' ? { organizationId: emailSettings.organizationId } : { proKeyId };
+        const recipients = await resolveEmailRecipients(proKeyId, emailSettings.settings, owner);
+        if (recipients.length === 0) {
+            return { success: false, error: 'No confirmed email recipients configured', transient: false };
+        }
+        return await sendAnalysisToEmail(payload, recipients);
+    },
+    webhook: async (proKeyId, payload, job) => {
+        const webhookSettings = await getWebhookSettings(proKeyId);
+        if (!webhookSettings) {
+            return { success: false, error: 'Webhook settings not configured', transient: false };
+        }
+        return await sendAnalysisToWebhook(payload, webhookSettings, {
+            deliveryId: job.id,
+            scheduledPromptId: job.scheduled_prompt_id
+        });
+    }
+};
+
+export const DELIVERY_DESTINATIONS = Object.keys(DELIVERY_SENDERS);
+
+// In-flight drain, shared by overlapping callers in this process
+let activeDrain = null;
+
+/**
+ * Send every due delivery job, one attempt each
+ * Overlapping calls in the same process join the run already in progress
+ * @returns {Promise<Object>} - { delivered, retrying, failed }
+ */
+export async function processDeliveryOutbox() {
+    if (activeDrain) {
+        return activeDrain;
+    }
+
+    activeDrain = drainDeliveryOutbox().finally(() => {
+        activeDrain = null;
+    });
+
+    return activeDrain;
+}
+
+/**
+ * Claim and attempt due deliveries in batches until none are left
+ * @returns {Promise<Object>} - { delivered, retrying, failed }
+ */
+async function drainDeliveryOutbox() {
+    try {
+        await recoverExpiredDeliveryLeases();
+
+        const summary = { delivered: 0, retrying: 0, failed: 0 };
+
+        while (true) {
+            const jobs = await claimDueDeliveries(WORKER_ID, LEASE_SECONDS, CLAIM_BATCH_SIZE);
+
+            if (jobs.length === 0) {
+                break;
+            }
+
+            console.log(`📬 Claimed ${jobs.length} due deliveries`);
+
+            for (const job of jobs) {
+                // Renew the lease before each job so slow sends earlier in the batch can't let it lapse
+                const stillOwned = await extendDeliveryLease(job.id, WORKER_ID, LEASE_SECONDS);
+                if (!stillOwned) {
+                    console.warn(`⚠️ Lease on delivery ${job.id} was lost, skipping`);
+                    continue;
+                }
+
+                const outcome = await attemptDelivery(job);
+                if (outcome !== 'lost') {
+                    summary[outcome]++;
+                }
+            }
+
+            if (jobs.length < CLAIM_BATCH_SIZE) {
+                break;
+            }
+        }
+
+        if (summary.delivered > 0 || summary.retrying > 0 || summary.failed > 0) {
+            console.log(`📊 Delivery summary: ${summary.delivered} delivered, ${summary.retrying} retrying, ${summary.failed} failed`);
+        }
+
+        return summary;
+
+    } catch (error) {
+        console.error('❌ Error processing delivery outbox:', error);
+        throw error;
+    }
+}
+
+/**
+ * Make one attempt at a claimed delivery and record the outcome
+ * @param {Object} job - Claimed delivery_outbox row
+ * @returns {Promise<string>} - 'delivered', 'retrying', 'failed' or 'lost' if another worker took the job over
+ */
+async function attemptDelivery(job) {
+    const attempt = Number(job.attempt_count || 0) + 1;
+    const sender = DELIVERY_SENDERS[job.destination];
+
+    let result;
+    try {
+        result = sender
+            ? await sender(job.pro_key_id, job.payload, job)
+            : { success: false, error: `Unknown destination: ${job.destination}`, transient: false };
+    } catch (error) {
+        result = { success: false, error: error.message, transient: true };
+    }
+
+    let outcome;
+    let nextAttemptAt = null;
+
+    if (result.success) {
+        outcome = 'delivered';
+        console.log(`✅ Delivered ${job.destination} job ${job.id} for schedule ${job.scheduled_prompt_id}`);
+    } else if (result.transient && attempt < Number(job.max_attempts)) {
+        outcome = 'retrying';
+        const delayMs = computeRetryDelay(attempt, DELIVERY_RETRY_POLICY, result.retryAfterMs);
+        nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+        console.warn(`⏳ ${job.destination} job ${job.id} failed (attempt ${attempt}), retrying at ${nextAttemptAt}: ${result.error}`);
+    } else {
+        outcome = 'failed';
+        console.error(`❌ ${job.destination} job ${job.id} failed permanently after ${attempt} attempt(s): ${result.error}`);
+    }
+
+    const recorded = await recordDeliveryAttempt(job.id, {
+        status: outcome === 'retrying' ? 'pending' : outcome,
+        attemptCount: attempt,
+        lastError: result.success ? null : result.error,
+        nextAttemptAt: nextAttemptAt
+    }, WORKER_ID);
+
+    if (!recorded) {
+        console.warn(`⚠️ Lease on delivery ${job.id} was lost before its outcome was recorded`);
+        return 'lost';
+    }
+
+    if (job.automation_log_id) {
+        await updateLogDeliveryResult(job.automation_log_id, job.destination, outcome, result.success ? null : result.error);
+    }
+
+    return outcome;
+}
+
+/**
+ * Get Discord settings for a pro key ID from database
+ * @param {number} proKeyId - Pro key ID
+ * @returns {Promise<Object|null>} - Discord settings or null
+ */
+async function getDiscordSettings(proKeyId) {
+    try {
+        console.log(`🔍 Getting Discord settings for pro key ID: ${proKeyId}`);
+
+        // Get Discord integration settings from database
+        const settings = await getEffectiveIntegrationSettings(proKeyId, 'discord');
+        
+        if (settings && settings.settings && settings.settings.webhookUrl) {
+            console.log(`✅ Found Discord webhook URL for pro key ID: ${proKeyId}`);
+            return {
+                webhookUrl: settings.settings.webhookUrl
+            };
+        }
+
+        // Fallback to environment variable for testing
+        const testWebhookUrl = process.env.TEST_DISCORD_WEBHOOK_URL;
+        if (testWebhookUrl) {
+            console.log('🧪 Using test Discord webhook URL from environment');
+            return {
+                webhookUrl: testWebhookUrl
+            };
+        }
+
+        console.warn(`⚠️ No Discord settings configured for pro key ID: ${proKeyId}`);
+        return null;
+    } catch (error) {
+        console.error('❌ Error getting Discord settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get Telegram settings for a pro key ID from database
+ * @param {number} proKeyId - Pro key ID
+ * @returns {Promise<Object|null>} - Telegram settings or null
+ */
+async function getTelegramSettings(proKeyId) {
+    try {
+        console.log(`🔍 Getting Telegram settings for pro key ID: ${proKeyId}`);
+
+        // Get Telegram integration settings from database
+        const settings = await getEffectiveIntegrationSettings(proKeyId, 'telegram');
+        
+        if (settings && settings.settings && settings.settings.botToken && settings.settings.chatId) {
+            console.log(`✅ Found Telegram settings for pro key ID: ${proKeyId}`);
+            return {
+                botToken: settings.settings.botToken,
+                chatId: settings.settings.chatId
+            };
+        }
+
+        // Fallback to environment variables for testing
+        const testBotToken = process.env.TEST_TELEGRAM_BOT_TOKEN;
+        const testChatId = process.env.TEST_TELEGRAM_CHAT_ID;
+        
+        if (testBotToken && testChatId) {
+            console.log('🧪 Using test Telegram settings from environment');
+            return {
+                botToken: testBotToken,
+                chatId: testChatId
+            };
+        }
+
+        console.warn(`⚠️ No Telegram settings configured for pro key ID: ${proKeyId}`);
+        return null;
+    } catch (error) {
+        console.error('❌ Error getting Telegram settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Resolve who receives a user's analysis emails
+ * The customer's account email is included unless includeAccountEmail is false. Other recipients
+ * only get emails once they confirmed them for the settings' owner, so the server can't be used to mail anyone.
+ * @param {number} proKeyId - Pro key ID
+ * @param {Object} settings - Email settings { recipients, includeAccountEmail }
+ * @param {Object} owner - Whose settings they are, { proKeyId } or { organizationId } for shared settings
+ * @returns {Promise<Array<string>>} - Unique recipient addresses
+ */
+export async function resolveEmailRecipients(proKeyId, settings, owner = { proKeyId }) {
+    const accountEmail = await getCustomerEmail(proKeyId);
+    const hasAccountEmail = Boolean(accountEmail && isValidEmail(accountEmail));
+    const confirmations = await getRecipientConfirmations(owner);
+
+    const recipients = (settings?.recipients || []).filter(email => {
+        const address = email.toLowerCase();
+        return (hasAccountEmail && address === accountEmail.toLowerCase()) || confirmations.get(address) === 'confirmed';
+    });
+
+    const unconfirmed = (settings?.recipients || []).length - recipients.length;
+    if (unconfirmed > 0) {
+        console.log(`✉️ Skipping ${unconfirmed} unconfirmed email recipient(s) for pro key ID: ${proKeyId}`);
+    }
+
+    if (hasAccountEmail && settings?.includeAccountEmail !== false) {
+        recipients.unshift(accountEmail);
+    }
+
+    const seen = new Set();
+    return recipients.filter(email => {
+        const key = email.toLowerCase();
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Get Slack settings for a pro key ID from database
+ * @param {number} proKeyId - Pro key ID
+ * @returns {Promise<Object|null>} - Slack settings { webhookUrl } or null
+ */
+async function getSlackSettings(proKeyId) {
+    try {
+        const settings = await getEffectiveIntegrationSettings(proKeyId, 'slack');
+
+        if (settings && settings.settings && settings.settings.webhookUrl) {
+            return {
+                webhookUrl: settings.settings.webhookUrl
+            };
+        }
+
+        console.warn(`⚠️ No Slack settings configured for pro key ID: ${proKeyId}`);
+        return null;
+    } catch (error) {
+        console.error('❌ Error getting Slack settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get webhook settings for a pro key ID from database
+ * @param {number} proKeyId - Pro key ID
+ * @returns {Promise<Object|null>} - Webhook settings { url, secret, headers } or null
+ */
+async function getWebhookSettings(proKeyId) {
+    try {
+        const settings = await getEffectiveIntegrationSettings(proKeyId, 'webhook');
+
+        if (settings && settings.settings && settings.settings.url && settings.settings.secret) {
+            return {
+                url: settings.settings.url,
+                secret: settings.settings.secret,
+                headers: settings.settings.headers || {}
+            };
+        }
+
+        console.warn(`⚠️ No webhook settings configured for pro key ID: ${proKeyId}`);
+        return null;
+    } catch (error) {
+        console.error('❌ Error getting webhook settings:', error);
+        throw error;
+    }
+}
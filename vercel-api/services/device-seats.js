@@ -0,0 +1,79 @@
+// Device Seats
+// Seat limits per tier and device fingerprint handling for pro key device binding
+
+import crypto from 'crypto';
+
+// Seats per tier when DEVICE_SEAT_LIMITS doesn't say otherwise
+const DEFAULT_TIER_SEATS = { trial: 1, pro: 3, premium: 5, enterprise: 25 };
+const DEFAULT_SEAT_LIMIT = Number(process.env.DEFAULT_DEVICE_SEATS || 3);
+
+// Older extension versions don't send a device ID; set REQUIRE_DEVICE_ID=true once they are gone
+export const REQUIRE_DEVICE_ID = process.env.REQUIRE_DEVICE_ID === 'true';
+
+// Releases allowed per key per day before users have to wait (or ask support)
+export const MAX_DEVICE_RELEASES_PER_DAY = Number(process.env.DEVICE_RELEASES_PER_DAY || 3);
+
+const DEVICE_ID_REGEX = /^[A-Za-z0-9._:-]{16,256}$/;
+const MAX_DEVICE_NAME_LENGTH = 100;
+
+/**
+ * Read seat limits per tier
+ * DEVICE_SEAT_LIMITS is a comma separated "tier:seats" list, e.g. "pro:3,premium:5"
+ * @returns {Object} - { tier: seats }
+ */
+function getTierSeatLimits() {
+    const limits = { ...DEFAULT_TIER_SEATS };
+
+    for (const entry of (process.env.DEVICE_SEAT_LIMITS || '').split(',')) {
+        const [tier, seats] = entry.split(':').map(part => part && part.trim());
+        if (tier && Number.isInteger(Number(seats)) && Number(seats) > 0) {
+            limits[tier] = Number(seats);
+        }
+    }
+
+    return limits;
+}
+
+/**
+ * Get the number of devices a key may register
+ * @param {Object} keyData - pro_keys row with tier and seat_limit
+ * @returns {number} - Seat limit (the key's own seat_limit overrides its tier)
+ */
+export function getSeatLimit(keyData) {
+    if (keyData.seat_limit) {
+        return Number(keyData.seat_limit);
+    }
+
+    return getTierSeatLimits()[keyData.tier || 'pro'] || DEFAULT_SEAT_LIMIT;
+}
+
+/**
+ * Check a device ID sent by the extension
+ * @param {string} deviceId - Stable device fingerprint
+ * @returns {boolean} - True if it can be used
+ */
+export function isValidDeviceId(deviceId) {
+    return typeof deviceId === 'string' && DEVICE_ID_REGEX.test(deviceId);
+}
+
+/**
+ * Hash a device fingerprint so raw fingerprints are never stored
+ * @param {number} proKeyId - Pro key ID the device belongs to
+ * @param {string} deviceId - Device fingerprint
+ * @returns {string} - Hex digest
+ */
+export function hashDeviceId(proKeyId, deviceId) {
+    return crypto.createHash('sha256').update(`${proKeyId}:${deviceId}`).digest('hex');
+}
+
+/**
+ * Clean up a user supplied device name
+ * @param {string} name - Device name, e.g. "Chrome on MacBook"
+ * @returns {string|null} - Trimmed name, or null if none was given
+ */
+export function normalizeDeviceName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return null;
+    }
+    return name.trim().substring(0, MAX_DEVICE_NAME_LENGTH);
+}
@@ -0,0 +1,132 @@
+// Email Transport Service
+// SMTP transport used to deliver scheduled analysis results by email
+
+import nodemailer from 'nodemailer';
+
+// Recipients other than the account email also have to confirm before they get mail, see resolveEmailRecipients
+const MAX_RECIPIENTS = 10;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Read SMTP settings from the environment
+ * Configured through SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS and SMTP_FROM
+ * @returns {Object} - SMTP settings
+ */
+export function getSmtpConfig() {
+    const port = Number(process.env.SMTP_PORT || 587);
+
+    return {
+        host: process.env.SMTP_HOST || null,
+        port: port,
+        // Implicit TLS on 465, STARTTLS upgrade everywhere else unless told otherwise
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        user: process.env.SMTP_USER || null,
+        pass: process.env.SMTP_PASS || null,
+        from: process.env.SMTP_FROM || 'Agent Hustle Pro <no-reply@agenthustle.ai>'
+    };
+}
+
+/**
+ * Create an SMTP transport
+ * @param {Object} options - Overrides for the environment settings { host, port, secure, user, pass, from }
+ * @returns {Object} - Transport with a sendMail(message) method and its from address
+ */
+export function createEmailTransport(options = {}) {
+    const config = { ...getSmtpConfig(), ...options };
+
+    if (!config.host) {
+        throw new Error('SMTP is not configured. Set SMTP_HOST to enable email delivery');
+    }
+
+    const transport = nodemailer.createTransport({
+        host: config.host,
+        port: config.port,
+        secure: config.secure,
+        auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+        connectionTimeout: 10000,
+        greetingTimeout: 10000,
+        socketTimeout: 30000
+    });
+
+    return {
+        from: config.from,
+        sendMail: (message) => transport.sendMail({ from: config.from, ...message })
+    };
+}
+
+let activeTransport = null;
+
+/**
+ * Replace the transport used for email deliveries
+ * @param {Object} transport - Object with an async sendMail(message) method
+ */
+export function setEmailTransport(transport) {
+    if (!transport || typeof transport.sendMail !== 'function') {
+        throw new Error('Email transport must implement sendMail()');
+    }
+    activeTransport = transport;
+}
+
+/**
+ * Get the transport used for email deliveries (SMTP from the environment by default)
+ * @returns {Object} - Active email transport
+ */
+export function getEmailTransport() {
+    if (!activeTransport) {
+        activeTransport = createEmailTransport();
+    }
+    return activeTransport;
+}
+
+/**
+ * Check whether email delivery can be used
+ * @returns {boolean} - True if a transport is set or SMTP_HOST is configured
+ */
+export function isEmailConfigured() {
+    return Boolean(activeTransport || getSmtpConfig().host);
+}
+
+/**
+ * Check an email address
+ * @param {string} email - Address to check
+ * @returns {boolean} - True if it looks like a deliverable address
+ */
+export function isValidEmail(email) {
+    return typeof email === 'string' && email.length <= 254 && EMAIL_REGEX.test(email);
+}
+
+/**
+ * Validate email integration settings
+ * @param {Object} settings - { recipients?, includeAccountEmail? }
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateEmailSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        return 'Email settings are required';
+    }
+
+    const { recipients = [], includeAccountEmail = true } = settings;
+
+    if (!Array.isArray(recipients)) {
+        return 'Email recipients must be an array of addresses';
+    }
+
+    if (recipients.length > MAX_RECIPIENTS) {
+        return `Email recipients are limited to ${MAX_RECIPIENTS} addresses`;
+    }
+
+    const invalid = recipients.find(email => !isValidEmail(email));
+    if (invalid !== undefined) {
+        return `Invalid email address: ${invalid}`;
+    }
+
+    if (typeof includeAccountEmail !== 'boolean') {
+        return 'includeAccountEmail must be true or false';
+    }
+
+    if (recipients.length === 0 && !includeAccountEmail) {
+        return 'Add at least one recipient or include the account email';
+    }
+
+    return null;
+}
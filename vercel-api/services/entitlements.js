@@ -0,0 +1,169 @@
+// Entitlements
+// Resolves what a pro key may use from its tier's entitlements and the key's own overrides
+
+// Used when the tier_entitlements table has neither the key's tier nor 'pro' (same as the seeded pro row)
+export const DEFAULT_TIER_ENTITLEMENTS = {
+    maxSchedules: 10,
+    maxExecutionsPerDay: 100,
+    integrations: ['telegram', 'discord', 'slack', 'email', 'webhook'],
+    recurrence: ['cron', 'rrule'],
+    retentionDays: 2
+};
+
+// Tier whose entitlements apply to keys with an unknown tier
+export const FALLBACK_TIER = 'pro';
+
+/**
+ * Entitlement fields and their columns in tier_entitlements and key_entitlement_overrides
+ */
+export const ENTITLEMENT_FIELDS = {
+    maxSchedules: { column: 'max_schedules', type: 'count' },
+    maxExecutionsPerDay: { column: 'max_executions_per_day', type: 'count' },
+    integrations: { column: 'allowed_integrations', type: 'list' },
+    recurrence: { column: 'allowed_recurrence', type: 'list' },
+    retentionDays: { column: 'retention_days', type: 'days' }
+};
+
+const MAX_RETENTION_DAYS = 365;
+
+/**
+ * Read one entitlement value from a database row
+ * @param {Object} row - tier_entitlements or key_entitlement_overrides row
+ * @param {string} field - Key of ENTITLEMENT_FIELDS
+ * @returns {*} - Value, or null if the row doesn't set it
+ */
+function readEntitlementColumn(row, field) {
+    const { column, type } = ENTITLEMENT_FIELDS[field];
+    const value = row ? row[column] : null;
+
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    if (type === 'list') {
+        try {
+            const list = JSON.parse(value);
+            return Array.isArray(list) ? list : null;
+        } catch (error) {
+            console.warn(`⚠️ Ignoring malformed ${column}:`, value);
+            return null;
+        }
+    }
+
+    return Number(value);
+}
+
+/**
+ * Resolve the entitlements of a key
+ * @param {string} tier - Key tier
+ * @param {Array<Object>} tierRows - tier_entitlements rows
+ * @param {Object|null} overrideRow - key_entitlement_overrides row for the key
+ * @returns {Object} - { tier, maxSchedules, maxExecutionsPerDay, integrations, recurrence, retentionDays, overrides }
+ */
+export function resolveEntitlements(tier, tierRows, overrideRow = null) {
+    const keyTier = tier || FALLBACK_TIER;
+    const tierRow = tierRows.find(row => row.tier === keyTier)
+        || tierRows.find(row => row.tier === FALLBACK_TIER)
+        || null;
+
+    const entitlements = { tier: keyTier };
+    const overrides = [];
+
+    for (const field of Object.keys(ENTITLEMENT_FIELDS)) {
+        const override = readEntitlementColumn(overrideRow, field);
+        const tierValue = readEntitlementColumn(tierRow, field);
+
+        if (override !== null) {
+            overrides.push(field);
+        }
+
+        entitlements[field] = override ?? tierValue ?? DEFAULT_TIER_ENTITLEMENTS[field];
+    }
+
+    entitlements.overrides = overrides;
+
+    return entitlements;
+}
+
+/**
+ * Convert entitlement fields to column values for the database
+ * @param {Object} fields - Parsed fields from parseEntitlementFields
+ * @returns {Object} - { column: value }
+ */
+export function toEntitlementColumns(fields) {
+    const columns = {};
+
+    for (const [field, value] of Object.entries(fields)) {
+        const { column, type } = ENTITLEMENT_FIELDS[field];
+        columns[column] = value === null ? null : (type === 'list' ? JSON.stringify(value) : value);
+    }
+
+    return columns;
+}
+
+/**
+ * Parse entitlement fields from an admin request body
+ * @param {Object} body - Request body
+ * @param {Object} options - { known: { integrations, recurrence }, allowNull } where allowNull lets overrides be cleared
+ * @returns {Object} - { fields, error }
+ */
+export function parseEntitlementFields(body, { known, allowNull = false }) {
+    const fields = {};
+
+    for (const [field, { type }] of Object.entries(ENTITLEMENT_FIELDS)) {
+        const value = body[field];
+
+        if (value === undefined) {
+            continue;
+        }
+
+        if (value === null) {
+            if (!allowNull) {
+                return { fields: null, error: `${field} cannot be null` };
+            }
+            fields[field] = null;
+            continue;
+        }
+
+        if (type === 'list') {
+            if (!Array.isArray(value) || value.some(item => !known[field].includes(item))) {
+                return { fields: null, error: `${field} must be a list of: ${known[field].join(', ')}` };
+            }
+            fields[field] = [...new Set(value)];
+            continue;
+        }
+
+        const max = type === 'days' ? MAX_RETENTION_DAYS : Number.MAX_SAFE_INTEGER;
+        const min = type === 'days' ? 1 : 0;
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return { fields: null, error: `${field} must be an integer from ${min}${type === 'days' ? ` to ${max}` : ''}` };
+        }
+        fields[field] = value;
+    }
+
+    return { fields, error: null };
+}
+
+/**
+ * Check a schedule against a key's entitlements
+ * @param {Object} entitlements - Resolved entitlements
+ * @param {Object} schedule - { integrations: { destination: boolean }, recurrence: { type } | null }
+ * @returns {string|null} - Why the schedule isn't allowed, or null if it is
+ */
+export function getScheduleEntitlementError(entitlements, { integrations = {}, recurrence = null }) {
+    const blocked = Object.entries(integrations || {})
+        .filter(([destination, enabled]) => enabled && !entitlements.integrations.includes(destination))
+        .map(([destination]) => destination);
+
+    if (blocked.length > 0) {
+        return `Your ${entitlements.tier} plan doesn't include delivery to: ${blocked.join(', ')}`;
+    }
+
+    if (recurrence && !entitlements.recurrence.includes(recurrence.type)) {
+        return entitlements.recurrence.length > 0
+            ? `Your ${entitlements.tier} plan only includes ${entitlements.recurrence.join(', ')} recurrence`
+            : `Your ${entitlements.tier} plan doesn't include recurring schedules`;
+    }
+
+    return null;
+}
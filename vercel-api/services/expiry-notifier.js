@@ -0,0 +1,153 @@
+// Expiry Notifier Service
+// Warns pro key holders before their membership expires, through their own Telegram, Discord and email integrations
+
+import {
+    getKeysNearingExpiry,
+    claimExpiryNotice,
+    completeExpiryNotice
+} from '../db/notification-queries.js';
+import { getEffectiveIntegrationSettings, getCustomerEmail } from '../db/queries.js';
+import { sendNoticeToDiscord, sendNoticeToTelegram, sendNoticeToEmail } from './integrations.js';
+import { isEmailConfigured, isValidEmail } from './email.js';
+import { resolveEmailRecipients } from './delivery-outbox.js';
+import {
+    EXPIRY_NOTICE_DAYS,
+    MEMBERSHIP_GRACE_DAYS,
+    getGraceDays,
+    getDueExpiryNotice,
+    formatExpiryNotice
+} from './membership.js';
+import { TRIAL_TIER, TRIAL_POLICY } from './trials.js';
+
+// Trials are only warned at thresholds shorter than their lifetime, not the moment they start
+const TRIAL_NOTICE_DAYS = EXPIRY_NOTICE_DAYS.filter(days => days < TRIAL_POLICY.lifetimeDays);
+
+// In-flight run, shared by overlapping callers in this process
+let activeRun = null;
+
+/**
+ * Send every expiry notice that is due
+ * Overlapping calls in the same process join the run already in progress
+ * @returns {Promise<Object>} - { sent, failed }
+ */
+export async function processExpiryNotices() {
+    if (activeRun) {
+        return activeRun;
+    }
+
+    activeRun = sendDueExpiryNotices().finally(() => {
+        activeRun = null;
+    });
+
+    return activeRun;
+}
+
+/**
+ * Find keys with a notice due and send it
+ * @returns {Promise<Object>} - { sent, failed }
+ */
+async function sendDueExpiryNotices() {
+    const summary = { sent: 0, failed: 0 };
+
+    if (EXPIRY_NOTICE_DAYS.length === 0) {
+        return summary;
+    }
+
+    try {
+        const now = new Date();
+        const keys = await getKeysNearingExpiry(EXPIRY_NOTICE_DAYS[0], MEMBERSHIP_GRACE_DAYS);
+
+        for (const key of keys) {
+            const threshold = getDueExpiryNotice(
+                key.expires_at,
+                key.sent_thresholds,
+                now,
+                key.tier === TRIAL_TIER ? TRIAL_NOTICE_DAYS : EXPIRY_NOTICE_DAYS,
+                getGraceDays(key.tier)
+            );
+
+            if (threshold === null) {
+                continue;
+            }
+
+            // Another instance may have claimed it since the keys were read
+            const noticeId = await claimExpiryNotice(key.id, key.expires_at, threshold);
+            if (!noticeId) {
+                continue;
+            }
+
+            const notice = formatExpiryNotice({
+                expiresAt: key.expires_at,
+                tier: key.tier,
+                customerName: key.customer_name
+            }, now);
+
+            const results = await sendExpiryNotice(key.id, notice);
+            const delivered = results.some(result => result.success);
+
+            await completeExpiryNotice(noticeId, delivered ? 'sent' : 'failed', results);
+
+            if (delivered) {
+                summary.sent++;
+                console.log(`⏰ Expiry notice (${threshold} day threshold) sent for pro key ID ${key.id} via ${results.filter(result => result.success).map(result => result.channel).join(', ')}`);
+            } else {
+                summary.failed++;
+                console.warn(`⚠️ Expiry notice (${threshold} day threshold) for pro key ID ${key.id} could not be delivered`);
+            }
+        }
+
+        if (summary.sent > 0 || summary.failed > 0) {
+            console.log(`📊 Expiry notice summary: ${summary.sent} sent, ${summary.failed} failed`);
+        }
+
+        return summary;
+
+    } catch (error) {
+        console.error('❌ Error processing expiry notices:', error);
+        throw error;
+    }
+}
+
+/**
+ * Send a notice to every integration the key has configured
+ * Keys without Telegram, Discord or email settings are emailed at their account address
+ * @param {number} proKeyId - Pro key ID
+ * @param {Object} notice - { title, text }
+ * @returns {Promise<Array<Object>>} - [{ channel, success, error }]
+ */
+async function sendExpiryNotice(proKeyId, notice) {
+    const [telegram, discord, email] = await Promise.all([
+        getEffectiveIntegrationSettings(proKeyId, 'telegram'),
+        getEffectiveIntegrationSettings(proKeyId, 'discord'),
+        getEffectiveIntegrationSettings(proKeyId, 'email')
+    ]);
+
+    const sends = [];
+
+    if (telegram?.settings?.botToken && telegram.settings.chatId) {
+        sends.push(['telegram', () => sendNoticeToTelegram(notice, telegram.settings.botToken, telegram.settings.chatId)]);
+    }
+    if (discord?.settings?.webhookUrl) {
+        sends.push(['discord', () => sendNoticeToDiscord(notice, discord.settings.webhookUrl)]);
+    }
+
+    let recipients = [];
+    if (email) {
+        recipients = await resolveEmailRecipients(proKeyId, email.settings);
+    } else if (sends.length === 0) {
+        const accountEmail = await getCustomerEmail(proKeyId);
+        recipients = accountEmail && isValidEmail(accountEmail) ? [accountEmail] : [];
+    }
+    if (recipients.length > 0 && isEmailConfigured()) {
+        sends.push(['email', () => sendNoticeToEmail(notice, recipients)]);
+    }
+
+    if (sends.length === 0) {
+        return [{ channel: null, success: false, error: 'No notification channels configured' }];
+    }
+
+    return await Promise.all(sends.map(async ([channel, send]) => {
+        const result = await send();
+        return { channel, success: result.success, error: result.success ? undefined : result.error };
+    }));
+}
@@ -1,5 +1,18 @@
 // Server-side Integration Services
-// Discord and Telegram integration for automated scheduled prompts
+// Discord, Telegram, Slack, email and generic webhook integration for automated scheduled prompts and account notices
+
+import crypto from 'crypto';
+import { createTransientError, isTransientError, isTransientStatus, parseRetryAfter } from './retry-policy.js';
+import { WEBHOOK_PAYLOAD_VERSION, buildSignatureHeaders } from './webhook-signature.js';
+import { getEmailTransport } from './email.js';
+import { assertPublicWebhookTarget } from './webhook-target.js';
+
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+
+// Slack Block Kit limits (https://api.slack.com/reference/block-kit/blocks)
+const SLACK_MAX_BLOCKS = 50;
+const SLACK_MAX_SECTION_TEXT = 3000;
+const SLACK_MAX_HEADER_TEXT = 150;
 
 /**
  * Send analysis results to Discord via webhook
@@ -32,7 +45,23 @@ export async function sendAnalysisToDiscord(analysisData, webhookUrl) {
 
         if (!response.ok) {
             const errorText = await response.text();
-            throw new Error(`Discord webhook failed: ${response.status} - ${errorText}`);
+            const message = `Discord webhook failed: ${response.status} - ${errorText}`;
+
+            if (isTransientStatus(response.status)) {
+                // Discord sends retry_after (seconds) in the 429 body as well as the header
+                let retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+                try {
+                    const body = JSON.parse(errorText);
+                    if (body.retry_after) {
+                        retryAfterMs = Math.ceil(body.retry_after * 1000);
+                    }
+                } catch (parseError) {
+                    // Non-JSON error body, keep the header value
+                }
+                throw createTransientError(message, { status: response.status, retryAfterMs });
+            }
+
+            throw new Error(message);
         }
 
         return {
@@ -42,10 +71,7 @@ export async function sendAnalysisToDiscord(analysisData, webhookUrl) {
 
     } catch (error) {
         console.error('Error sending to Discord:', error);
-        return {
-            success: false,
-            error: error.message
-        };
+        return buildFailureResult(error);
     }
 }
 
@@ -54,9 +80,10 @@ export async function sendAnalysisToDiscord(analysisData, webhookUrl) {
  * @param {Object} analysisData - The analysis data to send
  * @param {string} botToken - Telegram bot token
  * @param {string} chatId - Telegram chat ID
+ * @param {Object} progress - Optional { sentParts, onPartSent } for a split message, see sendMessageParts
  * @returns {Promise<Object>} - Result of the send operation
  */
-export async function sendAnalysisToTelegram(analysisData, botToken, chatId) {
+export async function sendAnalysisToTelegram(analysisData, botToken, chatId, progress = {}) {
     try {
         if (!botToken || !chatId) {
             throw new Error('Bot token and chat ID are required');
@@ -67,32 +94,356 @@ export async function sendAnalysisToTelegram(analysisData, botToken, chatId) {
         // Split message if too long (Telegram limit is 4096 characters)
         const messages = splitLongMessage(message);
 
-        const results = [];
-        for (const msg of messages) {
-            const result = await sendTelegramMessage(botToken, chatId, msg);
-            results.push(result);
+        // Small delay between messages to avoid rate limiting
+        const results = await sendMessageParts(messages, msg => sendTelegramMessage(botToken, chatId, msg), progress);
+
+        return {
+            success: true,
+            messageCount: messages.length,
+            results: results
+        };
+
+    } catch (error) {
+        console.error('Error sending to Telegram:', error);
+        return buildFailureResult(error);
+    }
+}
+
+/**
+ * Send analysis results to Slack via incoming webhook
+ * Long analyses are split across several messages to stay within Slack's block limits
+ * @param {Object} analysisData - The analysis data to send
+ * @param {string} webhookUrl - Slack incoming webhook URL
+ * @param {Object} progress - Optional { sentParts, onPartSent } for a split message, see sendMessageParts
+ * @returns {Promise<Object>} - Result of the send operation
+ */
+export async function sendAnalysisToSlack(analysisData, webhookUrl, progress = {}) {
+    try {
+        if (!webhookUrl) {
+            throw new Error('Slack webhook URL is required');
+        }
+
+        const messages = splitSlackBlocks(formatAnalysisAsSlackBlocks(analysisData), analysisData);
 
-            // Small delay between messages to avoid rate limiting
-            if (messages.length > 1) {
-                await new Promise(resolve => setTimeout(resolve, 1000));
+        console.log(`💬 Sending ${messages.length} Slack message(s) to: ${webhookUrl.substring(0, 40)}...`);
+
+        // Incoming webhooks allow about one message per second
+        await sendMessageParts(messages, async message => {
+            const response = await fetch(webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(message)
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                const errorMessage = `Slack webhook failed: ${response.status} - ${errorText}`;
+
+                if (isTransientStatus(response.status)) {
+                    throw createTransientError(errorMessage, {
+                        status: response.status,
+                        retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+                    });
+                }
+
+                throw new Error(errorMessage);
             }
+        }, progress);
+
+        return {
+            success: true,
+            message: 'Successfully sent to Slack',
+            messageCount: messages.length
+        };
+
+    } catch (error) {
+        console.error('Error sending to Slack:', error);
+        return buildFailureResult(error);
+    }
+}
+
+/**
+ * Send analysis results by email as multipart HTML and plain text
+ * @param {Object} analysisData - The analysis data to send
+ * @param {Array<string>} recipients - Email addresses
+ * @returns {Promise<Object>} - Result of the send operation
+ */
+export async function sendAnalysisToEmail(analysisData, recipients) {
+    try {
+        if (!recipients || recipients.length === 0) {
+            throw new Error('At least one email recipient is required');
+        }
+
+        const { subject, html, text } = formatAnalysisAsEmail(analysisData);
+
+        console.log(`📧 Sending analysis email to ${recipients.length} recipient(s)...`);
+
+        let info;
+        try {
+            info = await getEmailTransport().sendMail({
+                to: recipients.join(', '),
+                subject: subject,
+                text: text,
+                html: html
+            });
+        } catch (error) {
+            // SMTP 4xx replies and connection problems are temporary; 5xx and auth errors are not
+            const transientCodes = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNRESET'];
+            if ((error.responseCode >= 400 && error.responseCode < 500) || transientCodes.includes(error.code)) {
+                throw createTransientError(`Email delivery failed: ${error.message}`, { status: error.responseCode || null });
+            }
+            throw new Error(`Email delivery failed: ${error.message}`);
         }
 
         return {
             success: true,
-            messageCount: results.length,
-            results: results
+            message: 'Successfully sent email',
+            messageId: info?.messageId || null,
+            recipientCount: recipients.length
         };
 
     } catch (error) {
-        console.error('Error sending to Telegram:', error);
+        console.error('Error sending email:', error);
+        return buildFailureResult(error);
+    }
+}
+
+/**
+ * Send analysis results to a user's own endpoint as a signed JSON payload
+ * @param {Object} analysisData - The analysis data to send
+ * @param {Object} settings - Webhook settings { url, secret, headers }
+ * @param {Object} meta - Delivery details { deliveryId, scheduledPromptId }
+ * @returns {Promise<Object>} - Result of the send operation
+ */
+export async function sendAnalysisToWebhook(analysisData, settings, meta = {}) {
+    try {
+        const result = analysisData.result || {};
+
+        // A stable ID per delivery lets receivers drop retried duplicates
+        const payload = buildWebhookPayload('analysis.completed', {
+            scheduledPromptId: meta.scheduledPromptId || null,
+            analysisType: analysisData.analysisType || null,
+            summary: result.summary || '',
+            content: result.content || '',
+            keyPoints: result.keyPoints || [],
+            date: analysisData.date || new Date().toISOString()
+        }, meta.deliveryId ? `dlv_${meta.deliveryId}` : undefined);
+
+        const status = await postSignedWebhook(settings, payload);
+
         return {
-            success: false,
-            error: error.message
+            success: true,
+            message: 'Successfully sent to webhook',
+            status: status
         };
+
+    } catch (error) {
+        console.error('Error sending to webhook:', error);
+        return buildFailureResult(error);
+    }
+}
+
+/**
+ * Send a plain text account notice (e.g. membership expiry) to Discord
+ * @param {Object} notice - { title, text }
+ * @param {string} webhookUrl - Discord webhook URL
+ * @returns {Promise<Object>} - Result of the send operation
+ */
+export async function sendNoticeToDiscord(notice, webhookUrl) {
+    try {
+        const response = await fetch(webhookUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ content: notice.text.substring(0, 2000) })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Discord webhook failed: ${response.status}`);
+        }
+
+        return { success: true };
+
+    } catch (error) {
+        console.error('Error sending notice to Discord:', error);
+        return buildFailureResult(error);
+    }
+}
+
+/**
+ * Send a plain text account notice to Telegram
+ * @param {Object} notice - { title, text }
+ * @param {string} botToken - Telegram bot token
+ * @param {string} chatId - Telegram chat ID
+ * @returns {Promise<Object>} - Result of the send operation
+ */
+export async function sendNoticeToTelegram(notice, botToken, chatId) {
+    try {
+        const result = await sendTelegramMessage(botToken, chatId, escapeHtml(notice.text));
+        return { success: true, messageId: result.messageId };
+
+    } catch (error) {
+        console.error('Error sending notice to Telegram:', error);
+        return buildFailureResult(error);
     }
 }
 
+/**
+ * Send a plain text account notice by email
+ * @param {Object} notice - { title, text }
+ * @param {Array<string>} recipients - Email addresses
+ * @returns {Promise<Object>} - Result of the send operation
+ */
+export async function sendNoticeToEmail(notice, recipients) {
+    try {
+        const info = await getEmailTransport().sendMail({
+            to: recipients.join(', '),
+            subject: notice.title,
+            text: notice.text
+        });
+
+        return { success: true, messageId: info?.messageId || null };
+
+    } catch (error) {
+        console.error('Error sending notice email:', error);
+        return buildFailureResult(error);
+    }
+}
+
+/**
+ * Build a versioned webhook payload
+ * @param {string} event - Event name, e.g. 'analysis.completed' or 'test'
+ * @param {Object} data - Event data
+ * @param {string} id - Event ID (random if omitted)
+ * @returns {Object} - { version, id, event, createdAt, data }
+ */
+export function buildWebhookPayload(event, data, id = `evt_${crypto.randomUUID()}`) {
+    return {
+        version: WEBHOOK_PAYLOAD_VERSION,
+        id: id,
+        event: event,
+        createdAt: new Date().toISOString(),
+        data: data
+    };
+}
+
+/**
+ * POST a payload to a webhook with signature and custom headers
+ * @param {Object} settings - Webhook settings { url, secret, headers }
+ * @param {Object} payload - Payload to send
+ * @param {Object} options - { trustedTarget } skips the public address check for operator-configured URLs
+ * @returns {Promise<number>} - Response status
+ */
+export async function postSignedWebhook(settings, payload, { trustedTarget = false } = {}) {
+    if (!settings || !settings.url || !settings.secret) {
+        throw new Error('Webhook URL and secret are required');
+    }
+
+    // Checked again on every send, the host may resolve elsewhere than when the settings were saved
+    if (!trustedTarget) {
+        await assertPublicWebhookTarget(settings.url);
+    }
+
+    const body = JSON.stringify(payload);
+
+    // Custom headers can't override the content type or the signature
+    const headers = {
+        ...(settings.headers || {}),
+        'Content-Type': 'application/json',
+        'User-Agent': `AgentHustle-Webhooks/${WEBHOOK_PAYLOAD_VERSION}`,
+        ...buildSignatureHeaders(body, settings.secret)
+    };
+
+    console.log(`🪝 Sending webhook to: ${settings.url.substring(0, 50)}...`);
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+
+    let response;
+    try {
+        response = await fetch(settings.url, {
+            method: 'POST',
+            headers: headers,
+            body: body,
+            // A redirect could lead to an address the check above never saw, so it counts as a failure
+            redirect: 'manual',
+            signal: controller.signal
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw createTransientError(`Webhook timed out after ${WEBHOOK_TIMEOUT_MS}ms`);
+        }
+        throw createTransientError(`Webhook request failed: ${error.message}`);
+    } finally {
+        clearTimeout(timeout);
+    }
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        const message = `Webhook failed: ${response.status} - ${errorText.substring(0, 200)}`;
+
+        if (isTransientStatus(response.status)) {
+            throw createTransientError(message, {
+                status: response.status,
+                retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+            });
+        }
+
+        throw new Error(message);
+    }
+
+    return response.status;
+}
+
+/**
+ * Send the messages of a split delivery one second apart
+ * A retry passes the sentParts its earlier attempt reached, so messages that already went out aren't sent again
+ * @param {Array} messages - Messages in order
+ * @param {Function} sendPart - async (message) => result, throws on failure
+ * @param {Object} progress - { sentParts = 0, onPartSent } where onPartSent(sentParts) saves the count
+ *                            and resolves false to stop sending
+ * @returns {Promise<Array>} - Results of the messages sent in this attempt
+ */
+async function sendMessageParts(messages, sendPart, progress = {}) {
+    const { sentParts = 0, onPartSent } = progress;
+    const results = [];
+
+    if (sentParts > 0 && sentParts < messages.length) {
+        console.log(`↪️ Continuing after ${sentParts} of ${messages.length} messages already sent`);
+    }
+
+    for (let i = sentParts; i < messages.length; i++) {
+        if (i > sentParts) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+
+        results.push(await sendPart(messages[i]));
+
+        if (onPartSent && !(await onPartSent(i + 1))) {
+            throw new Error(`Stopped after message ${i + 1} of ${messages.length}, the delivery is no longer ours to send`);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Build the result returned for a failed send
+ * @param {Error} error - Send error
+ * @returns {Object} - { success: false, error, transient, retryAfterMs }
+ */
+function buildFailureResult(error) {
+    return {
+        success: false,
+        error: error.message,
+        transient: isTransientError(error),
+        retryAfterMs: error.retryAfterMs || null
+    };
+}
+
 /**
  * Send a message to Telegram using Bot API
  * @param {string} botToken - Bot token
@@ -118,12 +469,32 @@ async function sendTelegramMessage(botToken, chatId, message) {
         body: JSON.stringify(payload)
     });
 
-    const data = await response.json();
-
     if (!response.ok) {
-        throw new Error(data.description || `HTTP ${response.status}`);
+        // Proxies in front of the Bot API answer 502/504 with HTML, so the error body may not be JSON
+        const errorText = await response.text();
+        let data = {};
+        try {
+            data = JSON.parse(errorText);
+        } catch (error) {
+            // Keep the status as the message
+        }
+
+        const message = data.description || `HTTP ${response.status}`;
+
+        if (isTransientStatus(response.status)) {
+            // Telegram 429s carry the wait in parameters.retry_after (seconds)
+            const retryAfter = data.parameters?.retry_after;
+            throw createTransientError(message, {
+                status: response.status,
+                retryAfterMs: retryAfter ? retryAfter * 1000 : parseRetryAfter(response.headers.get('retry-after'))
+            });
+        }
+
+        throw new Error(message);
     }
 
+    const data = await response.json();
+
     return {
         success: true,
         messageId: data.result.message_id
@@ -144,8 +515,7 @@ function formatAnalysisAsDiscordEmbed(analysisData) {
         color: 0x667eea, // Purple color
         timestamp: new Date(date || new Date()).toISOString(),
         footer: {
-            text: "Agent Hustle Pro Analyzer - Scheduled Execution",
-            icon_url: "https://example.com/icon.png" // You can replace with actual icon URL
+            text: "Agent Hustle Pro Analyzer - Scheduled Execution"
         }
     };
 
@@ -226,6 +596,262 @@ function formatAnalysisAsMarkdown(analysisData) {
     return message;
 }
 
+/**
+ * Format analysis data as Slack Block Kit blocks
+ * @param {Object} analysisData - Analysis data object
+ * @returns {Array<Object>} - Blocks, possibly more than fit in one message
+ */
+export function formatAnalysisAsSlackBlocks(analysisData) {
+    const { analysisType, result, date } = analysisData;
+
+    const blocks = [
+        {
+            type: 'header',
+            text: {
+                type: 'plain_text',
+                text: truncateText(`📊 ${analysisType || 'Analysis Report'}`, SLACK_MAX_HEADER_TEXT),
+                emoji: true
+            }
+        },
+        {
+            type: 'context',
+            elements: [{ type: 'mrkdwn', text: `📅 Generated ${formatDate(date || new Date())}` }]
+        }
+    ];
+
+    const addSections = (title, text) => {
+        const chunks = splitText(`*${title}*\n${text}`, SLACK_MAX_SECTION_TEXT);
+        for (const chunk of chunks) {
+            blocks.push({ type: 'section', text: { type: 'mrkdwn', text: chunk } });
+        }
+    };
+
+    if (result.summary && result.summary.trim()) {
+        addSections('📋 Executive Summary', formatSlackMrkdwn(result.summary));
+        blocks.push({ type: 'divider' });
+    }
+
+    if (result.content && result.content.trim()) {
+        addSections('📝 Detailed Analysis', formatSlackMrkdwn(result.content));
+        blocks.push({ type: 'divider' });
+    }
+
+    if (result.keyPoints && Array.isArray(result.keyPoints) && result.keyPoints.length > 0) {
+        const points = result.keyPoints
+            .map(point => point.trim())
+            .filter(Boolean)
+            .map(point => `• ${formatSlackMrkdwn(point)}`)
+            .join('\n');
+        addSections('🔑 Key Insights', points);
+    }
+
+    blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: '🚀 Powered by Agent Hustle Pro' }]
+    });
+
+    return blocks;
+}
+
+/**
+ * Split blocks into Slack messages of at most SLACK_MAX_BLOCKS blocks each
+ * @param {Array<Object>} blocks - Blocks from formatAnalysisAsSlackBlocks
+ * @param {Object} analysisData - Analysis data, used for the notification fallback text
+ * @returns {Array<Object>} - Message payloads { text, blocks }
+ */
+function splitSlackBlocks(blocks, analysisData) {
+    const parts = [];
+    for (let i = 0; i < blocks.length; i += SLACK_MAX_BLOCKS) {
+        parts.push(blocks.slice(i, i + SLACK_MAX_BLOCKS));
+    }
+
+    const fallback = truncateText(
+        `${analysisData.analysisType || 'Analysis Report'}: ${analysisData.result?.summary || 'Automated analysis completed'}`,
+        SLACK_MAX_SECTION_TEXT
+    );
+
+    return parts.map((partBlocks, index) => ({
+        // Shown in notifications and clients that can't render blocks
+        text: parts.length > 1 ? `(${index + 1}/${parts.length}) ${fallback}` : fallback,
+        blocks: partBlocks
+    }));
+}
+
+/**
+ * Convert model output to Slack mrkdwn
+ * @param {string} text - Text to convert
+ * @returns {string} - Escaped mrkdwn
+ */
+function formatSlackMrkdwn(text) {
+    if (!text || typeof text !== 'string') {
+        return '';
+    }
+
+    return text
+        .trim()
+        .replace(/<[^>]*>/g, '')
+        .replace(/\n\s*\n\s*\n/g, '\n\n')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/^#{1,6}\s+(.+)$/gm, '*$1*')
+        .replace(/\*\*(.+?)\*\*/g, '*$1*');
+}
+
+/**
+ * Split text into chunks no longer than maxLength, preferring paragraph then line breaks
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum chunk length
+ * @returns {Array<string>} - Chunks
+ */
+function splitText(text, maxLength) {
+    const chunks = [];
+    let remaining = text;
+
+    while (remaining.length > maxLength) {
+        const window = remaining.substring(0, maxLength);
+        let cut = window.lastIndexOf('\n\n');
+        if (cut < maxLength / 2) {
+            cut = window.lastIndexOf('\n');
+        }
+        if (cut < maxLength / 2) {
+            cut = window.lastIndexOf(' ');
+        }
+        if (cut <= 0) {
+            cut = maxLength;
+        }
+
+        chunks.push(remaining.substring(0, cut).trimEnd());
+        remaining = remaining.substring(cut).trimStart();
+    }
+
+    if (remaining) {
+        chunks.push(remaining);
+    }
+
+    return chunks;
+}
+
+/**
+ * Truncate text to a maximum length with an ellipsis
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum length
+ * @returns {string} - Truncated text
+ */
+function truncateText(text, maxLength) {
+    return text.length > maxLength ? text.substring(0, maxLength - 3) + '...' : text;
+}
+
+/**
+ * Format analysis data as an email with HTML and plain-text bodies
+ * @param {Object} analysisData - Analysis data object
+ * @returns {Object} - { subject, html, text }
+ */
+export function formatAnalysisAsEmail(analysisData) {
+    const { analysisType, result, date } = analysisData;
+    const title = analysisType || 'Analysis Report';
+    const generated = formatDate(date || new Date());
+    const keyPoints = Array.isArray(result.keyPoints)
+        ? result.keyPoints.map(point => point.trim()).filter(Boolean)
+        : [];
+
+    // Plain-text part
+    let text = `Agent Hustle Analysis Report\n\n`;
+    text += `Analysis Type: ${title}\n`;
+    text += `Generated: ${generated}\n\n`;
+
+    if (result.summary && result.summary.trim()) {
+        text += `EXECUTIVE SUMMARY\n${result.summary.trim()}\n\n`;
+    }
+
+    if (result.content && result.content.trim()) {
+        text += `DETAILED ANALYSIS\n${result.content.trim().replace(/<[^>]*>/g, '')}\n\n`;
+    }
+
+    if (keyPoints.length > 0) {
+        text += `KEY INSIGHTS\n${keyPoints.map((point, index) => `${index + 1}. ${point}`).join('\n')}\n\n`;
+    }
+
+    text += `Powered by Agent Hustle Pro`;
+
+    // HTML part, inline styles only since most mail clients drop <style> blocks
+    const section = (heading, body) => `
+        <h2 style="font-size:16px;color:#667eea;margin:24px 0 8px;">${heading}</h2>
+        ${body}`;
+
+    let body = '';
+
+    if (result.summary && result.summary.trim()) {
+        body += section('📋 Executive Summary', formatEmailParagraphs(result.summary));
+    }
+
+    if (result.content && result.content.trim()) {
+        body += section('📝 Detailed Analysis', formatEmailParagraphs(result.content.replace(/<[^>]*>/g, '')));
+    }
+
+    if (keyPoints.length > 0) {
+        body += section('🔑 Key Insights', `<ol style="padding-left:20px;margin:0;">${keyPoints
+            .map(point => `<li style="margin-bottom:4px;">${formatEmailInline(point)}</li>`)
+            .join('')}</ol>`);
+    }
+
+    const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;background:#f4f5fb;font-family:Arial,Helvetica,sans-serif;color:#222;">
+    <div style="max-width:640px;margin:0 auto;padding:24px;background:#ffffff;">
+        <h1 style="font-size:20px;margin:0 0 4px;">📊 ${escapeHtml(title)}</h1>
+        <p style="font-size:12px;color:#777;margin:0;">Generated ${escapeHtml(generated)}</p>
+        ${body}
+        <p style="font-size:12px;color:#777;margin-top:32px;border-top:1px solid #eee;padding-top:12px;">
+            🚀 Powered by Agent Hustle Pro
+        </p>
+    </div>
+</body>
+</html>`;
+
+    return {
+        subject: `📊 ${title} - Agent Hustle Analysis`,
+        html: html,
+        text: text
+    };
+}
+
+/**
+ * Render text as HTML paragraphs, keeping line breaks and **bold** markers
+ * @param {string} text - Text to render
+ * @returns {string} - HTML
+ */
+function formatEmailParagraphs(text) {
+    return text
+        .trim()
+        .split(/\n\s*\n/)
+        .map(paragraph => `<p style="margin:0 0 12px;line-height:1.5;">${formatEmailInline(paragraph).replace(/\n/g, '<br>')}</p>`)
+        .join('');
+}
+
+/**
+ * Escape text for HTML and convert **bold** markers
+ * @param {string} text - Text to format
+ * @returns {string} - HTML
+ */
+function formatEmailInline(text) {
+    return escapeHtml(text.trim()).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+}
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#x27;');
+}
+
 /**
  * Clean and format analysis content for better readability
  * @param {string} content - Raw analysis content
@@ -0,0 +1,137 @@
+// Pro Key Hashing
+// Versioned key hashes so the algorithm and salts can change without invalidating existing keys
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Global salt used by version 1 hashes (and by the extension before per-key salts existed)
+const LEGACY_PRO_SALT = process.env.PRO_SALT || 'AgentHustle2024ProSalt!@#$%^&*()_+SecureKey';
+
+// Known hash versions. Add a new version instead of changing an existing one,
+// keys are moved to CURRENT_HASH_VERSION the next time they validate.
+export const HASH_VERSIONS = {
+    1: { algorithm: 'sha256', perKeySalt: false },
+    2: { algorithm: 'scrypt', perKeySalt: true, cost: 16384, blockSize: 8, parallelization: 1, keyLength: 32 }
+};
+
+export const CURRENT_HASH_VERSION = 2;
+
+let generatedLookupSecret = null;
+
+/**
+ * Get the secret used for key lookup digests from KEY_LOOKUP_SECRET
+ * Must stay stable: changing it makes per-key salted rows unfindable until they are reissued.
+ * Outside production a random per-process secret is used if it isn't set
+ * @returns {string} - Lookup secret
+ */
+function getLookupSecret() {
+    if (process.env.KEY_LOOKUP_SECRET) {
+        return process.env.KEY_LOOKUP_SECRET;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('Key lookups are not configured. Set KEY_LOOKUP_SECRET');
+    }
+
+    if (!generatedLookupSecret) {
+        generatedLookupSecret = crypto.randomBytes(32).toString('hex');
+        console.warn('⚠️ KEY_LOOKUP_SECRET is not set, using a random secret for this process (keys issued now stop validating after a restart)');
+    }
+    return generatedLookupSecret;
+}
+
+/**
+ * Hash a key with the global salt (version 1, same algorithm as the extension)
+ * @param {string} key - Plain text key
+ * @returns {string} - Hashed key
+ */
+export function hashKeyLegacy(key) {
+    return crypto.createHash('sha256').update(key + LEGACY_PRO_SALT).digest('hex');
+}
+
+/**
+ * Compute the indexed lookup digest for a key
+ * Per-key salted hashes can't be searched for, so rows are found by this HMAC and then verified
+ * @param {string} key - Plain text key
+ * @returns {string} - Hex digest
+ */
+export function computeKeyLookup(key) {
+    return crypto.createHmac('sha256', getLookupSecret()).update(key).digest('hex');
+}
+
+/**
+ * Hash a key with a specific version
+ * @param {string} key - Plain text key
+ * @param {number} version - Hash version from HASH_VERSIONS
+ * @param {string} salt - Hex salt for per-key salted versions
+ * @returns {Promise<string>} - Hex hash
+ */
+export async function hashKeyWithVersion(key, version, salt = null) {
+    const params = HASH_VERSIONS[version];
+
+    if (!params) {
+        throw new Error(`Unknown key hash version: ${version}`);
+    }
+
+    if (params.algorithm === 'sha256') {
+        return hashKeyLegacy(key);
+    }
+
+    if (!salt) {
+        throw new Error(`Key hash version ${version} requires a per-key salt`);
+    }
+
+    const derived = await scrypt(key, Buffer.from(salt, 'hex'), params.keyLength, {
+        N: params.cost,
+        r: params.blockSize,
+        p: params.parallelization
+    });
+
+    return derived.toString('hex');
+}
+
+/**
+ * Create the stored hash fields for a key with the current version
+ * @param {string} key - Plain text key
+ * @returns {Promise<Object>} - { keyHash, keySalt, keyLookup, hashVersion }
+ */
+export async function createKeyHash(key) {
+    const keySalt = crypto.randomBytes(16).toString('hex');
+
+    return {
+        keyHash: await hashKeyWithVersion(key, CURRENT_HASH_VERSION, keySalt),
+        keySalt: keySalt,
+        keyLookup: computeKeyLookup(key),
+        hashVersion: CURRENT_HASH_VERSION
+    };
+}
+
+/**
+ * Check a key against a stored row
+ * @param {string} key - Plain text key
+ * @param {Object} row - pro_keys row with key_hash, key_salt and hash_version
+ * @returns {Promise<boolean>} - True if the key matches
+ */
+export async function verifyKeyHash(key, row) {
+    const version = row.hash_version || 1;
+
+    if (!HASH_VERSIONS[version] || !row.key_hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(String(row.key_hash), 'hex');
+    const actual = Buffer.from(await hashKeyWithVersion(key, version, row.key_salt), 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check whether a row should be rehashed with the current version
+ * @param {Object} row - pro_keys row with hash_version
+ * @returns {boolean} - True if the row uses an older version
+ */
+export function needsRehash(row) {
+    return (row.hash_version || 1) < CURRENT_HASH_VERSION;
+}
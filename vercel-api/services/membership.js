@@ -0,0 +1,133 @@
+// Membership
+// Expiry, grace period and expiry notice thresholds for pro keys
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a key keeps validating (with status 'in_grace') after expires_at
+export const MEMBERSHIP_GRACE_DAYS = Math.max(0, Number(process.env.MEMBERSHIP_GRACE_DAYS ?? 3));
+
+// Tiers that end exactly at expires_at
+const NO_GRACE_TIERS = ['trial'];
+
+/**
+ * Get the grace period of a tier
+ * @param {string} tier - Key tier
+ * @returns {number} - Grace period in days
+ */
+export function getGraceDays(tier) {
+    return NO_GRACE_TIERS.includes(tier) ? 0 : MEMBERSHIP_GRACE_DAYS;
+}
+
+/**
+ * Parse EXPIRY_NOTICE_DAYS, e.g. "7,3,1,0" (0 is the notice sent at expiry)
+ * @param {string} value - Comma separated days before expiry
+ * @returns {Array<number>} - Unique thresholds, largest first
+ */
+export function parseNoticeThresholds(value) {
+    const thresholds = String(value)
+        .split(',')
+        .map(day => day.trim())
+        .filter(day => /^\d+$/.test(day))
+        .map(Number);
+
+    return [...new Set(thresholds)].sort((a, b) => b - a);
+}
+
+export const EXPIRY_NOTICE_DAYS = parseNoticeThresholds(process.env.EXPIRY_NOTICE_DAYS ?? '7,3,1,0');
+
+/**
+ * Work out where a key is in its membership
+ * @param {string|null} expiresAt - pro_keys.expires_at (null never expires)
+ * @param {Date} now - Current time
+ * @param {number} graceDays - Grace period in days (see getGraceDays)
+ * @returns {Object} - { status: 'active'|'in_grace'|'expired', isExpired, daysRemaining, graceEndsAt, graceDaysRemaining }
+ */
+export function getMembershipStatus(expiresAt, now = new Date(), graceDays = MEMBERSHIP_GRACE_DAYS) {
+    if (!expiresAt) {
+        return { status: 'active', isExpired: false, daysRemaining: null, graceEndsAt: null, graceDaysRemaining: null };
+    }
+
+    const expiry = new Date(expiresAt);
+    const graceEnds = new Date(expiry.getTime() + graceDays * DAY_MS);
+    const isExpired = now > expiry;
+
+    let status = 'active';
+    if (isExpired) {
+        status = now > graceEnds ? 'expired' : 'in_grace';
+    }
+
+    return {
+        status: status,
+        isExpired: isExpired,
+        daysRemaining: Math.max(0, Math.ceil((expiry - now) / DAY_MS)),
+        graceEndsAt: graceDays > 0 ? graceEnds.toISOString() : null,
+        graceDaysRemaining: status === 'in_grace' ? Math.max(0, Math.ceil((graceEnds - now) / DAY_MS)) : null
+    };
+}
+
+/**
+ * Pick the expiry notice a key is due
+ * Only the most urgent threshold reached is sent, so a key first seen 2 days before expiry
+ * gets the 3-day notice once rather than the 7- and 3-day notices together
+ * @param {string} expiresAt - pro_keys.expires_at
+ * @param {Array<number>} sentThresholds - Thresholds already sent for this expiry date
+ * @param {Date} now - Current time
+ * @param {Array<number>} thresholds - Notice thresholds in days
+ * @param {number} graceDays - Grace period in days
+ * @returns {number|null} - Threshold to send, or null if nothing is due
+ */
+export function getDueExpiryNotice(expiresAt, sentThresholds, now = new Date(), thresholds = EXPIRY_NOTICE_DAYS, graceDays = MEMBERSHIP_GRACE_DAYS) {
+    if (!expiresAt || thresholds.length === 0) {
+        return null;
+    }
+
+    const msUntilExpiry = new Date(expiresAt) - now;
+
+    // Past the grace period there is nothing left to warn about
+    if (msUntilExpiry < -graceDays * DAY_MS) {
+        return null;
+    }
+
+    const reached = thresholds.filter(days => msUntilExpiry <= days * DAY_MS);
+
+    if (reached.length === 0) {
+        return null;
+    }
+
+    const mostUrgent = Math.min(...reached);
+    return sentThresholds.some(days => days <= mostUrgent) ? null : mostUrgent;
+}
+
+/**
+ * Format an expiry notice as plain text for chat and email
+ * @param {Object} key - { expiresAt, tier, customerName }
+ * @param {Date} now - Current time
+ * @returns {Object} - { title, text }
+ */
+export function formatExpiryNotice(key, now = new Date()) {
+    const membership = getMembershipStatus(key.expiresAt, now, getGraceDays(key.tier));
+    const expiryDate = new Date(key.expiresAt).toUTCString();
+    const plan = `${key.tier || 'pro'} membership`;
+
+    let title;
+    let detail;
+
+    if (!membership.isExpired) {
+        title = membership.daysRemaining <= 1
+            ? `Your Agent Hustle ${plan} expires tomorrow`
+            : `Your Agent Hustle ${plan} expires in ${membership.daysRemaining} days`;
+        detail = `It expires on ${expiryDate}. Renew before then to keep your scheduled prompts and integrations running.`;
+    } else {
+        title = `Your Agent Hustle ${plan} has expired`;
+        detail = membership.graceEndsAt
+            ? `It expired on ${expiryDate}. Your key keeps working until ${new Date(membership.graceEndsAt).toUTCString()}, renew before then to avoid any interruption.`
+            : `It expired on ${expiryDate}. Renew to keep using your pro features.`;
+    }
+
+    const greeting = key.customerName ? `Hi ${key.customerName},\n\n` : '';
+
+    return {
+        title: title,
+        text: `⏰ ${title}\n\n${greeting}${detail}`
+    };
+}
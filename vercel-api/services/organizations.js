@@ -0,0 +1,192 @@
+// Organizations
+// Roles and permissions for teams that share several pro keys
+
+export const ORG_ROLES = ['owner', 'admin', 'member'];
+
+// Roles that manage members, shared integrations and see the usage report
+const MANAGER_ROLES = ['owner', 'admin'];
+
+// Higher ranks may remove or change lower ranks
+const ROLE_RANK = { member: 1, admin: 2, owner: 3 };
+
+// Tiers that can't join an organization
+const EXCLUDED_TIERS = ['trial'];
+
+const MAX_NAME_LENGTH = 100;
+
+export const DEFAULT_USAGE_DAYS = 30;
+export const MAX_USAGE_DAYS = 90;
+
+/**
+ * Check whether a role manages its organization
+ * @param {string} role - Member role
+ * @returns {boolean} - True for owners and admins
+ */
+export function canManageOrganization(role) {
+    return MANAGER_ROLES.includes(role);
+}
+
+/**
+ * Check whether a key may join an organization
+ * @param {Object} keyData - pro_keys row
+ * @returns {Object|null} - { code, message } if it may not, or null
+ */
+export function getJoinError(keyData) {
+    if (EXCLUDED_TIERS.includes(keyData.tier)) {
+        return {
+            code: 'ORG_TIER_NOT_ALLOWED',
+            message: `${keyData.tier} keys can't join an organization`
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Check whether a member may add a key with a role
+ * @param {string} actorRole - Role of the member adding the key
+ * @param {string} role - Role for the new member
+ * @returns {Object|null} - { code, message } if not allowed, or null
+ */
+export function getMemberAddError(actorRole, role) {
+    if (!canManageOrganization(actorRole)) {
+        return { code: 'ORG_FORBIDDEN', message: 'Only organization owners and admins can add members' };
+    }
+
+    if (!['admin', 'member'].includes(role)) {
+        return { code: 'INVALID_ROLE', message: 'Role must be "admin" or "member" (ownership is transferred by changing roles)' };
+    }
+
+    if (role === 'admin' && actorRole !== 'owner') {
+        return { code: 'ORG_FORBIDDEN', message: 'Only the organization owner can add admins' };
+    }
+
+    return null;
+}
+
+/**
+ * Check whether a member may change another member's role
+ * Giving someone the owner role transfers ownership, the old owner becomes an admin
+ * @param {string} actorRole - Role of the member making the change
+ * @param {string} newRole - Requested role
+ * @param {boolean} isSelf - True if members change their own role
+ * @returns {Object|null} - { code, message } if not allowed, or null
+ */
+export function getRoleChangeError(actorRole, newRole, isSelf) {
+    if (!ORG_ROLES.includes(newRole)) {
+        return { code: 'INVALID_ROLE', message: `Role must be one of: ${ORG_ROLES.join(', ')}` };
+    }
+
+    if (actorRole !== 'owner') {
+        return { code: 'ORG_FORBIDDEN', message: 'Only the organization owner can change roles' };
+    }
+
+    if (isSelf) {
+        return { code: 'INVALID_ROLE', message: 'Transfer ownership by giving another member the owner role' };
+    }
+
+    return null;
+}
+
+/**
+ * Check whether a member may remove another member (or leave)
+ * @param {string} actorRole - Role of the member removing
+ * @param {string} targetRole - Role of the member being removed
+ * @param {boolean} isSelf - True if members remove themselves
+ * @returns {Object|null} - { code, message } if not allowed, or null
+ */
+export function getMemberRemovalError(actorRole, targetRole, isSelf) {
+    if (isSelf) {
+        return targetRole === 'owner'
+            ? { code: 'ORG_OWNER_CANNOT_LEAVE', message: 'Transfer ownership or delete the organization before leaving' }
+            : null;
+    }
+
+    if (!canManageOrganization(actorRole) || ROLE_RANK[actorRole] <= ROLE_RANK[targetRole]) {
+        return { code: 'ORG_FORBIDDEN', message: `Organization ${actorRole}s can't remove ${targetRole}s` };
+    }
+
+    return null;
+}
+
+/**
+ * Check an organization name
+ * @param {string} name - Name from the request
+ * @returns {Object} - { name } or { error }
+ */
+export function parseOrganizationName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+
+    if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+        return { error: `Organization name must be 1-${MAX_NAME_LENGTH} characters` };
+    }
+
+    return { name: trimmed };
+}
+
+/**
+ * Check an org-wide schedule quota
+ * @param {*} value - Quota from the request (null removes the quota)
+ * @returns {Object} - { maxSchedules } or { error }
+ */
+export function parseScheduleQuota(value) {
+    if (value === null) {
+        return { maxSchedules: null };
+    }
+
+    if (!Number.isInteger(value) || value < 0) {
+        return { error: 'maxSchedules must be a non-negative integer, or null for no organization quota' };
+    }
+
+    return { maxSchedules: value };
+}
+
+/**
+ * Parse the days covered by the usage report
+ * @param {string} value - ?days= query value
+ * @returns {number} - Days, clamped to 1-MAX_USAGE_DAYS
+ */
+export function parseUsageDays(value) {
+    const days = parseInt(value, 10);
+
+    if (!Number.isInteger(days)) {
+        return DEFAULT_USAGE_DAYS;
+    }
+
+    return Math.min(MAX_USAGE_DAYS, Math.max(1, days));
+}
+
+/**
+ * Add up the per-key rows of the usage report
+ * @param {Array} keys - Usage rows, one per member key
+ * @returns {Object} - Organization totals with the execution success rate
+ */
+export function summarizeOrganizationUsage(keys) {
+    const totals = {
+        keys: keys.length,
+        validations: 0,
+        activeSchedules: 0,
+        executions: 0,
+        successful: 0,
+        failed: 0,
+        skipped: 0,
+        totalTokens: 0
+    };
+
+    for (const row of keys) {
+        totals.validations += Number(row.validations || 0);
+        totals.activeSchedules += Number(row.active_schedules || 0);
+        totals.executions += Number(row.executions || 0);
+        totals.successful += Number(row.successful || 0);
+        totals.failed += Number(row.failed || 0);
+        totals.skipped += Number(row.skipped || 0);
+        totals.totalTokens += Number(row.total_tokens || 0);
+    }
+
+    return {
+        ...totals,
+        successRate: totals.executions > 0
+            ? (totals.successful / totals.executions * 100).toFixed(1)
+            : 0
+    };
+}
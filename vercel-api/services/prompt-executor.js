@@ -0,0 +1,175 @@
+// Prompt Executor Service
+// Runs scheduled prompts against an OpenAI-compatible chat completions endpoint
+
+import { createTransientError, isTransientStatus, parseRetryAfter } from './retry-policy.js';
+
+const SYSTEM_PROMPT = `You are Agent Hustle, a professional analysis assistant.
+Answer the user's request and reply ONLY with a JSON object of this shape:
+{"summary": "2-3 sentence executive summary", "content": "full detailed analysis", "keyPoints": ["insight", "..."]}`;
+
+/**
+ * Executor that calls an OpenAI-compatible /chat/completions endpoint
+ * Configured through LLM_API_URL, LLM_API_KEY, LLM_MODEL, LLM_MAX_TOKENS and LLM_TIMEOUT_MS
+ */
+export class OpenAICompatibleExecutor {
+    constructor(options = {}) {
+        this.apiUrl = (options.apiUrl || process.env.LLM_API_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || process.env.LLM_API_KEY || null;
+        this.model = options.model || process.env.LLM_MODEL || 'gpt-4o-mini';
+        this.maxTokens = Number(options.maxTokens || process.env.LLM_MAX_TOKENS || 1500);
+        this.timeoutMs = Number(options.timeoutMs || process.env.LLM_TIMEOUT_MS || 60000);
+    }
+
+    /**
+     * Send a prompt and parse the reply into analysis data
+     * @param {Object} prompt - Prompt to run
+     * @param {string} prompt.title - Prompt title
+     * @param {string} prompt.content - Prompt text sent to the model
+     * @returns {Promise<Object>} - { result: {summary, content, keyPoints}, usage, model }
+     */
+    async execute({ title, content }) {
+        if (!content) {
+            throw new Error('Prompt content is required');
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        let response;
+        try {
+            response = await fetch(`${this.apiUrl}/chat/completions`, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify({
+                    model: this.model,
+                    max_tokens: this.maxTokens,
+                    messages: [
+                        { role: 'system', content: SYSTEM_PROMPT },
+                        { role: 'user', content: title ? `${title}\n\n${content}` : content }
+                    ]
+                }),
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw createTransientError(`LLM request timed out after ${this.timeoutMs}ms`);
+            }
+            throw createTransientError(`LLM request failed: ${error.message}`);
+        } finally {
+            clearTimeout(timeout);
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            const message = `LLM request failed: ${response.status} - ${errorText.substring(0, 200)}`;
+
+            if (isTransientStatus(response.status)) {
+                throw createTransientError(message, {
+                    status: response.status,
+                    retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+                });
+            }
+            throw new Error(message);
+        }
+
+        const data = await response.json();
+        const reply = data.choices?.[0]?.message?.content;
+
+        if (!reply) {
+            throw new Error('LLM response contained no message content');
+        }
+
+        return {
+            result: parseAnalysisReply(reply),
+            model: data.model || this.model,
+            usage: {
+                promptTokens: data.usage?.prompt_tokens ?? null,
+                completionTokens: data.usage?.completion_tokens ?? null,
+                totalTokens: data.usage?.total_tokens ?? null
+            }
+        };
+    }
+}
+
+/**
+ * Parse a model reply into the {summary, content, keyPoints} shape the formatters use
+ * Falls back to plain-text parsing when the model ignores the JSON instruction
+ * @param {string} reply - Raw model reply
+ * @returns {Object} - Analysis result
+ */
+export function parseAnalysisReply(reply) {
+    const text = reply.trim();
+    const jsonText = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    try {
+        const parsed = JSON.parse(jsonText);
+        if (parsed && typeof parsed === 'object' && (parsed.content || parsed.summary)) {
+            return {
+                summary: String(parsed.summary || '').trim(),
+                content: String(parsed.content || parsed.summary).trim(),
+                keyPoints: Array.isArray(parsed.keyPoints)
+                    ? parsed.keyPoints.map(point => String(point).trim()).filter(Boolean)
+                    : []
+            };
+        }
+    } catch (error) {
+        // Not JSON, fall through to plain-text parsing
+    }
+
+    // Bullet or numbered lines become key points, first paragraph becomes the summary
+    const keyPoints = text
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => /^([-*•]|\d+[.)])\s+/.test(line))
+        .map(line => line.replace(/^([-*•]|\d+[.)])\s+/, ''))
+        .slice(0, 10);
+
+    const firstParagraph = text.split(/\n\s*\n/)[0].trim();
+    const summary = firstParagraph.length > 300
+        ? firstParagraph.substring(0, 297) + '...'
+        : firstParagraph;
+
+    return {
+        summary: summary,
+        content: text,
+        keyPoints: keyPoints
+    };
+}
+
+let activeExecutor = null;
+
+/**
+ * Replace the executor used for scheduled prompts
+ * @param {Object} executor - Object with an async execute({title, content}) method
+ */
+export function setPromptExecutor(executor) {
+    if (!executor || typeof executor.execute !== 'function') {
+        throw new Error('Prompt executor must implement execute()');
+    }
+    activeExecutor = executor;
+}
+
+/**
+ * Get the executor used for scheduled prompts (OpenAI-compatible by default)
+ * @returns {Object} - Active prompt executor
+ */
+export function getPromptExecutor() {
+    if (!activeExecutor) {
+        activeExecutor = new OpenAICompatibleExecutor();
+    }
+    return activeExecutor;
+}
+
+/**
+ * Run a prompt with the active executor
+ * @param {Object} prompt - { title, content }
+ * @returns {Promise<Object>} - { result, usage, model }
+ */
+export async function executePrompt(prompt) {
+    return await getPromptExecutor().execute(prompt);
+}
@@ -0,0 +1,131 @@
+// Prompt Library
+// Validation for saved prompts, their tags and the version a schedule uses
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+export const MAX_TITLE_LENGTH = 200;
+export const MAX_CONTENT_LENGTH = 50000;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_NOTE_LENGTH = 200;
+
+// Schedules pass this instead of a version number to move to each new version
+export const LATEST_VERSION = 'latest';
+
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 _-]*$/;
+
+/**
+ * Normalize a list of tags: trimmed, lowercase, without duplicates
+ * @param {*} tags - Tags from the request
+ * @returns {Object} - { tags } or { error }
+ */
+export function normalizeTags(tags) {
+    if (!Array.isArray(tags)) {
+        return { error: 'tags must be an array of strings' };
+    }
+
+    const normalized = [];
+
+    for (const tag of tags) {
+        const value = typeof tag === 'string' ? tag.trim().toLowerCase() : '';
+
+        if (!value || value.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(value)) {
+            return { error: `Invalid tag "${tag}". Tags are 1-${MAX_TAG_LENGTH} letters, digits, spaces, "-" or "_"` };
+        }
+
+        if (!normalized.includes(value)) {
+            normalized.push(value);
+        }
+    }
+
+    if (normalized.length > MAX_TAGS) {
+        return { error: `A prompt can have at most ${MAX_TAGS} tags` };
+    }
+
+    return { tags: normalized };
+}
+
+/**
+ * Check a prompt from the request body
+ * New prompts need a title and content. Updates only check the fields sent
+ * @param {Object} body - { title?, content?, description?, tags?, note? }
+ * @param {boolean} isUpdate - True when editing an existing prompt
+ * @returns {Object} - The fields sent, normalized, or { error }
+ */
+export function parsePromptInput(body, isUpdate = false) {
+    const input = {};
+
+    for (const [field, maxLength] of [['title', MAX_TITLE_LENGTH], ['content', MAX_CONTENT_LENGTH]]) {
+        if (body?.[field] === undefined) {
+            if (!isUpdate) {
+                return { error: `Missing required field: ${field}` };
+            }
+            continue;
+        }
+
+        const value = typeof body[field] === 'string' ? body[field].trim() : '';
+
+        if (!value || value.length > maxLength) {
+            return { error: `${field} must be 1-${maxLength} characters` };
+        }
+
+        input[field] = value;
+    }
+
+    for (const [field, maxLength] of [['description', MAX_DESCRIPTION_LENGTH], ['note', MAX_NOTE_LENGTH]]) {
+        const value = body?.[field];
+
+        if (value === undefined) {
+            continue;
+        }
+
+        if (value !== null && (typeof value !== 'string' || value.trim().length > maxLength)) {
+            return { error: `${field} must be a string of at most ${maxLength} characters` };
+        }
+
+        input[field] = value?.trim() || null;
+    }
+
+    if (body?.tags !== undefined) {
+        const { tags, error } = normalizeTags(body.tags);
+        if (error) {
+            return { error };
+        }
+        input.tags = tags;
+    }
+
+    if (isUpdate && Object.keys(input).filter(field => field !== 'note').length === 0) {
+        return { error: 'Nothing to update, send title, content, description and/or tags' };
+    }
+
+    return input;
+}
+
+/**
+ * Parse the version a schedule should use
+ * @param {*} value - Version number, "latest", or undefined for the latest version
+ * @returns {Object} - { followLatest: true }, { followLatest: false, version } or { error }
+ */
+export function parsePromptVersion(value) {
+    if (value === undefined || value === null || value === LATEST_VERSION) {
+        return { followLatest: true };
+    }
+
+    const version = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+
+    if (!Number.isInteger(version) || version < 1) {
+        return { error: `promptVersion must be a version number or "${LATEST_VERSION}"` };
+    }
+
+    return { followLatest: false, version };
+}
+
+/**
+ * Check whether an edit changes the prompt text, which needs a new version
+ * @param {Object} latest - Latest version { title, content }
+ * @param {Object} input - Parsed update
+ * @returns {boolean} - True if the title or content differ
+ */
+export function isNewVersion(latest, input) {
+    return (input.title !== undefined && input.title !== latest.title)
+        || (input.content !== undefined && input.content !== latest.content);
+}
@@ -0,0 +1,244 @@
+// Prompt Templates
+// {{ variable }} placeholders in prompt content, resolved when a scheduled prompt runs
+//
+// The language is deliberately small: a placeholder is a variable name between double
+// braces and nothing else (no expressions, filters or nesting). Values are inserted as
+// plain text in a single pass, so a value that contains braces is never expanded again.
+// Write \{{ for a literal "{{".
+
+export const MAX_TEMPLATE_VARIABLES = 20;
+export const MAX_VARIABLE_VALUE_LENGTH = 1000;
+
+// Filled in by the scheduler for every run, schedules can't override them
+export const BUILTIN_VARIABLES = [
+    'now', // Execution date and time in the schedule's timezone (2026-10-19 14:30)
+    'date', // Execution date (2026-10-19)
+    'time', // Execution time (14:30)
+    'weekday', // Execution day of the week (Monday)
+    'timezone', // The schedule's timezone
+    'last_run', // Previous run's date and time, or "never"
+    'last_run_date', // Previous run's date, or "never"
+    'run_number' // 1 for the first run of the schedule, then 2, 3...
+];
+
+// Value of last_run and last_run_date before the first run
+const NEVER = 'never';
+
+const NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const TOKEN_PATTERN = /\\\{\{|\{\{(.*?)\}\}|\{\{/gs;
+
+/**
+ * Split a template into literal text and placeholders
+ * @param {string} content - Template text
+ * @returns {Object} - { parts: [{ text } | { name }] } or { error }
+ */
+function parseTemplate(content) {
+    const parts = [];
+    let lastIndex = 0;
+
+    for (const match of content.matchAll(TOKEN_PATTERN)) {
+        if (match.index > lastIndex) {
+            parts.push({ text: content.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + match[0].length;
+
+        if (match[0] === '\\{{') {
+            parts.push({ text: '{{' });
+            continue;
+        }
+
+        if (match[1] === undefined) {
+            return { error: `Unclosed "{{" at position ${match.index + 1}` };
+        }
+
+        const name = match[1].trim();
+        if (!NAME_PATTERN.test(name)) {
+            return { error: `Invalid placeholder "${match[0]}", use {{ name }} with letters, digits and "_"` };
+        }
+
+        parts.push({ name });
+    }
+
+    if (lastIndex < content.length) {
+        parts.push({ text: content.slice(lastIndex) });
+    }
+
+    return { parts };
+}
+
+/**
+ * List the variables a template uses
+ * @param {string} content - Template text
+ * @returns {Object} - { names } (in order of first use) or { error }
+ */
+export function getTemplateVariables(content) {
+    const { parts, error } = parseTemplate(content);
+    if (error) {
+        return { error };
+    }
+
+    return { names: [...new Set(parts.filter(part => part.name).map(part => part.name))] };
+}
+
+/**
+ * Check that a template parses and only uses built-in or defined variables
+ * @param {string} content - Template text
+ * @param {Object} variables - The schedule's own variables
+ * @returns {string|null} - Error message, or null if the template is valid
+ */
+export function validateTemplate(content, variables = {}) {
+    const { names, error } = getTemplateVariables(content);
+    if (error) {
+        return error;
+    }
+
+    const unknown = names.filter(name => !BUILTIN_VARIABLES.includes(name) && !Object.hasOwn(variables || {}, name));
+    if (unknown.length > 0) {
+        return `Unknown template variable${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}. `
+            + `Define ${unknown.length > 1 ? 'them' : 'it'} in templateVariables or use a built-in (${BUILTIN_VARIABLES.join(', ')})`;
+    }
+
+    return null;
+}
+
+/**
+ * Normalize the user-defined variables of a schedule
+ * @param {*} variables - { name: value } from the request, values are strings, numbers or booleans
+ * @returns {Object} - { variables } with string values, or { error }
+ */
+export function normalizeTemplateVariables(variables) {
+    if (variables === undefined || variables === null) {
+        return { variables: {} };
+    }
+
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+        return { error: 'templateVariables must be an object of names to values' };
+    }
+
+    const entries = Object.entries(variables);
+    if (entries.length > MAX_TEMPLATE_VARIABLES) {
+        return { error: `A schedule can have at most ${MAX_TEMPLATE_VARIABLES} template variables` };
+    }
+
+    const normalized = {};
+
+    for (const [name, value] of entries) {
+        if (!NAME_PATTERN.test(name)) {
+            return { error: `Invalid template variable name "${name}", use letters, digits and "_"` };
+        }
+
+        if (BUILTIN_VARIABLES.includes(name)) {
+            return { error: `"${name}" is a built-in template variable and can't be redefined` };
+        }
+
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+            return { error: `Template variable "${name}" must be a string, number or boolean` };
+        }
+
+        const text = String(value);
+        if (text.length > MAX_VARIABLE_VALUE_LENGTH) {
+            return { error: `Template variable "${name}" must be at most ${MAX_VARIABLE_VALUE_LENGTH} characters` };
+        }
+
+        normalized[name] = text;
+    }
+
+    return { variables: normalized };
+}
+
+const formatterCache = new Map();
+
+/**
+ * Format an instant in a timezone
+ * @param {Date} date - Instant to format
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { date: 'YYYY-MM-DD', time: 'HH:MM', weekday }
+ */
+function formatInTimezone(date, timezone) {
+    if (!formatterCache.has(timezone)) {
+        formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'long'
+        }));
+    }
+
+    const parts = {};
+    for (const part of formatterCache.get(timezone).formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`,
+        weekday: parts.weekday
+    };
+}
+
+/**
+ * Parse a stored timestamp, SQLite's datetime('now') values have no zone and are UTC
+ * @param {string|null} value - Timestamp
+ * @returns {Date|null} - Instant, or null if missing or invalid
+ */
+function parseTimestamp(value) {
+    if (!value) {
+        return null;
+    }
+
+    const text = String(value);
+    const date = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Build the built-in variables for a run
+ * @param {Object} run - Run details
+ * @param {Date} run.now - Execution time
+ * @param {string} run.timezone - The schedule's timezone
+ * @param {string|null} run.lastExecution - Previous run's UTC timestamp
+ * @param {number} run.executionCount - Runs completed before this one
+ * @returns {Object} - { now, date, time, weekday, timezone, last_run, last_run_date, run_number }
+ */
+export function buildBuiltinVariables({ now = new Date(), timezone = 'UTC', lastExecution = null, executionCount = 0 }) {
+    const current = formatInTimezone(now, timezone);
+    const lastRunDate = parseTimestamp(lastExecution);
+    const lastRun = lastRunDate ? formatInTimezone(lastRunDate, timezone) : null;
+
+    return {
+        now: `${current.date} ${current.time}`,
+        date: current.date,
+        time: current.time,
+        weekday: current.weekday,
+        timezone: timezone,
+        last_run: lastRun ? `${lastRun.date} ${lastRun.time}` : NEVER,
+        last_run_date: lastRun ? lastRun.date : NEVER,
+        run_number: String(Number(executionCount || 0) + 1)
+    };
+}
+
+/**
+ * Render a template
+ * @param {string} content - Template text
+ * @param {Object} variables - Values by name, built-ins included
+ * @returns {string} - Rendered text
+ * @throws {Error} - If the template is invalid or uses a variable without a value
+ */
+export function renderTemplate(content, variables) {
+    const { parts, error } = parseTemplate(content);
+    if (error) {
+        throw new Error(`Invalid template: ${error}`);
+    }
+
+    const missing = parts.filter(part => part.name && !Object.hasOwn(variables, part.name));
+    if (missing.length > 0) {
+        throw new Error(`Invalid template: no value for ${[...new Set(missing.map(part => part.name))].join(', ')}`);
+    }
+
+    return parts.map(part => (part.name ? variables[part.name] : part.text)).join('');
+}
@@ -0,0 +1,206 @@
+// Rate Limiter
+// Token bucket rate limiting per route and identity, with a pluggable store shared across instances
+
+import crypto from 'crypto';
+import { getClientIP } from './client-ip.js';
+
+// Policies per route group. limit requests per windowSeconds, refilled continuously (token bucket).
+// identity 'key' limits per pro key when the request carries a session token and per IP otherwise.
+// Override with RATE_LIMITS, e.g. {"validate-key":{"limit":5},"user-settings":{"tierLimits":{"premium":240}}}
+const DEFAULT_RATE_LIMITS = {
+    'validate-key': { limit: 3, windowSeconds: 10, identity: 'ip' },
+    'auth': { limit: 10, windowSeconds: 60, identity: 'ip' },
+    'scheduled-prompts': { limit: 60, windowSeconds: 60, identity: 'key', tierLimits: { premium: 120, enterprise: 300 } },
+    'user-settings': { limit: 60, windowSeconds: 60, identity: 'key', tierLimits: { premium: 120, enterprise: 300 } },
+    'integration-tests': { limit: 5, windowSeconds: 3600, identity: 'key' },
+    'devices': { limit: 30, windowSeconds: 60, identity: 'key' },
+    'trials': { limit: 5, windowSeconds: 3600, identity: 'ip' },
+    'account': { limit: 30, windowSeconds: 60, identity: 'key' },
+    'organizations': { limit: 30, windowSeconds: 60, identity: 'key' },
+    'prompts': { limit: 60, windowSeconds: 60, identity: 'key', tierLimits: { premium: 120, enterprise: 300 } },
+    'workflows': { limit: 30, windowSeconds: 60, identity: 'key', tierLimits: { premium: 60, enterprise: 150 } }
+};
+
+// Buckets idle this long are full again and can be dropped by stores
+export const RATE_LIMIT_IDLE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load rate limit policies, applying RATE_LIMITS overrides
+ * @returns {Object} - { policyName: { limit, windowSeconds, identity, tierLimits } }
+ */
+function loadRateLimitPolicies() {
+    const policies = JSON.parse(JSON.stringify(DEFAULT_RATE_LIMITS));
+
+    if (!process.env.RATE_LIMITS) {
+        return policies;
+    }
+
+    try {
+        const overrides = JSON.parse(process.env.RATE_LIMITS);
+        for (const [name, override] of Object.entries(overrides)) {
+            policies[name] = { ...(policies[name] || { identity: 'ip' }), ...override };
+        }
+    } catch (error) {
+        console.error('❌ Invalid RATE_LIMITS, using default rate limits:', error.message);
+    }
+
+    return policies;
+}
+
+export const RATE_LIMIT_POLICIES = loadRateLimitPolicies();
+
+/**
+ * Apply one request to a token bucket
+ * The database store runs the same arithmetic in SQL
+ * @param {Object|null} state - { tokens, updatedAtMs } or null for a new bucket
+ * @param {number} capacity - Bucket size (requests allowed in a burst)
+ * @param {number} refillPerMs - Tokens added per millisecond
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {Object} - { allowed, tokens, updatedAtMs }
+ */
+export function takeToken(state, capacity, refillPerMs, nowMs) {
+    const available = state
+        ? Math.min(capacity, state.tokens + Math.max(0, nowMs - state.updatedAtMs) * refillPerMs)
+        : capacity;
+    const allowed = available >= 1;
+
+    return {
+        allowed,
+        tokens: allowed ? available - 1 : available,
+        updatedAtMs: nowMs
+    };
+}
+
+/**
+ * Create an in-process store (single instance only; used for development and tests)
+ * @returns {Object} - Store with consume(bucketKey, capacity, refillPerMs, nowMs)
+ */
+export function createMemoryRateLimitStore() {
+    const buckets = new Map();
+
+    return {
+        name: 'memory',
+        async consume(bucketKey, capacity, refillPerMs, nowMs) {
+            const result = takeToken(buckets.get(bucketKey) || null, capacity, refillPerMs, nowMs);
+            buckets.set(bucketKey, { tokens: result.tokens, updatedAtMs: result.updatedAtMs });
+
+            // Full buckets carry no state, drop them now and then
+            if (buckets.size > 10000) {
+                for (const [key, state] of buckets.entries()) {
+                    if (nowMs - state.updatedAtMs > RATE_LIMIT_IDLE_MS) {
+                        buckets.delete(key);
+                    }
+                }
+            }
+
+            return result;
+        }
+    };
+}
+
+let activeStore = null;
+
+/**
+ * Replace the store used by every rate limiter
+ * @param {Object} store - Object with an async consume(bucketKey, capacity, refillPerMs, nowMs) method
+ */
+export function setRateLimitStore(store) {
+    if (!store || typeof store.consume !== 'function') {
+        throw new Error('Rate limit store must implement consume()');
+    }
+    activeStore = store;
+}
+
+/**
+ * Get the store used by rate limiters (in-process memory unless one was set)
+ * @returns {Object} - Active rate limit store
+ */
+export function getRateLimitStore() {
+    if (!activeStore) {
+        activeStore = createMemoryRateLimitStore();
+    }
+    return activeStore;
+}
+
+/**
+ * Work out who a request is limited as, and how many requests they get
+ * @param {Object} req - Express request (req.proKeyData is set for session token requests)
+ * @param {Object} policy - Rate limit policy
+ * @returns {Object} - { identity, limit }
+ */
+export function resolveRateLimitIdentity(req, policy) {
+    const keyData = req.proKeyData;
+
+    if (policy.identity === 'key' && keyData) {
+        return {
+            identity: `key:${keyData.id}`,
+            limit: policy.tierLimits?.[keyData.tier] || policy.limit
+        };
+    }
+
+    // Hash IPs so bucket keys don't store addresses
+    const ipHash = crypto.createHash('sha256').update(getClientIP(req)).digest('hex').substring(0, 32);
+
+    return {
+        identity: `ip:${ipHash}`,
+        limit: policy.limit
+    };
+}
+
+/**
+ * Create Express middleware enforcing a rate limit policy
+ * Sends RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy headers,
+ * and Retry-After with a 429 when the limit is reached
+ * @param {string} policyName - Key of RATE_LIMIT_POLICIES
+ * @returns {Function} - Express middleware
+ */
+export function rateLimit(policyName) {
+    const policy = RATE_LIMIT_POLICIES[policyName];
+
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy: ${policyName}`);
+    }
+
+    return async function rateLimitMiddleware(req, res, next) {
+        if (req.method === 'OPTIONS') {
+            return next();
+        }
+
+        const { identity, limit } = resolveRateLimitIdentity(req, policy);
+        const windowMs = policy.windowSeconds * 1000;
+        const refillPerMs = limit / windowMs;
+
+        let result;
+        try {
+            result = await getRateLimitStore().consume(`${policyName}:${identity}`, limit, refillPerMs, Date.now());
+        } catch (error) {
+            // Never take the API down because the limiter's store is unavailable
+            console.error(`❌ Rate limit store error (${policyName}), allowing request:`, error.message);
+            return next();
+        }
+
+        const remaining = Math.max(0, Math.floor(result.tokens));
+        const resetSeconds = Math.ceil((limit - result.tokens) / refillPerMs / 1000);
+
+        res.setHeader('RateLimit-Limit', String(limit));
+        res.setHeader('RateLimit-Remaining', String(remaining));
+        res.setHeader('RateLimit-Reset', String(resetSeconds));
+        res.setHeader('RateLimit-Policy', `${limit};w=${policy.windowSeconds}`);
+
+        if (result.allowed) {
+            return next();
+        }
+
+        const retryAfter = Math.max(1, Math.ceil((1 - result.tokens) / refillPerMs / 1000));
+        res.setHeader('Retry-After', String(retryAfter));
+
+        console.log(`🚫 Rate limit exceeded (${policyName}) for ${identity}`);
+
+        return res.status(429).json({
+            success: false,
+            message: 'Rate limit exceeded. Please wait before making another request.',
+            rateLimited: true,
+            retryAfter: retryAfter // seconds
+        });
+    };
+}
@@ -0,0 +1,601 @@
+// Recurrence Rules Service
+// Cron expressions and iCalendar RRULEs evaluated in the schedule's timezone
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Give up searching for an occurrence after this many years (e.g. "0 0 30 2 *")
+const MAX_SEARCH_YEARS = 8;
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const CRON_DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const RRULE_DAY_NAMES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQUENCIES = ['HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+const CRON_MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+export const RECURRENCE_TYPES = ['cron', 'rrule'];
+
+// ---------------------------------------------------------------------------
+// Timezone helpers
+// "Wall time" is a local date/time in the user's timezone stored as a UTC epoch,
+// so getUTC* accessors return the local calendar fields.
+// ---------------------------------------------------------------------------
+
+const formatterCache = new Map();
+
+function getFormatter(timezone) {
+    if (!formatterCache.has(timezone)) {
+        formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatterCache.get(timezone);
+}
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timezone - Timezone name (e.g. 'America/New_York')
+ * @returns {boolean} - True if valid
+ */
+export function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') {
+        return false;
+    }
+
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Convert a UTC instant to wall time in a timezone
+ * @param {number} instant - UTC epoch milliseconds
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Wall time epoch milliseconds
+ */
+function toWallTime(instant, timezone) {
+    const parts = {};
+    for (const part of getFormatter(timezone).formatToParts(new Date(instant))) {
+        parts[part.type] = part.value;
+    }
+
+    return Date.UTC(
+        Number(parts.year),
+        Number(parts.month) - 1,
+        Number(parts.day),
+        Number(parts.hour),
+        Number(parts.minute),
+        Number(parts.second)
+    ) + (instant % 1000 + 1000) % 1000;
+}
+
+/**
+ * Convert wall time in a timezone to a UTC instant
+ * Ambiguous times (DST fall-back) resolve to the earlier instant; times inside a
+ * DST gap (spring-forward) are shifted forward by the length of the gap.
+ * @param {number} wallTime - Wall time epoch milliseconds
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - UTC epoch milliseconds
+ */
+function fromWallTime(wallTime, timezone) {
+    // Offsets in effect around this wall time; transitions are never closer than a day apart
+    const offsets = new Set(
+        [wallTime - DAY_MS, wallTime, wallTime + DAY_MS].map(probe => toWallTime(probe, timezone) - probe)
+    );
+    const candidates = [...offsets].map(offset => wallTime - offset);
+    const exact = candidates.filter(candidate => toWallTime(candidate, timezone) === wallTime);
+
+    return exact.length > 0 ? Math.min(...exact) : Math.max(...candidates);
+}
+
+// ---------------------------------------------------------------------------
+// Cron
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} field - Field text (e.g. "*\/15", "1-5", "MON,WED")
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {Array<string>} names - Optional value names, indexed from min
+ * @returns {Set<number>} - Matching values
+ */
+function parseCronField(field, min, max, names = null) {
+    const values = new Set();
+
+    const toNumber = (text) => {
+        const upper = text.toUpperCase();
+        if (names && names.includes(upper)) {
+            return names.indexOf(upper) + min;
+        }
+        if (!/^\d+$/.test(text)) {
+            throw new Error(`"${text}" is not a number`);
+        }
+        return Number(text);
+    };
+
+    for (const part of field.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`invalid step in "${part}"`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = min;
+            end = max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = toNumber(from);
+            end = toNumber(to);
+        } else {
+            start = toNumber(range);
+            end = stepText === undefined ? start : max;
+        }
+
+        if (start < min || end > max || start > end) {
+            throw new Error(`"${part}" is out of range ${min}-${max}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression - Cron expression or macro such as @daily
+ * @returns {Object} - Parsed cron fields
+ */
+function parseCron(expression) {
+    const normalized = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const fields = normalized.split(/\s+/);
+
+    if (fields.length !== 5) {
+        throw new Error('cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const weekdays = parseCronField(fields[4], 0, 7, CRON_DAY_NAMES);
+    if (weekdays.has(7)) {
+        weekdays.delete(7);
+        weekdays.add(0);
+    }
+
+    return {
+        minutes: parseCronField(fields[0], 0, 59),
+        hours: parseCronField(fields[1], 0, 23),
+        days: parseCronField(fields[2], 1, 31),
+        months: parseCronField(fields[3], 1, 12, MONTH_NAMES),
+        weekdays: weekdays,
+        dayOfMonthRestricted: fields[2] !== '*',
+        dayOfWeekRestricted: fields[4] !== '*'
+    };
+}
+
+function cronDayMatches(cron, date) {
+    const domMatch = cron.days.has(date.getUTCDate());
+    const dowMatch = cron.weekdays.has(date.getUTCDay());
+
+    // Standard cron: when both day fields are restricted, either may match
+    if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+    }
+    if (cron.dayOfMonthRestricted) {
+        return domMatch;
+    }
+    if (cron.dayOfWeekRestricted) {
+        return dowMatch;
+    }
+    return true;
+}
+
+function nextCronOccurrence(cron, timezone, after) {
+    let wall = Math.floor(toWallTime(after, timezone) / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    const limitYear = new Date(wall).getUTCFullYear() + MAX_SEARCH_YEARS;
+
+    while (new Date(wall).getUTCFullYear() <= limitYear) {
+        const date = new Date(wall);
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth();
+        const day = date.getUTCDate();
+        const hour = date.getUTCHours();
+
+        if (!cron.months.has(month + 1)) {
+            wall = Date.UTC(year, month + 1, 1);
+        } else if (!cronDayMatches(cron, date)) {
+            wall = Date.UTC(year, month, day + 1);
+        } else if (!cron.hours.has(hour)) {
+            wall = Date.UTC(year, month, day, hour + 1);
+        } else if (!cron.minutes.has(date.getUTCMinutes())) {
+            wall += MINUTE_MS;
+        } else {
+            const instant = fromWallTime(wall, timezone);
+            if (instant > after) {
+                return instant;
+            }
+            wall += MINUTE_MS;
+        }
+    }
+
+    return null;
+}
+
+// ---------------------------------------------------------------------------
+// RRULE (RFC 5545 subset: FREQ, INTERVAL, COUNT, UNTIL, BYMONTH, BYMONTHDAY,
+// BYDAY, BYHOUR, BYMINUTE, WKST)
+// ---------------------------------------------------------------------------
+
+function parseNumberList(value, min, max, key) {
+    return value.split(',').map(text => {
+        const number = Number(text);
+        if (!Number.isInteger(number) || number < min || number > max || number === 0 && min < 0) {
+            throw new Error(`${key} value "${text}" is out of range`);
+        }
+        return number;
+    });
+}
+
+/**
+ * Parse an RRULE UNTIL value
+ * Per RFC 5545 only a trailing Z makes it UTC; dates and floating date-times are local to the
+ * schedule's timezone, and a date alone runs to the end of that day
+ * @param {string} value - YYYYMMDD, YYYYMMDDTHHMMSS or YYYYMMDDTHHMMSSZ
+ * @returns {Object} - { time, utc } where time is a UTC instant when utc is true, otherwise wall time
+ */
+function parseUntil(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+    if (!match) {
+        throw new Error(`UNTIL "${value}" must be YYYYMMDD, YYYYMMDDTHHMMSS or YYYYMMDDTHHMMSSZ`);
+    }
+
+    const [, year, month, day, hour = '23', minute = '59', second = '59', utc] = match;
+    return {
+        time: Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)),
+        utc: Boolean(utc)
+    };
+}
+
+/**
+ * Parse an RRULE string (with or without the "RRULE:" prefix)
+ * @param {string} text - Rule text, e.g. "FREQ=WEEKLY;BYDAY=MO,WE;BYHOUR=9"
+ * @returns {Object} - Parsed rule
+ */
+function parseRRule(text) {
+    const rule = {
+        freq: null,
+        interval: 1,
+        count: null,
+        until: null,
+        byMonth: null,
+        byMonthDay: null,
+        byDay: null,
+        byHour: null,
+        byMinute: null,
+        weekStart: 1
+    };
+
+    const body = text.trim().replace(/^RRULE:/i, '');
+
+    for (const pair of body.split(';').filter(Boolean)) {
+        const [rawKey, value] = pair.split('=');
+        const key = (rawKey || '').toUpperCase();
+
+        if (!value) {
+            throw new Error(`"${pair}" is missing a value`);
+        }
+
+        switch (key) {
+            case 'FREQ':
+                if (!RRULE_FREQUENCIES.includes(value.toUpperCase())) {
+                    throw new Error(`FREQ must be one of ${RRULE_FREQUENCIES.join(', ')}`);
+                }
+                rule.freq = value.toUpperCase();
+                break;
+            case 'INTERVAL':
+                rule.interval = parseNumberList(value, 1, 1000, key)[0];
+                break;
+            case 'COUNT':
+                rule.count = parseNumberList(value, 1, 100000, key)[0];
+                break;
+            case 'UNTIL':
+                rule.until = parseUntil(value);
+                break;
+            case 'BYMONTH':
+                rule.byMonth = parseNumberList(value, 1, 12, key);
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = parseNumberList(value, -31, 31, key);
+                break;
+            case 'BYHOUR':
+                rule.byHour = parseNumberList(value, 0, 23, key);
+                break;
+            case 'BYMINUTE':
+                rule.byMinute = parseNumberList(value, 0, 59, key);
+                break;
+            case 'BYDAY':
+                rule.byDay = value.toUpperCase().split(',').map(entry => {
+                    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+                    if (!match || Number(match[1]) === 0) {
+                        throw new Error(`BYDAY value "${entry}" is invalid`);
+                    }
+                    return {
+                        ordinal: match[1] ? Number(match[1]) : null,
+                        weekday: RRULE_DAY_NAMES.indexOf(match[2])
+                    };
+                });
+                break;
+            case 'WKST':
+                if (!RRULE_DAY_NAMES.includes(value.toUpperCase())) {
+                    throw new Error(`WKST "${value}" is invalid`);
+                }
+                rule.weekStart = RRULE_DAY_NAMES.indexOf(value.toUpperCase());
+                break;
+            default:
+                throw new Error(`${key} is not supported`);
+        }
+    }
+
+    if (!rule.freq) {
+        throw new Error('FREQ is required');
+    }
+
+    if (rule.count && rule.until) {
+        throw new Error('COUNT and UNTIL cannot both be set');
+    }
+
+    return rule;
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function weekIndex(dayNumber, weekStart) {
+    const weekday = (dayNumber + 4) % 7; // 1970-01-01 was a Thursday
+    return (dayNumber - (weekday - weekStart + 7) % 7) / 7;
+}
+
+function matchesOrdinalWeekday(date, { ordinal, weekday }, scope) {
+    if (date.getUTCDay() !== weekday) {
+        return false;
+    }
+    if (ordinal === null) {
+        return true;
+    }
+
+    const year = date.getUTCFullYear();
+    let position;
+    let total;
+
+    if (scope === 'year') {
+        const dayOfYear = Math.round((date - Date.UTC(year, 0, 1)) / DAY_MS);
+        const yearLength = Math.round((Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / DAY_MS);
+        position = Math.floor(dayOfYear / 7) + 1;
+        total = Math.floor((yearLength - 1 - dayOfYear) / 7) + position;
+    } else {
+        const dayOfMonth = date.getUTCDate() - 1;
+        position = Math.floor(dayOfMonth / 7) + 1;
+        total = Math.floor((daysInMonth(year, date.getUTCMonth()) - 1 - dayOfMonth) / 7) + position;
+    }
+
+    return ordinal > 0 ? position === ordinal : total + ordinal + 1 === position;
+}
+
+function rruleDayMatches(rule, date, start) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const dayNumber = Math.floor(date.getTime() / DAY_MS);
+    const startNumber = Math.floor(start.getTime() / DAY_MS);
+
+    if (rule.byMonth && !rule.byMonth.includes(month + 1)) {
+        return false;
+    }
+
+    // Interval alignment relative to DTSTART
+    switch (rule.freq) {
+        case 'DAILY':
+            if ((dayNumber - startNumber) % rule.interval !== 0) return false;
+            break;
+        case 'WEEKLY':
+            if ((weekIndex(dayNumber, rule.weekStart) - weekIndex(startNumber, rule.weekStart)) % rule.interval !== 0) return false;
+            break;
+        case 'MONTHLY':
+            if (((year - start.getUTCFullYear()) * 12 + month - start.getUTCMonth()) % rule.interval !== 0) return false;
+            break;
+        case 'YEARLY':
+            if ((year - start.getUTCFullYear()) % rule.interval !== 0) return false;
+            break;
+    }
+
+    if (rule.byMonthDay) {
+        const length = daysInMonth(year, month);
+        const day = date.getUTCDate();
+        if (!rule.byMonthDay.some(value => (value > 0 ? value : length + value + 1) === day)) {
+            return false;
+        }
+    }
+
+    if (rule.byDay) {
+        const scope = rule.freq === 'YEARLY' && !rule.byMonth ? 'year' : 'month';
+        if (!rule.byDay.some(entry => matchesOrdinalWeekday(date, entry, scope))) {
+            return false;
+        }
+    }
+
+    // Days DTSTART implies when no BYxxx day rule narrows the period
+    const hasDayRule = rule.byMonthDay || rule.byDay;
+    if (rule.freq === 'WEEKLY' && !hasDayRule && date.getUTCDay() !== start.getUTCDay()) {
+        return false;
+    }
+    if (rule.freq === 'MONTHLY' && !hasDayRule && date.getUTCDate() !== start.getUTCDate()) {
+        return false;
+    }
+    if (rule.freq === 'YEARLY' && !hasDayRule) {
+        if (!rule.byMonth && month !== start.getUTCMonth()) return false;
+        if (date.getUTCDate() !== start.getUTCDate()) return false;
+    }
+
+    return true;
+}
+
+function nextRRuleOccurrence(rule, timezone, after, startInstant) {
+    const startWall = toWallTime(startInstant, timezone);
+    const start = new Date(startWall);
+    const startDay = Math.floor(startWall / DAY_MS);
+    const startHourNumber = startDay * 24 + start.getUTCHours();
+
+    const minutes = rule.byMinute ? [...rule.byMinute].sort((a, b) => a - b) : [start.getUTCMinutes()];
+    const fixedHours = rule.byHour ? [...rule.byHour].sort((a, b) => a - b) : null;
+    const until = rule.until && (rule.until.utc ? rule.until.time : fromWallTime(rule.until.time, timezone));
+
+    let day = Math.max(startDay, Math.floor(toWallTime(after, timezone) / DAY_MS) - 1);
+    const lastDay = day + MAX_SEARCH_YEARS * 366;
+
+    for (; day <= lastDay; day++) {
+        const date = new Date(day * DAY_MS);
+        if (!rruleDayMatches(rule, date, start)) {
+            continue;
+        }
+
+        let hours = fixedHours || [start.getUTCHours()];
+        if (rule.freq === 'HOURLY') {
+            hours = (fixedHours || [...Array(24).keys()])
+                .filter(hour => (day * 24 + hour - startHourNumber) % rule.interval === 0);
+        }
+
+        for (const hour of hours) {
+            for (const minute of minutes) {
+                const instant = fromWallTime(day * DAY_MS + hour * HOUR_MS + minute * MINUTE_MS, timezone);
+
+                if (instant < startInstant || instant <= after) {
+                    continue;
+                }
+                if (until && instant > until) {
+                    return null;
+                }
+                return instant;
+            }
+        }
+    }
+
+    return null;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate and normalize a recurrence definition from an API request
+ * Rules that never match a date, e.g. "0 0 30 2 *", or whose UNTIL has already passed are rejected
+ * @param {Object} recurrence - { type: 'cron'|'rrule', rule, endDate?, maxOccurrences? }
+ * @param {string} timezone - IANA timezone the rule is written in
+ * @returns {Object} - Normalized recurrence { type, rule, endDate, maxOccurrences }
+ */
+export function normalizeRecurrence(recurrence, timezone = 'UTC') {
+    if (!recurrence || typeof recurrence !== 'object') {
+        throw new Error('Invalid recurrence rule: recurrence must be an object');
+    }
+
+    const { type, rule, endDate = null, maxOccurrences = null } = recurrence;
+
+    if (!RECURRENCE_TYPES.includes(type)) {
+        throw new Error(`Invalid recurrence rule: type must be one of ${RECURRENCE_TYPES.join(', ')}`);
+    }
+    if (!rule || typeof rule !== 'string') {
+        throw new Error('Invalid recurrence rule: rule is required');
+    }
+
+    let compiled;
+    try {
+        compiled = compileRule(type, rule);
+    } catch (error) {
+        throw new Error(`Invalid recurrence rule: ${error.message}`);
+    }
+
+    const now = Date.now();
+    const firstMatch = type === 'cron'
+        ? nextCronOccurrence(compiled, timezone, now)
+        : nextRRuleOccurrence(compiled, timezone, now, now);
+
+    if (firstMatch === null) {
+        throw new Error('Invalid recurrence rule: the rule never fires');
+    }
+
+    if (endDate && isNaN(new Date(endDate).getTime())) {
+        throw new Error('Invalid recurrence rule: endDate must be a valid date');
+    }
+    if (maxOccurrences !== null && (!Number.isInteger(Number(maxOccurrences)) || Number(maxOccurrences) < 1)) {
+        throw new Error('Invalid recurrence rule: maxOccurrences must be a positive integer');
+    }
+
+    return {
+        type: type,
+        rule: rule.trim(),
+        endDate: endDate ? new Date(endDate).toISOString() : null,
+        maxOccurrences: maxOccurrences !== null ? Number(maxOccurrences) : null
+    };
+}
+
+function compileRule(type, rule) {
+    return type === 'cron' ? parseCron(rule) : parseRRule(rule);
+}
+
+/**
+ * Compute the next occurrence of a recurrence after a given instant
+ * @param {Object} recurrence - { type, rule, endDate?, maxOccurrences? }
+ * @param {Object} options - Evaluation options
+ * @param {string} options.timezone - IANA timezone the rule is written in
+ * @param {Date|string} options.after - Return the first occurrence strictly after this
+ * @param {Date|string} options.start - First occurrence (DTSTART); anchors RRULE intervals
+ * @param {number} options.occurrencesSoFar - Runs already completed (for COUNT/maxOccurrences)
+ * @returns {Date|null} - Next occurrence or null when the series has ended
+ */
+export function getNextOccurrence(recurrence, { timezone, after, start = after, occurrencesSoFar = 0 }) {
+    const compiled = compileRule(recurrence.type, recurrence.rule);
+    const afterInstant = new Date(after).getTime();
+
+    const limits = [recurrence.maxOccurrences, compiled.count].filter(Boolean);
+    if (limits.length > 0 && occurrencesSoFar >= Math.min(...limits)) {
+        return null;
+    }
+
+    const next = recurrence.type === 'cron'
+        ? nextCronOccurrence(compiled, timezone, afterInstant)
+        : nextRRuleOccurrence(compiled, timezone, afterInstant, new Date(start).getTime());
+
+    if (next === null) {
+        return null;
+    }
+    if (recurrence.endDate && next > new Date(recurrence.endDate).getTime()) {
+        return null;
+    }
+
+    return new Date(next);
+}
@@ -0,0 +1,123 @@
+// Retry Policy Service
+// Exponential backoff with jitter and transient error classification for scheduled executions
+
+export const DEFAULT_RETRY_POLICY = {
+    maxAttempts: Number(process.env.RETRY_MAX_ATTEMPTS || 3),
+    backoffSeconds: Number(process.env.RETRY_BACKOFF_SECONDS || 30),
+    jitter: Number(process.env.RETRY_JITTER || 0.2)
+};
+
+// Never wait longer than this between attempts, whatever the backoff or retry_after says
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * Create an error that should be retried (rate limits, 5xx, network failures)
+ * @param {string} message - Error message
+ * @param {Object} options - Error details
+ * @param {number} options.status - HTTP status, if any
+ * @param {number} options.retryAfterMs - Minimum wait requested by the remote service
+ * @returns {Error} - Error flagged as transient
+ */
+export function createTransientError(message, { status = null, retryAfterMs = null } = {}) {
+    const error = new Error(message);
+    error.transient = true;
+    error.status = status;
+    error.retryAfterMs = retryAfterMs;
+    return error;
+}
+
+/**
+ * Check whether an HTTP status is worth retrying
+ * @param {number} status - HTTP status code
+ * @returns {boolean} - True for 408, 429 and 5xx
+ */
+export function isTransientStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Check whether an error should be retried
+ * @param {Error} error - Error thrown by an execution step
+ * @returns {boolean} - True if transient
+ */
+export function isTransientError(error) {
+    if (!error) {
+        return false;
+    }
+
+    // fetch() rejects with a TypeError on DNS/connection failures
+    return error.transient === true || (error.name === 'TypeError' && /fetch failed/i.test(error.message));
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in milliseconds or null
+ */
+export function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : Math.max(0, date.getTime() - Date.now());
+}
+
+/**
+ * Validate and normalize a retry policy from an API request
+ * @param {Object} policy - { maxAttempts?, backoffSeconds?, jitter? }
+ * @returns {Object} - Normalized policy
+ */
+export function normalizeRetryPolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+        throw new Error('Invalid retry policy: retryPolicy must be an object');
+    }
+
+    const normalized = { ...DEFAULT_RETRY_POLICY };
+
+    if (policy.maxAttempts !== undefined) {
+        const maxAttempts = Number(policy.maxAttempts);
+        if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 10) {
+            throw new Error('Invalid retry policy: maxAttempts must be an integer from 1 to 10');
+        }
+        normalized.maxAttempts = maxAttempts;
+    }
+
+    if (policy.backoffSeconds !== undefined) {
+        const backoffSeconds = Number(policy.backoffSeconds);
+        if (!Number.isInteger(backoffSeconds) || backoffSeconds < 1 || backoffSeconds > 3600) {
+            throw new Error('Invalid retry policy: backoffSeconds must be an integer from 1 to 3600');
+        }
+        normalized.backoffSeconds = backoffSeconds;
+    }
+
+    if (policy.jitter !== undefined) {
+        const jitter = Number(policy.jitter);
+        if (isNaN(jitter) || jitter < 0 || jitter > 1) {
+            throw new Error('Invalid retry policy: jitter must be between 0 and 1');
+        }
+        normalized.jitter = jitter;
+    }
+
+    return normalized;
+}
+
+/**
+ * Compute the wait before the next attempt
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - { backoffSeconds, jitter }
+ * @param {number|null} retryAfterMs - Minimum wait requested by the remote service
+ * @returns {number} - Delay in milliseconds
+ */
+export function computeRetryDelay(attempt, policy, retryAfterMs = null) {
+    const base = policy.backoffSeconds * 1000 * Math.pow(2, attempt - 1);
+    const jitterFactor = 1 + (Math.random() * 2 - 1) * policy.jitter;
+    const backoff = Math.round(base * jitterFactor);
+
+    return Math.min(MAX_DELAY_MS, Math.max(backoff, retryAfterMs || 0));
+}
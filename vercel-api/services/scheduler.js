@@ -1,7 +1,10 @@
 // Automation Scheduler Service
-// Handles cron-based execution of scheduled prompts
+// Handles cron-based execution of scheduled prompts, plus delivery, log cleanup and expiry notice jobs
 
 import { executeScheduledPrompts } from '../api/scheduled-prompts.js';
+import { processDeliveryOutbox } from './delivery-outbox.js';
+import { cleanupOldAutomationLogs } from '../db/automation-queries.js';
+import { processExpiryNotices } from './expiry-notifier.js';
 
 /**
  * Simple scheduler that checks for due prompts every minute
@@ -12,6 +15,12 @@ class AutomationScheduler {
         this.isRunning = false;
         this.intervalId = null;
         this.checkInterval = 60000; // 1 minute in milliseconds
+        this.deliveryIntervalId = null;
+        this.deliveryInterval = Number(process.env.DELIVERY_INTERVAL_MS || 15000);
+        this.cleanupIntervalId = null;
+        this.cleanupInterval = 60 * 60 * 1000; // 1 hour
+        this.noticeIntervalId = null;
+        this.noticeInterval = Number(process.env.EXPIRY_NOTICE_INTERVAL_MS || 60 * 60 * 1000);
     }
 
     /**
@@ -34,6 +43,22 @@ class AutomationScheduler {
             this.checkAndExecute();
         }, this.checkInterval);
 
+        // The delivery outbox drains on its own, shorter cycle
+        this.deliveryIntervalId = setInterval(() => {
+            this.drainDeliveries();
+        }, this.deliveryInterval);
+
+        // Execution logs are kept for each key's retention days
+        this.cleanupIntervalId = setInterval(() => {
+            this.cleanupLogs();
+        }, this.cleanupInterval);
+
+        // Membership expiry notices, checked now and then hourly so restarts don't delay them
+        this.sendExpiryNotices();
+        this.noticeIntervalId = setInterval(() => {
+            this.sendExpiryNotices();
+        }, this.noticeInterval);
+
         console.log('✅ Automation scheduler started successfully');
     }
 
@@ -53,6 +78,21 @@ class AutomationScheduler {
             this.intervalId = null;
         }
 
+        if (this.deliveryIntervalId) {
+            clearInterval(this.deliveryIntervalId);
+            this.deliveryIntervalId = null;
+        }
+
+        if (this.cleanupIntervalId) {
+            clearInterval(this.cleanupIntervalId);
+            this.cleanupIntervalId = null;
+        }
+
+        if (this.noticeIntervalId) {
+            clearInterval(this.noticeIntervalId);
+            this.noticeIntervalId = null;
+        }
+
         this.isRunning = false;
         console.log('✅ Automation scheduler stopped');
     }
@@ -67,8 +107,8 @@ class AutomationScheduler {
 
             const result = await executeScheduledPrompts();
 
-            if (result.executed > 0 || result.failed > 0) {
-                console.log(`📊 [${timestamp}] Execution summary: ${result.executed} successful, ${result.failed} failed`);
+            if (result.executed > 0 || result.failed > 0 || result.retrying > 0 || result.skipped > 0) {
+                console.log(`📊 [${timestamp}] Execution summary: ${result.executed} successful, ${result.retrying} retrying, ${result.failed} failed, ${result.skipped} skipped`);
             }
 
         } catch (error) {
@@ -76,6 +116,39 @@ class AutomationScheduler {
         }
     }
 
+    /**
+     * Send due deliveries from the outbox
+     */
+    async drainDeliveries() {
+        try {
+            await processDeliveryOutbox();
+        } catch (error) {
+            console.error('❌ Error draining delivery outbox:', error);
+        }
+    }
+
+    /**
+     * Delete execution logs past their retention
+     */
+    async cleanupLogs() {
+        try {
+            await cleanupOldAutomationLogs();
+        } catch (error) {
+            console.error('❌ Error cleaning up automation logs:', error);
+        }
+    }
+
+    /**
+     * Send membership expiry notices that are due
+     */
+    async sendExpiryNotices() {
+        try {
+            await processExpiryNotices();
+        } catch (error) {
+            console.error('❌ Error sending expiry notices:', error);
+        }
+    }
+
     /**
      * Get scheduler status
      */
@@ -83,6 +156,8 @@ class AutomationScheduler {
         return {
             isRunning: this.isRunning,
             checkInterval: this.checkInterval,
+            deliveryInterval: this.deliveryInterval,
+            noticeInterval: this.noticeInterval,
             nextCheck: this.intervalId ? new Date(Date.now() + this.checkInterval) : null
         };
     }
@@ -0,0 +1,120 @@
+// Security Alerts
+// Operator alerts for suspected attacks, sent to the integrations configured for the service itself
+
+import { buildWebhookPayload, postSignedWebhook } from './integrations.js';
+import { getEmailTransport, isEmailConfigured } from './email.js';
+
+/**
+ * Read the alert channels from the environment
+ * Configured through SECURITY_ALERT_WEBHOOK_URL/SECURITY_ALERT_WEBHOOK_SECRET, SECURITY_ALERT_SLACK_URL,
+ * SECURITY_ALERT_DISCORD_URL and SECURITY_ALERT_EMAILS (comma separated)
+ * @returns {Object} - { webhook, slackUrl, discordUrl, emails }
+ */
+export function getSecurityAlertChannels() {
+    const webhookUrl = process.env.SECURITY_ALERT_WEBHOOK_URL;
+    const webhookSecret = process.env.SECURITY_ALERT_WEBHOOK_SECRET;
+
+    return {
+        webhook: webhookUrl && webhookSecret ? { url: webhookUrl, secret: webhookSecret } : null,
+        slackUrl: process.env.SECURITY_ALERT_SLACK_URL || null,
+        discordUrl: process.env.SECURITY_ALERT_DISCORD_URL || null,
+        emails: (process.env.SECURITY_ALERT_EMAILS || '')
+            .split(',')
+            .map(email => email.trim())
+            .filter(email => email.length > 0)
+    };
+}
+
+/**
+ * Format an alert as plain text for chat and email
+ * @param {string} event - Event name, e.g. 'security.ban_created'
+ * @param {Object} data - Event data
+ * @returns {Object} - { title, text }
+ */
+export function formatSecurityAlert(event, data) {
+    let title = `Security event: ${event}`;
+
+    if (event === 'security.ban_created') {
+        title = `Temporary ${data.subjectType} ban after repeated failed key validations`;
+    } else if (event === 'security.user_agent_failures') {
+        title = `${data.failures} failed key validations from ${data.distinctIps} IPs sharing one user agent`;
+    } else if (event === 'security.failure_spike') {
+        title = `Spike of ${data.failures} failed key validations in ${data.windowMinutes} minutes`;
+    }
+
+    const lines = Object.entries(data)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => `${name}: ${value}`);
+
+    return {
+        title: title,
+        text: `🚨 ${title}\n${lines.join('\n')}`
+    };
+}
+
+/**
+ * POST JSON to a chat webhook
+ * @param {string} url - Webhook URL
+ * @param {Object} body - JSON body
+ */
+async function postAlertJson(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Alert webhook failed: ${response.status}`);
+    }
+}
+
+/**
+ * Send a security alert to every configured channel
+ * Never throws; alerting must not break the request that triggered it
+ * @param {string} event - Event name, e.g. 'security.ban_created'
+ * @param {Object} data - Event data
+ * @returns {Promise<Array<Object>>} - [{ channel, success, error }]
+ */
+export async function sendSecurityAlert(event, data) {
+    const channels = getSecurityAlertChannels();
+    const { title, text } = formatSecurityAlert(event, data);
+    const sends = [];
+
+    if (channels.webhook) {
+        // The alert webhook comes from the server's own environment, so it may be an internal receiver
+        sends.push(['webhook', () => postSignedWebhook(channels.webhook, buildWebhookPayload(event, data), { trustedTarget: true })]);
+    }
+    if (channels.slackUrl) {
+        sends.push(['slack', () => postAlertJson(channels.slackUrl, { text: text })]);
+    }
+    if (channels.discordUrl) {
+        sends.push(['discord', () => postAlertJson(channels.discordUrl, { content: text.substring(0, 2000) })]);
+    }
+    if (channels.emails.length > 0 && isEmailConfigured()) {
+        sends.push(['email', () => getEmailTransport().sendMail({
+            to: channels.emails.join(', '),
+            subject: `[Security] ${title}`,
+            text: text
+        })]);
+    }
+
+    if (sends.length === 0) {
+        console.warn(`⚠️ Security alert not sent, no alert channels configured: ${title}`);
+        return [];
+    }
+
+    const results = await Promise.all(sends.map(async ([channel, send]) => {
+        try {
+            await send();
+            return { channel, success: true };
+        } catch (error) {
+            console.error(`❌ Security alert to ${channel} failed:`, error.message);
+            return { channel, success: false, error: error.message };
+        }
+    }));
+
+    console.log(`🚨 Security alert sent (${event}) to ${results.filter(result => result.success).length}/${results.length} channel(s)`);
+
+    return results;
+}
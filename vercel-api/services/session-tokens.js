@@ -0,0 +1,142 @@
+// Session Tokens
+// Signed, short-lived access tokens and rotating refresh tokens issued by validate-key
+
+import crypto from 'crypto';
+
+export const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.SESSION_ACCESS_TTL_SECONDS || 900); // 15 minutes
+export const REFRESH_TOKEN_TTL_SECONDS = Number(process.env.SESSION_REFRESH_TTL_SECONDS || 30 * 24 * 60 * 60); // 30 days
+
+// Tokens are compact JWTs signed with HMAC-SHA256
+const TOKEN_HEADER = encodeBase64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+
+let generatedSecret = null;
+
+/**
+ * Encode a string or buffer as base64url
+ * @param {string|Buffer} value - Value to encode
+ * @returns {string} - base64url text
+ */
+function encodeBase64Url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Get the token signing secret from SESSION_TOKEN_SECRET
+ * Outside production a random per-process secret is used if it isn't set
+ * @returns {string} - Signing secret
+ */
+function getTokenSecret() {
+    if (process.env.SESSION_TOKEN_SECRET) {
+        return process.env.SESSION_TOKEN_SECRET;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('Token signing is not configured. Set SESSION_TOKEN_SECRET');
+    }
+
+    if (!generatedSecret) {
+        generatedSecret = crypto.randomBytes(32).toString('hex');
+        console.warn('⚠️ SESSION_TOKEN_SECRET is not set, using a random secret for this process');
+    }
+    return generatedSecret;
+}
+
+/**
+ * Sign the header and payload of a token
+ * @param {string} signingInput - "header.payload"
+ * @returns {string} - base64url signature
+ */
+function signTokenInput(signingInput) {
+    return crypto.createHmac('sha256', getTokenSecret()).update(signingInput).digest('base64url');
+}
+
+/**
+ * Sign a session token
+ * @param {Object} claims - Token claims; iat and exp are added
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @returns {string} - Signed token
+ */
+export function signSessionToken(claims, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = encodeBase64Url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+    const signingInput = `${TOKEN_HEADER}.${payload}`;
+
+    return `${signingInput}.${signTokenInput(signingInput)}`;
+}
+
+/**
+ * Verify a session token's signature, type and expiry
+ * Revocation is checked separately against the key_sessions table
+ * @param {string} token - Signed token
+ * @param {string} expectedType - 'access' or 'refresh'
+ * @returns {Object} - Token claims
+ */
+export function verifySessionToken(token, expectedType) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+
+    if (parts.length !== 3 || parts[0] !== TOKEN_HEADER) {
+        throw new Error('Invalid session token');
+    }
+
+    const expected = Buffer.from(signTokenInput(`${parts[0]}.${parts[1]}`));
+    const received = Buffer.from(parts[2]);
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new Error('Invalid session token');
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid session token');
+    }
+
+    if (claims.typ !== expectedType || !claims.sid) {
+        throw new Error('Invalid session token');
+    }
+
+    if (!Number.isInteger(claims.exp) || claims.exp <= Math.floor(Date.now() / 1000)) {
+        throw new Error('Session token expired');
+    }
+
+    return claims;
+}
+
+/**
+ * Issue the access and refresh tokens for a session
+ * @param {Object} session - { sessionId, refreshJti, keyData } where keyData is the pro_keys row
+ * @returns {Object} - Token response for clients
+ */
+export function createSessionTokens({ sessionId, refreshJti, keyData }) {
+    const subject = String(keyData.id);
+
+    return {
+        tokenType: 'Bearer',
+        accessToken: signSessionToken({
+            typ: 'access',
+            sid: sessionId,
+            sub: subject,
+            tier: keyData.tier || 'pro',
+            kexp: keyData.expires_at || null
+        }, ACCESS_TOKEN_TTL_SECONDS),
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+        refreshToken: signSessionToken({
+            typ: 'refresh',
+            sid: sessionId,
+            sub: subject,
+            jti: refreshJti
+        }, REFRESH_TOKEN_TTL_SECONDS),
+        refreshExpiresIn: REFRESH_TOKEN_TTL_SECONDS
+    };
+}
+
+/**
+ * Read a Bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} - Token, or null if there is none
+ */
+export function getBearerToken(req) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
@@ -0,0 +1,85 @@
+// Trials
+// Policy for self-issued trial keys: lifetime and per-device and per-IP abuse limits
+
+import crypto from 'crypto';
+
+export const TRIAL_TIER = 'trial';
+
+// Override with TRIAL_POLICY, e.g. {"lifetimeDays":14,"maxPerIp":5}
+const DEFAULT_TRIAL_POLICY = {
+    enabled: true,
+    lifetimeDays: 7,
+    maxPerDevice: 1, // Trials ever issued to one device fingerprint
+    maxPerIp: 3, // Trials issued to one IP inside ipWindowDays
+    ipWindowDays: 30
+};
+
+/**
+ * Load the trial policy, applying TRIAL_POLICY overrides
+ * @returns {Object} - Trial policy
+ */
+function loadTrialPolicy() {
+    const policy = { ...DEFAULT_TRIAL_POLICY };
+
+    if (!process.env.TRIAL_POLICY) {
+        return policy;
+    }
+
+    try {
+        Object.assign(policy, JSON.parse(process.env.TRIAL_POLICY));
+    } catch (error) {
+        console.error('❌ Invalid TRIAL_POLICY, using the default trial policy:', error.message);
+    }
+
+    return policy;
+}
+
+export const TRIAL_POLICY = loadTrialPolicy();
+
+/**
+ * Hash the device fingerprint and IP a trial was requested from
+ * Unlike key_devices hashes these don't include a key ID, so they match across trials
+ * @param {string} deviceId - Device fingerprint sent by the extension
+ * @param {string} ip - Client IP address
+ * @returns {Object} - { deviceHash, ipHash }
+ */
+export function getTrialFingerprints(deviceId, ip) {
+    return {
+        deviceHash: crypto.createHash('sha256').update(`trial-device:${deviceId}`).digest('hex'),
+        ipHash: crypto.createHash('sha256').update(`trial-ip:${ip}`).digest('hex')
+    };
+}
+
+/**
+ * Check earlier trials against the abuse limits
+ * @param {Object} counts - { device, ip } trials already issued
+ * @param {Object} policy - Trial policy
+ * @returns {Object|null} - { code, message } if no trial may be issued, or null
+ */
+export function getTrialLimitError(counts, policy = TRIAL_POLICY) {
+    if (counts.device >= policy.maxPerDevice) {
+        return {
+            code: 'TRIAL_ALREADY_USED',
+            message: 'A trial has already been used on this device'
+        };
+    }
+
+    if (counts.ip >= policy.maxPerIp) {
+        return {
+            code: 'TRIAL_LIMIT_REACHED',
+            message: 'Too many trials have been started from this network. Please purchase a pro key to continue.'
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Get the expiry date of a trial started now
+ * @param {Date} now - Current time
+ * @param {Object} policy - Trial policy
+ * @returns {string} - ISO date
+ */
+export function getTrialExpiry(now = new Date(), policy = TRIAL_POLICY) {
+    return new Date(now.getTime() + policy.lifetimeDays * 24 * 60 * 60 * 1000).toISOString();
+}
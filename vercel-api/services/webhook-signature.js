@@ -0,0 +1,74 @@
+// Webhook Signature Helpers
+// HMAC-SHA256 signing for outbound webhooks and verification for receivers
+
+import crypto from 'crypto';
+
+export const WEBHOOK_PAYLOAD_VERSION = '1';
+export const SIGNATURE_HEADER = 'X-Hustle-Signature';
+export const TIMESTAMP_HEADER = 'X-Hustle-Timestamp';
+
+// Receivers reject deliveries whose timestamp is further than this from their clock
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Sign a webhook body
+ * The signed message is `${timestamp}.${body}` so a captured body can't be replayed with a new timestamp
+ * @param {string} body - Exact JSON string that is sent
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} - Signature header value, e.g. "v1=5257a869..."
+ */
+export function signWebhookPayload(body, secret, timestamp) {
+    const digest = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+
+    return `v${WEBHOOK_PAYLOAD_VERSION}=${digest}`;
+}
+
+/**
+ * Build the signature and timestamp headers for a webhook body
+ * @param {string} body - Exact JSON string that is sent
+ * @param {string} secret - Shared secret
+ * @returns {Object} - Headers to merge into the request
+ */
+export function buildSignatureHeaders(body, secret) {
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    return {
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: signWebhookPayload(body, secret, timestamp)
+    };
+}
+
+/**
+ * Verify a received webhook
+ * @param {Object} options - Verification input
+ * @param {string} options.body - Raw request body, exactly as received
+ * @param {string} options.signature - X-Hustle-Signature header value
+ * @param {string|number} options.timestamp - X-Hustle-Timestamp header value
+ * @param {string} options.secret - Shared secret
+ * @param {number} options.toleranceSeconds - Maximum clock difference accepted
+ * @returns {boolean} - True if the signature matches and the timestamp is fresh
+ */
+export function verifyWebhookSignature({ body, signature, timestamp, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS }) {
+    if (!body || !signature || !timestamp || !secret) {
+        return false;
+    }
+
+    const timestampSeconds = Number(timestamp);
+    if (!Number.isInteger(timestampSeconds)) {
+        return false;
+    }
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - timestampSeconds);
+    if (age > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(signWebhookPayload(body, secret, timestampSeconds));
+    const received = Buffer.from(String(signature));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
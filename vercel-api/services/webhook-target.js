@@ -0,0 +1,83 @@
+// Webhook Target
+// Keeps user-configured webhooks from reaching the server's own network (SSRF).
+//
+// The host is resolved and every address it maps to must be public. This runs when the settings
+// are saved and again before each send, because DNS can point somewhere else in between.
+
+import dns from 'dns';
+import net from 'net';
+import { createTransientError } from './retry-policy.js';
+
+// Loopback, private, link-local (cloud metadata lives at 169.254.169.254), CGNAT and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Check whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - False for loopback, private, link-local and reserved addresses
+ */
+export function isPublicAddress(address) {
+    // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as the IPv4 address they wrap
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    const ip = mapped ? mapped[1] : address;
+    const family = net.isIP(ip);
+
+    if (family === 0) {
+        return false;
+    }
+
+    return !BLOCKED_ADDRESSES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check whether a host is a local development receiver
+ * Matches the plain http exception in the settings validation, never in production
+ * @param {string} hostname - URL hostname
+ * @returns {boolean} - True for localhost outside production
+ */
+export function isLocalDevelopmentHost(hostname) {
+    return process.env.NODE_ENV !== 'production' && ['localhost', '127.0.0.1'].includes(hostname);
+}
+
+/**
+ * Make sure a webhook URL only resolves to public addresses
+ * @param {string} url - Webhook URL
+ * @returns {Promise<void>}
+ * @throws {Error} - When the host resolves to a non-public address, transient when DNS lookup fails
+ */
+export async function assertPublicWebhookTarget(url) {
+    const { hostname } = new URL(url);
+
+    if (isLocalDevelopmentHost(hostname)) {
+        return;
+    }
+
+    // URL keeps IPv6 literals in brackets
+    const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+        throw createTransientError(`Webhook host ${host} could not be resolved`);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+        const error = new Error('Webhook URL must point to a public address');
+        error.code = 'WEBHOOK_TARGET_BLOCKED';
+        throw error;
+    }
+}
@@ -0,0 +1,305 @@
+// Workflows
+// Validation of multi-step workflows and the conditions that gate their steps
+//
+// A workflow is an ordered list of prompt steps run by one schedule. Each step's content is a
+// prompt template that can also use the outputs of the steps before it. A step's optional
+// condition is checked against its own output: when it isn't met the step's output isn't
+// delivered and the remaining steps don't run.
+
+import { MAX_TITLE_LENGTH, MAX_CONTENT_LENGTH } from './prompt-library.js';
+import { getTemplateVariables, validateTemplate } from './prompt-template.js';
+
+export const MAX_WORKFLOW_STEPS = 5;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_KEYWORD_LENGTH = 200;
+const MAX_PATTERN_LENGTH = 200;
+
+export const CONDITION_TYPES = ['keyword', 'regex', 'json'];
+
+// Comparisons for JSON conditions, ordering operators only apply to numbers
+const COMPARISONS = {
+    '>': (actual, expected) => actual > expected,
+    '>=': (actual, expected) => actual >= expected,
+    '<': (actual, expected) => actual < expected,
+    '<=': (actual, expected) => actual <= expected,
+    '==': (actual, expected) => actual === expected,
+    '!=': (actual, expected) => actual !== expected
+};
+export const JSON_OPERATORS = Object.keys(COMPARISONS);
+
+// Template variable holding the output of the step before
+export const PREVIOUS_OUTPUT = 'previous_output';
+
+/**
+ * Name of the template variable holding a step's output
+ * @param {number} stepNumber - 1-based step number
+ * @returns {string} - e.g. 'step_1_output'
+ */
+function stepOutputName(stepNumber) {
+    return `step_${stepNumber}_output`;
+}
+
+/**
+ * Build the step output variables available to a step
+ * @param {Array<string>} outputs - Outputs of the steps already run, in order
+ * @returns {Object} - { previous_output, step_1_output, ... }, empty for the first step
+ */
+export function buildStepVariables(outputs) {
+    const variables = {};
+
+    outputs.forEach((output, index) => {
+        variables[stepOutputName(index + 1)] = output;
+    });
+
+    if (outputs.length > 0) {
+        variables[PREVIOUS_OUTPUT] = outputs[outputs.length - 1];
+    }
+
+    return variables;
+}
+
+/**
+ * Check a step condition from the request body
+ * @param {*} condition - { type: 'keyword', value, caseSensitive? },
+ *                        { type: 'regex', pattern, flags? } or { type: 'json', path, operator, value }
+ * @returns {Object} - { condition } normalized, or { error }
+ */
+export function normalizeCondition(condition) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        return { error: 'condition must be an object' };
+    }
+
+    if (!CONDITION_TYPES.includes(condition.type)) {
+        return { error: `condition.type must be one of: ${CONDITION_TYPES.join(', ')}` };
+    }
+
+    if (condition.type === 'keyword') {
+        const value = typeof condition.value === 'string' ? condition.value.trim() : '';
+        if (!value || value.length > MAX_KEYWORD_LENGTH) {
+            return { error: `condition.value must be 1-${MAX_KEYWORD_LENGTH} characters` };
+        }
+
+        return { condition: { type: 'keyword', value, caseSensitive: Boolean(condition.caseSensitive) } };
+    }
+
+    if (condition.type === 'regex') {
+        const pattern = typeof condition.pattern === 'string' ? condition.pattern : '';
+        const flags = condition.flags ?? '';
+
+        if (!pattern || pattern.length > MAX_PATTERN_LENGTH) {
+            return { error: `condition.pattern must be 1-${MAX_PATTERN_LENGTH} characters` };
+        }
+
+        if (typeof flags !== 'string' || !/^[imsu]*$/.test(flags)) {
+            return { error: 'condition.flags may only contain i, m, s and u' };
+        }
+
+        try {
+            new RegExp(pattern, flags);
+        } catch (error) {
+            return { error: `Invalid condition.pattern: ${error.message}` };
+        }
+
+        return { condition: { type: 'regex', pattern, flags } };
+    }
+
+    const path = typeof condition.path === 'string' ? condition.path.trim() : '';
+    if (!path || path.split('.').some(segment => !segment)) {
+        return { error: 'condition.path must be a dot-separated field path, e.g. "sentiment.score"' };
+    }
+
+    if (!JSON_OPERATORS.includes(condition.operator)) {
+        return { error: `condition.operator must be one of: ${JSON_OPERATORS.join(', ')}` };
+    }
+
+    const isEquality = condition.operator === '==' || condition.operator === '!=';
+    const valueTypes = isEquality ? ['number', 'string', 'boolean'] : ['number'];
+    if (!valueTypes.includes(typeof condition.value) || Number.isNaN(condition.value)) {
+        return {
+            error: isEquality
+                ? 'condition.value must be a number, string or boolean'
+                : `condition.value must be a number for "${condition.operator}"`
+        };
+    }
+
+    return { condition: { type: 'json', path, operator: condition.operator, value: condition.value } };
+}
+
+/**
+ * Check a workflow from the request body
+ * New workflows need a name and steps. Updates only check the fields sent, steps are replaced as a whole
+ * @param {Object} body - { name?, description?, steps? } where steps are [{ title, content, condition?, notify? }]
+ * @param {boolean} isUpdate - True when editing an existing workflow
+ * @returns {Object} - The fields sent, normalized, or { error }
+ */
+export function parseWorkflowInput(body, isUpdate = false) {
+    const input = {};
+
+    if (body?.name !== undefined || !isUpdate) {
+        const name = typeof body?.name === 'string' ? body.name.trim() : '';
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            return { error: `name must be 1-${MAX_NAME_LENGTH} characters` };
+        }
+        input.name = name;
+    }
+
+    if (body?.description !== undefined) {
+        const { description } = body;
+        if (description !== null && (typeof description !== 'string' || description.trim().length > MAX_DESCRIPTION_LENGTH)) {
+            return { error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+        }
+        input.description = description?.trim() || null;
+    }
+
+    if (body?.steps !== undefined || !isUpdate) {
+        const { steps } = body || {};
+        if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_WORKFLOW_STEPS) {
+            return { error: `steps must be an array of 1-${MAX_WORKFLOW_STEPS} steps` };
+        }
+
+        input.steps = [];
+
+        for (const [index, step] of steps.entries()) {
+            const label = `Step ${index + 1}`;
+            const title = typeof step?.title === 'string' ? step.title.trim() : '';
+            const content = typeof step?.content === 'string' ? step.content.trim() : '';
+
+            if (!title || title.length > MAX_TITLE_LENGTH) {
+                return { error: `${label}: title must be 1-${MAX_TITLE_LENGTH} characters` };
+            }
+
+            if (!content || content.length > MAX_CONTENT_LENGTH) {
+                return { error: `${label}: content must be 1-${MAX_CONTENT_LENGTH} characters` };
+            }
+
+            const template = getTemplateVariables(content);
+            if (template.error) {
+                return { error: `${label}: ${template.error}` };
+            }
+
+            const laterOutputs = template.names.filter(name => {
+                const match = /^step_(\d+)_output$/.exec(name);
+                return match && Number(match[1]) > index;
+            });
+            if (laterOutputs.length > 0 || (index === 0 && template.names.includes(PREVIOUS_OUTPUT))) {
+                return { error: `${label}: only the outputs of earlier steps can be used` };
+            }
+
+            if (step.notify !== undefined && typeof step.notify !== 'boolean') {
+                return { error: `${label}: notify must be true or false` };
+            }
+
+            const normalized = {
+                title,
+                content,
+                condition: null,
+                // By default only the last step's output is delivered
+                notify: step.notify ?? index === steps.length - 1
+            };
+
+            if (step.condition !== undefined && step.condition !== null) {
+                const { condition, error } = normalizeCondition(step.condition);
+                if (error) {
+                    return { error: `${label}: ${error}` };
+                }
+                normalized.condition = condition;
+            }
+
+            input.steps.push(normalized);
+        }
+    }
+
+    if (isUpdate && Object.keys(input).length === 0) {
+        return { error: 'Nothing to update, send name, description and/or steps' };
+    }
+
+    return input;
+}
+
+/**
+ * Check that every step's template only uses built-in, schedule and earlier step variables
+ * @param {Array<Object>} steps - Normalized steps
+ * @param {Object} variables - The schedule's own variables
+ * @returns {string|null} - Error message, or null if all steps are valid
+ */
+export function validateWorkflowTemplates(steps, variables = {}) {
+    for (const [index, step] of steps.entries()) {
+        // Only the names matter for validation, the values come from earlier steps at run time
+        const available = { ...variables, ...buildStepVariables(new Array(index).fill('')) };
+        const error = validateTemplate(step.content, available);
+
+        if (error) {
+            return `Step ${index + 1}: ${error}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Read a JSON object from a step output, allowing a ```json fence around it
+ * @param {string} output - Step output
+ * @returns {*} - Parsed value, or undefined if the output isn't JSON
+ */
+function parseJsonOutput(output) {
+    const text = output.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Check a step's output against its condition
+ * @param {Object} condition - Normalized condition
+ * @param {string} output - Step output
+ * @returns {Object} - { met, reason } where reason explains an unmet condition
+ */
+export function evaluateCondition(condition, output) {
+    const text = String(output ?? '');
+
+    if (condition.type === 'keyword') {
+        const found = condition.caseSensitive
+            ? text.includes(condition.value)
+            : text.toLowerCase().includes(condition.value.toLowerCase());
+
+        return { met: found, reason: found ? null : `Output doesn't contain "${condition.value}"` };
+    }
+
+    if (condition.type === 'regex') {
+        const matched = new RegExp(condition.pattern, condition.flags).test(text);
+        return { met: matched, reason: matched ? null : `Output doesn't match /${condition.pattern}/${condition.flags}` };
+    }
+
+    const parsed = parseJsonOutput(text);
+    if (parsed === undefined) {
+        return { met: false, reason: 'Output is not JSON' };
+    }
+
+    let value = parsed;
+    for (const segment of condition.path.split('.')) {
+        value = value !== null && typeof value === 'object' && Object.hasOwn(value, segment) ? value[segment] : undefined;
+    }
+
+    if (value === undefined) {
+        return { met: false, reason: `Output has no field ${condition.path}` };
+    }
+
+    const isEquality = condition.operator === '==' || condition.operator === '!=';
+    const actual = isEquality || typeof value === 'number' ? value : Number(value);
+
+    // Numeric strings ("0.92") compare as numbers, anything else can't be ordered
+    if (!isEquality && (typeof value === 'boolean' || value === null || value === '' || Number.isNaN(actual))) {
+        return { met: false, reason: `${condition.path} is not a number` };
+    }
+
+    const met = COMPARISONS[condition.operator](actual, condition.value);
+
+    return {
+        met,
+        reason: met ? null : `${condition.path} is ${JSON.stringify(value)}, expected ${condition.operator} ${JSON.stringify(condition.value)}`
+    };
+}
@@ -0,0 +1,50 @@
+// Test account profile updates and email change tokens
+const {
+    parseAccountUpdate,
+    createEmailChangeToken,
+    hashEmailChangeToken,
+    formatEmailChangeNotice
+} = await import('./services/account.js');
+
+function testAccount() {
+    console.log('🧪 Testing account updates\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        const update = parseAccountUpdate({ name: '  Ada Lovelace ', email: ' Ada@Example.com ' });
+        check('Names are trimmed and emails normalized', update.name === 'Ada Lovelace' && update.email === 'ada@example.com');
+        check('Only sent fields are updated', Object.keys(parseAccountUpdate({ name: 'Ada' })).join() === 'name');
+        check('Empty updates are rejected', Boolean(parseAccountUpdate({}).error));
+        check('Blank names are rejected', Boolean(parseAccountUpdate({ name: '   ' }).error));
+        check('Long names are rejected', Boolean(parseAccountUpdate({ name: 'x'.repeat(101) }).error));
+        check('Invalid emails are rejected', Boolean(parseAccountUpdate({ email: 'not-an-email' }).error));
+        check('Non-string emails are rejected', Boolean(parseAccountUpdate({ email: 42 }).error));
+
+        const first = createEmailChangeToken();
+        const second = createEmailChangeToken();
+        check('Tokens are random', first.token !== second.token);
+        check('Token hashes match their token', hashEmailChangeToken(first.token) === first.tokenHash);
+        check('Token hashes differ from the token', first.tokenHash !== first.token && first.tokenHash.length === 64);
+
+        const expiresAt = '2026-03-11T12:00:00.000Z';
+        const code = formatEmailChangeNotice({ token: first.token, newEmail: 'ada@example.com', name: 'Ada', expiresAt });
+        check('Without a confirm URL the email contains the code', code.text.includes(first.token) && code.text.includes('Hi Ada'));
+
+        const link = formatEmailChangeNotice({ token: 'a+b', newEmail: 'ada@example.com', expiresAt, confirmUrl: 'https://example.com/confirm?lang=en' });
+        check('Confirm URLs get the token as a query parameter', link.text.includes('https://example.com/confirm?lang=en&token=a%2Bb'));
+    } catch (error) {
+        console.log(`❌ Account failed: ${error.message}`);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 All account checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testAccount();
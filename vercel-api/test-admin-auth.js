@@ -0,0 +1,130 @@
+// Test admin authentication: ADMIN_API_KEYS parsing, rejected credentials and the guard on every admin route
+// The database is a throwaway SQLite file, none of the checks get past request validation into a query
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+const dbFile = path.join(os.tmpdir(), `test-admin-auth-${process.pid}.sqlite`);
+process.env.TURSO_DATABASE_URL = `file:${dbFile}`;
+process.env.TURSO_AUTH_TOKEN = 'test';
+
+const { turso } = await import('./db/connection.js');
+const { requireAdmin } = await import('./api/admin.js');
+const { default: adminRoutes } = await import('./routes/admin.js');
+const { default: scheduledPromptRoutes } = await import('./routes/scheduled-prompts.js');
+
+function mockResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+/**
+ * Run requireAdmin for one Authorization header
+ * @param {string|undefined} authorization - Header value
+ * @returns {Object} - { res, req, passed }
+ */
+function authenticate(authorization) {
+    const req = { headers: authorization === undefined ? {} : { authorization }, ip: '203.0.113.9' };
+    const res = mockResponse();
+    let passed = false;
+    requireAdmin(req, res, () => { passed = true; });
+    return { req, res, passed };
+}
+
+async function testAdminAuth() {
+    console.log('🧪 Testing admin authentication\n');
+
+    let failures = 0;
+    let server = null;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        delete process.env.ADMIN_API_KEYS;
+        const unset = authenticate('Bearer anything');
+        check('The admin API is off without ADMIN_API_KEYS', !unset.passed && unset.res.statusCode === 503);
+
+        process.env.ADMIN_API_KEYS = ' , ';
+        check('Blank ADMIN_API_KEYS entries configure nothing', authenticate('Bearer ').res.statusCode === 503);
+
+        process.env.ADMIN_API_KEYS = 'alice:s3cret-alice, bob:s3cret:with:colons,bare-secret';
+
+        const alice = authenticate('Bearer s3cret-alice');
+        check('Named credentials are accepted', alice.passed && alice.req.admin.actor === 'alice');
+        check('The client IP is kept for the audit trail', alice.req.admin.ipAddress === '203.0.113.9');
+        check('Secrets may contain colons', authenticate('Bearer s3cret:with:colons').req.admin?.actor === 'bob');
+        check('Bare secrets are recorded as admin', authenticate('Bearer bare-secret').req.admin?.actor === 'admin');
+        check('The Bearer scheme is case-insensitive', authenticate('bearer s3cret-alice').passed);
+
+        const wrong = authenticate('Bearer s3cret-alicf');
+        check('Wrong secrets are rejected', !wrong.passed && wrong.res.statusCode === 401 && wrong.res.body.code === 'ADMIN_AUTH_REQUIRED');
+        check('Missing headers are rejected', authenticate(undefined).res.statusCode === 401);
+        check('Other schemes are rejected', authenticate('Basic s3cret-alice').res.statusCode === 401);
+        check('Names alone are rejected', authenticate('Bearer alice').res.statusCode === 401
+            && authenticate('Bearer alice:s3cret-alice').res.statusCode === 401);
+        check('Secrets of any length are compared safely', authenticate(`Bearer ${'x'.repeat(500)}`).res.statusCode === 401);
+
+        process.env.ADMIN_API_KEYS = 'carol:rotated-secret';
+        check('Changes to ADMIN_API_KEYS apply without a restart', authenticate('Bearer s3cret-alice').res.statusCode === 401
+            && authenticate('Bearer rotated-secret').req.admin?.actor === 'carol');
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/admin', adminRoutes);
+        app.use('/api/scheduled-prompts', scheduledPromptRoutes);
+        server = await new Promise(resolve => {
+            const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+        });
+        const baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+
+        const routes = [
+            ['GET', '/audit'], ['POST', '/keys'], ['GET', '/keys'], ['GET', '/keys/1'], ['PUT', '/keys/1'],
+            ['POST', '/keys/1/revoke'], ['POST', '/keys/1/reactivate'], ['PUT', '/keys/1/customer'],
+            ['DELETE', '/keys/1/sessions'], ['PUT', '/keys/1/entitlements'], ['GET', '/entitlements'],
+            ['PUT', '/entitlements/pro'], ['GET', '/bans'], ['DELETE', '/bans/1']
+        ];
+        const statuses = await Promise.all(routes.map(async ([method, route]) => {
+            const response = await fetch(`${baseUrl}${route}`, { method, headers: { Authorization: 'Bearer s3cret-alice' } });
+            return response.status;
+        }));
+        check('Every admin route rejects a wrong credential', statuses.every(status => status === 401));
+
+        const noHeader = await fetch(`${baseUrl}/keys`);
+        check('Admin routes reject requests without credentials', noHeader.status === 401);
+
+        const accepted = await fetch(`${baseUrl}/keys`, {
+            method: 'POST',
+            headers: { Authorization: 'Bearer rotated-secret', 'Content-Type': 'application/json' },
+            body: JSON.stringify({ status: 'active' })
+        });
+        check('Valid credentials reach the handler', accepted.status === 400 && (await accepted.json()).code === 'INVALID_KEY_FIELDS');
+
+        const executeUrl = baseUrl.replace('/api/admin', '/api/scheduled-prompts/execute');
+        const anonymousExecute = await fetch(executeUrl, { method: 'POST' });
+        const wrongExecute = await fetch(executeUrl, { method: 'POST', headers: { Authorization: 'Bearer s3cret-alice' } });
+        check('Manual execution requires an admin credential', anonymousExecute.status === 401 && wrongExecute.status === 401);
+
+        delete process.env.ADMIN_API_KEYS;
+        check('Admin routes are off once ADMIN_API_KEYS is removed', (await fetch(`${baseUrl}/keys`)).status === 503);
+    } catch (error) {
+        console.log(`❌ Admin authentication failed: ${error.message}`);
+        failures++;
+    } finally {
+        server?.close();
+        turso.close();
+        fs.rmSync(dbFile, { force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 All admin authentication checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testAdminAuth();
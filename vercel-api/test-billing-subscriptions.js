@@ -0,0 +1,86 @@
+// Test how billing events claim a new subscription, so concurrent checkout and invoice events create one key
+// Runs the real queries against a throwaway SQLite file instead of Turso
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dbFile = path.join(os.tmpdir(), `test-billing-subscriptions-${process.pid}.sqlite`);
+process.env.TURSO_DATABASE_URL = `file:${dbFile}`;
+process.env.TURSO_AUTH_TOKEN = 'test';
+
+const { turso } = await import('./db/connection.js');
+const { initBillingDatabase } = await import('./db/init-billing.js');
+const {
+    claimBillingSubscription,
+    releaseBillingSubscriptionClaim,
+    saveBillingSubscription,
+    getBillingSubscription
+} = await import('./db/billing-queries.js');
+
+async function getRow(subscriptionId) {
+    const result = await turso.execute({ sql: 'SELECT * FROM billing_subscriptions WHERE subscription_id = ?', args: [subscriptionId] });
+    return result.rows[0];
+}
+
+async function testBillingSubscriptions() {
+    console.log('🧪 Testing billing subscription claims\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        await turso.execute(`CREATE TABLE pro_keys (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            key_hash TEXT UNIQUE NOT NULL,
+            status TEXT DEFAULT 'active',
+            tier TEXT DEFAULT 'pro',
+            expires_at DATETIME
+        )`);
+        await turso.execute("INSERT INTO pro_keys (key_hash) VALUES ('first-key'), ('second-key')");
+        await initBillingDatabase();
+
+        const claims = await Promise.all([
+            claimBillingSubscription('sub_race', 'cus_race'),
+            claimBillingSubscription('sub_race', 'cus_race')
+        ]);
+        check('Only one concurrent event claims a new subscription', claims.filter(Boolean).length === 1);
+
+        const claimed = await getRow('sub_race');
+        check('The claim has no key yet', claimed.status === 'provisioning' && claimed.pro_key_id === null);
+        check('Claimed subscriptions aren\'t found before their key exists', (await getBillingSubscription('sub_race')) === null);
+
+        await saveBillingSubscription({ subscriptionId: 'sub_race', providerCustomerId: 'cus_race', proKeyId: 1, tier: 'pro', status: 'active' });
+        const saved = await getBillingSubscription('sub_race');
+        check('Saving attaches the key and ends the claim', saved?.status === 'active' && Number(saved.pro_key_id) === 1);
+        check('Provisioned subscriptions can\'t be claimed again', !(await claimBillingSubscription('sub_race', 'cus_race')));
+
+        await releaseBillingSubscriptionClaim('sub_race');
+        check('Releasing leaves provisioned subscriptions alone', (await getRow('sub_race'))?.status === 'active');
+
+        await saveBillingSubscription({ subscriptionId: 'sub_race', proKeyId: 2, status: 'active' });
+        check('Saving updates the key of an existing subscription', Number((await getRow('sub_race')).pro_key_id) === 2);
+
+        check('A failed provisioning can release its claim', await claimBillingSubscription('sub_failed', null));
+        await releaseBillingSubscriptionClaim('sub_failed');
+        check('Released claims can be claimed again', await claimBillingSubscription('sub_failed', null));
+
+        await turso.execute("UPDATE billing_subscriptions SET updated_at = datetime('now', '-1 hour') WHERE subscription_id = 'sub_failed'");
+        check('Claims left by a crash are taken over once stale', await claimBillingSubscription('sub_failed', null));
+        check('Fresh claims are not taken over', !(await claimBillingSubscription('sub_failed', null)));
+    } catch (error) {
+        console.log(`❌ Billing subscription claims failed: ${error.message}`);
+        failures++;
+    } finally {
+        turso.close();
+        fs.rmSync(dbFile, { force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 All billing subscription claim checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testBillingSubscriptions();
@@ -0,0 +1,156 @@
+// Test billing webhook signatures and event handling with the fixture events in fixtures/billing
+// Set BILLING_REPLAY_URL (e.g. http://localhost:3000) to also replay the fixtures against a local server
+// started with the same BILLING_WEBHOOK_SECRET and a scratch database
+import { readFileSync, readdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+process.env.BILLING_PRICE_TIERS = JSON.stringify({ price_mapped: 'team' });
+
+const {
+    BILLING_SIGNATURE_HEADER,
+    parseSignatureHeader,
+    signBillingPayload,
+    verifyBillingSignature,
+    resolveBillingTier,
+    normalizeBillingEvent,
+    formatKeyDeliveryNotice
+} = await import('./services/billing.js');
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'billing');
+const SECRET = process.env.BILLING_WEBHOOK_SECRET || 'whsec_test_secret';
+const NOW = new Date('2029-12-01T00:00:00Z');
+
+// Fixture file to expected normalized action (and a few fields)
+const EXPECTED = {
+    '01-checkout.session.completed.json': { action: 'provision', tier: 'premium', email: 'buyer@example.com', periodEnd: null },
+    '02-invoice.paid.json': { action: 'renew', tier: 'premium', periodEnd: '2030-01-01T00:00:00.000Z' },
+    '03-invoice.paid-renewal.json': { action: 'renew', periodEnd: '2030-02-01T00:00:00.000Z' },
+    '04-customer.subscription.updated.json': { action: 'update', tier: 'pro', periodEnd: '2030-02-01T00:00:00.000Z' },
+    '05-invoice.payment_failed-retrying.json': { action: 'payment_failed', final: false },
+    '06-invoice.payment_failed-final.json': { action: 'payment_failed', final: true },
+    '07-invoice.paid-recovered.json': { action: 'renew', periodEnd: '2030-03-01T00:00:00.000Z' },
+    '08-customer.subscription.deleted.json': { action: 'cancel', periodEnd: '2030-03-01T00:00:00.000Z' },
+    '09-customer.created.json': { action: 'ignore' }
+};
+
+// Response status of each fixture when replayed in order against an empty database
+const EXPECTED_REPLAY = {
+    '01-checkout.session.completed.json': 'processed',
+    '02-invoice.paid.json': 'processed',
+    '03-invoice.paid-renewal.json': 'processed',
+    '04-customer.subscription.updated.json': 'processed',
+    '05-invoice.payment_failed-retrying.json': 'ignored',
+    '06-invoice.payment_failed-final.json': 'processed',
+    '07-invoice.paid-recovered.json': 'processed',
+    '08-customer.subscription.deleted.json': 'processed',
+    '09-customer.created.json': 'ignored'
+};
+
+function loadFixtures() {
+    return readdirSync(FIXTURES_DIR)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => ({ file, body: readFileSync(join(FIXTURES_DIR, file), 'utf8') }));
+}
+
+async function testBilling() {
+    console.log('🧪 Testing billing webhooks\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        const fixtures = loadFixtures();
+        const body = fixtures[0].body;
+        const header = signBillingPayload(body, SECRET);
+
+        check('Signature header is parsed', parseSignatureHeader(`${header},v1=other`).signatures.length === 2);
+        check('A signed event verifies', verifyBillingSignature({ body, header, secret: SECRET }));
+        check('A modified body is rejected', !verifyBillingSignature({ body: body.replace('premium', 'team'), header, secret: SECRET }));
+        check('The wrong secret is rejected', !verifyBillingSignature({ body, header, secret: 'whsec_other' }));
+        check('Old events are rejected',
+            !verifyBillingSignature({ body, header: signBillingPayload(body, SECRET, Math.floor(Date.now() / 1000) - 600), secret: SECRET }));
+        check('Headers without a signature are rejected', !verifyBillingSignature({ body, header: 't=123', secret: SECRET }));
+
+        const rolled = `${signBillingPayload(body, 'whsec_old')},v1=${header.split('v1=')[1]}`;
+        check('Any v1 signature may match while the secret is rolled', verifyBillingSignature({ body, header: rolled, secret: SECRET }));
+
+        check('Price metadata decides the tier', resolveBillingTier({ id: 'price_mapped', metadata: { tier: 'premium' } }) === 'premium');
+        check('BILLING_PRICE_TIERS maps price IDs to tiers', resolveBillingTier({ id: 'price_mapped' }) === 'team');
+        check('Unknown prices keep the key tier', resolveBillingTier({ id: 'price_unknown' }) === null);
+
+        for (const { file, body: fixtureBody } of fixtures) {
+            const expected = EXPECTED[file];
+            if (!expected) {
+                check(`${file} has an expected result`, false);
+                continue;
+            }
+
+            const billing = normalizeBillingEvent(JSON.parse(fixtureBody), { now: NOW });
+            const mismatched = Object.keys(expected).filter(field => billing[field] !== expected[field]);
+            check(`${file} → ${expected.action}${mismatched.length ? ` (wrong ${mismatched.join(', ')})` : ''}`, mismatched.length === 0);
+        }
+
+        const checkout = normalizeBillingEvent(JSON.parse(fixtures[0].body), { now: NOW });
+        check('Subscription checkouts get a provisional period until the invoice arrives',
+            checkout.provisionalPeriodEnd === '2030-01-01T00:00:00.000Z' && checkout.subscriptionId === 'sub_test_1');
+
+        const oneOff = normalizeBillingEvent({
+            type: 'checkout.session.completed',
+            data: { object: { id: 'cs_once', mode: 'payment', payment_status: 'paid', metadata: { period_days: '365' } } }
+        }, { now: NOW });
+        check('One-off checkouts use the session as their subscription and metadata.period_days',
+            oneOff.subscriptionId === 'cs_once' && oneOff.periodEnd === '2030-12-01T00:00:00.000Z' && oneOff.tier === 'pro');
+
+        const unpaid = normalizeBillingEvent({ type: 'checkout.session.completed', data: { object: { payment_status: 'unpaid' } } });
+        check('Unpaid checkouts are ignored', unpaid.action === 'ignore');
+
+        const notice = formatKeyDeliveryNotice({ plainKey: 'hp_abc', tier: 'premium', expiresAt: '2030-01-01T00:00:00Z', name: 'Ada' });
+        check('Key delivery email contains the key', notice.text.includes('hp_abc') && notice.title.includes('premium'));
+
+        if (process.env.BILLING_REPLAY_URL) {
+            await replayFixtures(fixtures, check);
+        } else {
+            console.log('\nℹ️ Set BILLING_REPLAY_URL to replay the fixtures against a local server');
+        }
+    } catch (error) {
+        console.log(`❌ Billing failed: ${error.message}`);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 All billing checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+async function postEvent(body, header) {
+    const response = await fetch(`${process.env.BILLING_REPLAY_URL}/api/billing/webhook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', [BILLING_SIGNATURE_HEADER]: header },
+        body: body
+    });
+
+    return { status: response.status, data: await response.json() };
+}
+
+async function replayFixtures(fixtures, check) {
+    console.log(`\n🔁 Replaying fixtures against ${process.env.BILLING_REPLAY_URL}\n`);
+
+    const forged = await postEvent(fixtures[0].body, signBillingPayload(fixtures[0].body, 'whsec_forged'));
+    check('Forged events are rejected with 400', forged.status === 400 && forged.data.code === 'INVALID_SIGNATURE');
+
+    for (const { file, body } of fixtures) {
+        const result = await postEvent(body, signBillingPayload(body, SECRET));
+        check(`${file} is ${EXPECTED_REPLAY[file]}`, result.status === 200 && result.data.status === EXPECTED_REPLAY[file]);
+    }
+
+    const duplicate = await postEvent(fixtures[0].body, signBillingPayload(fixtures[0].body, SECRET));
+    check('Redelivered events are acknowledged without being applied again',
+        duplicate.status === 200 && duplicate.data.duplicate === true);
+}
+
+testBilling();
@@ -0,0 +1,74 @@
+// Test the brute-force protection policy
+process.env.BRUTE_FORCE_POLICY = JSON.stringify({ freeFailures: 3, key_prefix: { banAfter: 5 }, global: { spikeAfter: 100 } });
+process.env.KEY_LOOKUP_SECRET = process.env.KEY_LOOKUP_SECRET || 'test-lookup-secret';
+
+const {
+    BRUTE_FORCE_POLICY,
+    getAttemptSubjects,
+    getBanDecisions,
+    getBanSeconds,
+    getProgressiveDelaySeconds,
+    getUserAgentAlert,
+    isFailureSpike
+} = await import('./services/brute-force.js');
+const { formatSecurityAlert } = await import('./services/security-alerts.js');
+
+function testBruteForcePolicy() {
+    console.log('🧪 Testing brute-force protection policy\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        check('BRUTE_FORCE_POLICY overrides merge into subject thresholds',
+            BRUTE_FORCE_POLICY.key_prefix.banAfter === 5 && BRUTE_FORCE_POLICY.key_prefix.minIps === 3);
+
+        const subjects = getAttemptSubjects('203.0.113.7', 'Mozilla/5.0', 'hp_guess');
+        check('Key prefix does not contain the key', subjects.key_prefix.length === 16 && !subjects.key_prefix.includes('guess'));
+        check('Same key gives the same prefix from any IP',
+            getAttemptSubjects('198.51.100.1', 'curl/8.0', 'hp_guess').key_prefix === subjects.key_prefix);
+        check('Missing user agent is tracked as Unknown', getAttemptSubjects('203.0.113.7', undefined, 'x').user_agent === 'Unknown');
+
+        check('No delay while under the free failures', getProgressiveDelaySeconds(2) === 0);
+        check('Delay doubles after the free failures',
+            getProgressiveDelaySeconds(3) === 2 && getProgressiveDelaySeconds(4) === 4 && getProgressiveDelaySeconds(5) === 8);
+        check('Delay is capped', getProgressiveDelaySeconds(100) === BRUTE_FORCE_POLICY.maxDelaySeconds);
+
+        check('Global threshold overrides merge', BRUTE_FORCE_POLICY.global.spikeAfter === 100);
+        check('Failures from all IPs over the threshold are a spike', isFailureSpike(100) && !isFailureSpike(99));
+        check('During a spike only the first failure is free',
+            getProgressiveDelaySeconds(1, true) === 2 && getProgressiveDelaySeconds(1) === 0);
+        check('Spike alerts say how many failures', formatSecurityAlert('security.failure_spike', { failures: 120, windowMinutes: 15 })
+            .title.includes('120 failed key validations'));
+
+        check('Ban length doubles for repeat offenders and is capped',
+            getBanSeconds(1) === 2 * getBanSeconds(0) && getBanSeconds(50) === BRUTE_FORCE_POLICY.maxBanSeconds);
+
+        const oneIp = getBanDecisions({ ip: { failures: 5, distinctIps: 1 }, key_prefix: { failures: 5, distinctIps: 1 } });
+        check('Guessing one key from one IP does not ban the key prefix', oneIp.length === 0);
+
+        const spread = getBanDecisions({ key_prefix: { failures: 5, distinctIps: 3 } });
+        check('Guessing one key from several IPs bans the key prefix',
+            spread.length === 1 && spread[0].subjectType === 'key_prefix');
+
+        const flood = getBanDecisions({ ip: { failures: 20, distinctIps: 1 } });
+        check('Many failures from one IP ban the IP', flood.length === 1 && flood[0].subjectType === 'ip');
+
+        const sharedAgent = { user_agent: { failures: 80, distinctIps: 12 } };
+        check('User agents are never banned', getBanDecisions(sharedAgent).length === 0);
+        check('Failures behind one user agent from many IPs alert', getUserAgentAlert(sharedAgent)?.distinctIps === 12);
+        check('Failures behind one user agent from few IPs don\'t alert', getUserAgentAlert({ user_agent: { failures: 80, distinctIps: 2 } }) === null);
+    } catch (error) {
+        console.log(`❌ Brute-force policy failed: ${error.message}`);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 All brute-force policy checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testBruteForcePolicy();
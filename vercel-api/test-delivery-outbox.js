@@ -0,0 +1,216 @@
+// Test the delivery outbox: transient failures are retried, exhausted and permanent ones are dead-lettered
+// Runs the real queries against a throwaway SQLite file instead of Turso, with fetch answering for Discord
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dbFile = path.join(os.tmpdir(), `test-delivery-outbox-${process.pid}.sqlite`);
+process.env.TURSO_DATABASE_URL = `file:${dbFile}`;
+process.env.TURSO_AUTH_TOKEN = 'test';
+delete process.env.TEST_DISCORD_WEBHOOK_URL;
+
+const { turso } = await import('./db/connection.js');
+const { initializeAutomationDatabase } = await import('./db/init-automation.js');
+const { initUserSettings } = await import('./db/init-user-settings.js');
+const { initOrganizationsDatabase } = await import('./db/init-organizations.js');
+const { saveUserIntegrationSettings } = await import('./db/queries.js');
+const { enqueueDeliveries } = await import('./db/delivery-queries.js');
+const { processDeliveryOutbox } = await import('./services/delivery-outbox.js');
+
+const payload = {
+    analysisType: 'Daily check',
+    result: { summary: 'Nothing to report', content: 'All quiet' },
+    date: '2026-10-19T09:00:00Z'
+};
+
+// Statuses the Discord webhook answers with, one per request
+let discordStatuses = [];
+let discordRequests = 0;
+
+globalThis.fetch = async () => {
+    discordRequests++;
+    const status = discordStatuses.shift() ?? 204;
+    return new Response(status === 204 ? null : `status ${status}`, { status });
+};
+
+/**
+ * Queue one delivery for a new execution log
+ * @param {string} destination - Destination name
+ * @param {number} maxAttempts - Attempts before the job is dead-lettered
+ * @param {number} proKeyId - Owning pro key
+ * @returns {Promise<Object>} - { jobId, logId }
+ */
+async function queueDelivery(destination, maxAttempts, proKeyId = 1) {
+    const log = await turso.execute({
+        sql: "INSERT INTO automation_logs (scheduled_prompt_id, status, integration_results) VALUES (1, 'success', '{}') RETURNING id",
+        args: []
+    });
+    const logId = Number(log.rows[0].id);
+    const [jobId] = await enqueueDeliveries({
+        automationLogId: logId,
+        scheduledPromptId: 1,
+        proKeyId: proKeyId,
+        destinations: [destination],
+        payload: payload,
+        maxAttempts: maxAttempts
+    });
+
+    return { jobId, logId };
+}
+
+async function getJob(jobId) {
+    const result = await turso.execute({ sql: 'SELECT * FROM delivery_outbox WHERE id = ?', args: [jobId] });
+    return result.rows[0];
+}
+
+async function getLogResults(logId) {
+    const result = await turso.execute({ sql: 'SELECT integration_results FROM automation_logs WHERE id = ?', args: [logId] });
+    return JSON.parse(result.rows[0].integration_results);
+}
+
+// Skip the backoff wait of a retrying job
+async function makeDue(jobId) {
+    await turso.execute({
+        sql: "UPDATE delivery_outbox SET next_attempt_at = datetime('now', '-1 second') WHERE id = ?",
+        args: [jobId]
+    });
+}
+
+async function drain(statuses = []) {
+    discordStatuses = [...statuses];
+    discordRequests = 0;
+    return processDeliveryOutbox();
+}
+
+async function testDeliveryOutbox() {
+    console.log('🧪 Testing delivery outbox\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        await turso.execute(`CREATE TABLE pro_keys (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            key_hash TEXT UNIQUE NOT NULL,
+            status TEXT DEFAULT 'active'
+        )`);
+        await turso.execute("INSERT INTO pro_keys (key_hash) VALUES ('configured-key'), ('unconfigured-key')");
+        if (!(await initializeAutomationDatabase())) {
+            throw new Error('automation schema could not be applied');
+        }
+        await turso.execute(`INSERT INTO scheduled_prompts (pro_key_id, prompt_title, prompt_content, scheduled_time, user_timezone, display_time)
+                             VALUES (1, 'Check', 'Summarize the news', datetime('now'), 'UTC', 'test')`);
+        await initUserSettings();
+        await initOrganizationsDatabase();
+        await saveUserIntegrationSettings(1, 'discord', { webhookUrl: 'https://discord.test/webhook' });
+
+        const retried = await queueDelivery('discord', 3);
+        let summary = await drain([503]);
+        let job = await getJob(retried.jobId);
+        check('Transient failures are retried', summary.retrying === 1 && job.status === 'pending' && Number(job.attempt_count) === 1);
+        check('Retries wait for their backoff', new Date(job.next_attempt_at) > new Date() && job.last_error.includes('503'));
+        check('Retries release the lease', job.lease_owner === null && job.lease_expires_at === null);
+        check('The execution log shows the retry', (await getLogResults(retried.logId)).discordStatus === 'retrying');
+
+        summary = await drain();
+        check('Jobs aren\'t sent again before their backoff ends', discordRequests === 0 && summary.retrying === 0);
+
+        await makeDue(retried.jobId);
+        summary = await drain([204]);
+        job = await getJob(retried.jobId);
+        check('Due retries are delivered', summary.delivered === 1 && job.status === 'delivered' && job.delivered_at !== null);
+        check('Delivered jobs clear their error', job.last_error === null && Number(job.attempt_count) === 2);
+        const delivered = await getLogResults(retried.logId);
+        check('The execution log shows the delivery', delivered.discord === true && delivered.discordStatus === 'delivered');
+
+        summary = await drain();
+        check('Delivered jobs aren\'t sent again', discordRequests === 0 && summary.delivered === 0);
+
+        const exhausted = await queueDelivery('discord', 2);
+        await drain([503]);
+        await makeDue(exhausted.jobId);
+        summary = await drain([503]);
+        job = await getJob(exhausted.jobId);
+        check('Jobs out of attempts are dead-lettered', summary.failed === 1 && job.status === 'failed' && Number(job.attempt_count) === 2);
+        check('Dead-lettered jobs keep their last error', job.last_error.includes('503'));
+        const exhaustedLog = await getLogResults(exhausted.logId);
+        check('The execution log shows the failure', exhaustedLog.discord === false && exhaustedLog.discordStatus === 'failed');
+
+        await makeDue(exhausted.jobId);
+        await drain();
+        check('Dead-lettered jobs aren\'t retried', discordRequests === 0);
+
+        const rejected = await queueDelivery('discord', 5);
+        summary = await drain([404]);
+        job = await getJob(rejected.jobId);
+        check('Permanent failures are dead-lettered at once', summary.failed === 1 && job.status === 'failed' && Number(job.attempt_count) === 1);
+
+        const unconfigured = await queueDelivery('discord', 5, 2);
+        await drain();
+        job = await getJob(unconfigured.jobId);
+        check('Destinations without settings fail without sending', discordRequests === 0 && job.status === 'failed'
+            && job.last_error === 'Discord settings not configured');
+
+        // A database outage while reading the settings says nothing about whether they exist
+        const outage = await queueDelivery('discord', 3);
+        const execute = turso.execute;
+        turso.execute = async statement => {
+            if (String(statement.sql || statement).includes('integration_settings')) {
+                throw new Error('SQLITE_BUSY: database is locked');
+            }
+            return execute.call(turso, statement);
+        };
+        try {
+            summary = await drain();
+        } finally {
+            turso.execute = execute;
+        }
+        job = await getJob(outage.jobId);
+        check('Settings lookup failures are retried', summary.retrying === 1 && job.status === 'pending'
+            && discordRequests === 0 && !job.last_error.includes('not configured'));
+
+        await makeDue(outage.jobId);
+        summary = await drain([204]);
+        check('Jobs are delivered once the settings can be read', summary.delivered === 1 && (await getJob(outage.jobId)).status === 'delivered');
+
+        const unknown = await queueDelivery('pager', 5);
+        await drain();
+        check('Unknown destinations fail', (await getJob(unknown.jobId)).last_error === 'Unknown destination: pager');
+
+        // A worker that crashed mid-send leaves the job 'sending' with a lease that runs out
+        const orphaned = await queueDelivery('discord', 3);
+        await turso.execute({
+            sql: `UPDATE delivery_outbox SET status = 'sending', lease_owner = 'crashed-worker',
+                  lease_expires_at = datetime('now', '-1 minute') WHERE id = ?`,
+            args: [orphaned.jobId]
+        });
+        summary = await drain([204]);
+        job = await getJob(orphaned.jobId);
+        check('Jobs left by a crashed worker are recovered and delivered', summary.delivered === 1 && job.status === 'delivered');
+
+        const leased = await queueDelivery('discord', 3);
+        await turso.execute({
+            sql: `UPDATE delivery_outbox SET status = 'sending', lease_owner = 'busy-worker',
+                  lease_expires_at = datetime('now', '+5 minutes') WHERE id = ?`,
+            args: [leased.jobId]
+        });
+        await drain();
+        job = await getJob(leased.jobId);
+        check('Jobs another worker is sending are left alone', discordRequests === 0 && job.lease_owner === 'busy-worker');
+    } catch (error) {
+        console.log(`❌ Delivery outbox failed: ${error.message}`);
+        failures++;
+    } finally {
+        turso.close();
+        fs.rmSync(dbFile, { force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 All delivery outbox checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testDeliveryOutbox();
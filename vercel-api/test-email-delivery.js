@@ -0,0 +1,152 @@
+// Test email delivery against a local SMTP sink
+import net from 'net';
+import { sendAnalysisToEmail } from './services/integrations.js';
+import { createEmailTransport, setEmailTransport, validateEmailSettings } from './services/email.js';
+
+const SMTP_PORT = Number(process.env.TEST_SMTP_PORT || 2526);
+
+const analysisData = {
+    analysisType: 'Daily Market Brief',
+    result: {
+        summary: 'BTC is consolidating above support.',
+        content: 'Price action has been **range-bound** for three sessions.\n\nWatch CPI on Thursday & Friday <b>closely</b>.',
+        keyPoints: ['Support holding', 'Volume declining']
+    },
+    date: new Date().toISOString()
+};
+
+/**
+ * Decode quoted-printable text (enough for the ASCII checks below)
+ */
+function decodeQuotedPrintable(text) {
+    return text
+        .replace(/=\r\n/g, '')
+        .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Decode Q-encoded header words such as =?UTF-8?Q?Daily_Market_Brief?=
+ */
+function decodeHeader(value) {
+    return value
+        .replace(/\?=\s+=\?UTF-8\?Q\?/gi, '')
+        .replace(/=\?UTF-8\?Q\?(.*?)\?=/gi, (match, encoded) => decodeQuotedPrintable(encoded.replace(/_/g, ' ')));
+}
+
+/**
+ * Minimal SMTP server that stores every message it accepts
+ * Recipients containing "busy" get a temporary 451, "reject" a permanent 550
+ */
+function startSmtpSink(messages) {
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        let current = { from: null, to: [], data: '' };
+
+        socket.write('220 localhost SMTP sink ready\r\n');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString();
+            let index;
+
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.substring(0, index);
+                buffer = buffer.substring(index + 2);
+
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        messages.push(current);
+                        current = { from: null, to: [], data: '' };
+                        socket.write('250 2.0.0 Queued\r\n');
+                    } else {
+                        current.data += line.replace(/^\.\./, '.') + '\r\n';
+                    }
+                    continue;
+                }
+
+                const command = line.substring(0, 4).toUpperCase();
+
+                if (command === 'EHLO') {
+                    socket.write('250-localhost\r\n250 8BITMIME\r\n');
+                } else if (command === 'MAIL') {
+                    current.from = line;
+                    socket.write('250 2.1.0 OK\r\n');
+                } else if (command === 'RCPT') {
+                    if (line.includes('busy')) {
+                        socket.write('451 4.3.0 Mailbox busy, try again later\r\n');
+                    } else if (line.includes('reject')) {
+                        socket.write('550 5.1.1 No such user\r\n');
+                    } else {
+                        current.to.push(line);
+                        socket.write('250 2.1.5 OK\r\n');
+                    }
+                } else if (command === 'DATA') {
+                    inData = true;
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 2.0.0 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+
+    return new Promise(resolve => server.listen(SMTP_PORT, '127.0.0.1', () => resolve(server)));
+}
+
+async function testEmailDelivery() {
+    console.log(`🧪 Testing email delivery against local SMTP sink on port ${SMTP_PORT}\n`);
+
+    const messages = [];
+    const server = await startSmtpSink(messages);
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    setEmailTransport(createEmailTransport({
+        host: '127.0.0.1',
+        port: SMTP_PORT,
+        secure: false,
+        user: null,
+        from: 'Agent Hustle Pro <no-reply@example.com>'
+    }));
+
+    try {
+        const sent = await sendAnalysisToEmail(analysisData, ['alice@example.com', 'bob@example.com']);
+        check('Email accepted by SMTP sink', sent.success && messages.length === 1);
+
+        const message = messages[0]?.data || '';
+        const subject = decodeHeader((message.match(/^Subject: (.*(?:\r\n\s+.*)*)/m) || [])[1] || '');
+        const decoded = decodeQuotedPrintable(message);
+        check('Sent to both recipients', messages[0]?.to.length === 2);
+        check('Multipart with plain text and HTML', /multipart\/alternative/i.test(message)
+            && /Content-Type: text\/plain/i.test(message) && /Content-Type: text\/html/i.test(message));
+        check('Subject includes analysis type', subject.includes('Daily Market Brief'));
+        check('HTML escapes model output', decoded.includes('Thursday &amp; Friday')
+            && decoded.includes('<strong>range-bound</strong>') && !decoded.includes('<b>closely'));
+
+        const busy = await sendAnalysisToEmail(analysisData, ['busy@example.com']);
+        check('Temporary SMTP failure is transient', !busy.success && busy.transient === true);
+
+        const rejected = await sendAnalysisToEmail(analysisData, ['reject@example.com']);
+        check('Permanent SMTP failure is not transient', !rejected.success && rejected.transient === false);
+
+        check('Settings validation rejects bad addresses', validateEmailSettings({ recipients: ['not-an-email'] }) !== null);
+        check('Settings validation accepts account email only', validateEmailSettings({ includeAccountEmail: true }) === null);
+    } catch (error) {
+        console.log(`❌ Email delivery failed: ${error.message}`);
+        failures++;
+    }
+
+    server.close();
+
+    console.log(failures === 0 ? '\n🎉 All email delivery checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testEmailDelivery();
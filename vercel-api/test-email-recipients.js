@@ -0,0 +1,123 @@
+// Test that email integrations only mail the account email and recipients who confirmed their address
+// Runs the real queries against a throwaway SQLite file instead of Turso, with a transport that keeps the emails
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dbFile = path.join(os.tmpdir(), `test-email-recipients-${process.pid}.sqlite`);
+process.env.TURSO_DATABASE_URL = `file:${dbFile}`;
+process.env.TURSO_AUTH_TOKEN = 'test';
+delete process.env.EMAIL_RECIPIENT_CONFIRM_URL;
+
+const { turso } = await import('./db/connection.js');
+const { initAccountDatabase } = await import('./db/init-account.js');
+const { setEmailTransport } = await import('./services/email.js');
+const { MAX_RECIPIENT_CONFIRMATIONS_PER_DAY } = await import('./services/account.js');
+const { resolveEmailRecipients } = await import('./services/delivery-outbox.js');
+const { requestRecipientConfirmations } = await import('./api/user-settings.js');
+const { confirmEmailRecipient } = await import('./api/account.js');
+
+const sent = [];
+setEmailTransport({
+    sendMail: async message => {
+        sent.push(message);
+        return { messageId: `test-${sent.length}` };
+    }
+});
+
+function mockResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+/**
+ * Confirm a recipient with the code from its confirmation email
+ * @param {string} email - Recipient address
+ * @returns {Promise<Object>} - Mock response
+ */
+async function confirmFromEmail(email) {
+    const message = sent.filter(item => item.to === email).pop();
+    const token = message.text.match(/added you:\n\n(\S+)/)[1];
+    const res = mockResponse();
+    await confirmEmailRecipient({ body: { token }, headers: {}, ip: '203.0.113.9' }, res);
+    return res;
+}
+
+async function testEmailRecipients() {
+    console.log('🧪 Testing email recipient confirmations\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        await turso.execute(`CREATE TABLE pro_keys (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            key_hash TEXT UNIQUE NOT NULL
+        )`);
+        await turso.execute(`CREATE TABLE customers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            pro_key_id INTEGER,
+            email TEXT
+        )`);
+        await turso.execute("INSERT INTO pro_keys (key_hash) VALUES ('first-key'), ('second-key')");
+        await turso.execute("INSERT INTO customers (pro_key_id, email) VALUES (1, 'Owner@Example.com'), (2, 'member@example.com')");
+        await initAccountDatabase();
+
+        const owner = { proKeyId: 1 };
+        const settings = { recipients: ['Friend@Example.com', 'owner@example.com', 'victim@example.com'], includeAccountEmail: true };
+
+        const pending = await requestRecipientConfirmations(owner, settings.recipients, 'Owner@Example.com');
+        check('New recipients wait for confirmation', pending.join() === 'friend@example.com,victim@example.com');
+        check('Each new recipient gets one confirmation email', sent.length === 2
+            && sent.every(message => message.subject === 'Confirm Agent Hustle analysis emails'));
+        check('The account email needs no confirmation', !sent.some(message => message.to === 'owner@example.com'));
+
+        const recipients = await resolveEmailRecipients(1, settings);
+        check('Unconfirmed recipients get no analysis emails', recipients.join() === 'Owner@Example.com');
+
+        await requestRecipientConfirmations(owner, settings.recipients, 'Owner@Example.com');
+        check('Saving again doesn\'t resend pending confirmations', sent.length === 2);
+
+        const confirmed = await confirmFromEmail('friend@example.com');
+        check('Recipients confirm with the emailed code', confirmed.statusCode === 200 && confirmed.body.data.email === 'friend@example.com');
+        check('Confirmed recipients get analysis emails', (await resolveEmailRecipients(1, settings)).join() === 'Owner@Example.com,Friend@Example.com');
+        check('Account emails can be left out', (await resolveEmailRecipients(1, { recipients: ['friend@example.com'], includeAccountEmail: false })).join() === 'friend@example.com');
+
+        const reused = await confirmFromEmail('friend@example.com');
+        check('Codes only work once', reused.statusCode === 400 && reused.body.code === 'INVALID_RECIPIENT_TOKEN');
+
+        const other = await resolveEmailRecipients(2, settings);
+        check('Confirmations only count for the key that added the recipient', other.join() === 'member@example.com');
+        check('Shared settings need their own confirmations', (await resolveEmailRecipients(2, settings, { organizationId: 7 })).join() === 'member@example.com');
+
+        await turso.execute("UPDATE email_recipient_confirmations SET expires_at = datetime('now', '-1 minute') WHERE email = 'victim@example.com'");
+        const expired = await confirmFromEmail('victim@example.com');
+        check('Expired codes are rejected', expired.statusCode === 400);
+        await requestRecipientConfirmations(owner, settings.recipients, 'Owner@Example.com');
+        check('Expired confirmations are sent again on the next save', sent.filter(message => message.to === 'victim@example.com').length === 2);
+
+        const flood = Array.from({ length: MAX_RECIPIENT_CONFIRMATIONS_PER_DAY + 5 }, (_, index) => `flood${index}@example.com`);
+        const before = sent.length;
+        await requestRecipientConfirmations({ organizationId: 7 }, flood, null);
+        check('Confirmation emails are limited per day', sent.length - before === MAX_RECIPIENT_CONFIRMATIONS_PER_DAY);
+    } catch (error) {
+        console.log(`❌ Email recipient confirmations failed: ${error.message}`);
+        failures++;
+    } finally {
+        turso.close();
+        fs.rmSync(dbFile, { force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 All email recipient checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testEmailRecipients();
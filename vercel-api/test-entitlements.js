@@ -0,0 +1,74 @@
+// Test entitlement resolution and validation
+import {
+    DEFAULT_TIER_ENTITLEMENTS,
+    resolveEntitlements,
+    toEntitlementColumns,
+    parseEntitlementFields,
+    getScheduleEntitlementError
+} from './services/entitlements.js';
+
+const KNOWN = {
+    integrations: ['telegram', 'discord', 'slack', 'email', 'webhook'],
+    recurrence: ['cron', 'rrule']
+};
+
+const TIER_ROWS = [
+    { tier: 'pro', max_schedules: 10, max_executions_per_day: 100, allowed_integrations: '["telegram","email"]', allowed_recurrence: '["cron"]', retention_days: 2 },
+    { tier: 'premium', max_schedules: 25, max_executions_per_day: 300, allowed_integrations: '["telegram","discord","slack","email","webhook"]', allowed_recurrence: '["cron","rrule"]', retention_days: 14 }
+];
+
+function testEntitlements() {
+    console.log('🧪 Testing entitlements\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        const premium = resolveEntitlements('premium', TIER_ROWS);
+        check('Tier row values are used', premium.maxSchedules === 25 && premium.retentionDays === 14 && premium.overrides.length === 0);
+
+        const unknown = resolveEntitlements('legacy', TIER_ROWS);
+        check('Unknown tiers use the pro row', unknown.tier === 'legacy' && unknown.maxSchedules === 10);
+
+        const empty = resolveEntitlements('pro', []);
+        check('Missing rows fall back to the defaults', empty.maxExecutionsPerDay === DEFAULT_TIER_ENTITLEMENTS.maxExecutionsPerDay);
+
+        const overridden = resolveEntitlements('pro', TIER_ROWS, { max_schedules: 50, allowed_integrations: '["slack"]', retention_days: null });
+        check('Overrides replace only the columns they set',
+            overridden.maxSchedules === 50 && overridden.integrations.join() === 'slack' && overridden.retentionDays === 2);
+        check('Overridden fields are listed', overridden.overrides.join() === 'maxSchedules,integrations');
+
+        const zero = resolveEntitlements('pro', TIER_ROWS, { max_executions_per_day: 0 });
+        check('A zero override is kept', zero.maxExecutionsPerDay === 0);
+
+        check('Lists are stored as JSON',
+            toEntitlementColumns({ integrations: ['email'], maxSchedules: 3, retentionDays: null }).allowed_integrations === '["email"]');
+
+        const parsed = parseEntitlementFields({ maxSchedules: 5, integrations: ['slack', 'slack'] }, { known: KNOWN });
+        check('Valid fields parse and lists are deduplicated', !parsed.error && parsed.fields.integrations.length === 1);
+        check('Unknown integrations are rejected', !!parseEntitlementFields({ integrations: ['fax'] }, { known: KNOWN }).error);
+        check('Negative counts are rejected', !!parseEntitlementFields({ maxSchedules: -1 }, { known: KNOWN }).error);
+        check('Retention must be at least a day', !!parseEntitlementFields({ retentionDays: 0 }, { known: KNOWN }).error);
+        check('null is only accepted for overrides',
+            !!parseEntitlementFields({ maxSchedules: null }, { known: KNOWN }).error
+            && parseEntitlementFields({ maxSchedules: null }, { known: KNOWN, allowNull: true }).fields.maxSchedules === null);
+
+        const pro = resolveEntitlements('pro', TIER_ROWS);
+        check('Allowed schedules pass', getScheduleEntitlementError(pro, { integrations: { telegram: true }, recurrence: { type: 'cron' } }) === null);
+        check('Disabled integrations are not checked', getScheduleEntitlementError(pro, { integrations: { slack: false } }) === null);
+        check('Integrations outside the plan are rejected', getScheduleEntitlementError(pro, { integrations: { slack: true } })?.includes('slack'));
+        check('Recurrence outside the plan is rejected', !!getScheduleEntitlementError(pro, { recurrence: { type: 'rrule' } }));
+    } catch (error) {
+        console.log(`❌ Entitlements failed: ${error.message}`);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 All entitlement checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testEntitlements();
@@ -0,0 +1,74 @@
+// Test versioned pro key hashing
+import {
+    CURRENT_HASH_VERSION,
+    createKeyHash,
+    hashKeyLegacy,
+    computeKeyLookup,
+    needsRehash,
+    verifyKeyHash
+} from './services/key-hashing.js';
+
+async function testKeyHashing() {
+    console.log('🧪 Testing versioned pro key hashing\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        const key = 'hp_test-key-for-hashing';
+        const legacyRow = { key_hash: hashKeyLegacy(key), key_salt: null, hash_version: null };
+
+        check('Legacy rows without a version verify as version 1', await verifyKeyHash(key, legacyRow));
+        check('Legacy rows need rehashing', needsRehash(legacyRow));
+        check('Wrong key is rejected for legacy rows', !(await verifyKeyHash('hp_other-key', legacyRow)));
+
+        const first = await createKeyHash(key);
+        const second = await createKeyHash(key);
+        const currentRow = { key_hash: first.keyHash, key_salt: first.keySalt, hash_version: first.hashVersion };
+
+        check('New hashes use the current version', first.hashVersion === CURRENT_HASH_VERSION);
+        check('Each key gets its own salt', first.keySalt !== second.keySalt && first.keyHash !== second.keyHash);
+        check('Lookup digest is stable', first.keyLookup === second.keyLookup && first.keyLookup === computeKeyLookup(key));
+        check('Current rows verify', await verifyKeyHash(key, currentRow));
+        check('Current rows do not need rehashing', !needsRehash(currentRow));
+        check('Wrong key is rejected for current rows', !(await verifyKeyHash('hp_other-key', currentRow)));
+        check('Unknown versions never verify', !(await verifyKeyHash(key, { ...currentRow, hash_version: 99 })));
+
+        const lookupSecret = process.env.KEY_LOOKUP_SECRET;
+        const nodeEnv = process.env.NODE_ENV;
+        try {
+            process.env.KEY_LOOKUP_SECRET = 'test-lookup-secret';
+            const configured = computeKeyLookup(key);
+            process.env.KEY_LOOKUP_SECRET = 'other-lookup-secret';
+            check('Lookup digests depend on KEY_LOOKUP_SECRET', computeKeyLookup(key) !== configured);
+
+            delete process.env.KEY_LOOKUP_SECRET;
+            process.env.NODE_ENV = 'production';
+            let lookupError = null;
+            try {
+                computeKeyLookup(key);
+            } catch (error) {
+                lookupError = error;
+            }
+            check('Production refuses key lookups without KEY_LOOKUP_SECRET', lookupError?.message.includes('KEY_LOOKUP_SECRET'));
+            check('Production refuses to issue keys without KEY_LOOKUP_SECRET', await createKeyHash(key).then(() => false, () => true));
+        } finally {
+            process.env.NODE_ENV = nodeEnv;
+            if (nodeEnv === undefined) delete process.env.NODE_ENV;
+            process.env.KEY_LOOKUP_SECRET = lookupSecret;
+            if (lookupSecret === undefined) delete process.env.KEY_LOOKUP_SECRET;
+        }
+    } catch (error) {
+        console.log(`❌ Key hashing failed: ${error.message}`);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 All key hashing checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testKeyHashing();
@@ -0,0 +1,67 @@
+// Test membership expiry, grace period and expiry notice thresholds
+process.env.MEMBERSHIP_GRACE_DAYS = '3';
+process.env.EXPIRY_NOTICE_DAYS = '1, 7,3,0,3,x';
+
+const {
+    EXPIRY_NOTICE_DAYS,
+    getMembershipStatus,
+    getDueExpiryNotice,
+    formatExpiryNotice
+} = await import('./services/membership.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+function inDays(days) {
+    return new Date(NOW.getTime() + days * DAY_MS).toISOString();
+}
+
+function testMembership() {
+    console.log('🧪 Testing membership expiry\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        check('EXPIRY_NOTICE_DAYS is parsed, deduplicated and sorted', EXPIRY_NOTICE_DAYS.join() === '7,3,1,0');
+
+        check('Keys without expiry are active', getMembershipStatus(null, NOW).status === 'active');
+
+        const active = getMembershipStatus(inDays(2.5), NOW);
+        check('Keys before expiry are active', active.status === 'active' && active.daysRemaining === 3 && !active.isExpired);
+
+        const grace = getMembershipStatus(inDays(-1), NOW);
+        check('Keys inside the grace period are in_grace',
+            grace.status === 'in_grace' && grace.isExpired && grace.graceDaysRemaining === 2 && grace.daysRemaining === 0);
+        check('Grace ends the configured days after expiry', grace.graceEndsAt === inDays(2));
+
+        check('Keys past the grace period are expired', getMembershipStatus(inDays(-3.5), NOW).status === 'expired');
+
+        check('Nothing is due before the first threshold', getDueExpiryNotice(inDays(10), [], NOW) === null);
+        check('The 7 day notice is due a week before expiry', getDueExpiryNotice(inDays(6.5), [], NOW) === 7);
+        check('Sent notices are not repeated', getDueExpiryNotice(inDays(6.5), [7], NOW) === null);
+        check('Only the most urgent missed notice is sent', getDueExpiryNotice(inDays(2), [], NOW) === 3);
+        check('Later thresholds are still sent after earlier ones', getDueExpiryNotice(inDays(0.5), [7, 3], NOW) === 1);
+        check('The expiry notice is due once the key expires', getDueExpiryNotice(inDays(-0.5), [7, 3, 1], NOW) === 0);
+        check('No notices once the grace period is over', getDueExpiryNotice(inDays(-4), [], NOW) === null);
+
+        const upcoming = formatExpiryNotice({ expiresAt: inDays(2.5), tier: 'premium', customerName: 'Ann' }, NOW);
+        check('Upcoming expiry notice names the plan and days left',
+            upcoming.title.includes('premium') && upcoming.title.includes('3 days') && upcoming.text.includes('Hi Ann'));
+
+        const expired = formatExpiryNotice({ expiresAt: inDays(-1), tier: null }, NOW);
+        check('Expired notice mentions the grace period', expired.title.includes('has expired') && expired.text.includes('keeps working until'));
+    } catch (error) {
+        console.log(`❌ Membership failed: ${error.message}`);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 All membership checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testMembership();
@@ -0,0 +1,69 @@
+// Test organization roles, permissions and usage totals
+const {
+    canManageOrganization,
+    getJoinError,
+    getMemberAddError,
+    getRoleChangeError,
+    getMemberRemovalError,
+    parseOrganizationName,
+    parseScheduleQuota,
+    parseUsageDays,
+    summarizeOrganizationUsage,
+    MAX_USAGE_DAYS
+} = await import('./services/organizations.js');
+
+function testOrganizations() {
+    console.log('🧪 Testing organizations\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        check('Owners and admins manage, members do not',
+            canManageOrganization('owner') && canManageOrganization('admin') && !canManageOrganization('member'));
+        check('Trial keys cannot join', getJoinError({ tier: 'trial' })?.code === 'ORG_TIER_NOT_ALLOWED');
+        check('Pro keys can join', getJoinError({ tier: 'pro' }) === null);
+
+        check('Admins can add members', getMemberAddError('admin', 'member') === null);
+        check('Only owners can add admins', getMemberAddError('admin', 'admin')?.code === 'ORG_FORBIDDEN' && getMemberAddError('owner', 'admin') === null);
+        check('Members cannot add keys', getMemberAddError('member', 'member')?.code === 'ORG_FORBIDDEN');
+        check('Keys cannot be added as owner', getMemberAddError('owner', 'owner')?.code === 'INVALID_ROLE');
+
+        check('Owners change roles', getRoleChangeError('owner', 'admin', false) === null);
+        check('Admins cannot change roles', getRoleChangeError('admin', 'member', false)?.code === 'ORG_FORBIDDEN');
+        check('Unknown roles are rejected', getRoleChangeError('owner', 'boss', false)?.code === 'INVALID_ROLE');
+        check('Owners cannot change their own role', getRoleChangeError('owner', 'member', true)?.code === 'INVALID_ROLE');
+
+        check('Members can leave', getMemberRemovalError('member', 'member', true) === null);
+        check('Owners cannot leave', getMemberRemovalError('owner', 'owner', true)?.code === 'ORG_OWNER_CANNOT_LEAVE');
+        check('Admins remove members', getMemberRemovalError('admin', 'member', false) === null);
+        check('Admins cannot remove admins', getMemberRemovalError('admin', 'admin', false)?.code === 'ORG_FORBIDDEN');
+        check('Members cannot remove anyone', getMemberRemovalError('member', 'member', false)?.code === 'ORG_FORBIDDEN');
+
+        check('Names are trimmed', parseOrganizationName('  Acme ').name === 'Acme');
+        check('Blank names are rejected', Boolean(parseOrganizationName('  ').error));
+        check('Quotas accept null and integers', parseScheduleQuota(null).maxSchedules === null && parseScheduleQuota(25).maxSchedules === 25);
+        check('Negative and fractional quotas are rejected', Boolean(parseScheduleQuota(-1).error) && Boolean(parseScheduleQuota(2.5).error));
+        check('Usage days default and clamp', parseUsageDays(undefined) === 30 && parseUsageDays('1000') === MAX_USAGE_DAYS && parseUsageDays('0') === 1);
+
+        const totals = summarizeOrganizationUsage([
+            { validations: 10, active_schedules: 2, executions: 4, successful: 3, failed: 1, skipped: 0, total_tokens: 100 },
+            { validations: 5, active_schedules: 1, executions: 0, successful: 0, failed: 0, skipped: 2, total_tokens: 0 }
+        ]);
+        check('Usage totals add up across keys', totals.keys === 2 && totals.validations === 15 && totals.executions === 4 && totals.skipped === 2 && totals.totalTokens === 100);
+        check('Success rate uses finished runs', totals.successRate === '75.0');
+        check('Empty organizations have no success rate', summarizeOrganizationUsage([]).successRate === 0);
+    } catch (error) {
+        console.log(`❌ Organizations failed: ${error.message}`);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 All organization checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testOrganizations();
@@ -0,0 +1,85 @@
+// Test Prompt Executor against a local mock chat completions server
+import http from 'http';
+import { OpenAICompatibleExecutor } from './services/prompt-executor.js';
+
+const MOCK_PORT = 4010;
+
+// Replies the mock server cycles through: strict JSON, fenced JSON, plain text
+const MOCK_REPLIES = [
+    JSON.stringify({
+        summary: 'BTC is consolidating above support.',
+        content: 'Price action has been range-bound for three sessions.',
+        keyPoints: ['Support holding', 'Volume declining']
+    }),
+    '```json\n{"summary": "Fenced reply", "content": "Wrapped in a code block", "keyPoints": ["One"]}\n```',
+    'Markets were quiet today.\n\n- ETH outperformed\n- SOL lagged\n1. Watch CPI on Thursday'
+];
+
+function startMockServer() {
+    let requestCount = 0;
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (req.url !== '/v1/chat/completions') {
+                res.writeHead(404);
+                return res.end();
+            }
+
+            const request = JSON.parse(body);
+            const reply = MOCK_REPLIES[requestCount++ % MOCK_REPLIES.length];
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                model: request.model,
+                choices: [{ message: { role: 'assistant', content: reply } }],
+                usage: { prompt_tokens: 42, completion_tokens: 17, total_tokens: 59 }
+            }));
+        });
+    });
+
+    return new Promise(resolve => server.listen(MOCK_PORT, () => resolve(server)));
+}
+
+async function testPromptExecutor() {
+    console.log('🧪 Testing Prompt Executor against local mock server\n');
+
+    const server = await startMockServer();
+    const executor = new OpenAICompatibleExecutor({
+        apiUrl: `http://localhost:${MOCK_PORT}/v1`,
+        apiKey: 'test-key',
+        model: 'mock-model'
+    });
+
+    let failures = 0;
+
+    for (let i = 1; i <= MOCK_REPLIES.length; i++) {
+        try {
+            const execution = await executor.execute({
+                title: 'Daily Market Brief',
+                content: 'Summarize the crypto market today'
+            });
+
+            const { result, usage, model } = execution;
+            const ok = result.summary && result.content && Array.isArray(result.keyPoints)
+                && usage.totalTokens === 59 && model === 'mock-model';
+
+            console.log(`${ok ? '✅' : '❌'} Reply ${i}: ${result.summary}`);
+            console.log(`   Key points: ${result.keyPoints.join(' | ')}`);
+            console.log(`   Tokens: ${usage.promptTokens} + ${usage.completionTokens} = ${usage.totalTokens}`);
+
+            if (!ok) failures++;
+        } catch (error) {
+            console.log(`❌ Reply ${i} failed: ${error.message}`);
+            failures++;
+        }
+    }
+
+    server.close();
+
+    console.log(failures === 0 ? '\n🎉 All prompt executor checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testPromptExecutor();
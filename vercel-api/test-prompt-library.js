@@ -0,0 +1,51 @@
+// Test prompt library validation, tags and version selection
+const {
+    normalizeTags,
+    parsePromptInput,
+    parsePromptVersion,
+    isNewVersion,
+    MAX_TAGS
+} = await import('./services/prompt-library.js');
+
+function testPromptLibrary() {
+    console.log('🧪 Testing prompt library\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        check('Tags are trimmed, lowercased and deduplicated', normalizeTags([' Reports ', 'reports', 'daily-news']).tags.join() === 'reports,daily-news');
+        check('Tags must be an array', Boolean(normalizeTags('reports').error));
+        check('Tags with symbols are rejected', Boolean(normalizeTags(['#hot']).error));
+        check('Too many tags are rejected', Boolean(normalizeTags(Array.from({ length: MAX_TAGS + 1 }, (_, i) => `t${i}`)).error));
+
+        const created = parsePromptInput({ title: ' Weekly ', content: ' Summarize ', tags: ['A'] });
+        check('New prompts are trimmed', created.title === 'Weekly' && created.content === 'Summarize' && created.tags[0] === 'a');
+        check('New prompts need content', Boolean(parsePromptInput({ title: 'Weekly' }).error));
+        check('Blank titles are rejected', Boolean(parsePromptInput({ title: '  ', content: 'x' }).error));
+        check('Updates only carry the fields sent', Object.keys(parsePromptInput({ tags: [] }, true)).join() === 'tags');
+        check('Descriptions can be cleared', parsePromptInput({ description: null }, true).description === null);
+        check('Updates with only a note are rejected', Boolean(parsePromptInput({ note: 'why' }, true).error));
+
+        check('No version follows the latest', parsePromptVersion(undefined).followLatest === true);
+        check('"latest" follows the latest', parsePromptVersion('latest').followLatest === true);
+        check('Numbers pin a version', parsePromptVersion(3).version === 3 && parsePromptVersion('3').followLatest === false);
+        check('Invalid versions are rejected', Boolean(parsePromptVersion(0).error) && Boolean(parsePromptVersion('v2').error));
+
+        const latest = { title: 'Weekly', content: 'Summarize' };
+        check('Changed content needs a new version', isNewVersion(latest, { content: 'Summarize this' }));
+        check('Unchanged text keeps the version', !isNewVersion(latest, { title: 'Weekly', tags: ['a'] }));
+    } catch (error) {
+        console.log(`❌ Prompt library failed: ${error.message}`);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 All prompt library checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testPromptLibrary();
@@ -0,0 +1,75 @@
+// Test prompt template parsing, variables and rendering
+const {
+    getTemplateVariables,
+    validateTemplate,
+    normalizeTemplateVariables,
+    buildBuiltinVariables,
+    renderTemplate,
+    MAX_TEMPLATE_VARIABLES
+} = await import('./services/prompt-template.js');
+
+function testPromptTemplate() {
+    console.log('🧪 Testing prompt templates\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        check('Variables are listed once in order', getTemplateVariables('{{ticker}} {{ date }} {{ticker}}').names.join() === 'ticker,date');
+        check('Plain text has no variables', getTemplateVariables('Summarize { the } news').names.length === 0);
+        check('Unclosed placeholders are rejected', Boolean(getTemplateVariables('News for {{ticker').error));
+        check('Expressions are rejected', Boolean(getTemplateVariables('{{ ticker.toUpperCase() }}').error));
+
+        check('Built-ins need no definition', validateTemplate('Since {{last_run_date}}, run {{ run_number }}') === null);
+        check('Defined variables are accepted', validateTemplate('{{ticker}}', { ticker: 'AAPL' }) === null);
+        check('Unknown variables are rejected', validateTemplate('{{ticker}} {{sector}}', { ticker: 'AAPL' }).includes('sector'));
+
+        check('Values become strings', normalizeTemplateVariables({ ticker: 'AAPL', days: 7, hot: true }).variables.days === '7');
+        check('Missing variables default to none', Object.keys(normalizeTemplateVariables(undefined).variables).length === 0);
+        check('Arrays are rejected', Boolean(normalizeTemplateVariables(['AAPL']).error));
+        check('Built-ins can\'t be redefined', Boolean(normalizeTemplateVariables({ date: 'today' }).error));
+        check('Invalid names are rejected', Boolean(normalizeTemplateVariables({ 'my-ticker': 'AAPL' }).error));
+        check('Object values are rejected', Boolean(normalizeTemplateVariables({ ticker: { symbol: 'AAPL' } }).error));
+        check('Too many variables are rejected', Boolean(normalizeTemplateVariables(
+            Object.fromEntries(Array.from({ length: MAX_TEMPLATE_VARIABLES + 1 }, (_, i) => [`v${i}`, i]))
+        ).error));
+
+        const builtins = buildBuiltinVariables({
+            now: new Date('2026-03-08T14:30:00Z'),
+            timezone: 'America/New_York',
+            lastExecution: '2026-03-07 23:15:00',
+            executionCount: 4
+        });
+        check('Execution time is in the schedule\'s timezone', builtins.now === '2026-03-08 10:30' && builtins.weekday === 'Sunday');
+        check('Last run is read as UTC and shown in the timezone', builtins.last_run === '2026-03-07 18:15' && builtins.last_run_date === '2026-03-07');
+        check('Run number counts this run', builtins.run_number === '5');
+
+        const firstRun = buildBuiltinVariables({ now: new Date('2026-03-08T14:30:00Z'), timezone: 'UTC' });
+        check('First runs have no last run', firstRun.last_run === 'never' && firstRun.run_number === '1' && firstRun.time === '14:30');
+
+        const rendered = renderTemplate('Summarize news for {{ ticker }} since {{last_run_date}}', { ticker: 'AAPL', last_run_date: '2026-03-07' });
+        check('Placeholders are replaced', rendered === 'Summarize news for AAPL since 2026-03-07');
+        check('Values are not expanded again', renderTemplate('{{a}}', { a: '{{b}}', b: 'x' }) === '{{b}}');
+        check('Escaped braces stay literal', renderTemplate('\\{{ticker}} is {{ticker}}', { ticker: 'AAPL' }) === '{{ticker}} is AAPL');
+
+        let renderError = null;
+        try {
+            renderTemplate('{{ticker}}', {});
+        } catch (error) {
+            renderError = error;
+        }
+        check('Rendering without a value fails', renderError?.message.includes('ticker'));
+    } catch (error) {
+        console.log(`❌ Prompt templates failed: ${error.message}`);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 All prompt template checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testPromptTemplate();
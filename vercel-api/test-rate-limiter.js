@@ -0,0 +1,96 @@
+// Test the token bucket rate limiter and its in-memory store
+process.env.RATE_LIMITS = JSON.stringify({ 'test-policy': { limit: 2, windowSeconds: 10, identity: 'key', tierLimits: { premium: 4 } } });
+
+const {
+    RATE_LIMIT_POLICIES,
+    createMemoryRateLimitStore,
+    rateLimit,
+    resolveRateLimitIdentity,
+    setRateLimitStore,
+    takeToken
+} = await import('./services/rate-limiter.js');
+
+function mockResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        setHeader(name, value) { this.headers[name] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+async function runMiddleware(middleware, req) {
+    const res = mockResponse();
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    return { res, passed };
+}
+
+async function testRateLimiter() {
+    console.log('🧪 Testing rate limiter\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        // 3 requests per 3 seconds refills one token per second
+        const refill = 3 / 3000;
+        let state = null;
+        const allowed = [];
+        for (let i = 0; i < 4; i++) {
+            state = takeToken(state, 3, refill, 1000);
+            allowed.push(state.allowed);
+        }
+        check('Bucket allows a burst up to its capacity', allowed.join() === 'true,true,true,false');
+        check('Bucket refills over time', takeToken(state, 3, refill, 2000).allowed);
+        check('Bucket never refills past capacity', takeToken(state, 3, refill, 1000000).tokens === 2);
+
+        check('RATE_LIMITS adds policies and keeps defaults',
+            RATE_LIMIT_POLICIES['test-policy'].limit === 2 && RATE_LIMIT_POLICIES['validate-key'].limit === 3);
+
+        const policy = RATE_LIMIT_POLICIES['test-policy'];
+        const ipRequest = { method: 'GET', headers: {}, ip: '203.0.113.7' };
+        const ipIdentity = resolveRateLimitIdentity(ipRequest, policy);
+        check('Requests without a session are limited by hashed IP',
+            ipIdentity.identity.startsWith('ip:') && !ipIdentity.identity.includes('203.0.113.7'));
+
+        const premium = resolveRateLimitIdentity({ ...ipRequest, proKeyData: { id: 7, tier: 'premium' } }, policy);
+        check('Session requests are limited by key with the tier limit', premium.identity === 'key:7' && premium.limit === 4);
+
+        setRateLimitStore(createMemoryRateLimitStore());
+        const middleware = rateLimit('test-policy');
+
+        const first = await runMiddleware(middleware, ipRequest);
+        check('Allowed requests get RateLimit headers',
+            first.passed && first.res.headers['RateLimit-Limit'] === '2' && first.res.headers['RateLimit-Remaining'] === '1');
+
+        await runMiddleware(middleware, ipRequest);
+        const blocked = await runMiddleware(middleware, ipRequest);
+        check('Requests over the limit get 429 with Retry-After',
+            !blocked.passed && blocked.res.statusCode === 429 && Number(blocked.res.headers['Retry-After']) >= 1);
+
+        const otherIp = await runMiddleware(middleware, { method: 'GET', headers: {}, ip: '203.0.113.8' });
+        check('Other identities have their own bucket', otherIp.passed);
+
+        const spoofed = await runMiddleware(middleware, { ...ipRequest, headers: { 'x-forwarded-for': '198.51.100.1' } });
+        check('A client\'s own X-Forwarded-For doesn\'t buy a new bucket', !spoofed.passed);
+
+        setRateLimitStore({ name: 'broken', consume: async () => { throw new Error('store offline'); } });
+        const failOpen = await runMiddleware(middleware, ipRequest);
+        check('Store errors let requests through', failOpen.passed);
+    } catch (error) {
+        console.log(`❌ Rate limiter failed: ${error.message}`);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 All rate limiter checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testRateLimiter();
@@ -0,0 +1,126 @@
+// Test cron and RRULE recurrence: DST, day rules, intervals and series limits
+const { normalizeRecurrence, getNextOccurrence } = await import('./services/recurrence.js');
+
+const NEW_YORK = 'America/New_York';
+
+/**
+ * List the next occurrences of a recurrence
+ * @param {Object} recurrence - { type, rule, endDate?, maxOccurrences? }
+ * @param {string} timezone - IANA timezone
+ * @param {string} start - First allowed run (DTSTART)
+ * @param {number} limit - Most occurrences to return
+ * @returns {Array<string>} - ISO timestamps, shorter than limit when the series ends
+ */
+function occurrences(recurrence, timezone, start, limit) {
+    const runs = [];
+    let after = new Date(new Date(start).getTime() - 1);
+
+    while (runs.length < limit) {
+        const next = getNextOccurrence(recurrence, { timezone, after, start, occurrencesSoFar: runs.length });
+        if (!next) break;
+        runs.push(next.toISOString());
+        after = next;
+    }
+
+    return runs;
+}
+
+function rejects(recurrence, timezone) {
+    try {
+        normalizeRecurrence(recurrence, timezone);
+        return false;
+    } catch (error) {
+        return error.message.startsWith('Invalid recurrence rule');
+    }
+}
+
+function testRecurrence() {
+    console.log('🧪 Testing recurrence\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        // 2026-03-08 02:00 EST jumps to 03:00 EDT, 2026-11-01 02:00 EDT falls back to 01:00 EST
+        const nineAm = occurrences({ type: 'cron', rule: '0 9 * * *' }, NEW_YORK, '2026-03-07T00:00:00Z', 2);
+        check('Cron keeps local time across spring-forward', nineAm.join() === '2026-03-07T14:00:00.000Z,2026-03-08T13:00:00.000Z');
+
+        const inGap = occurrences({ type: 'cron', rule: '30 2 * * *' }, NEW_YORK, '2026-03-07T12:00:00Z', 2);
+        check('Runs inside the spring-forward gap move past it', inGap[0] === '2026-03-08T07:30:00.000Z' && inGap[1] === '2026-03-09T06:30:00.000Z');
+
+        const repeated = occurrences({ type: 'cron', rule: '30 1 * * *' }, NEW_YORK, '2026-10-31T12:00:00Z', 2);
+        check('Repeated fall-back times run once', repeated.join() === '2026-11-01T05:30:00.000Z,2026-11-02T06:30:00.000Z');
+
+        const weekly = occurrences({ type: 'rrule', rule: 'FREQ=WEEKLY;BYHOUR=9;BYMINUTE=0' }, NEW_YORK, '2026-10-25T13:00:00Z', 2);
+        check('RRULE keeps local time across fall-back', weekly.join() === '2026-10-25T13:00:00.000Z,2026-11-01T14:00:00.000Z');
+
+        const weekdays = occurrences({ type: 'cron', rule: '0 8 * * MON-FRI' }, 'UTC', '2026-10-16T09:00:00Z', 3);
+        check('MON-FRI skips the weekend', weekdays.join() === '2026-10-19T08:00:00.000Z,2026-10-20T08:00:00.000Z,2026-10-21T08:00:00.000Z');
+
+        const lastFriday = occurrences({ type: 'rrule', rule: 'FREQ=MONTHLY;BYDAY=-1FR;BYHOUR=17;BYMINUTE=0' }, 'UTC', '2026-10-01T00:00:00Z', 3);
+        check('BYDAY=-1FR is the last Friday of the month', lastFriday.join() === '2026-10-30T17:00:00.000Z,2026-11-27T17:00:00.000Z,2026-12-25T17:00:00.000Z');
+
+        const secondMonday = occurrences({ type: 'rrule', rule: 'RRULE:FREQ=MONTHLY;BYDAY=2MO' }, 'UTC', '2026-10-01T10:00:00Z', 2);
+        check('Positive BYDAY ordinals count from the start of the month', secondMonday.join() === '2026-10-12T10:00:00.000Z,2026-11-09T10:00:00.000Z');
+
+        const counted = occurrences({ type: 'rrule', rule: 'FREQ=DAILY;COUNT=3' }, 'UTC', '2026-10-01T10:00:00Z', 10);
+        check('COUNT ends the series', counted.length === 3);
+
+        const capped = occurrences({ type: 'cron', rule: '0 * * * *', maxOccurrences: 2 }, 'UTC', '2026-10-01T00:00:00Z', 10);
+        check('maxOccurrences ends the series', capped.length === 2);
+
+        const cappedCount = occurrences({ type: 'rrule', rule: 'FREQ=DAILY;COUNT=5', maxOccurrences: 2 }, 'UTC', '2026-10-01T10:00:00Z', 10);
+        check('The lower of COUNT and maxOccurrences wins', cappedCount.length === 2);
+
+        const ended = occurrences({ type: 'cron', rule: '0 12 * * *', endDate: '2026-10-02T12:00:00Z' }, 'UTC', '2026-10-01T00:00:00Z', 10);
+        check('endDate is inclusive', ended.length === 2);
+
+        const untilUtc = occurrences({ type: 'rrule', rule: 'FREQ=DAILY;UNTIL=20261003T140000Z' }, NEW_YORK, '2026-10-01T14:00:00Z', 10);
+        check('UNTIL with Z is a UTC instant', untilUtc.length === 3);
+
+        // 10:00 local is 14:00Z, so a floating 10:00 UNTIL keeps the run that a UTC reading would drop
+        const untilLocal = occurrences({ type: 'rrule', rule: 'FREQ=DAILY;UNTIL=20261003T100000' }, NEW_YORK, '2026-10-01T14:00:00Z', 10);
+        check('UNTIL without Z is local to the schedule timezone', untilLocal.length === 3);
+
+        const untilEarly = occurrences({ type: 'rrule', rule: 'FREQ=DAILY;UNTIL=20261003T100000Z' }, NEW_YORK, '2026-10-01T14:00:00Z', 10);
+        check('UNTIL before a run excludes it', untilEarly.length === 2);
+
+        const untilDate = occurrences({ type: 'rrule', rule: 'FREQ=DAILY;BYHOUR=22;BYMINUTE=0;UNTIL=20261002' }, NEW_YORK, '2026-10-01T12:00:00Z', 10);
+        check('UNTIL dates run to the end of the local day', untilDate.join() === '2026-10-02T02:00:00.000Z,2026-10-03T02:00:00.000Z');
+
+        const everyOtherDay = occurrences({ type: 'rrule', rule: 'FREQ=DAILY;INTERVAL=2' }, 'UTC', '2026-10-01T06:00:00Z', 3);
+        check('INTERVAL counts from DTSTART', everyOtherDay.join() === '2026-10-01T06:00:00.000Z,2026-10-03T06:00:00.000Z,2026-10-05T06:00:00.000Z');
+
+        const alternateWeeks = getNextOccurrence({ type: 'rrule', rule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO' }, {
+            timezone: 'UTC',
+            after: '2026-10-06T00:00:00Z',
+            start: '2026-10-05T09:00:00Z'
+        });
+        check('INTERVAL stays aligned when resuming mid-series', alternateWeeks?.toISOString() === '2026-10-19T09:00:00.000Z');
+
+        const quarterly = occurrences({ type: 'rrule', rule: 'FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=-1' }, 'UTC', '2026-01-15T12:00:00Z', 3);
+        check('Monthly INTERVAL with BYMONTHDAY=-1 hits month ends', quarterly.join() === '2026-01-31T12:00:00.000Z,2026-04-30T12:00:00.000Z,2026-07-31T12:00:00.000Z');
+
+        check('Cron rules that never fire are rejected', rejects({ type: 'cron', rule: '0 0 30 2 *' }, 'UTC'));
+        check('RRULEs that never fire are rejected', rejects({ type: 'rrule', rule: 'FREQ=YEARLY;BYMONTH=4;BYMONTHDAY=31' }, 'UTC'));
+        check('RRULEs that already ended are rejected', rejects({ type: 'rrule', rule: 'FREQ=DAILY;UNTIL=20200101T000000Z' }, 'UTC'));
+        check('Leap days are accepted', !rejects({ type: 'cron', rule: '0 0 29 2 *' }, 'UTC'));
+        check('Malformed rules are rejected', rejects({ type: 'cron', rule: '61 * * * *' }) && rejects({ type: 'rrule', rule: 'INTERVAL=2' }));
+        check('COUNT and UNTIL together are rejected', rejects({ type: 'rrule', rule: 'FREQ=DAILY;COUNT=2;UNTIL=20300101' }));
+
+        const normalized = normalizeRecurrence({ type: 'cron', rule: ' 0 9 * * MON-FRI ', maxOccurrences: '5' }, NEW_YORK);
+        check('Recurrences are normalized', normalized.rule === '0 9 * * MON-FRI' && normalized.maxOccurrences === 5 && normalized.endDate === null);
+    } catch (error) {
+        console.log(`❌ Recurrence failed: ${error.message}`);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 All recurrence checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testRecurrence();
@@ -0,0 +1,114 @@
+// Test retry classification and backoff, including how the integration senders classify failures
+const {
+    createTransientError,
+    isTransientStatus,
+    isTransientError,
+    parseRetryAfter,
+    normalizeRetryPolicy,
+    computeRetryDelay
+} = await import('./services/retry-policy.js');
+const { sendAnalysisToTelegram, sendAnalysisToDiscord } = await import('./services/integrations.js');
+
+const analysis = {
+    analysisType: 'Daily check',
+    result: { summary: 'Nothing to report', content: 'All quiet' },
+    date: '2026-10-19T09:00:00Z'
+};
+
+/**
+ * Answer every fetch with one canned response
+ * @param {number} status - HTTP status
+ * @param {string} body - Response body
+ * @param {Object} headers - Response headers
+ */
+function respondWith(status, body, headers = {}) {
+    globalThis.fetch = async () => new Response(body, { status, headers });
+}
+
+function expectThrows(fn) {
+    try {
+        fn();
+        return false;
+    } catch (error) {
+        return true;
+    }
+}
+
+async function testRetryPolicy() {
+    console.log('🧪 Testing retry policy\n');
+
+    let failures = 0;
+    const realFetch = globalThis.fetch;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        check('408, 429 and 5xx are transient', [408, 429, 500, 502, 503, 504].every(isTransientStatus));
+        check('Other 4xx are permanent', ![400, 401, 403, 404, 413].some(isTransientStatus));
+
+        check('Flagged errors are transient', isTransientError(createTransientError('busy', { status: 503 })));
+        check('Network failures are transient', isTransientError(new TypeError('fetch failed')));
+        check('Other errors are permanent', !isTransientError(new Error('bad request')) && !isTransientError(new TypeError('x is not a function')));
+        check('Missing errors are permanent', !isTransientError(null));
+
+        check('Retry-After seconds are read', parseRetryAfter('7') === 7000);
+        const fromDate = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+        check('Retry-After dates are read', fromDate > 55000 && fromDate <= 60000);
+        check('Past Retry-After dates mean no wait', parseRetryAfter('Thu, 01 Jan 2020 00:00:00 GMT') === 0);
+        check('Unreadable Retry-After values are ignored', parseRetryAfter('soon') === null && parseRetryAfter(null) === null);
+
+        const steady = { backoffSeconds: 30, jitter: 0 };
+        check('Backoff doubles per attempt', [1, 2, 3].map(attempt => computeRetryDelay(attempt, steady)).join() === '30000,60000,120000');
+        check('Backoff is capped at an hour', computeRetryDelay(20, steady) === 60 * 60 * 1000);
+        check('Retry-After raises the wait', computeRetryDelay(1, steady, 90000) === 90000);
+        check('Retry-After never shortens the wait', computeRetryDelay(2, steady, 1000) === 60000);
+        check('Retry-After is capped too', computeRetryDelay(1, steady, 2 * 60 * 60 * 1000) === 60 * 60 * 1000);
+
+        const jittered = Array.from({ length: 200 }, () => computeRetryDelay(1, { backoffSeconds: 10, jitter: 0.2 }));
+        check('Jitter stays within its range', jittered.every(delay => delay >= 8000 && delay <= 12000));
+        check('Jitter spreads retries out', new Set(jittered).size > 1);
+
+        check('Retry policies keep defaults for missing fields', normalizeRetryPolicy({ maxAttempts: 2 }).backoffSeconds > 0);
+        check('Retry policies are bounded', expectThrows(() => normalizeRetryPolicy({ maxAttempts: 11 }))
+            && expectThrows(() => normalizeRetryPolicy({ backoffSeconds: 0 }))
+            && expectThrows(() => normalizeRetryPolicy({ jitter: 1.5 })));
+
+        respondWith(502, '<html><body>Bad Gateway</body></html>', { 'content-type': 'text/html' });
+        const gateway = await sendAnalysisToTelegram(analysis, 'token', 'chat');
+        check('Telegram HTML 502s are transient', !gateway.success && gateway.transient && gateway.error === 'HTTP 502');
+
+        respondWith(429, JSON.stringify({ ok: false, description: 'Too Many Requests: retry after 7', parameters: { retry_after: 7 } }));
+        const throttled = await sendAnalysisToTelegram(analysis, 'token', 'chat');
+        check('Telegram 429s carry retry_after', throttled.transient && throttled.retryAfterMs === 7000);
+
+        respondWith(400, JSON.stringify({ ok: false, description: 'Bad Request: chat not found' }));
+        const badChat = await sendAnalysisToTelegram(analysis, 'token', 'chat');
+        check('Telegram 400s are permanent', !badChat.transient && badChat.error.includes('chat not found'));
+
+        respondWith(200, JSON.stringify({ ok: true, result: { message_id: 1 } }));
+        check('Telegram successes are reported', (await sendAnalysisToTelegram(analysis, 'token', 'chat')).success);
+
+        respondWith(429, JSON.stringify({ retry_after: 2.5 }), { 'retry-after': '1' });
+        const discordThrottled = await sendAnalysisToDiscord(analysis, 'https://discord.test/webhook');
+        check('Discord prefers retry_after from the body', discordThrottled.transient && discordThrottled.retryAfterMs === 2500);
+
+        respondWith(404, 'Unknown Webhook');
+        check('Discord 404s are permanent', !(await sendAnalysisToDiscord(analysis, 'https://discord.test/webhook')).transient);
+
+        globalThis.fetch = async () => { throw new TypeError('fetch failed'); };
+        check('Unreachable hosts are transient', (await sendAnalysisToDiscord(analysis, 'https://discord.test/webhook')).transient);
+    } catch (error) {
+        console.log(`❌ Retry policy failed: ${error.message}`);
+        failures++;
+    } finally {
+        globalThis.fetch = realFetch;
+    }
+
+    console.log(failures === 0 ? '\n🎉 All retry policy checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testRetryPolicy();
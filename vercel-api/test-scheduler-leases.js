@@ -0,0 +1,160 @@
+// Test how scheduler workers claim due prompts, hold their leases and recover ones left by a crashed worker
+// Runs the real queries against a throwaway SQLite file instead of Turso
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dbFile = path.join(os.tmpdir(), `test-scheduler-leases-${process.pid}.sqlite`);
+process.env.TURSO_DATABASE_URL = `file:${dbFile}`;
+process.env.TURSO_AUTH_TOKEN = 'test';
+
+const { turso } = await import('./db/connection.js');
+const { initializeAutomationDatabase } = await import('./db/init-automation.js');
+const {
+    claimDueScheduledPrompts,
+    extendScheduledPromptLease,
+    saveWorkflowProgress,
+    recoverExpiredLeases,
+    updateScheduledPromptStatus,
+    updateScheduledPrompt,
+    scheduleRetry
+} = await import('./db/automation-queries.js');
+
+/**
+ * Add a one-shot schedule
+ * @param {number} proKeyId - Owning pro key
+ * @param {number} minutesFromNow - When it is due, negative for overdue
+ * @returns {Promise<number>} - Schedule ID
+ */
+async function addSchedule(proKeyId, minutesFromNow) {
+    const result = await turso.execute({
+        sql: `INSERT INTO scheduled_prompts (pro_key_id, prompt_title, prompt_content, scheduled_time, user_timezone, display_time)
+              VALUES (?, 'Check', 'Summarize the news', ?, 'UTC', 'test')
+              RETURNING id`,
+        args: [proKeyId, new Date(Date.now() + minutesFromNow * 60000).toISOString()]
+    });
+    return Number(result.rows[0].id);
+}
+
+async function getSchedule(scheduleId) {
+    const result = await turso.execute({ sql: 'SELECT * FROM scheduled_prompts WHERE id = ?', args: [scheduleId] });
+    return result.rows[0];
+}
+
+/**
+ * Edit a schedule the way PUT /api/scheduled-prompts does
+ * @param {number} scheduleId - Schedule ID
+ * @returns {Promise<string|null>} - Error message, or null when the edit was saved
+ */
+async function editSchedule(scheduleId) {
+    try {
+        await updateScheduledPrompt(scheduleId, 1, {
+            scheduledTime: new Date(Date.now() + 3600000).toISOString(),
+            integrations: {}
+        });
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Simulate a worker that stopped renewing its lease
+async function expireLease(scheduleId) {
+    await turso.execute({
+        sql: "UPDATE scheduled_prompts SET lease_expires_at = datetime('now', '-1 minute') WHERE id = ?",
+        args: [scheduleId]
+    });
+}
+
+async function testSchedulerLeases() {
+    console.log('🧪 Testing scheduler leases\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        await turso.execute(`CREATE TABLE pro_keys (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            key_hash TEXT UNIQUE NOT NULL,
+            status TEXT DEFAULT 'active'
+        )`);
+        await turso.execute("INSERT INTO pro_keys (key_hash, status) VALUES ('active-key', 'active'), ('suspended-key', 'suspended')");
+        if (!(await initializeAutomationDatabase())) {
+            throw new Error('automation schema could not be applied');
+        }
+
+        const first = await addSchedule(1, -5);
+        const second = await addSchedule(1, -1);
+        const future = await addSchedule(1, 60);
+        const suspended = await addSchedule(2, -5);
+
+        const [claimedByA, claimedByB] = await Promise.all([
+            claimDueScheduledPrompts('worker-a', 300, 10),
+            claimDueScheduledPrompts('worker-b', 300, 10)
+        ]);
+        const claimedIds = [...claimedByA, ...claimedByB].map(prompt => Number(prompt.id)).sort();
+        check('Concurrent workers never claim the same prompt', claimedIds.join() === [first, second].join());
+        check('Prompts that aren\'t due yet are left alone', !claimedIds.includes(future));
+        check('Prompts of inactive keys are left alone', !claimedIds.includes(suspended));
+
+        const owner = claimedByA.some(prompt => Number(prompt.id) === first) ? 'worker-a' : 'worker-b';
+        const other = owner === 'worker-a' ? 'worker-b' : 'worker-a';
+        const claimed = await getSchedule(first);
+        check('Claimed prompts run under a lease', claimed.status === 'running' && claimed.lease_owner === owner
+            && new Date(`${claimed.lease_expires_at}Z`) > new Date());
+        check('Running prompts aren\'t claimed again', (await claimDueScheduledPrompts('worker-c', 300, 10)).length === 0);
+
+        check('Only the lease owner can extend it', !(await extendScheduledPromptLease(first, other, 300))
+            && await extendScheduledPromptLease(first, owner, 300));
+        check('Live leases aren\'t recovered', (await recoverExpiredLeases()) === 0);
+
+        await expireLease(first);
+        check('Expired leases are recovered', (await recoverExpiredLeases()) === 1 && (await getSchedule(first)).status === 'pending');
+
+        const reclaimed = await claimDueScheduledPrompts('worker-c', 300, 10);
+        check('Recovered prompts are claimed by the next worker', reclaimed.length === 1 && Number(reclaimed[0].id) === first);
+
+        check('The old owner can\'t extend a lost lease', !(await extendScheduledPromptLease(first, owner, 300)));
+        check('The old owner can\'t save workflow progress', !(await saveWorkflowProgress(first, { workflowUpdatedAt: 'x', outputs: ['a'] }, owner)));
+        check('The old owner can\'t schedule a retry', !(await scheduleRetry(first, new Date().toISOString(), 1, owner)));
+        check('The old owner can\'t finish the run', !(await updateScheduledPromptStatus(first, 'completed', owner)));
+        check('The new owner keeps the run', (await getSchedule(first)).lease_owner === 'worker-c');
+
+        check('The new owner finishes the run', await updateScheduledPromptStatus(first, 'completed', 'worker-c'));
+        const finished = await getSchedule(first);
+        check('Finished runs release their lease', finished.status === 'completed' && finished.lease_owner === null
+            && finished.lease_expires_at === null && Number(finished.execution_count) === 1);
+
+        const editable = await addSchedule(1, 30);
+        check('Pending schedules can be edited', (await editSchedule(editable)) === null);
+        check('Finished schedules can\'t be edited', (await editSchedule(first)).includes('only edit pending'));
+
+        // A worker that claims the schedule between the edit's read and its write wins
+        await turso.execute({
+            sql: "UPDATE scheduled_prompts SET lease_owner = 'worker-e', lease_expires_at = datetime('now', '+5 minutes') WHERE id = ?",
+            args: [editable]
+        });
+        const before = await getSchedule(editable);
+        check('Schedules under a lease aren\'t edited', (await editSchedule(editable)).startsWith('Schedule is no longer pending')
+            && (await getSchedule(editable)).scheduled_time === before.scheduled_time);
+
+        await addSchedule(1, -3);
+        await addSchedule(1, -2);
+        check('Claims respect the batch size', (await claimDueScheduledPrompts('worker-d', 300, 1)).length === 1);
+    } catch (error) {
+        console.log(`❌ Scheduler leases failed: ${error.message}`);
+        failures++;
+    } finally {
+        turso.close();
+        fs.rmSync(dbFile, { force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 All scheduler lease checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testSchedulerLeases();
@@ -0,0 +1,62 @@
+// Test session token signing and verification
+process.env.SESSION_TOKEN_SECRET = process.env.SESSION_TOKEN_SECRET || 'test-session-token-secret';
+
+const { createSessionTokens, signSessionToken, verifySessionToken } = await import('./services/session-tokens.js');
+
+function expectError(fn, message) {
+    try {
+        fn();
+        return false;
+    } catch (error) {
+        return error.message === message;
+    }
+}
+
+function testSessionTokens() {
+    console.log('🧪 Testing session tokens\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        const tokens = createSessionTokens({
+            sessionId: 'session-1',
+            refreshJti: 'jti-1',
+            keyData: { id: 42, tier: 'pro', expires_at: '2030-01-01T00:00:00.000Z' }
+        });
+
+        const access = verifySessionToken(tokens.accessToken, 'access');
+        check('Access token carries key id, tier and key expiry',
+            access.sub === '42' && access.tier === 'pro' && access.kexp === '2030-01-01T00:00:00.000Z');
+        check('Access token is short-lived', access.exp - access.iat === tokens.expiresIn && tokens.expiresIn <= 3600);
+
+        const refresh = verifySessionToken(tokens.refreshToken, 'refresh');
+        check('Refresh token carries session and jti', refresh.sid === 'session-1' && refresh.jti === 'jti-1');
+
+        check('Refresh token is not accepted as access token',
+            expectError(() => verifySessionToken(tokens.refreshToken, 'access'), 'Invalid session token'));
+
+        const [header, payload, signature] = tokens.accessToken.split('.');
+        const forged = Buffer.from(JSON.stringify({ ...access, tier: 'enterprise' })).toString('base64url');
+        check('Tampered payload is rejected',
+            expectError(() => verifySessionToken(`${header}.${forged}.${signature}`, 'access'), 'Invalid session token'));
+
+        const expired = signSessionToken({ typ: 'access', sid: 'session-1', sub: '42' }, -1);
+        check('Expired token is rejected',
+            expectError(() => verifySessionToken(expired, 'access'), 'Session token expired'));
+
+        check('Garbage is rejected', expectError(() => verifySessionToken('not-a-token', 'access'), 'Invalid session token'));
+    } catch (error) {
+        console.log(`❌ Session tokens failed: ${error.message}`);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 All session token checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testSessionTokens();
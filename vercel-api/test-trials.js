@@ -0,0 +1,52 @@
+// Test the self-service trial policy
+process.env.TRIAL_POLICY = JSON.stringify({ lifetimeDays: 14, maxPerIp: 2 });
+
+const {
+    TRIAL_POLICY,
+    getTrialFingerprints,
+    getTrialLimitError,
+    getTrialExpiry
+} = await import('./services/trials.js');
+const { getGraceDays, MEMBERSHIP_GRACE_DAYS } = await import('./services/membership.js');
+const { getSeatLimit } = await import('./services/device-seats.js');
+
+function testTrials() {
+    console.log('🧪 Testing trial policy\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        check('TRIAL_POLICY overrides merge into the defaults',
+            TRIAL_POLICY.lifetimeDays === 14 && TRIAL_POLICY.maxPerIp === 2 && TRIAL_POLICY.maxPerDevice === 1);
+
+        const fingerprints = getTrialFingerprints('device-0123456789abcdef', '203.0.113.7');
+        check('Fingerprints are hashed', fingerprints.deviceHash.length === 64 && !fingerprints.deviceHash.includes('device'));
+        check('The same device matches from any IP',
+            getTrialFingerprints('device-0123456789abcdef', '198.51.100.1').deviceHash === fingerprints.deviceHash);
+        check('Device and IP hashes never collide',
+            getTrialFingerprints('203.0.113.7', '203.0.113.7').deviceHash !== fingerprints.ipHash);
+
+        check('First trial on a device is allowed', getTrialLimitError({ device: 0, ip: 1 }) === null);
+        check('Second trial on a device is refused', getTrialLimitError({ device: 1, ip: 0 })?.code === 'TRIAL_ALREADY_USED');
+        check('Too many trials from one IP are refused', getTrialLimitError({ device: 0, ip: 2 })?.code === 'TRIAL_LIMIT_REACHED');
+
+        const now = new Date('2026-03-01T00:00:00Z');
+        check('Trials last the configured lifetime', getTrialExpiry(now) === '2026-03-15T00:00:00.000Z');
+
+        check('Trials have no grace period', getGraceDays('trial') === 0 && getGraceDays('pro') === MEMBERSHIP_GRACE_DAYS);
+        check('Trials get one device seat', getSeatLimit({ tier: 'trial' }) === 1);
+    } catch (error) {
+        console.log(`❌ Trial policy failed: ${error.message}`);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 All trial policy checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testTrials();
@@ -0,0 +1,72 @@
+// Test signed webhook delivery against a local receiver
+import http from 'http';
+import { buildWebhookPayload, postSignedWebhook } from './services/integrations.js';
+import {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    signWebhookPayload,
+    verifyWebhookSignature
+} from './services/webhook-signature.js';
+
+const RECEIVER_PORT = 4012;
+const SECRET = 'test-webhook-secret-1234';
+
+function startReceiver(received) {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(204);
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => server.listen(RECEIVER_PORT, () => resolve(server)));
+}
+
+async function testWebhookSignature() {
+    console.log('🧪 Testing signed webhook delivery against local receiver\n');
+
+    const received = [];
+    const server = await startReceiver(received);
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        const payload = buildWebhookPayload('analysis.completed', { summary: 'Signed summary' });
+        await postSignedWebhook({
+            url: `http://localhost:${RECEIVER_PORT}/hooks/hustle`,
+            secret: SECRET,
+            headers: { 'X-Team': 'research' }
+        }, payload);
+
+        const { headers, body } = received[0];
+        const signature = headers[SIGNATURE_HEADER.toLowerCase()];
+        const timestamp = headers[TIMESTAMP_HEADER.toLowerCase()];
+
+        check('Custom header forwarded', headers['x-team'] === 'research');
+        check('Payload is versioned', JSON.parse(body).version === '1');
+        check('Valid signature verifies', verifyWebhookSignature({ body, signature, timestamp, secret: SECRET }));
+        check('Tampered body is rejected', !verifyWebhookSignature({ body: body.replace('Signed', 'Forged'), signature, timestamp, secret: SECRET }));
+        check('Wrong secret is rejected', !verifyWebhookSignature({ body, signature, timestamp, secret: 'another-secret-5678' }));
+
+        const staleTimestamp = Math.floor(Date.now() / 1000) - 3600;
+        const staleSignature = signWebhookPayload(body, SECRET, staleTimestamp);
+        check('Stale timestamp is rejected', !verifyWebhookSignature({ body, signature: staleSignature, timestamp: staleTimestamp, secret: SECRET }));
+    } catch (error) {
+        console.log(`❌ Webhook delivery failed: ${error.message}`);
+        failures++;
+    }
+
+    server.close();
+
+    console.log(failures === 0 ? '\n🎉 All webhook signature checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testWebhookSignature();
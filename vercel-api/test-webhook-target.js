@@ -0,0 +1,99 @@
+// Test that webhooks can't be pointed at private, loopback or cloud metadata addresses
+// Uses IP literals and localhost so no outside DNS is needed
+import http from 'http';
+import { isPublicAddress, assertPublicWebhookTarget } from './services/webhook-target.js';
+import { buildWebhookPayload, postSignedWebhook } from './services/integrations.js';
+
+const RECEIVER_PORT = 4013;
+const SECRET = 'test-webhook-secret-1234';
+
+/**
+ * Check whether a webhook URL is rejected
+ * @param {string} url - Webhook URL
+ * @returns {Promise<boolean>} - True when the target check throws
+ */
+async function isBlocked(url) {
+    try {
+        await assertPublicWebhookTarget(url);
+        return false;
+    } catch (error) {
+        return true;
+    }
+}
+
+// Answers every request with a redirect to the cloud metadata address
+function startRedirectingReceiver(received) {
+    const server = http.createServer((req, res) => {
+        received.push(req.url);
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+        res.end();
+    });
+
+    return new Promise(resolve => server.listen(RECEIVER_PORT, () => resolve(server)));
+}
+
+async function testWebhookTarget() {
+    console.log('🧪 Testing webhook target checks\n');
+
+    let failures = 0;
+    const received = [];
+    const server = await startRedirectingReceiver(received);
+    const nodeEnv = process.env.NODE_ENV;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        check('Public addresses are allowed', ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111'].every(isPublicAddress));
+        check('Private ranges are blocked', !['10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '100.64.0.1'].some(isPublicAddress));
+        check('Loopback and unspecified addresses are blocked', !['127.0.0.1', '127.8.8.8', '0.0.0.0', '::1', '::'].some(isPublicAddress));
+        check('Link-local and cloud metadata addresses are blocked', !['169.254.169.254', 'fe80::1', 'fd00:ec2::254'].some(isPublicAddress));
+        check('IPv4-mapped IPv6 addresses are checked as IPv4', !isPublicAddress('::ffff:10.0.0.1') && isPublicAddress('::ffff:8.8.8.8'));
+        check('Neighbours of private ranges stay public', isPublicAddress('172.32.0.1') && isPublicAddress('11.0.0.1'));
+        check('Non-addresses are blocked', !isPublicAddress('example.com'));
+
+        check('Metadata URLs are rejected', await isBlocked('https://169.254.169.254/latest/meta-data/'));
+        check('Private IP URLs are rejected', await isBlocked('https://10.0.0.5/hook'));
+        check('IPv6 loopback URLs are rejected', await isBlocked('https://[::1]/hook') && await isBlocked('https://[::ffff:127.0.0.1]/hook'));
+        check('Public IP URLs are accepted', !(await isBlocked('https://93.184.216.34/hook')));
+
+        delete process.env.NODE_ENV;
+        check('Localhost receivers are allowed in development', !(await isBlocked(`http://localhost:${RECEIVER_PORT}/hook`)));
+        process.env.NODE_ENV = 'production';
+        check('Localhost receivers are rejected in production', await isBlocked('https://localhost/hook'));
+
+        let sendError = null;
+        try {
+            await postSignedWebhook({ url: 'https://169.254.169.254/hook', secret: SECRET }, buildWebhookPayload('test', {}));
+        } catch (error) {
+            sendError = error;
+        }
+        check('Sends to blocked targets fail for good', sendError?.code === 'WEBHOOK_TARGET_BLOCKED' && !sendError.transient);
+
+        delete process.env.NODE_ENV;
+        let redirectError = null;
+        try {
+            await postSignedWebhook({ url: `http://localhost:${RECEIVER_PORT}/hook`, secret: SECRET }, buildWebhookPayload('test', {}));
+        } catch (error) {
+            redirectError = error;
+        }
+        check('Redirects are not followed', received.length === 1 && redirectError?.message.includes('302'));
+    } catch (error) {
+        console.log(`❌ Webhook target checks failed: ${error.message}`);
+        failures++;
+    } finally {
+        if (nodeEnv === undefined) {
+            delete process.env.NODE_ENV;
+        } else {
+            process.env.NODE_ENV = nodeEnv;
+        }
+        server.close();
+    }
+
+    console.log(failures === 0 ? '\n🎉 All webhook target checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testWebhookTarget();
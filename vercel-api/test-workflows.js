@@ -0,0 +1,81 @@
+// Test workflow validation, step variables and conditions
+const {
+    parseWorkflowInput,
+    normalizeCondition,
+    validateWorkflowTemplates,
+    buildStepVariables,
+    evaluateCondition,
+    MAX_WORKFLOW_STEPS
+} = await import('./services/workflows.js');
+
+function testWorkflows() {
+    console.log('🧪 Testing workflows\n');
+
+    let failures = 0;
+
+    function check(name, ok) {
+        console.log(`${ok ? '✅' : '❌'} ${name}`);
+        if (!ok) failures++;
+    }
+
+    try {
+        const steps = [
+            { title: 'Collect', content: 'List news for {{ticker}} since {{last_run_date}}' },
+            { title: 'Score', content: 'Rate the sentiment of: {{previous_output}}', condition: { type: 'json', path: 'sentiment.score', operator: '>', value: 0.8 } }
+        ];
+        const workflow = parseWorkflowInput({ name: ' Alerts ', steps });
+        check('Workflows are normalized', workflow.name === 'Alerts' && workflow.steps.length === 2);
+        check('Only the last step notifies by default', workflow.steps[0].notify === false && workflow.steps[1].notify === true);
+        check('Conditions are kept', workflow.steps[1].condition.operator === '>');
+        check('New workflows need steps', Boolean(parseWorkflowInput({ name: 'Alerts' }).error));
+        check('Too many steps are rejected', Boolean(parseWorkflowInput({
+            name: 'Long',
+            steps: Array.from({ length: MAX_WORKFLOW_STEPS + 1 }, () => ({ title: 't', content: 'c' }))
+        }).error));
+        check('The first step has no previous output', Boolean(parseWorkflowInput({ name: 'x', steps: [{ title: 't', content: '{{previous_output}}' }] }).error));
+        check('Steps can\'t use later outputs', Boolean(parseWorkflowInput({
+            name: 'x',
+            steps: [{ title: 'a', content: 'a' }, { title: 'b', content: '{{step_2_output}}' }]
+        }).error));
+        check('Template syntax is checked', parseWorkflowInput({ name: 'x', steps: [{ title: 't', content: '{{ oops' }] }).error?.startsWith('Step 1'));
+        check('Updates only carry the fields sent', Object.keys(parseWorkflowInput({ name: 'Renamed' }, true)).join() === 'name');
+
+        check('Keyword conditions need a value', Boolean(normalizeCondition({ type: 'keyword' }).error));
+        check('Invalid regexes are rejected', Boolean(normalizeCondition({ type: 'regex', pattern: '(' }).error));
+        check('Regex flags are limited', Boolean(normalizeCondition({ type: 'regex', pattern: 'a', flags: 'g' }).error));
+        check('Ordering needs a number', Boolean(normalizeCondition({ type: 'json', path: 'score', operator: '>', value: '5' }).error));
+        check('Unknown condition types are rejected', Boolean(normalizeCondition({ type: 'llm' }).error));
+
+        check('Schedule variables cover the steps', validateWorkflowTemplates(workflow.steps, { ticker: 'AAPL' }) === null);
+        check('Missing schedule variables are reported with the step', validateWorkflowTemplates(workflow.steps, {})?.startsWith('Step 1'));
+
+        const variables = buildStepVariables(['first', 'second']);
+        check('Step outputs are numbered', variables.step_1_output === 'first' && variables.previous_output === 'second');
+        check('The first step gets no outputs', Object.keys(buildStepVariables([])).length === 0);
+
+        const keyword = normalizeCondition({ type: 'keyword', value: 'Breaking' }).condition;
+        check('Keywords ignore case by default', evaluateCondition(keyword, 'breaking news').met);
+        check('Missing keywords explain why', evaluateCondition(keyword, 'quiet day').reason.includes('Breaking'));
+
+        const regex = normalizeCondition({ type: 'regex', pattern: 'down \\d+%', flags: 'i' }).condition;
+        check('Regexes match the output', evaluateCondition(regex, 'Stock DOWN 12% today').met);
+
+        const score = normalizeCondition({ type: 'json', path: 'sentiment.score', operator: '>', value: 0.8 }).condition;
+        check('JSON fields past the threshold match', evaluateCondition(score, '{"sentiment": {"score": 0.92}}').met);
+        check('Fenced JSON is read', evaluateCondition(score, '```json\n{"sentiment": {"score": "0.9"}}\n```').met);
+        check('JSON fields below the threshold don\'t match', !evaluateCondition(score, '{"sentiment": {"score": 0.5}}').met);
+        check('Missing fields don\'t match', evaluateCondition(score, '{"sentiment": {}}').reason.includes('no field'));
+        check('Plain text doesn\'t match JSON conditions', !evaluateCondition(score, 'score is high').met);
+
+        const label = normalizeCondition({ type: 'json', path: 'labels.0', operator: '==', value: 'urgent' }).condition;
+        check('Paths index into arrays', evaluateCondition(label, '{"labels": ["urgent"]}').met);
+    } catch (error) {
+        console.log(`❌ Workflows failed: ${error.message}`);
+        failures++;
+    }
+
+    console.log(failures === 0 ? '\n🎉 All workflow checks passed' : `\n💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+testWorkflows();